@@ -0,0 +1,8 @@
+// Node's async_hooks module, which this version of Flow has no library definition for.
+// AsyncLocalStorage is only there in Node.js 12.17 and later.
+declare module 'async_hooks' {
+  declare class AsyncLocalStorage<T> {
+    getStore() : T | void;
+    run<R>(store: T, callback: () => R) : R;
+  }
+}
@@ -0,0 +1,935 @@
+/* @flow */
+
+/*
+ * Programmatic interface to the CLI's commands.
+ *
+ * Each function here takes an object of named arguments and an optional
+ * set of per-call options, and returns a Promise that resolves to the
+ * command's structured result.  Failures reject with an Error, and
+ * getErrorCode() says what went wrong (see errors.js).  Failed safety
+ * checks reject with a SafetyError, whose 'safetyErrors' field holds the details.
+ *
+ * Example:
+ *    import { makeNetwork, registerName } from 'blockstack-cli';
+ *    const network = makeNetwork({ networkType: 'mainnet' });
+ *    registerName({ name: 'example.id', ownerKey, paymentKey, gaiaHubUrl },
+ *                 { network })
+ *      .then((result) => console.log(result.txInfo));
+ */
+
+const blockstack = require('blockstack');
+import process from 'process';
+
+import {
+  CLI_ARGS,
+  checkArgs,
+  loadConfig,
+  DEFAULT_CONFIG_PATH,
+  DEFAULT_CONFIG_REGTEST_PATH,
+  DEFAULT_CONFIG_TESTNET_PATH
+} from './argparse';
+
+import {
+  CLINetworkAdapter,
+  getNetwork,
+  runWithNetwork
+} from './network';
+
+import {
+  makeResponseCache
+} from './cache';
+
+import {
+  PreorderTracker
+} from './preorders';
+
+import {
+  makeTransport,
+  runWithTransport
+} from './transport';
+
+import {
+  COMMANDS,
+  DEFAULT_COMMAND_OPTIONS
+} from './commands';
+
+import {
+  getEnvironmentCommandOptions
+} from './environment';
+
+import {
+  ValidationError
+} from './errors';
+
+export type NetworkOptions = {
+  networkType?: 'mainnet' | 'testnet' | 'regtest',
+  configPath?: string,
+  profile?: string,
+  blockstackAPIUrl?: string,
+  broadcastServiceUrl?: string,
+  nodeAPIUrl?: string,
+  consensusHash?: string,
+  feeRate?: number,
+  namespaceBurnAddress?: string,
+  priceToPay?: string,
+  priceUnits?: string,
+  receiveFeesPeriod?: number,
+  gracePeriod?: number,
+  noCache?: boolean,
+  quorum?: number,
+  feeTarget?: number,
+  feeMode?: 'economical' | 'conservative',
+  maxFeeRate?: number,
+  maxFee?: number
+};
+
+export type APIOptions = {
+  network?: CLINetworkAdapter,
+  txOnly?: boolean,
+  psbt?: boolean,
+  estimateOnly?: boolean,
+  safetyChecks?: boolean,
+  configPath?: string,
+  profile?: string,
+  apiKey?: string,
+  keystoreDir?: string,
+  keystorePassword?: string
+};
+
+// a transaction (txOnly), an unsigned PSBT (psbt), its txid (the default), or its cost
+// (estimateOnly)
+export type TransactionResult = string | number;
+
+/*
+ * Make a network connection from the config file and profile,
+ * with any of its settings overridden by the given options.
+ * If no network type is given, the profile's network is used.
+ * @options (object) the network options
+ */
+export function makeNetwork(options: NetworkOptions = {}) : CLINetworkAdapter {
+  const networkType = options.networkType ? options.networkType : null;
+  let configPath = options.configPath;
+  if (!configPath) {
+    configPath = networkType === 'regtest' ? DEFAULT_CONFIG_REGTEST_PATH :
+      (networkType === 'testnet' ? DEFAULT_CONFIG_TESTNET_PATH : DEFAULT_CONFIG_PATH);
+  }
+
+  const configData = loadConfig(configPath, networkType, options.profile);
+
+  const adapterOpts = {
+    consensusHash: options.consensusHash,
+    feeRate: options.feeRate,
+    namespaceBurnAddress: options.namespaceBurnAddress,
+    priceToPay: options.priceToPay,
+    priceUnits: options.priceUnits,
+    receiveFeesPeriod: options.receiveFeesPeriod ? options.receiveFeesPeriod : 52595,
+    gracePeriod: options.gracePeriod ? options.gracePeriod : 5000,
+    altAPIUrl: options.blockstackAPIUrl ? options.blockstackAPIUrl : configData.blockstackAPIUrl,
+    altTransactionBroadcasterUrl: options.broadcastServiceUrl ?
+      options.broadcastServiceUrl : configData.broadcastServiceUrl,
+    nodeAPIUrl: options.nodeAPIUrl ? options.nodeAPIUrl : configData.blockstackNodeUrl,
+    cache: makeResponseCache(configData, !!options.noCache),
+    blockstackAPIUrls: configData.blockstackAPIUrls,
+    broadcastServiceUrls: configData.broadcastServiceUrls,
+    utxoServiceUrls: configData.utxoServiceUrls,
+    retries: configData.retries,
+    retryDelay: configData.retryDelay,
+    quorum: options.quorum !== undefined ? options.quorum : configData.quorum,
+    feeTarget: options.feeTarget ? options.feeTarget : configData.feeTarget,
+    feeMode: options.feeMode ? options.feeMode : configData.feeMode,
+    feeOptionsGiven: !!(options.feeTarget || options.feeMode),
+    maxFeeRate: options.maxFeeRate !== undefined ? options.maxFeeRate : configData.maxFeeRate,
+    maxFee: options.maxFee !== undefined ? options.maxFee : configData.maxFee,
+    preorders: configData.preordersFile ? new PreorderTracker(configData.preordersFile) : null,
+    transport: makeTransport(configData)
+  };
+
+  return new CLINetworkAdapter(
+    getNetwork(configData, configData.network !== 'mainnet'), adapterOpts);
+}
+
+/*
+ * Turn a list of named arguments into the positional argument list
+ * that the command expects.  Trailing missing arguments are dropped;
+ * missing arguments in the middle stay undefined, so that commands
+ * treat them as not given rather than as empty values.
+ */
+function positionalArgs(args: Array<any>) : Array<?string> {
+  let end = args.length;
+  while (end > 0 && (args[end - 1] === null || args[end - 1] === undefined)) {
+    end--;
+  }
+  return args.slice(0, end).map(
+    (arg) => (arg === null || arg === undefined) ? undefined : String(arg));
+}
+
+/*
+ * Check a command's arguments against its CLI_ARGS schema, as the CLI does,
+ * so that a bad name, key or address fails here instead of on the network.
+ * Arguments after a missing one are checked as --NAME keyword arguments.
+ * Throws a ValidationError if the command is unknown or an argument is not valid.
+ * @command (string) the command
+ * @args (Array) the command's positional arguments
+ */
+function checkCommandArgs(command: string, args: Array<?string>) : void {
+  const argProps = CLI_ARGS.properties.hasOwnProperty(command) ?
+    CLI_ARGS.properties[command].items : [];
+  const argsList = [];
+  let skipped = false;
+  args.forEach((arg, i) => {
+    if (arg === null || arg === undefined) {
+      skipped = true;
+    }
+    else if (skipped && i < argProps.length) {
+      argsList.push(`--${argProps[i].name}`, arg);
+    }
+    else {
+      argsList.push(arg);
+    }
+  });
+
+  const cmdArgs = checkArgs(['', '', command].concat(argsList));
+  if (!cmdArgs.success) {
+    throw new ValidationError(`${command}: ${cmdArgs.error}`);
+  }
+}
+
+/*
+ * Run a command with the given positional arguments and per-call options,
+ * once they are checked against the command's schema.
+ * Uses the network in the options, or the current blockstack.js network
+ * if it is a CLI network, or else a mainnet network.
+ * @command (string) the command, as it is named on the command line
+ * @args (Array) the command's positional arguments.  Missing arguments are null.
+ * @opts (object) the per-call options
+ */
+export function runCommand(command: string, args: Array<any>,
+                           opts?: APIOptions = {}) : Promise<*> {
+  return Promise.resolve().then(() => {
+    if (!COMMANDS.hasOwnProperty(command)) {
+      throw new ValidationError(`Unrecognized command '${command}'`);
+    }
+    const commandArgs = positionalArgs(args);
+    checkCommandArgs(command, commandArgs);
+
+    let network = opts.network;
+    if (!network) {
+      network = blockstack.config.network instanceof CLINetworkAdapter ?
+        blockstack.config.network : makeNetwork();
+    }
+    const callNetwork : CLINetworkAdapter = network;
+
+    // API_KEY and BLOCKSTACK_TEST have always been honored by the library
+    const commandOpts = Object.assign(
+      {}, DEFAULT_COMMAND_OPTIONS, getEnvironmentCommandOptions(process.env));
+    for (const optName of ['txOnly', 'psbt', 'estimateOnly', 'safetyChecks']) {
+      if (opts.hasOwnProperty(optName)) {
+        commandOpts[optName] = !!opts[optName];
+      }
+    }
+    if (commandOpts.psbt) {
+      commandOpts.txOnly = true;
+    }
+    if (opts.configPath) {
+      commandOpts.configPath = opts.configPath;
+    }
+    if (opts.profile) {
+      commandOpts.profile = opts.profile;
+    }
+    if (opts.apiKey) {
+      commandOpts.apiKey = opts.apiKey;
+    }
+    if (opts.keystoreDir) {
+      commandOpts.keystoreDir = opts.keystoreDir;
+    }
+    if (opts.keystorePassword) {
+      commandOpts.keystorePassword = opts.keystorePassword;
+    }
+
+    // blockstack.js builds transactions against its global network, and
+    // every request goes through the global fetch(), so this call's network
+    // and transport are used for only as long as this call runs
+    return runWithNetwork(callNetwork, () => runWithTransport(
+      callNetwork.transport, () => COMMANDS[command](callNetwork, commandArgs, commandOpts)));
+  });
+}
+
+/*
+ * Look up a name's record information.
+ * @name (string) the name to query
+ */
+export function whois(args: { name: string },
+                      opts?: APIOptions = {}) : Promise<Object> {
+  return runCommand('whois', [args.name], opts);
+}
+
+/*
+ * Look up a name's profile and zone file.
+ * @name (string) the name to query
+ */
+export function lookup(args: { name: string },
+                       opts?: APIOptions = {}) : Promise<Object> {
+  return runCommand('lookup', [args.name], opts);
+}
+
+/*
+ * Get the price of a name.  Resolves to {units, amount}.
+ * @name (string) the name to query
+ */
+export function getNamePrice(args: { name: string },
+                             opts?: APIOptions = {}) : Promise<{ units: string, amount: string }> {
+  return runCommand('price', [args.name], opts);
+}
+
+/*
+ * Get the price of a namespace.  Resolves to {units, amount}.
+ * @namespaceID (string) the namespace to query
+ */
+export function getNamespacePrice(args: { namespaceID: string },
+                                  opts?: APIOptions = {})
+  : Promise<{ units: string, amount: string }> {
+  return runCommand('price_namespace', [args.namespaceID], opts);
+}
+
+/*
+ * Get the names owned by an ID-address.
+ * @idAddress (string) the ID-address to query
+ */
+export function getNamesOwned(args: { idAddress: string },
+                              opts?: APIOptions = {}) : Promise<Array<string>> {
+  return runCommand('names', [args.idAddress], opts);
+}
+
+/*
+ * Get a name's blockchain record.
+ * @name (string) the name to query
+ */
+export function getBlockchainRecord(args: { name: string },
+                                    opts?: APIOptions = {}) : Promise<Object> {
+  return runCommand('get_blockchain_record', [args.name], opts);
+}
+
+/*
+ * Get a name's history.  If no page is given, all pages are fetched.
+ * @name (string) the name to query
+ * @page (number) OPTIONAL: the page of history to fetch
+ */
+export function getBlockchainHistory(args: { name: string, page?: number },
+                                     opts?: APIOptions = {}) : Promise<Object> {
+  return runCommand('get_blockchain_history', [args.name, args.page], opts);
+}
+
+/*
+ * Get a namespace's blockchain record.
+ * @namespaceID (string) the namespace to query
+ */
+export function getNamespaceBlockchainRecord(args: { namespaceID: string },
+                                             opts?: APIOptions = {}) : Promise<Object> {
+  return runCommand('get_namespace_blockchain_record', [args.namespaceID], opts);
+}
+
+/*
+ * Get a name's zone file.
+ * @name (string) the name to query
+ */
+export function getZonefile(args: { name: string },
+                            opts?: APIOptions = {}) : Promise<string> {
+  return runCommand('get_zonefile', [args.name], opts);
+}
+
+/*
+ * Make a zone file that points to a profile in a Gaia hub.
+ * @name (string) the name that will own the zone file
+ * @idAddress (string) the ID-address of the name's owner
+ * @gaiaUrlPrefix (string) the read URL prefix of the Gaia hub
+ * @resolverUrl (string) OPTIONAL: the URL to a _resolver record
+ */
+export function makeZonefile(args: { name: string, idAddress: string,
+                                     gaiaUrlPrefix: string, resolverUrl?: string },
+                             opts?: APIOptions = {}) : Promise<string> {
+  return runCommand('make_zonefile',
+    [args.name, args.idAddress, args.gaiaUrlPrefix, args.resolverUrl], opts);
+}
+
+/*
+ * Generate and optionally send a NAME_PREORDER.
+ * @name (string) the name to preorder
+ * @idAddress (string) the ID-address that will own the name
+ * @paymentKey (string) the payment private key or key bundle
+ */
+export function preorderName(args: { name: string, idAddress: string, paymentKey: string },
+                             opts?: APIOptions = {}) : Promise<TransactionResult> {
+  return runCommand('tx_preorder', [args.name, args.idAddress, args.paymentKey], opts);
+}
+
+/*
+ * Generate and optionally send a NAME_REGISTRATION.
+ * @name (string) the name to register
+ * @idAddress (string) the ID-address that will own the name
+ * @paymentKey (string) the payment private key or key bundle
+ * @zonefile (string) OPTIONAL: the zone file, or the path to it
+ * @zonefileHash (string) OPTIONAL: the zone file hash to use instead of the zone file
+ */
+export function txRegisterName(args: { name: string, idAddress: string, paymentKey: string,
+                                       zonefile?: string, zonefileHash?: string },
+                               opts?: APIOptions = {}) : Promise<TransactionResult> {
+  return runCommand('tx_register',
+    [args.name, args.idAddress, args.paymentKey, args.zonefile, args.zonefileHash], opts);
+}
+
+/*
+ * Preorder and register a name, and store an empty profile for it in Gaia.
+ * Resolves to {txInfo, profileUrls}.
+ * @name (string) the name to register
+ * @ownerKey (string) the owner private key (must be single-sig)
+ * @paymentKey (string) the payment private key or key bundle
+ * @gaiaHubUrl (string) the write endpoint of the Gaia hub to use
+ * @zonefile (string) OPTIONAL: the path to the zone file to use instead
+ */
+export function registerName(args: { name: string, ownerKey: string, paymentKey: string,
+                                     gaiaHubUrl: string, zonefile?: string },
+                             opts?: APIOptions = {}) : Promise<Object> {
+  return runCommand('register',
+    [args.name, args.ownerKey, args.paymentKey, args.gaiaHubUrl, args.zonefile], opts);
+}
+
+/*
+ * Preorder and register a name to an ID-address.  Resolves to {txInfo}.
+ * @name (string) the name to register
+ * @idAddress (string) the ID-address that will own the name
+ * @paymentKey (string) the payment private key or key bundle
+ * @gaiaUrlPrefix (string) the read URL prefix of the Gaia hub to use
+ * @zonefile (string) OPTIONAL: the path to the zone file to use instead
+ */
+export function registerNameToAddress(args: { name: string, idAddress: string,
+                                              paymentKey: string, gaiaUrlPrefix: string,
+                                              zonefile?: string },
+                                      opts?: APIOptions = {}) : Promise<Object> {
+  return runCommand('register_addr',
+    [args.name, args.idAddress, args.paymentKey, args.gaiaUrlPrefix, args.zonefile], opts);
+}
+
+/*
+ * Register a subdomain with a subdomain registrar.  Resolves to {txInfo, profileUrls}.
+ * @name (string) the subdomain to register
+ * @ownerKey (string) the owner private key (must be single-sig)
+ * @gaiaHubUrl (string) the write endpoint of the Gaia hub to use
+ * @registrarUrl (string) the URL to the subdomain registrar
+ * @zonefile (string) OPTIONAL: the path to the zone file to use instead
+ */
+export function registerSubdomain(args: { name: string, ownerKey: string, gaiaHubUrl: string,
+                                          registrarUrl: string, zonefile?: string },
+                                  opts?: APIOptions = {}) : Promise<Object> {
+  return runCommand('register_subdomain',
+    [args.name, args.ownerKey, args.gaiaHubUrl, args.registrarUrl, args.zonefile], opts);
+}
+
+/*
+ * Generate and optionally send a NAME_UPDATE.
+ * @name (string) the name to update
+ * @zonefile (string) the path to the new zone file
+ * @ownerKey (string) the owner private key or key bundle
+ * @paymentKey (string) the payment private key or key bundle
+ * @zonefileHash (string) OPTIONAL: the zone file hash to use instead of the zone file
+ */
+export function updateName(args: { name: string, zonefile: string, ownerKey: string,
+                                   paymentKey: string, zonefileHash?: string },
+                           opts?: APIOptions = {}) : Promise<TransactionResult> {
+  return runCommand('update',
+    [args.name, args.zonefile, args.ownerKey, args.paymentKey, args.zonefileHash], opts);
+}
+
+/*
+ * Generate and optionally send a NAME_TRANSFER.
+ * @name (string) the name to transfer
+ * @newIdAddress (string) the ID-address of the new owner
+ * @keepZonefile (boolean) whether or not to keep the name's zone file
+ * @ownerKey (string) the owner private key or key bundle
+ * @paymentKey (string) the payment private key or key bundle
+ */
+export function transferName(args: { name: string, newIdAddress: string, keepZonefile: boolean,
+                                     ownerKey: string, paymentKey: string },
+                             opts?: APIOptions = {}) : Promise<TransactionResult> {
+  return runCommand('transfer',
+    [args.name, args.newIdAddress, args.keepZonefile, args.ownerKey, args.paymentKey], opts);
+}
+
+/*
+ * Generate and optionally send a NAME_RENEWAL.
+ * @name (string) the name to renew
+ * @ownerKey (string) the owner private key or key bundle
+ * @paymentKey (string) the payment private key or key bundle
+ * @newIdAddress (string) OPTIONAL: the ID-address of the new owner
+ * @zonefile (string) OPTIONAL: the path to the new zone file
+ * @zonefileHash (string) OPTIONAL: the zone file hash to use instead of the zone file
+ */
+export function renewName(args: { name: string, ownerKey: string, paymentKey: string,
+                                  newIdAddress?: string, zonefile?: string,
+                                  zonefileHash?: string },
+                          opts?: APIOptions = {}) : Promise<TransactionResult> {
+  return runCommand('renew',
+    [args.name, args.ownerKey, args.paymentKey, args.newIdAddress,
+     args.zonefile, args.zonefileHash], opts);
+}
+
+/*
+ * Generate and optionally send a NAME_REVOKE.
+ * @name (string) the name to revoke
+ * @ownerKey (string) the owner private key or key bundle
+ * @paymentKey (string) the payment private key or key bundle
+ */
+export function revokeName(args: { name: string, ownerKey: string, paymentKey: string },
+                           opts?: APIOptions = {}) : Promise<TransactionResult> {
+  return runCommand('revoke', [args.name, args.ownerKey, args.paymentKey], opts);
+}
+
+/*
+ * Generate and optionally send a NAME_IMPORT.
+ * @name (string) the name to import
+ * @idAddress (string) the ID-address of the name's recipient
+ * @gaiaUrlPrefix (string) the read URL prefix of the name's Gaia hub
+ * @revealKey (string) the namespace reveal private key
+ * @zonefile (string) OPTIONAL: the path to the zone file to use instead
+ * @zonefileHash (string) OPTIONAL: the zone file hash to use instead of the zone file
+ */
+export function importName(args: { name: string, idAddress: string, gaiaUrlPrefix: string,
+                                   revealKey: string, zonefile?: string,
+                                   zonefileHash?: string },
+                           opts?: APIOptions = {}) : Promise<TransactionResult | Object> {
+  return runCommand('name_import',
+    [args.name, args.idAddress, args.gaiaUrlPrefix, args.revealKey,
+     args.zonefile, args.zonefileHash], opts);
+}
+
+/*
+ * Generate and optionally send a NAMESPACE_PREORDER.
+ * @namespaceID (string) the namespace to preorder
+ * @revealAddress (string) the address that will reveal the namespace
+ * @paymentKey (string) the payment private key or key bundle
+ */
+export function preorderNamespace(args: { namespaceID: string, revealAddress: string,
+                                          paymentKey: string },
+                                  opts?: APIOptions = {}) : Promise<TransactionResult> {
+  return runCommand('namespace_preorder',
+    [args.namespaceID, args.revealAddress, args.paymentKey], opts);
+}
+
+/*
+ * Generate and optionally send a NAMESPACE_REVEAL.
+ * @namespaceID (string) the namespace to reveal
+ * @revealAddress (string) the reveal address
+ * @version (number) the namespace version bits
+ * @lifetime (number) the name lifetime, in blocks (negative for infinite)
+ * @coefficient (number) the multiplicative price coefficient
+ * @base (number) the price base
+ * @priceBuckets (string) the comma-separated list of 16 bucket exponents
+ * @nonalphaDiscount (number) the non-alpha price discount
+ * @noVowelDiscount (number) the no-vowel price discount
+ * @paymentKey (string) the payment private key or key bundle
+ */
+export function revealNamespace(args: { namespaceID: string, revealAddress: string,
+                                        version: number, lifetime: number,
+                                        coefficient: number, base: number,
+                                        priceBuckets: string, nonalphaDiscount: number,
+                                        noVowelDiscount: number, paymentKey: string },
+                                opts?: APIOptions = {}) : Promise<TransactionResult> {
+  return runCommand('namespace_reveal',
+    [args.namespaceID, args.revealAddress, args.version, args.lifetime,
+     args.coefficient, args.base, args.priceBuckets, args.nonalphaDiscount,
+     args.noVowelDiscount, args.paymentKey], opts);
+}
+
+/*
+ * Generate and optionally send a NAMESPACE_READY.
+ * @namespaceID (string) the namespace to launch
+ * @revealKey (string) the namespace reveal private key
+ */
+export function launchNamespace(args: { namespaceID: string, revealKey: string },
+                                opts?: APIOptions = {}) : Promise<TransactionResult> {
+  return runCommand('namespace_ready', [args.namespaceID, args.revealKey], opts);
+}
+
+/*
+ * Generate and optionally send an ANNOUNCE.
+ * @messageHash (string) the hash of the already-sent message
+ * @ownerKey (string) the private key of the name that peers have subscribed to
+ */
+export function announce(args: { messageHash: string, ownerKey: string },
+                         opts?: APIOptions = {}) : Promise<TransactionResult> {
+  return runCommand('announce', [args.messageHash, args.ownerKey], opts);
+}
+
+/*
+ * Push a zone file to the Atlas network.
+ * @zonefile (string) the zone file, or the path to it
+ */
+export function pushZonefile(args: { zonefile: string },
+                             opts?: APIOptions = {}) : Promise<Object> {
+  return runCommand('zonefile_push', [args.zonefile], opts);
+}
+
+/*
+ * Sign a profile.  Resolves to the serialized profile token file.
+ * @profile (string) the path to the profile
+ * @ownerKey (string) the owner private key (must be single-sig)
+ */
+export function signProfile(args: { profile: string, ownerKey: string },
+                            opts?: APIOptions = {}) : Promise<string> {
+  return runCommand('profile_sign', [args.profile, args.ownerKey], opts);
+}
+
+/*
+ * Verify a signed profile.  Resolves to the profile.
+ * @profile (string) the path to the signed profile
+ * @publicKeyOrAddress (string) the public key or ID-address of the signer
+ */
+export function verifyProfile(args: { profile: string, publicKeyOrAddress: string },
+                              opts?: APIOptions = {}) : Promise<Object> {
+  return runCommand('profile_verify', [args.profile, args.publicKeyOrAddress], opts);
+}
+
+/*
+ * Store a signed profile for a name or ID-address.  Resolves to {profileUrls}.
+ * @userId (string) the name or ID-address that owns the profile
+ * @profile (string) the path to the signed profile
+ * @ownerKey (string) the owner private key (must be single-sig)
+ * @gaiaHubUrl (string) the write endpoint of the Gaia hub to use
+ */
+export function storeProfile(args: { userId: string, profile: string, ownerKey: string,
+                                     gaiaHubUrl: string },
+                             opts?: APIOptions = {}) : Promise<Object> {
+  return runCommand('profile_store',
+    [args.userId, args.profile, args.ownerKey, args.gaiaHubUrl], opts);
+}
+
+/*
+ * Get an application's private key from a backup phrase.
+ * @backupPhrase (string) the 12-word phrase, or its ciphertext
+ * @nameOrIdAddress (string) the name or ID-address
+ * @appOrigin (string) the application's origin
+ */
+export function getAppKeys(args: { backupPhrase: string, nameOrIdAddress: string,
+                                   appOrigin: string },
+                           opts?: APIOptions = {}) : Promise<Object> {
+  return runCommand('get_app_keys',
+    [args.backupPhrase, args.nameOrIdAddress, args.appOrigin], opts);
+}
+
+/*
+ * Get the owner private keys from a backup phrase.
+ * @backupPhrase (string) the 12-word phrase, or its ciphertext
+ * @index (number) OPTIONAL: the number of owner keys to derive
+ */
+export function getOwnerKeys(args: { backupPhrase: string, index?: number },
+                             opts?: APIOptions = {}) : Promise<Array<Object>> {
+  return runCommand('get_owner_keys', [args.backupPhrase, args.index], opts);
+}
+
+/*
+ * Get the payment private key from a backup phrase.
+ * @backupPhrase (string) the 12-word phrase, or its ciphertext
+ */
+export function getPaymentKey(args: { backupPhrase: string },
+                              opts?: APIOptions = {}) : Promise<Array<Object>> {
+  return runCommand('get_payment_key', [args.backupPhrase], opts);
+}
+
+/*
+ * Make a new keychain, or derive one from a backup phrase.
+ * @backupPhrase (string) OPTIONAL: the 12-word phrase, or its ciphertext
+ */
+export function makeKeychain(args: { backupPhrase?: string } = {},
+                             opts?: APIOptions = {}) : Promise<Object> {
+  return runCommand('make_keychain', [args.backupPhrase], opts);
+}
+
+/*
+ * Get the address of a private key or key bundle.  Resolves to {BTC, STACKS}.
+ * @privateKey (string) the private key or key bundle
+ */
+export function getAddress(args: { privateKey: string },
+                           opts?: APIOptions = {}) : Promise<{ BTC: string, STACKS: string }> {
+  return runCommand('get_address', [args.privateKey], opts);
+}
+
+/*
+ * Convert an address between base58check and c32check.  Resolves to {BTC, STACKS}.
+ * @address (string) the address
+ */
+export function convertAddress(args: { address: string },
+                               opts?: APIOptions = {}) : Promise<{ BTC: string, STACKS: string }> {
+  return runCommand('convert_address', [args.address], opts);
+}
+
+/*
+ * Get an address's token balances, keyed by token type.
+ * @address (string) the Bitcoin or Stacks address
+ */
+export function getBalance(args: { address: string },
+                           opts?: APIOptions = {}) : Promise<{ [string]: string }> {
+  return runCommand('balance', [args.address], opts);
+}
+
+/*
+ * Get an account's history.  If no page is given, all pages are fetched.
+ * @address (string) the Stacks address
+ * @page (number) OPTIONAL: the page of history to fetch
+ */
+export function getAccountHistory(args: { address: string, page?: number },
+                                  opts?: APIOptions = {}) : Promise<Object> {
+  return runCommand('get_account_history', [args.address, args.page], opts);
+}
+
+/*
+ * Get an account's state(s) at a block height.
+ * @address (string) the Stacks address
+ * @blockHeight (number) the block height
+ */
+export function getAccountAt(args: { address: string, blockHeight: number },
+                             opts?: APIOptions = {}) : Promise<Object> {
+  return runCommand('get_account_at', [args.address, args.blockHeight], opts);
+}
+
+/*
+ * Send BTC to an address.
+ * @recipientAddress (string) the recipient's address
+ * @amount (number) the number of satoshis to send
+ * @paymentKey (string) the payment private key or key bundle
+ */
+export function sendBTC(args: { recipientAddress: string, amount: number, paymentKey: string },
+                        opts?: APIOptions = {}) : Promise<TransactionResult> {
+  return runCommand('send_btc', [args.recipientAddress, args.amount, args.paymentKey], opts);
+}
+
+/*
+ * Send tokens to an account.
+ * @address (string) the recipient's Stacks address
+ * @tokenType (string) the type of token to send
+ * @amount (string) the number of tokens to send
+ * @paymentKey (string) the sender's private key or key bundle
+ * @memo (string) OPTIONAL: a memo to include
+ */
+export function sendTokens(args: { address: string, tokenType: string, amount: string,
+                                   paymentKey: string, memo?: string },
+                           opts?: APIOptions = {}) : Promise<TransactionResult> {
+  return runCommand('send_tokens',
+    [args.address, args.tokenType, args.amount, args.paymentKey, args.memo], opts);
+}
+
+/*
+ * Get the number of confirmations of a transaction.
+ * Resolves to {blockHeight, confirmations}.
+ * @txid (string) the transaction ID
+ */
+export function getConfirmations(args: { txid: string },
+                                 opts?: APIOptions = {}) : Promise<Object> {
+  return runCommand('get_confirmations', [args.txid], opts);
+}
+
+/*
+ * Sign the inputs of a PSBT (made with the psbt option) that a key can sign.
+ * Resolves to the PSBT with the new signatures, as base64.
+ * @psbt (string) the PSBT as base64 or hex, or the path to it
+ * @privateKey (string) the private key or key bundle
+ * @sighashTypes (string) OPTIONAL: the sighash types besides ALL that inputs may
+ *   be signed with, separated by commas (e.g. "SINGLE|ANYONECANPAY")
+ */
+export function signPSBT(args: { psbt: string, privateKey: string, sighashTypes?: string },
+                         opts?: APIOptions = {}) : Promise<string> {
+  return runCommand('psbt_sign', [args.psbt, args.privateKey, args.sighashTypes], opts);
+}
+
+/*
+ * Combine the signatures of two copies of a PSBT.
+ * Resolves to the combined PSBT, as base64.
+ * @psbt (string) the PSBT as base64 or hex, or the path to it
+ * @otherPSBT (string) the other copy
+ */
+export function combinePSBTs(args: { psbt: string, otherPSBT: string },
+                             opts?: APIOptions = {}) : Promise<string> {
+  return runCommand('psbt_combine', [args.psbt, args.otherPSBT], opts);
+}
+
+/*
+ * Turn a fully-signed PSBT into a transaction and send it.
+ * @psbt (string) the PSBT as base64 or hex, or the path to it
+ */
+export function finalizePSBT(args: { psbt: string },
+                             opts?: APIOptions = {}) : Promise<TransactionResult> {
+  return runCommand('psbt_finalize_broadcast', [args.psbt], opts);
+}
+
+/*
+ * Check an unsigned bundle against what it recorded, and sign it with a
+ * backup phrase's keys.  Resolves to the signed bundle.
+ * @bundlePath (string) the bundle file
+ * @backupPhrase (string) the 12-word phrase, or its ciphertext
+ */
+export function signBundle(args: { bundlePath: string, backupPhrase: string },
+                           opts?: APIOptions = {}) : Promise<Object> {
+  return runCommand('sign_bundle', [args.bundlePath, args.backupPhrase], opts);
+}
+
+/*
+ * Check that a signed bundle is still current, and send its transaction.
+ * @bundlePath (string) the signed bundle file
+ */
+export function broadcastBundle(args: { bundlePath: string },
+                                opts?: APIOptions = {}) : Promise<TransactionResult> {
+  return runCommand('broadcast_bundle', [args.bundlePath], opts);
+}
+
+/*
+ * Check whether the last preorder of a name sent from here can still be
+ * registered, and if not (and a payment key is given), send a new one.
+ * Resolves to the preorder's status (see "preorder_status").
+ * @name (string) the name
+ * @paymentKey (string) OPTIONAL: the payment private key or key bundle
+ */
+export function getPreorderStatus(args: { name: string, paymentKey?: string },
+                                  opts?: APIOptions = {}) : Promise<Object> {
+  return runCommand('preorder_status', [args.name, args.paymentKey], opts);
+}
+
+/*
+ * Read a file from Gaia.  Resolves to the file's data.
+ * @blockstackID (string) the name of the user who owns the data
+ * @appOrigin (string) the application's origin
+ * @filename (string) the file to read
+ * @appPrivateKey (string) OPTIONAL: the app private key to decrypt and verify with
+ * @decrypt (boolean) OPTIONAL: whether or not to decrypt the file
+ * @verify (boolean) OPTIONAL: whether or not to verify the file's signature
+ */
+export function gaiaGetFile(args: { blockstackID: string, appOrigin: string, filename: string,
+                                    appPrivateKey?: string, decrypt?: boolean,
+                                    verify?: boolean },
+                            opts?: APIOptions = {}) : Promise<string | Buffer> {
+  return runCommand('gaia_getfile',
+    [args.blockstackID, args.appOrigin, args.filename, args.appPrivateKey,
+     args.decrypt, args.verify], opts);
+}
+
+/*
+ * Store a file in Gaia.  Resolves to {urls}.
+ * @gaiaHubUrl (string) the write endpoint of the Gaia hub
+ * @appPrivateKey (string) the app private key
+ * @dataPath (string) the path to the data to store
+ * @gaiaFilename (string) the name of the file in Gaia
+ * @encrypt (boolean) OPTIONAL: whether or not to encrypt the file
+ * @sign (boolean) OPTIONAL: whether or not to sign the file
+ */
+export function gaiaPutFile(args: { gaiaHubUrl: string, appPrivateKey: string, dataPath: string,
+                                    gaiaFilename: string, encrypt?: boolean, sign?: boolean },
+                            opts?: APIOptions = {}) : Promise<Object> {
+  return runCommand('gaia_putfile',
+    [args.gaiaHubUrl, args.appPrivateKey, args.dataPath, args.gaiaFilename,
+     args.encrypt, args.sign], opts);
+}
+
+/*
+ * List the files in a Gaia bucket.
+ * @gaiaHubUrl (string) the write endpoint of the Gaia hub
+ * @appPrivateKey (string) the app private key
+ */
+export function gaiaListFiles(args: { gaiaHubUrl: string, appPrivateKey: string },
+                              opts?: APIOptions = {}) : Promise<Array<string>> {
+  return runCommand('gaia_listfiles', [args.gaiaHubUrl, args.appPrivateKey], opts);
+}
+
+/*
+ * Download all of the files in a Gaia bucket to a directory.
+ * Resolves to the number of files downloaded.
+ * @nameOrIdAddress (string) the name or ID-address that owns the bucket
+ * @appOrigin (string) the application's origin
+ * @gaiaHubUrl (string) the write endpoint of the Gaia hub
+ * @backupPhrase (string) the 12-word phrase, or its ciphertext
+ * @dumpDir (string) the directory to hold the files
+ */
+export function gaiaDumpBucket(args: { nameOrIdAddress: string, appOrigin: string,
+                                       gaiaHubUrl: string, backupPhrase: string,
+                                       dumpDir: string },
+                               opts?: APIOptions = {}) : Promise<number> {
+  return runCommand('gaia_dump_bucket',
+    [args.nameOrIdAddress, args.appOrigin, args.gaiaHubUrl, args.backupPhrase,
+     args.dumpDir], opts);
+}
+
+/*
+ * Upload all of the files in a bucket dump to a Gaia hub.
+ * Resolves to the number of files uploaded.
+ * @nameOrIdAddress (string) the name or ID-address that owns the bucket
+ * @appOrigin (string) the application's origin
+ * @gaiaHubUrl (string) the write endpoint of the Gaia hub
+ * @backupPhrase (string) the 12-word phrase, or its ciphertext
+ * @dumpDir (string) the directory that holds the files
+ */
+export function gaiaRestoreBucket(args: { nameOrIdAddress: string, appOrigin: string,
+                                          gaiaHubUrl: string, backupPhrase: string,
+                                          dumpDir: string },
+                                  opts?: APIOptions = {}) : Promise<number> {
+  return runCommand('gaia_restore_bucket',
+    [args.nameOrIdAddress, args.appOrigin, args.gaiaHubUrl, args.backupPhrase,
+     args.dumpDir], opts);
+}
+
+/*
+ * Set the Gaia hub for an application in a name's profile.  Resolves to {profileUrls}.
+ * @blockstackID (string) the name
+ * @ownerGaiaHub (string) the write endpoint of the Gaia hub that holds the profile
+ * @appOrigin (string) the application's origin
+ * @appGaiaHub (string) the write endpoint of the application's Gaia hub
+ * @backupPhrase (string) the 12-word phrase, or its ciphertext
+ */
+export function gaiaSetHub(args: { blockstackID: string, ownerGaiaHub: string,
+                                   appOrigin: string, appGaiaHub: string,
+                                   backupPhrase: string },
+                           opts?: APIOptions = {}) : Promise<Object> {
+  return runCommand('gaia_sethub',
+    [args.blockstackID, args.ownerGaiaHub, args.appOrigin, args.appGaiaHub,
+     args.backupPhrase], opts);
+}
+
+/*
+ * Manage the config file and its profiles.  The config file and profile
+ * are taken from the options' configPath and profile.
+ * @subcommand (string) get, set, list, validate, or use
+ * @key (string) OPTIONAL: the setting to get or set, or the profile to use
+ * @value (string) OPTIONAL: the setting's new value
+ */
+export function config(args: { subcommand: 'get' | 'set' | 'list' | 'validate' | 'use',
+                               key?: string, value?: string },
+                       opts?: APIOptions = {}) : Promise<any> {
+  return runCommand('config', [args.subcommand, args.key, args.value], opts);
+}
+
+/*
+ * List, remove, or export the keys in the keystore.  The keystore and its
+ * password are taken from the options' keystoreDir and keystorePassword.
+ * (Keys are added with the CLI, which reads them from stdin.)
+ * @subcommand (string) list, remove, or export
+ * @alias (string) OPTIONAL: the key to remove or export
+ */
+export function keystore(args: { subcommand: 'list' | 'remove' | 'export', alias?: string },
+                         opts?: APIOptions = {}) : Promise<any> {
+  return runCommand('keystore', [args.subcommand, args.alias], opts);
+}
+
+/*
+ * Encrypt a backup phrase with a password.  Resolves to the base64 ciphertext.
+ * @backupPhrase (string) the 12-word phrase
+ * @password (string) the password
+ */
+export function encryptKeychain(args: { backupPhrase: string, password: string },
+                                opts?: APIOptions = {}) : Promise<string> {
+  return runCommand('encrypt_keychain', [args.backupPhrase, args.password], opts);
+}
+
+/*
+ * Decrypt a backup phrase with a password.  Resolves to the 12-word phrase.
+ * @ciphertext (string) the base64 ciphertext
+ * @password (string) the password
+ */
+export function decryptKeychain(args: { ciphertext: string, password: string },
+                                opts?: APIOptions = {}) : Promise<string> {
+  return runCommand('decrypt_keychain', [args.ciphertext, args.password], opts);
+}
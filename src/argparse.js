@@ -2,11 +2,14 @@
 
 const Ajv = require('ajv');
 const process = require('process');
-const c32check = require('c32check');
 
 import os from 'os';
 import fs from 'fs';
 
+import {
+  ValidationError
+} from './errors';
+
 export const NAME_PATTERN = 
   '^([0-9a-z_.+-]{3,37})$'
 
@@ -47,12 +50,36 @@ export const PRIVATE_KEY_PATTERN_ANY =
 export const PUBLIC_KEY_PATTERN = 
   '^([0-9a-f]{66,130})$'
 
+// hex public key, compressed or not
+const PUBLIC_KEY_HEX = '(0[23][0-9a-f]{64}|04[0-9a-f]{128})';
+
+// pubkey:pk, pubkey:m,pk1,pk2,...,pkn, or pubkey:segwit:p2sh:m,pk1,pk2,...,pkn
+// (the public keys of the above private keys, for making unsigned transactions)
+export const WATCH_ONLY_KEY_PATTERN =
+  `^pubkey:(${PUBLIC_KEY_HEX}|(segwit:p2sh:)?([0-9]+),(${PUBLIC_KEY_HEX},)*${PUBLIC_KEY_HEX})$`;
+
+// signer:exec:/path/to/tool or signer:http(s)://host:port/path
+// (a key that another program holds and signs with; see signers.js)
+export const EXTERNAL_SIGNER_PATTERN =
+  '^signer:(exec:.+|https?://.+)$';
+
+// keystore:ALIAS (a key or backup phrase in the keystore; see keystore.js)
+export const KEYSTORE_ALIAS_PATTERN = '^[A-Za-z0-9_][A-Za-z0-9_.-]*$';
+export const KEYSTORE_KEY_PATTERN = '^keystore:([A-Za-z0-9_][A-Za-z0-9_.-]*)$';
+
+// any key that a transaction can be made with
+export const TRANSACTION_KEY_PATTERN_ANY =
+  `${PRIVATE_KEY_PATTERN_ANY}|${WATCH_ONLY_KEY_PATTERN}|${EXTERNAL_SIGNER_PATTERN}`;
+
 export const INT_PATTERN = '^-?[0-9]+$'
 
 export const ZONEFILE_HASH_PATTERN = '^([0-9a-f]{40})$'
 
 export const URL_PATTERN = "^http[s]?://.+$"
 
+// UTXO services can also be Electrum servers
+export const UTXO_SERVICE_URL_PATTERN = '^(https?|tcp|ssl)://.+$'
+
 export const SUBDOMAIN_PATTERN =
   '^([0-9a-z_+-]{1,37})\.([0-9a-z_.+-]{3,37})$'
 
@@ -72,11 +99,37 @@ const LOG_CONFIG_DEFAULTS = {
   json: true
 }
 
+const DEFAULT_CACHE_DIR = '~/.blockstack-cli-cache';
+
+export const DEFAULT_KEYSTORE_DIR = '~/.blockstack-cli-keystore';
+
+// where the preorders that were sent are kept track of, for each network
+const DEFAULT_PREORDERS_FILE = '~/.blockstack-cli-preorders.json';
+const DEFAULT_PREORDERS_REGTEST_FILE = '~/.blockstack-cli-preorders-regtest.json';
+const DEFAULT_PREORDERS_TESTNET_FILE = '~/.blockstack-cli-preorders-testnet.json';
+
+// defaults for how every network's services are used
+const NETWORK_DEFAULTS = {
+  cache: 'memory',
+  cacheDir: DEFAULT_CACHE_DIR,
+  keystoreDir: DEFAULT_KEYSTORE_DIR,
+  retries: 2,
+  retryDelay: 500,
+  quorum: 0,
+  feeTarget: 6,
+  feeMode: 'conservative',
+  completionHistory: false
+};
+
 const CONFIG_DEFAULTS = {
   blockstackAPIUrl: 'https://core.blockstack.org',
   blockstackNodeUrl: 'https://node.blockstack.org:6263',
   broadcastServiceUrl: 'https://broadcast.blockstack.org',
   utxoServiceUrl: 'https://blockchain.info',
+  utxoProvider: 'blockchain.info',
+  maxFeeRate: 1000,
+  maxFee: 1000000,
+  preordersFile: DEFAULT_PREORDERS_FILE,
   logConfig: LOG_CONFIG_DEFAULTS
 };
 
@@ -85,6 +138,8 @@ const CONFIG_REGTEST_DEFAULTS = {
   blockstackNodeUrl: 'http://localhost:16264',
   broadcastServiceUrl: 'http://localhost:16269',
   utxoServiceUrl: 'http://localhost:18332',
+  utxoProvider: 'bitcoind',
+  preordersFile: DEFAULT_PREORDERS_REGTEST_FILE,
   logConfig: LOG_CONFIG_DEFAULTS
 };
 
@@ -95,15 +150,94 @@ const CONFIG_TESTNET_DEFAULTS = {
   blockstackNodeUrl: `http://${PUBLIC_TESTNET_HOST}:16264`,
   broadcastServiceUrl: `http://${PUBLIC_TESTNET_HOST}:16269`,
   utxoServiceUrl: `http://${PUBLIC_TESTNET_HOST}:18332`,
+  utxoProvider: 'bitcoind',
+  preordersFile: DEFAULT_PREORDERS_TESTNET_FILE,
   logConfig: Object.assign({}, LOG_CONFIG_DEFAULTS, { level: 'debug' })
 };
 
+const PROFILE_SETTINGS_SCHEMA = {
+  network: { type: 'string', enum: ['mainnet', 'testnet', 'regtest'] },
+  blockstackAPIUrl: { type: 'string', pattern: URL_PATTERN },
+  blockstackNodeUrl: { type: 'string', pattern: URL_PATTERN },
+  broadcastServiceUrl: { type: 'string', pattern: URL_PATTERN },
+  utxoServiceUrl: { type: 'string', pattern: UTXO_SERVICE_URL_PATTERN },
+  utxoProvider: { type: 'string', enum: ['blockchain.info', 'bitcoind', 'electrum', 'esplora'] },
+  bitcoindUsername: { type: 'string' },
+  bitcoindPassword: { type: 'string' },
+  blockstackAPIUrls: { type: 'array', items: { type: 'string', pattern: URL_PATTERN } },
+  broadcastServiceUrls: { type: 'array', items: { type: 'string', pattern: URL_PATTERN } },
+  utxoServiceUrls: { type: 'array', items: { type: 'string', pattern: URL_PATTERN } },
+  retries: { type: 'integer', minimum: 0 },
+  retryDelay: { type: 'number', minimum: 0 },
+  quorum: { type: 'integer', minimum: 0 },
+  feeTarget: { type: 'integer', minimum: 1, maximum: 1008 },
+  feeMode: { type: 'string', enum: ['economical', 'conservative'] },
+  maxFeeRate: { type: 'number', minimum: 0 },
+  maxFee: { type: 'integer', minimum: 0 },
+  preordersFile: { type: 'string', pattern: '.+' },
+  proxy: { type: 'string', pattern: '^(https?|socks5h?)://.+$' },
+  noProxy: { type: 'array', items: { type: 'string', pattern: '.+' } },
+  caFile: { type: 'string', pattern: '.+' },
+  gaiaHubUrl: { type: 'string', pattern: URL_PATTERN },
+  gaiaUrlPrefix: { type: 'string', pattern: URL_PATTERN },
+  ownerKey: { type: 'string', pattern: `${PRIVATE_KEY_PATTERN_ANY}|${KEYSTORE_KEY_PATTERN}` },
+  paymentKey: { type: 'string', pattern: `${PRIVATE_KEY_PATTERN_ANY}|${KEYSTORE_KEY_PATTERN}` },
+  keystoreDir: { type: 'string', pattern: '.+' },
+  serveOrigins: { type: 'array', items: { type: 'string', pattern: '^https?://[^/]+$' } },
+  serveSigners: { type: 'array', items: { type: 'string', pattern: '^signer:https?://.+$' } },
+  logConfig: { type: 'object' },
+  completionHistory: { type: 'boolean' },
+  cache: { type: 'string', enum: ['memory', 'disk', 'none'] },
+  cacheDir: { type: 'string', pattern: '.+' },
+  cacheTTLs: {
+    type: 'object',
+    properties: {
+      blockHeight: { type: 'number', minimum: 0 },
+      nameInfo: { type: 'number', minimum: 0 },
+      namespaceInfo: { type: 'number', minimum: 0 },
+      utxos: { type: 'number', minimum: 0 }
+    },
+    additionalProperties: false
+  }
+};
+
+// The config file holds settings at its top level, which every profile
+// inherits, and named profiles that override them.
+export const CONFIG_SCHEMA = {
+  type: 'object',
+  properties: Object.assign({}, PROFILE_SETTINGS_SCHEMA, {
+    defaultProfile: { type: 'string' },
+    profiles: {
+      type: 'object',
+      patternProperties: {
+        '^[a-zA-Z0-9_.-]+$': {
+          type: 'object',
+          properties: PROFILE_SETTINGS_SCHEMA,
+          additionalProperties: false
+        }
+      },
+      additionalProperties: false
+    }
+  }),
+  additionalProperties: false
+};
+
+export const CONFIG_SETTINGS = Object.keys(PROFILE_SETTINGS_SCHEMA);
+
+// profile settings that serve as defaults for command arguments
+const PROFILE_ARGUMENT_DEFAULTS = {
+  owner_key: 'ownerKey',
+  payment_key: 'paymentKey',
+  gaia_hub: 'gaiaHubUrl',
+  gaia_url_prefix: 'gaiaUrlPrefix'
+};
+
 export const DEFAULT_CONFIG_PATH = '~/.blockstack-cli.conf'
 export const DEFAULT_CONFIG_REGTEST_PATH = '~/.blockstack-cli-regtest.conf'
 export const DEFAULT_CONFIG_TESTNET_PATH = '~/.blockstack-cli-testnet.conf'
 
 // CLI usage
-const CLI_ARGS = {
+export const CLI_ARGS = {
   type: 'object',
   properties: {
     announce: {
@@ -119,7 +253,7 @@ const CLI_ARGS = {
           name: 'owner_key',
           type: "string",
           realtype: 'private_key',
-          pattern: `${PRIVATE_KEY_PATTERN_ANY}`
+          pattern: `${TRANSACTION_KEY_PATTERN_ANY}`
         },
       ],
       minItems: 2,
@@ -216,6 +350,259 @@ const CLI_ARGS = {
       '    }\n',
       group: 'Account Management',
     },
+    broadcast_bundle: {
+      type: "array",
+      items: [
+        {
+          name: 'bundle',
+          type: 'string',
+          realtype: 'path',
+        },
+      ],
+      minItems: 1,
+      maxItems: 1,
+      help: 'Send the transaction of a bundle that "sign_bundle" signed.  Prints the transaction ' +
+      'ID, or with -x, the transaction itself without sending it.\n' +
+      '\n' +
+      'The bundle must still be current: the outputs it spends must be unspent, and if its ' +
+      'transaction has a consensus hash, it must be sent within 24 blocks of when the bundle was ' +
+      'made.  The bundle\'s command is also run again, so that its safety checks are checked ' +
+      'against the blockchain as it is now.',
+      group: 'Account Management',
+    },
+    batch: {
+      type: 'array',
+      items: [
+        {
+          name: 'batch_file',
+          type: 'string',
+          realtype: 'path',
+          pattern: '.+',
+        },
+      ],
+      minItems: 1,
+      maxItems: 1,
+      help: 'Run many commands in one go, with the same network and options.  BATCH_FILE ' +
+      'is either a JSON-lines file (one step per line) or a YAML file (a list of steps), ' +
+      'depending on whether or not it ends in .yaml or .yml.  Each step has a "command" and ' +
+      'its "args", given either as a list (in order) or as an object (by name).  A step can ' +
+      'also have an "id" and a list of step IDs it must run "after"; steps are otherwise run ' +
+      'in the order given.\n' +
+      '\n' +
+      'Every step is checked before any of them are run.  The steps then run one at a time ' +
+      'until one fails, and a report of each step\'s result is printed.  Each step that succeeds ' +
+      'is recorded in BATCH_FILE.progress, so running the same batch again after a failure ' +
+      'resumes where it stopped.  The progress file is removed once every step has succeeded.\n' +
+      '\n' +
+      'Example:\n' +
+      '\n' +
+      '    $ cat transfers.jsonl\n' +
+      '    {"id": "r1", "command": "renew", "args": ["hello.id", "OWNER_KEY", "PAYMENT_KEY"]}\n' +
+      '    {"id": "t1", "command": "transfer", "args": {"blockstack_id": "hello.id", ' +
+      '"new_id_address": "ID-1HJA1AJvWef21XbQVL2AcTv71b6JHGPfDX", "keep_zonefile": "true", ' +
+      '"owner_key": "OWNER_KEY", "payment_key": "PAYMENT_KEY"}, "after": ["r1"]}\n' +
+      '    $ blockstack-cli batch transfers.jsonl\n',
+      group: 'CLI',
+    },
+    bump_fee: {
+      type: 'array',
+      items: [
+        {
+          name: 'txid',
+          type: 'string',
+          realtype: 'transaction_id',
+          pattern: TXID_PATTERN,
+        },
+        {
+          name: 'payment_key',
+          type: 'string',
+          realtype: 'private_key',
+          pattern: `${TRANSACTION_KEY_PATTERN_ANY}`
+        },
+        {
+          name: 'method',
+          type: 'string',
+          realtype: 'fee-bump-method',
+          pattern: '^(rbf|cpfp)$',
+        },
+        {
+          name: 'owner_key',
+          type: 'string',
+          realtype: 'private_key',
+          pattern: `${TRANSACTION_KEY_PATTERN_ANY}`
+        },
+      ],
+      minItems: 2,
+      maxItems: 4,
+      help: 'Get a transaction that is stuck unconfirmed, because it pays too little, mined ' +
+      'sooner by paying a higher fee rate: the current estimate (see feeTarget), or the one ' +
+      'given with -F.  Its change must be paid to PAYMENT_KEY\'s address.  There are two ' +
+      'ways to do it, given by METHOD:\n' +
+      '\n' +
+      '    rbf     Replace the transaction with a copy that pays more out of its change ' +
+      '(replace-by-fee).  The copy has the same Blockstack operation, but a new txid.  Every ' +
+      'input is signed again, so if the owner key spends one of them (as in an update, ' +
+      'transfer, renew, or revoke), OWNER_KEY must be given too.  Only transactions that ' +
+      'signal that they can be replaced (BIP 125) can be; the ones this command makes do, ' +
+      'but the ones blockstack.js makes do not.\n' +
+      '    cpfp    Spend the transaction\'s change in a new transaction that pays enough for ' +
+      'both (child-pays-for-parent).  The transaction itself is left as it is.\n' +
+      '\n' +
+      'If METHOD is not given, rbf is used for transactions that signal that they can be ' +
+      'replaced, and cpfp for the rest.\n' +
+      '\n' +
+      'Replacing a transaction drops anything that spends its outputs, so the replacement ' +
+      'also pays what those transactions paid in fees.  When a preorder that was sent from ' +
+      'here with its register is replaced, the register is made again and sent along with ' +
+      'the new preorder, and the new preorder is kept track of in its place (see ' +
+      '"preorder_status").  A transaction whose change was spent by anything else cannot be ' +
+      'replaced.  With cpfp, the register spends the preorder\'s change, so its change pays ' +
+      'for both.\n' +
+      '\n' +
+      'With -x, the new transactions are printed rather than sent, and with -e, the extra ' +
+      'fee is printed.\n' +
+      '\n' +
+      'Example:\n' +
+      '\n' +
+      '    $ export PAYMENT_KEY="bfeffdf57f29b0cc1fab9ea197bb1413da2561fe4b83e962c7f02fbbe2b1cd5401"\n' +
+      '    $ blockstack-cli -F 40 bump_fee 8e7b8b4c2a3d6a2b5cd3e9b7a95b2c8d1a6b3ee8e1d4a2f2a3dbe3c3f0e9d7a1 "$PAYMENT_KEY" rbf\n' +
+      '    {\n' +
+      '      "status": true,\n' +
+      '      "method": "rbf",\n' +
+      '      "bumpedTxid": "8e7b8b4c2a3d6a2b5cd3e9b7a95b2c8d1a6b3ee8e1d4a2f2a3dbe3c3f0e9d7a1",\n' +
+      '      "txid": "2b2d121db888dd328a29dbdcfb0711e24464bdf7e05cc134484de9f9913d93ae",\n' +
+      '      "fee": 10440,\n' +
+      '      "extraFee": 7830,\n' +
+      '      "feeRate": 40,\n' +
+      '      "registerTxid": "f7e05cc134484de9f9913d93ae2b2d121db888dd328a29dbdcfb0711e24464bd",\n' +
+      '      "droppedTxids": ["a1d7e9f0c3e3bd3a2f2a4d1e8ee3b6a1d8c2b59ab7e9d3cb2b6a3d2a4c8b7b8e"]\n' +
+      '    }\n',
+      group: 'Blockstack ID Management',
+    },
+    completion: {
+      type: 'array',
+      items: [
+        {
+          name: 'shell',
+          type: 'string',
+          realtype: 'shell',
+          pattern: '^(bash|zsh|fish)$',
+        },
+      ],
+      minItems: 1,
+      maxItems: 1,
+      help: 'Print a completion script for the given shell (bash, zsh, or fish).  ' +
+      'The script completes command names, global options, and --keyword arguments.  ' +
+      'It also suggests file names, and, if the completionHistory setting is true, the names ' +
+      'and ID-addresses you have used before (these are kept in ' +
+      '~/.blockstack-cli-completions).\n' +
+      '\n' +
+      'Examples:\n' +
+      '    $ blockstack-cli completion bash > /etc/bash_completion.d/blockstack-cli\n' +
+      '    $ blockstack-cli completion zsh > "${fpath[1]}/_blockstack-cli"\n' +
+      '    $ blockstack-cli completion fish > ~/.config/fish/completions/blockstack-cli.fish\n',
+      group: 'CLI',
+    },
+    config: {
+      type: 'array',
+      items: [
+        {
+          name: 'subcommand',
+          type: 'string',
+          realtype: 'config-subcommand',
+          pattern: '^(get|set|list|validate|use|show)$',
+        },
+        {
+          name: 'key',
+          type: 'string',
+          realtype: 'string',
+          pattern: '.+',
+        },
+        {
+          name: 'value',
+          type: 'string',
+          realtype: 'string',
+          pattern: '.*',
+        },
+      ],
+      minItems: 1,
+      maxItems: 3,
+      help: 'Manage the config file and its profiles.  A profile is a named set of settings, ' +
+      'selected with the -p option or made the default with "config use".  ' +
+      'Settings at the top level of the config file apply to every profile.  The subcommands are:\n' +
+      '\n' +
+      '    get [SETTING]          Print a setting (or all settings) of the current profile.\n' +
+      '    set SETTING VALUE      Change a setting in the current profile (or at the top level ' +
+      'if there is no current profile).\n' +
+      '    list                   List the profiles.\n' +
+      '    validate               Check the config file for errors.\n' +
+      '    use [PROFILE]          Make PROFILE the default profile (or clear the default).\n' +
+      '    show                   Print the effective configuration: every setting and option, ' +
+      'where its value came from (option, environment, profile, config file, or default), and ' +
+      'the environment variable that sets it.\n' +
+      '\n' +
+      'The settings are network (mainnet, testnet, or regtest), blockstackAPIUrl, ' +
+      'blockstackNodeUrl, broadcastServiceUrl, utxoServiceUrl, gaiaHubUrl, gaiaUrlPrefix, ' +
+      'ownerKey, paymentKey, logConfig, cache, cacheDir, cacheTTLs, blockstackAPIUrls, ' +
+      'broadcastServiceUrls, utxoServiceUrls, retries, retryDelay, quorum, proxy, noProxy, caFile, ' +
+      'utxoProvider, bitcoindUsername, bitcoindPassword, feeTarget, feeMode, maxFeeRate, ' +
+      'maxFee, preordersFile, keystoreDir, serveOrigins, serveSigners, and completionHistory.  ' +
+      'A profile\'s gaiaHubUrl, ' +
+      'gaiaUrlPrefix, ownerKey, and paymentKey are used for the GAIA_HUB, GAIA_URL_PREFIX, ' +
+      'OWNER_KEY, and PAYMENT_KEY arguments of any command, if they are not given.\n' +
+      '\n' +
+      'The cache setting is where responses from the network are cached: "memory" (the ' +
+      'default) for one run, "disk" for sharing them between runs in cacheDir, or "none".  ' +
+      'cacheTTLs is a JSON object of how many seconds to keep each kind of response: ' +
+      'blockHeight (30), nameInfo (60), namespaceInfo (600), and utxos (30).  Cached names, ' +
+      'namespaces, and UTXOs are also dropped once a new block is seen.  Pass --no-cache ' +
+      'to skip the cache for one command.\n' +
+      '\n' +
+      'blockstackAPIUrls, broadcastServiceUrls, and utxoServiceUrls are lists of more ' +
+      'endpoints to fail over to (comma-separated with "config set"), after blockstackAPIUrl, ' +
+      'broadcastServiceUrl, and utxoServiceUrl.  An endpoint that fails is skipped for a while.  ' +
+      'If they all fail, they are tried again up to "retries" times (2), waiting retryDelay ' +
+      'milliseconds (500) at first and twice as long each time after.  If quorum is 2 or more, ' +
+      'name owners, zone file hashes, and namespace burn addresses are read from that many ' +
+      'Blockstack Core nodes, and nothing is done if they disagree.\n' +
+      '\n' +
+      'proxy is a proxy to send every request through, including Gaia reads and writes: ' +
+      'an HTTP(S) proxy (http://[USER:PASSWORD@]HOST:PORT or https://...) or a SOCKS5 proxy ' +
+      '(socks5://HOST:PORT, or socks5h://HOST:PORT to have the proxy resolve host names, ' +
+      'e.g. socks5h://127.0.0.1:9050 for a local Tor daemon).  noProxy is a list of hosts to ' +
+      'connect to directly (e.g. localhost,.internal.example.com:8443, or * for all).  caFile is ' +
+      'a PEM file of certificate authorities to trust, besides the usual ones.\n' +
+      '\n' +
+      'utxoProvider is the kind of service utxoServiceUrl is, which UTXOs, transactions, ' +
+      'block heights, and fee estimates come from: "blockchain.info" (the mainnet default), ' +
+      '"bitcoind" (a bitcoind node\'s JSON-RPC interface, logged into with bitcoindUsername ' +
+      'and bitcoindPassword; the regtest and testnet default), "esplora" (an Esplora REST API, ' +
+      'e.g. https://blockstream.info/api), or "electrum" (an Electrum server, at ' +
+      'tcp://HOST:PORT or ssl://HOST:PORT).\n' +
+      '\n' +
+      'Fee rates are estimated for confirmation within feeTarget blocks (6), in feeMode ' +
+      '"conservative" (the default) or "economical" (cheaper, but more likely to take longer; ' +
+      'only bitcoind tells them apart).  -F overrides the estimate.  No transaction is made ' +
+      'at a fee rate over maxFeeRate satoshis/byte, and none is sent that pays more than ' +
+      'maxFee satoshis in fees (on mainnet, 1000 and 1000000 by default; 0 means no cap).\n' +
+      '\n' +
+      'preordersFile is where the name preorders that are sent are kept track of, so that ' +
+      '"preorder_status" and "tx_register" can tell if they can still be registered ' +
+      '(~/.blockstack-cli-preorders.json, with -regtest or -testnet before .json on those ' +
+      'networks).  keystoreDir is where the keystore\'s keys are kept ' +
+      '(~/.blockstack-cli-keystore; see "help keystore").  serveOrigins and serveSigners are ' +
+      'the browser origins and external signers that "serve" allows (see "help serve").  ' +
+      'If completionHistory is true, the names and ID-addresses that commands are run with are ' +
+      'kept for tab completion (false by default; see "help completion").\n' +
+      '\n' +
+      'Example:\n' +
+      '\n' +
+      '    $ blockstack-cli -p staging config set blockstackAPIUrl https://core.staging.example.com\n' +
+      '    $ blockstack-cli config use staging\n' +
+      '    $ blockstack-cli config get blockstackAPIUrl\n' +
+      '    https://core.staging.example.com\n',
+      group: 'CLI',
+    },
     convert_address: {
       type: "array",
       items: [
@@ -586,18 +973,6 @@ const CLI_ARGS = {
           realtype: 'address',
           pattern: STACKS_ADDRESS_PATTERN,
         },
-        {
-          name: 'startblock',
-          type: "string",
-          realtype: "integer",
-          pattern: "^[0-9]+$",
-        },
-        {
-          name: 'endblock',
-          type: "string",
-          realtype: "integer",
-          pattern: "^[0-9]+$",
-        },
         {
           name: 'page',
           type: "string",
@@ -605,11 +980,11 @@ const CLI_ARGS = {
           pattern: "^[0-9]+$",
         },
       ],
-      minItems: 4,
-      maxItems: 4,
-      help: 'Query the history of account debits and credits over a given block range.  ' +
-      'Returns the history one page at a time.  An empty result indicates that the page ' +
-      'number has exceeded the number of historic operations in the given block range.',
+      minItems: 1,
+      maxItems: 2,
+      help: 'Query the history of account debits and credits.  If a page is given, only that ' +
+      'page of the history is returned, and an empty result indicates that the page number has ' +
+      'exceeded the number of historic operations.  Otherwise, every page is returned.',
       group: 'Account Management',
     },
     get_account_at: {
@@ -641,12 +1016,13 @@ const CLI_ARGS = {
           name: 'private_key',
           type: 'string',
           realtype: 'private_key',
-          pattern: `${PRIVATE_KEY_PATTERN_ANY}`
+          pattern: `${PRIVATE_KEY_PATTERN_ANY}|${EXTERNAL_SIGNER_PATTERN}`
         }
       ],
       minItems: 1,
       maxItems: 1,
-      help: 'Get the address of a private key or multisig private key bundle.  Gives the BTC and STACKS addresses\n' +
+      help: 'Get the address of a private key, multisig private key bundle, or external signer.  ' +
+      'Gives the BTC and STACKS addresses\n' +
       '\n' +
       'Example:\n' +
       '\n' +
@@ -687,10 +1063,17 @@ const CLI_ARGS = {
           realtype: 'blockstack_id',
           pattern: `${NAME_PATTERN}|${SUBDOMAIN_PATTERN}$`,
         },
+        {
+          name: 'page',
+          type: "string",
+          realtype: "integer",
+          pattern: "^[0-9]+$",
+        },
       ],
       minItems: 1,
-      maxItems: 1,
+      maxItems: 2,
       help: 'Get the low-level blockchain-hosted history of operations on a Blocktack ID.  ' +
+      'If a page is given, only that page of the history is returned.  ' +
       'This command is used mainly for debugging and diagnostics, and is not guaranteed to ' +
       'be stable across releases.',
       group: 'Querying Blockstack IDs',
@@ -845,6 +1228,43 @@ const CLI_ARGS = {
       help: 'Get the usage string for a CLI command',
       group: 'CLI',
     },
+    keystore: {
+      type: 'array',
+      items: [
+        {
+          name: 'subcommand',
+          type: 'string',
+          realtype: 'keystore-subcommand',
+          pattern: '^(add|list|remove|export)$',
+        },
+        {
+          name: 'alias',
+          type: 'string',
+          realtype: 'keystore-alias',
+          pattern: KEYSTORE_ALIAS_PATTERN,
+        },
+      ],
+      minItems: 1,
+      maxItems: 2,
+      help: 'Manage the keystore: private keys and backup phrases, each encrypted with a ' +
+      'password, in the directory given by the keystoreDir setting.  Any private key or backup ' +
+      'phrase argument can then be given as "keystore:ALIAS", so that it is not on the command ' +
+      'line, where it would be kept in the shell\'s history and could be seen by other users.  ' +
+      'The password is asked for when the key is used, or is read from the ' +
+      'BLOCKSTACK_CLI_KEYSTORE_PASSWORD environment variable.  The subcommands are:\n' +
+      '\n' +
+      '    add ALIAS              Add a private key (or key bundle) or backup phrase, read from ' +
+      'stdin (or typed, without echoing it).\n' +
+      '    list                   List the keys, with their addresses.\n' +
+      '    remove ALIAS           Delete a key.\n' +
+      '    export ALIAS           Print a key, decrypted.\n' +
+      '\n' +
+      'Example:\n' +
+      '\n' +
+      '    $ blockstack-cli keystore add payment < payment.key\n' +
+      '    $ blockstack-cli send_btc 1GRjUEsPHTXmYxnJ1bSYMSbV2Wj8xnM6YP 100000 keystore:payment',
+      group: 'Key Management',
+    },
     lookup: {
       type: "array",
       items: [
@@ -930,6 +1350,67 @@ const CLI_ARGS = {
       "{ADDRESS} is the base58check part of your ID-address (i.e. the string following 'ID-').",
       group: "Peer Services",
     },
+    mock_node: {
+      type: 'array',
+      items: [
+        {
+          name: 'port',
+          type: 'string',
+          realtype: 'portnum',
+          pattern: '^[0-9]+$',
+        },
+        {
+          name: 'seed_path',
+          type: 'string',
+          realtype: 'path',
+          pattern: '.+',
+        },
+      ],
+      minItems: 0,
+      maxItems: 2,
+      help: 'Run a mock Blockstack Core node, transaction broadcaster, Bitcoin node, and Gaia hub ' +
+      'on 127.0.0.1, for testing commands without the real services.  All of their state is kept ' +
+      'in memory.  If PORT is given, every service is served on it; otherwise they are served on ' +
+      'the regtest ports (Core on 16268, the broadcaster on 16269, bitcoind on 18332, and the ' +
+      'Gaia hub on 4000), so that "-i" commands use them.  Addresses are on the network this ' +
+      'command is run with.  The Bitcoin node also serves blockchain.info\'s and Esplora\'s ' +
+      'APIs, and an Electrum server listens on PORT + 1 (or 50001), so any utxoProvider can ' +
+      'be tested against it.\n' +
+      '\n' +
+      'Transactions are mined as soon as they are sent, and the name operations in them ' +
+      '(preorders, registrations, renewals, updates, transfers, revokes, and imports) are applied.  ' +
+      'With the mempool on, they wait unconfirmed until the next block is mined instead, and a ' +
+      'transaction that spends the same outputs as ones in the mempool replaces them if it pays ' +
+      'more in fees.  ' +
+      'Signatures are not checked.  The namespace "id" exists from the start.  SEED_PATH is a ' +
+      'JSON file with the initial state:\n' +
+      '\n' +
+      '    {\n' +
+      '      "blockHeight": 1000,\n' +
+      '      "mempool": false,\n' +
+      '      "namespaces": { "id": {}, "test": { "lifetime": 100 } },\n' +
+      '      "balances": { "mzcMvKdVDwLRnNmSSUuC7xYfvv1MXsALKU": 100000000 },\n' +
+      '      "names": { "hello.id": { "address": "mzcMvKdVDwLRnNmSSUuC7xYfvv1MXsALKU", "zonefile": "..." } }\n' +
+      '    }\n' +
+      '\n' +
+      'Tests can change the state while it runs:\n' +
+      '\n' +
+      '    POST /mock/v1/fund          Give an address a UTXO: {"address": ADDRESS, "satoshis": AMOUNT}\n' +
+      '    POST /mock/v1/mine          Mine blocks (the first has the mempool\'s transactions): ' +
+      '{"blocks": COUNT}\n' +
+      '    POST /mock/v1/mempool       Turn the mempool on or off: {"enabled": true}\n' +
+      '    POST /mock/v1/reorg         Replace the last blocks with new ones: {"blocks": DEPTH}\n' +
+      '    POST /mock/v1/namespaces    Make a ready namespace: {"namespace_id": ID, ...}\n' +
+      '    GET /mock/v1/state          Show the names, namespaces, UTXOs, mempool, and Gaia files.\n' +
+      '\n' +
+      'Example:\n' +
+      '\n' +
+      '    $ blockstack-cli -i mock_node &\n' +
+      '    $ curl -d \'{"address":"mzcMvKdVDwLRnNmSSUuC7xYfvv1MXsALKU","satoshis":100000000}\' \\\n' +
+      '        http://localhost:16268/mock/v1/fund\n' +
+      '    $ blockstack-cli -i register hello.id "$OWNER_KEY" "$PAYMENT_KEY" http://localhost:4000\n',
+      group: 'CLI',
+    },
     name_import: {
       type: "array",
       items: [
@@ -955,7 +1436,7 @@ const CLI_ARGS = {
           name: 'reveal_key',
           type: "string",
           realtype: 'private_key',
-          pattern: `${PRIVATE_KEY_PATTERN_ANY}`
+          pattern: `${TRANSACTION_KEY_PATTERN_ANY}`
         },
         {
           name: 'zonefile',
@@ -1015,7 +1496,7 @@ const CLI_ARGS = {
           name: 'payment_key',
           type: 'string',
           realtype: 'private_key',
-          pattern: `${PRIVATE_KEY_PATTERN_ANY}`
+          pattern: `${TRANSACTION_KEY_PATTERN_ANY}`
         },
       ],
       minItems: 3,
@@ -1093,7 +1574,7 @@ const CLI_ARGS = {
           name: 'payment_key',
           type: 'string',
           realtype: 'private_key',
-          pattern: `${PRIVATE_KEY_PATTERN_ANY}`
+          pattern: `${TRANSACTION_KEY_PATTERN_ANY}`
         },
       ],
       minItems: 10,
@@ -1116,7 +1597,7 @@ const CLI_ARGS = {
           name: 'reveal_key',
           type: 'string',
           realtype: 'private_key',
-          pattern: `${PRIVATE_KEY_PATTERN_ANY}`
+          pattern: `${TRANSACTION_KEY_PATTERN_ANY}`
         },
       ],
       minItems: 2,
@@ -1125,6 +1606,59 @@ const CLI_ARGS = {
       'Once launched, you will not be able to import names anymore.',
       group: 'Namespace Operations'
     },
+    preorder_status: {
+      type: "array",
+      items: [
+        {
+          name: 'blockstack_id',
+          type: 'string',
+          realtype: 'on-chain-blockstack_id',
+          pattern: NAME_PATTERN,
+        },
+        {
+          name: 'payment_key',
+          type: 'string',
+          realtype: 'private_key',
+          pattern: `${PRIVATE_KEY_PATTERN_ANY}`
+        },
+      ],
+      minItems: 1,
+      maxItems: 2,
+      help: 'Check whether the last preorder of a name that was sent with "register", ' +
+      '"register_addr", or "tx_preorder" can still be registered.  Blockstack Core only ' +
+      'accepts a preorder if it is mined within 24 blocks of its consensus hash, and only ' +
+      'accepts the registration if it is mined within 144 blocks of the preorder.  Reorgs ' +
+      'that took out the preorder\'s block (or its consensus hash\'s block) since it was last ' +
+      'checked are warned about.\n' +
+      '\n' +
+      'The status is "pending" (not mined yet), "confirmed" (mined, and waiting for the ' +
+      'registration), "registered", or "invalid" (with the reason as "problem").  If the ' +
+      'preorder is invalid and PAYMENT_KEY is given, a new preorder is sent in its place, ' +
+      'along with a new register if the old preorder was sent with one.  Note that the new ' +
+      'preorder pays for the name again; the old preorder\'s payment is lost.\n' +
+      '\n' +
+      '"tx_register" also refuses to send a register whose preorder is invalid.  The ' +
+      'preorders are kept in the preordersFile setting\'s file.\n' +
+      '\n' +
+      'Example:\n' +
+      '\n' +
+      '    $ blockstack-cli preorder_status example.id\n' +
+      '    {\n' +
+      '      "name": "example.id",\n' +
+      '      "preorderTxid": "8e7b8b4c2a3d6a2b5cd3e9b7a95b2c8d1a6b3ee8e1d4a2f2a3dbe3c3f0e9d7a1",\n' +
+      '      "registerTxid": "2b2d121db888dd328a29dbdcfb0711e24464bdf7e05cc134484de9f9913d93ae",\n' +
+      '      "status": "confirmed",\n' +
+      '      "valid": true,\n' +
+      '      "problem": null,\n' +
+      '      "reorged": false,\n' +
+      '      "warnings": [],\n' +
+      '      "blockHeight": 567895,\n' +
+      '      "consensusBlockHeight": 567890,\n' +
+      '      "preorderBlockHeight": 567891,\n' +
+      '      "registerDeadline": 568034\n' +
+      '    }\n',
+      group: 'Blockstack ID Management',
+    },
     price: {
       type: "array",
       items: [
@@ -1229,6 +1763,102 @@ const CLI_ARGS = {
       help: 'Verify a profile on disk using a name or a public key (ID_ADDRESS).',
       group: 'Profiles',
     },
+    psbt_combine: {
+      type: "array",
+      items: [
+        {
+          name: 'psbt',
+          type: 'string',
+          realtype: 'psbt',
+        },
+        {
+          name: 'other_psbt',
+          type: 'string',
+          realtype: 'psbt',
+        },
+      ],
+      minItems: 2,
+      maxItems: 2,
+      help: 'Combine the signatures of two copies of the same PSBT, such as ones that ' +
+      'different co-signers of a multisig address signed with "psbt_sign".  Prints the combined ' +
+      'PSBT as base64.  To combine more copies, combine the result with the next copy.  Each PSBT ' +
+      'can be given as base64 or hex, or as the path to a file with it.',
+      group: 'Account Management',
+    },
+    psbt_finalize_broadcast: {
+      type: "array",
+      items: [
+        {
+          name: 'psbt',
+          type: 'string',
+          realtype: 'psbt',
+        },
+      ],
+      minItems: 1,
+      maxItems: 1,
+      help: 'Turn a PSBT whose inputs all have enough signatures into a transaction, and send ' +
+      'it.  Prints the transaction ID, or with -x, the transaction itself without sending it.  ' +
+      'The PSBT can be given as base64 or hex, or as the path to a file with it.',
+      group: 'Account Management',
+    },
+    psbt_sign: {
+      type: "array",
+      items: [
+        {
+          name: 'psbt',
+          type: 'string',
+          realtype: 'psbt',
+        },
+        {
+          name: 'private_key',
+          type: 'string',
+          realtype: 'private_key',
+          pattern: `${PRIVATE_KEY_PATTERN_ANY}`
+        },
+        {
+          name: 'sighash_types',
+          type: 'string',
+          realtype: 'sighash_types',
+          pattern: '^[A-Za-z_|]+(,[A-Za-z_|]+)*$',
+        },
+      ],
+      minItems: 2,
+      maxItems: 3,
+      help: 'Sign the inputs of a PSBT that a private key (or a bundle of them) can sign, and ' +
+      'print the PSBT with the new signatures as base64.  PSBTs are made by passing -S to a ' +
+      'command that sends a transaction, such as "tx_preorder", "update", "transfer", or ' +
+      '"send_btc".  With -S, the command\'s keys can be given as public keys, so that no private ' +
+      'key is needed to make the transaction: "pubkey:PUBKEY" for a single key, ' +
+      '"pubkey:m,PUBKEY1,...,PUBKEYn" for a multisig address, or ' +
+      '"pubkey:segwit:p2sh:m,PUBKEY1,...,PUBKEYn" for a segwit p2sh address.\n' +
+      '\n' +
+      'Signing needs no network access, so it can be done on an air-gapped machine.  Each ' +
+      'co-signer of a multisig address can sign the PSBT in turn, or sign their own copy to be ' +
+      'put together with "psbt_combine".  Once the inputs have enough signatures, send the ' +
+      'transaction with "psbt_finalize_broadcast".  The PSBT can be given as base64 or hex, or as ' +
+      'the path to a file with it.\n' +
+      '\n' +
+      'Inputs are only signed with SIGHASH_ALL, which covers the whole transaction.  If an input ' +
+      'the key can sign asks for any other sighash type, nothing is signed, since the ' +
+      'transaction could then be changed after it is signed.  To sign with other sighash types ' +
+      'anyway, list them as SIGHASH_TYPES, separated by commas: any of NONE, SINGLE, ' +
+      'ALL|ANYONECANPAY, NONE|ANYONECANPAY, and SINGLE|ANYONECANPAY.\n' +
+      '\n' +
+      'Example:\n' +
+      '\n' +
+      '    $ # on a machine with network access\n' +
+      '    $ blockstack-cli -S transfer example.id ID-1MjwvQ6GiosNqLeYaLR4Hu5fXSZn9ne3Hy 1 \\\n' +
+      '    >   pubkey:2,02a0f6...,03b2c1...,0281e7... \\\n' +
+      '    >   pubkey:032a3e... > transfer.psbt\n' +
+      '    $ # on the air-gapped machines\n' +
+      '    $ blockstack-cli psbt_sign transfer.psbt "$OWNER_KEY_1" > signed1.psbt\n' +
+      '    $ blockstack-cli psbt_sign signed1.psbt "$OWNER_KEY_2" > signed2.psbt\n' +
+      '    $ blockstack-cli psbt_sign signed2.psbt "$PAYMENT_KEY" > signed3.psbt\n' +
+      '    $ # back on the first machine\n' +
+      '    $ blockstack-cli psbt_finalize_broadcast signed3.psbt\n' +
+      '    a9fc6e9ae4d7a7a4f6eab1d0c4a0e1f8ec9a8d61a4f1c3a6a0bb1e7f2f4c9c2d\n',
+      group: 'Account Management',
+    },
     renew: {
       type: "array",
       items: [
@@ -1242,13 +1872,13 @@ const CLI_ARGS = {
           name: 'owner_key',
           type: 'string',
           realtype: 'private_key',
-          pattern: `${PRIVATE_KEY_PATTERN_ANY}`
+          pattern: `${TRANSACTION_KEY_PATTERN_ANY}`
         },
         {
           name: 'payment_key',
           type: 'string',
           realtype: 'private_key',
-          pattern: `${PRIVATE_KEY_PATTERN_ANY}`
+          pattern: `${TRANSACTION_KEY_PATTERN_ANY}`
         },
         {
           name: 'new_id_address',
@@ -1474,13 +2104,13 @@ const CLI_ARGS = {
           name: 'owner_key',
           type: 'string',
           realtype: 'private_key',
-          pattern: `${PRIVATE_KEY_PATTERN_ANY}`
+          pattern: `${TRANSACTION_KEY_PATTERN_ANY}`
         },
         {
           name: 'payment_key',
           type: 'string',
           realtype: 'private_key',
-          pattern: `${PRIVATE_KEY_PATTERN_ANY}`
+          pattern: `${TRANSACTION_KEY_PATTERN_ANY}`
         },
       ],
       minItems: 3,
@@ -1507,7 +2137,7 @@ const CLI_ARGS = {
           name: 'payment_key',
           type: 'string',
           realtype: 'private_key',
-          pattern: `${PRIVATE_KEY_PATTERN_ANY}`
+          pattern: `${TRANSACTION_KEY_PATTERN_ANY}`
         },
       ],
       minItems: 3,
@@ -1546,7 +2176,7 @@ const CLI_ARGS = {
           name: 'payment_key',
           type: 'string',
           realtype: 'private_key',
-          pattern: `${PRIVATE_KEY_PATTERN_ANY}`
+          pattern: `${TRANSACTION_KEY_PATTERN_ANY}`
         },
         {
           name: 'memo',
@@ -1561,6 +2191,139 @@ const CLI_ARGS = {
       'include a memo string (MEMO) up to 34 characters long.',
       group: 'Account Management',
     },
+    sign_bundle: {
+      type: "array",
+      items: [
+        {
+          name: 'bundle',
+          type: 'string',
+          realtype: 'path',
+        },
+        {
+          name: 'backup_phrase',
+          type: "string",
+          realtype: '12_words_or_ciphertext',
+        },
+      ],
+      minItems: 2,
+      maxItems: 2,
+      help: 'Check and sign an unsigned bundle, without network access.  Bundles are made by ' +
+      'passing -b BUNDLE to a command that sends a transaction, with its keys given as public ' +
+      'keys (see "psbt_sign").  A bundle holds the unsigned transaction, and everything the ' +
+      'command read from the network to make it and run its safety checks.\n' +
+      '\n' +
+      'The bundle\'s command is run again against what it read, with its safety checks, and the ' +
+      'bundle is only signed if that makes the same transaction.  The bundle is refused if it ' +
+      'was made with -B, -P, or -D, or with maxFeeRate or maxFee settings, that this machine ' +
+      'was not given as well; the transaction is checked against this machine\'s fee caps.  ' +
+      'It is signed with the payment ' +
+      'key and the first 16 owner keys of the backup phrase, wherever they can sign.  Prints ' +
+      'the signed bundle, to be sent with "broadcast_bundle".  If you provide an encrypted ' +
+      'backup phrase, you will be asked for your password to decrypt it.\n' +
+      '\n' +
+      'Example:\n' +
+      '\n' +
+      '    $ # on a machine with network access\n' +
+      '    $ blockstack-cli -b update.bundle update example.id zonefile.txt \\\n' +
+      '    >   pubkey:032a3e... pubkey:02a0f6...\n' +
+      '    $ # on the air-gapped machine\n' +
+      '    $ blockstack-cli sign_bundle update.bundle "$BACKUP_PHRASE" > signed.bundle\n' +
+      '    $ # back on the first machine\n' +
+      '    $ blockstack-cli broadcast_bundle signed.bundle\n' +
+      '    a9fc6e9ae4d7a7a4f6eab1d0c4a0e1f8ec9a8d61a4f1c3a6a0bb1e7f2f4c9c2d\n',
+      group: 'Account Management',
+    },
+    serve: {
+      type: 'array',
+      items: [
+        {
+          name: 'port',
+          type: 'string',
+          realtype: 'portnum',
+          pattern: '^[0-9]+$',
+        },
+        {
+          name: 'allowed_commands',
+          type: 'string',
+          realtype: 'command_list',
+          pattern: '^(read-only|all|[a-z_]+(,[a-z_]+)*)$',
+        },
+        {
+          name: 'token',
+          type: 'string',
+          realtype: 'string',
+          pattern: '.+',
+        },
+      ],
+      minItems: 0,
+      maxItems: 3,
+      help: 'Serve commands to local programs over HTTP, on 127.0.0.1:PORT (8889 by default).  ' +
+      'Only the commands in ALLOWED_COMMANDS are served.  This is a comma-separated list of ' +
+      'commands, "read-only" for the commands that only look things up (the default), or "all".  ' +
+      'Commands run with the network and options this command was started with.\n' +
+      '\n' +
+      'Every request must have the header "Authorization: Bearer TOKEN".  If TOKEN is not given, ' +
+      'then the BLOCKSTACK_CLI_SERVE_TOKEN environment variable is used, or a random token is ' +
+      'made and printed.  Commands can be called in two ways:\n' +
+      '\n' +
+      '    GET /v1/commands               List the served commands.\n' +
+      '    GET /v1/commands/COMMAND       Run COMMAND, with arguments by name in the query string.\n' +
+      '    POST /v1/commands/COMMAND      Run COMMAND, with a JSON list or object of arguments.\n' +
+      '    POST /rpc                      Run a JSON-RPC 2.0 request, with COMMAND as the method.\n' +
+      '\n' +
+      'Arguments are checked just as they are on the command line.  External signers that run ' +
+      'a program (signer:exec:) and keys in the keystore cannot be used, and other external ' +
+      'signers only if they are in the serveSigners setting.  Web pages can only call the ' +
+      'server if their origin (e.g. http://localhost:3000) is in the serveOrigins setting.\n' +
+      '\n' +
+      'Example:\n' +
+      '\n' +
+      '    $ export BLOCKSTACK_CLI_SERVE_TOKEN="$(openssl rand -hex 32)"\n' +
+      '    $ blockstack-cli serve 8889 whois,balance,get_confirmations &\n' +
+      '    $ curl -H "Authorization: Bearer $BLOCKSTACK_CLI_SERVE_TOKEN" \\\n' +
+      '        http://localhost:8889/v1/commands/whois?blockstack_id=hello.id\n' +
+      '    {"result":{"address":"1Jv...","blockchain":"bitcoin",...}}\n' +
+      '    $ curl -H "Authorization: Bearer $BLOCKSTACK_CLI_SERVE_TOKEN" \\\n' +
+      '        -d \'{"jsonrpc":"2.0","method":"balance","params":["16pm276FpJYpm7Dv3GEaRqTVvGPTdceoY4"],"id":1}\' \\\n' +
+      '        http://localhost:8889/rpc\n' +
+      '    {"jsonrpc":"2.0","result":{"BTC":"123456","STACKS":"123456"},"id":1}\n',
+      group: 'CLI',
+    },
+    shell: {
+      type: 'array',
+      items: [
+        {
+          name: 'blockstack_id',
+          type: 'string',
+          realtype: 'blockstack_id',
+          pattern: `${NAME_PATTERN}|${SUBDOMAIN_PATTERN}`,
+        },
+      ],
+      minItems: 0,
+      maxItems: 1,
+      help: 'Start an interactive shell.  Every command can be run from the shell, ' +
+      'without reloading the config file or reconnecting to the network each time.  ' +
+      'Press Tab to complete command and argument names.  If BLOCKSTACK_ID is given, ' +
+      'the shell starts out using it (see "use" below).\n' +
+      '\n' +
+      'The shell also has these commands:\n' +
+      '    use BLOCKSTACK_ID   Fill in BLOCKSTACK_ID for commands that need it but ' +
+      'were not given it.  Run "use" on its own to stop.\n' +
+      '    unlock CIPHERTEXT   Decrypt an encrypted backup phrase now.\n' +
+      '    lock                Forget all decrypted backup phrases.\n' +
+      '    history             Print the commands run in this session.\n' +
+      '    exit                Leave the shell.\n' +
+      '\n' +
+      'You will only be asked once per session for the password of an encrypted ' +
+      'backup phrase.  Options like -x, -S, -e and -U can be given for a single command.\n' +
+      '\n' +
+      'Example:\n' +
+      '\n' +
+      '    $ blockstack-cli -t shell\n' +
+      '    blockstack> use hello_world.id\n' +
+      '    blockstack (hello_world.id)> whois\n',
+      group: 'CLI',
+    },
     transfer: {
       type: "array",
       items: [
@@ -1586,13 +2349,13 @@ const CLI_ARGS = {
           name: 'owner_key',
           type: 'string',
           realtype: 'private_key',
-          pattern: `${PRIVATE_KEY_PATTERN_ANY}`
+          pattern: `${TRANSACTION_KEY_PATTERN_ANY}`
         },
         {
           name: 'payment_key',
           type: 'string',
           realtype: 'private_key',
-          pattern: `${PRIVATE_KEY_PATTERN_ANY}`
+          pattern: `${TRANSACTION_KEY_PATTERN_ANY}`
         },
       ],
       minItems: 5,
@@ -1620,7 +2383,7 @@ const CLI_ARGS = {
           name: 'payment_key',
           type: 'string',
           realtype: 'private_key',
-          pattern: `${PRIVATE_KEY_PATTERN_ANY}`
+          pattern: `${TRANSACTION_KEY_PATTERN_ANY}`
         },
       ],
       minItems: 3,
@@ -1648,7 +2411,7 @@ const CLI_ARGS = {
           name: 'payment_key',
           type: 'string',
           realtype: 'private_key',
-          pattern: `${PRIVATE_KEY_PATTERN_ANY}`
+          pattern: `${TRANSACTION_KEY_PATTERN_ANY}`
         },
         {
           name: 'zonefile',
@@ -1688,13 +2451,13 @@ const CLI_ARGS = {
           name: 'owner_key',
           type: 'string',
           realtype: 'private_key',
-          pattern: `${PRIVATE_KEY_PATTERN_ANY}`
+          pattern: `${TRANSACTION_KEY_PATTERN_ANY}`
         },
         {
           name: 'payment_key',
           type: 'string',
           realtype: 'private_key',
-          pattern: `${PRIVATE_KEY_PATTERN_ANY}`
+          pattern: `${TRANSACTION_KEY_PATTERN_ANY}`
         },
         {
           name: 'zonefile_hash',
@@ -1746,52 +2509,138 @@ const CLI_ARGS = {
   strict: true
 };
 
+// any private key argument can also be a key in the keystore
+Object.keys(CLI_ARGS.properties).forEach((command) => {
+  CLI_ARGS.properties[command].items
+    .filter((item) => item.realtype === 'private_key')
+    .forEach((item: Object) => {
+      item.pattern = `${item.pattern}|${KEYSTORE_KEY_PATTERN}`;
+    });
+});
+
 // usage string for built-in options
 export const USAGE = `Usage: ${process.argv[1]} [options] command [command arguments]
-Options can be:
-    -c                  Path to a config file (defaults to
+Options can be given before or after the command.  Switches can be combined
+(as in -xU), and values can be given as "-F 10", "-F10", "--fee-rate 10", or
+"--fee-rate=10".  Options can be:
+    -h, --help          Print this message, or the help for the given command
+
+    -c, --config PATH   Path to a config file (defaults to
                         ${DEFAULT_CONFIG_PATH})
 
-    -d                  Print verbose debugging output
+    -p, --profile PROFILE
+                        Use the given profile in the config file, instead of
+                        the default profile.
 
-    -e                  Estimate the BTC cost of an transaction (in satoshis).
+    -d, --debug         Print verbose debugging output
+
+    -e, --estimate      Estimate the BTC cost of an transaction (in satoshis).
                         Do not generate or send any transactions.
 
-    -t                  Use the public testnet instead of mainnet.
+    -t, --testnet       Use the public testnet instead of mainnet.
 
-    -i                  Use integration test framework instead of mainnet.
+    -i, --integration-test
+                        Use integration test framework instead of mainnet.
 
-    -U                  Unsafe mode.  No safety checks will be performed.
+    -U, --unsafe        Unsafe mode.  No safety checks will be performed.
 
-    -x                  Do not broadcast a transaction.  Only generate and
+    -x, --tx-only       Do not broadcast a transaction.  Only generate and
                         print them to stdout.
 
-    -B BURN_ADDR        Use the given namespace burn address instead of the one
+    -S, --psbt          Do not sign a transaction.  Print it as a PSBT (as
+                        base64) for "psbt_sign" instead, with what its signers
+                        need to know.  Keys can be given as public keys (see
+                        "help psbt_sign").  Implies -x.
+
+    -b, --bundle BUNDLE Like -S, and also write the PSBT to the given file as an
+                        unsigned bundle, with everything the command read from
+                        the network, to be checked and signed offline with
+                        "sign_bundle".
+
+    -n, --no-cache      Do not use or update the cache of network responses
+                        (see the cache setting in "help config").
+
+    -B, --burn-address BURN_ADDR
+                        Use the given namespace burn address instead of the one
                         obtained from the Blockstack network (DANGEROUS)
 
-    -D DENOMINATION     Denominate the price to pay in the given units
+    -D, --price-units DENOMINATION
+                        Denominate the price to pay in the given units
                         (DANGEROUS)
 
-    -C CONSENSUS_HASH   Use the given consensus hash instead of one obtained
+    -C, --consensus-hash CONSENSUS_HASH
+                        Use the given consensus hash instead of one obtained
                         from the network
 
-    -F FEE_RATE         Use the given transaction fee rate instead of the one
-                        obtained from the Bitcoin network
+    -F, --fee-rate FEE_RATE
+                        Use the given transaction fee rate (in satoshis per
+                        byte) instead of the one obtained from the Bitcoin
+                        network
+
+    -K, --fee-target BLOCKS
+                        Estimate fee rates for confirmation within the given
+                        number of blocks, instead of the feeTarget setting.
+
+    -M, --fee-mode MODE Estimate fee rates in the given mode (economical or
+                        conservative), instead of the feeMode setting.
 
-    -G GRACE_PERIOD     Number of blocks in which a name can be renewed after it
+    -G, --grace-period GRACE_PERIOD
+                        Number of blocks in which a name can be renewed after it
                         expires (DANGEROUS)
 
-    -H URL              Use an alternative Blockstack Core API endpoint.
+    -H, --api-url URL   Use an alternative Blockstack Core API endpoint.
 
-    -I URL              Use an alternative Blockstack Core Indexer endpoint.
+    -I, --indexer-url URL
+                        Use an alternative Blockstack Core Indexer endpoint.
+                        It is asked over XML-RPC for name records and histories
+                        when the Core API does not serve them.
 
-    -N PAY2NS_PERIOD    Number of blocks in which a namespace receives the registration
+    -N, --receive-fees-period PAY2NS_PERIOD
+                        Number of blocks in which a namespace receives the registration
                         and renewal fees after it is created (DANGEROUS)
 
-    -P PRICE            Use the given price to pay for names or namespaces
+    -O, --format FORMAT Print results in the given format: json (the default),
+                        yaml, table, or csv.
+
+    -P, --price PRICE   Use the given price to pay for names or namespaces
                         (DANGEROUS)
 
-    -T URL              Use an alternative Blockstack transaction broadcaster.
+    -Q, --quorum N      Read name owners, zone file hashes, and namespace burn
+                        addresses from N Blockstack Core nodes (see the
+                        blockstackAPIUrls setting), and stop if they disagree.
+
+    -R, --record CASSETTE
+                        Record every HTTP request and response to the given
+                        cassette file, so the run can be replayed with -Y.
+
+    -Y, --replay CASSETTE
+                        Answer HTTP requests from the given cassette file
+                        instead of the network.  Requests that are not in it
+                        fail.
+
+    -V, --trace         Log every HTTP request to stderr as it starts and
+                        finishes (with its status, size, and duration), and
+                        requests that are slow to finish.  At the end, print
+                        how long was spent in the network, deriving keys, and
+                        signing.
+
+    -A, --har PATH      Write the command's HTTP requests to the given HAR
+                        file, without their bodies.
+
+    -T, --broadcaster-url URL
+                        Use an alternative Blockstack transaction broadcaster.
+
+Every option and config setting can also be set with a BLOCKSTACK_CLI_*
+environment variable, or in a .env file in the current directory (or the file
+named by BLOCKSTACK_CLI_ENV_FILE).  Options given on the command line take
+precedence over environment variables, which take precedence over the config
+profile, which takes precedence over the defaults.  Run "config show" to list
+the variables and see the effective configuration.
+
+A key that makes transactions can also be held by an external signer, such as
+an HSM or a signing daemon, by giving "signer:exec:/path/to/tool" or
+"signer:http://host:port/path" in its place.  The CLI asks the signer for its
+address and for signatures, and never sees the key.
 `;
 
 /*
@@ -1902,7 +2751,6 @@ function getCommandGroups() : Object {
   for (let i = 0; i < commands.length; i++) {
     const command = commands[i];
     const group = CLI_ARGS.properties[command].group;
-    const help = CLI_ARGS.properties[command].help;
     
     if (!groups.hasOwnProperty(group)) {
       groups[group] = [Object.assign({}, CLI_ARGS.properties[command], {
@@ -1954,8 +2802,6 @@ export function makeCommandUsageString(command: string) : string {
     return makeAllCommandsList();
   }
 
-  const groups = getCommandGroups();
-  const groupNames = Object.keys(groups).sort();
   const help = commandInfo.help;
   
   const cmdFormat = formatCommandHelpLines(command, commandInfo.items);
@@ -1973,7 +2819,7 @@ export function makeCommandUsageString(command: string) : string {
 /*
  * Make the usage documentation
  */
-export function makeUsageString(usageString: string) : string {
+export function makeUsageString() : string {
   let res = `${USAGE}\n\nCommand reference\n`;
   const groups = getCommandGroups();
   const groupNames = Object.keys(groups).sort();
@@ -2009,21 +2855,111 @@ export function makeUsageString(usageString: string) : string {
  * Print usage
  */
 export function printUsage() {
-  console.error(makeUsageString(USAGE));
+  console.error(makeUsageString());
 }
 
+// the CLI's global options, in getopt(3) format
+export const CLI_OPTIONS = 'hdeitUxSnVc:p:C:F:K:M:B:P:D:G:N:H:T:I:O:Q:R:Y:A:b:';
+
+// long names for the CLI's global options
+export const CLI_LONG_OPTIONS = {
+  'h': 'help',
+  'd': 'debug',
+  'e': 'estimate',
+  'i': 'integration-test',
+  't': 'testnet',
+  'U': 'unsafe',
+  'x': 'tx-only',
+  'S': 'psbt',
+  'n': 'no-cache',
+  'V': 'trace',
+  'c': 'config',
+  'p': 'profile',
+  'C': 'consensus-hash',
+  'F': 'fee-rate',
+  'K': 'fee-target',
+  'M': 'fee-mode',
+  'B': 'burn-address',
+  'P': 'price',
+  'D': 'price-units',
+  'G': 'grace-period',
+  'N': 'receive-fees-period',
+  'H': 'api-url',
+  'T': 'broadcaster-url',
+  'I': 'indexer-url',
+  'O': 'format',
+  'Q': 'quorum',
+  'R': 'record',
+  'Y': 'replay',
+  'A': 'har',
+  'b': 'bundle'
+};
+
 /*
- * Implement just enough getopt(3) to be useful.
- * Only handles short options.
+ * Get the names of a command's arguments, which can be given as --NAME VALUE.
+ */
+function getCommandArgNames(command: string) : Array<string> {
+  let commandProps = CLI_ARGS.properties[command].items;
+  if (!Array.isArray(commandProps)) {
+    commandProps = [commandProps];
+  }
+  return commandProps.map((prop) => prop.name);
+}
+
+/*
+ * Levenshtein distance between two strings, for suggesting options.
+ */
+function editDistance(a: string, b: string) : number {
+  let prevRow = [];
+  for (let j = 0; j <= b.length; j++) {
+    prevRow.push(j);
+  }
+  for (let i = 1; i <= a.length; i++) {
+    const row = [i];
+    for (let j = 1; j <= b.length; j++) {
+      row.push(Math.min(prevRow[j] + 1, row[j - 1] + 1,
+                        prevRow[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)));
+    }
+    prevRow = row;
+  }
+  return prevRow[b.length];
+}
+
+/*
+ * Make the error for an unknown option, suggesting the closest known one.
+ */
+function unknownOptionError(option: string, knownOptions: Array<string>) : Error {
+  let suggestion = null;
+  let bestDistance = Math.max(2, Math.floor(option.length / 3)) + 1;
+  for (const knownOption of knownOptions) {
+    const distance = editDistance(option, knownOption);
+    if (distance < bestDistance) {
+      suggestion = knownOption;
+      bestDistance = distance;
+    }
+  }
+  return new ValidationError(`Unknown option "${option}"` +
+                             (suggestion ? `; did you mean "${suggestion}"?` : ''));
+}
+
+/*
+ * Parse the CLI's global options, in the style of getopt_long(3).
+ * Options can come before or after the command, and their values can be given
+ * as -F 10, -F10, --fee-rate 10, or --fee-rate=10.  Switches can be combined,
+ * as in -xU.  After the command, --NAME (or --NAME=VALUE) for one of the
+ * command's arguments is passed through for getCommandArgs.  Everything
+ * after -- is passed through as-is.
+ * Throws a ValidationError on an unknown option, or a missing option or
+ * keyword argument value.
  * Returns an object whose keys are option flags that map to true/false,
  * or to a value.
  * The key _ is mapped to the non-opts list.
  */
 export function getCLIOpts(argv: Array<string>, 
-                           opts: string = 'deitUxC:F:B:P:D:G:N:H:T:I:') : Object {
+                           opts: string = CLI_OPTIONS) : Object {
   let optsTable = {};
   let remainingArgv = [];
-  let argvBuff = argv.slice(0);
+  let longOptions = {};
 
   for (let i = 0; i < opts.length; i++) {
     if (opts[i] == ':') {
@@ -2035,40 +2971,97 @@ export function getCLIOpts(argv: Array<string>,
     else {
       optsTable[opts[i]] = false;
     }
+    if (CLI_LONG_OPTIONS.hasOwnProperty(opts[i])) {
+      longOptions[CLI_LONG_OPTIONS[opts[i]]] = opts[i];
+    }
   }
 
-  for (let opt of Object.keys(optsTable)) {
-    for (let i = 0; i < argvBuff.length; i++) {
-      if (argvBuff[i] === null) {
-        break;
+  const getValue = (optName, i) => {
+    if (i >= argv.length) {
+      throw new ValidationError(`Option "${optName}" requires a value`);
+    }
+    return argv[i];
+  };
+
+  let command = null;
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--') {
+      remainingArgv = remainingArgv.concat(argv.slice(i+1));
+      break;
+    }
+
+    if (arg.startsWith('--')) {
+      const eq = arg.indexOf('=');
+      const name = eq >= 0 ? arg.slice(2, eq) : arg.slice(2);
+      const inlineValue = eq >= 0 ? arg.slice(eq+1) : null;
+
+      if (!!command && getCommandArgNames(command).includes(name)) {
+        // keyword argument
+        remainingArgv.push(`--${name}`);
+        if (inlineValue !== null) {
+          remainingArgv.push(inlineValue);
+        }
+        else if (i+1 < argv.length) {
+          remainingArgv.push(argv[i+1]);
+          i++;
+        }
+        else {
+          throw new ValidationError(`Argument "--${name}" requires a value`);
+        }
+        continue;
       }
-      if (argvBuff[i] === '--') {
-        break;
+
+      if (!longOptions.hasOwnProperty(name)) {
+        const knownOptions = Object.keys(longOptions).map((longOpt) => `--${longOpt}`)
+          .concat(command ? getCommandArgNames(command).map((argName) => `--${argName}`) : []);
+        throw unknownOptionError(`--${name}`, knownOptions);
       }
 
-      const argvOpt = `-${opt}`;
-      if (argvOpt === argvBuff[i]) {
-        if (optsTable[opt] === false) {
+      const opt = longOptions[name];
+      if (typeof optsTable[opt] === 'boolean') {
+        if (inlineValue !== null) {
+          throw new ValidationError(`Option "--${name}" does not take a value`);
+        }
+        optsTable[opt] = true;
+      }
+      else if (inlineValue !== null) {
+        optsTable[opt] = inlineValue;
+      }
+      else {
+        optsTable[opt] = getValue(`--${name}`, i+1);
+        i++;
+      }
+    }
+    else if (arg.length > 1 && arg.startsWith('-') && !/^-[0-9]/.test(arg)) {
+      // one or more short options
+      for (let j = 1; j < arg.length; j++) {
+        const opt = arg[j];
+        if (opt === '_' || !optsTable.hasOwnProperty(opt)) {
+          throw unknownOptionError(`-${opt}`, []);
+        }
+        if (typeof optsTable[opt] === 'boolean') {
           // boolean switch
           optsTable[opt] = true;
-          argvBuff[i] = '';
         }
         else {
-          // argument
-          optsTable[opt] = argvBuff[i+1];
-          argvBuff[i] = '';
-          argvBuff[i+1] = '';
+          // argument, either attached or the next word
+          if (j+1 < arg.length) {
+            optsTable[opt] = arg.slice(j+1);
+          }
+          else {
+            optsTable[opt] = getValue(`-${opt}`, i+1);
+            i++;
+          }
+          break;
         }
       }
     }
-  }
-
-  for (let i = 0; i < argvBuff.length; i++) {
-    if (argvBuff[i].length > 0) {
-      if (argvBuff[i] === '--') {
-        continue;
+    else {
+      if (command === null && CLI_ARGS.properties.hasOwnProperty(arg)) {
+        command = arg;
       }
-      remainingArgv.push(argvBuff[i])
+      remainingArgv.push(arg);
     }
   }
 
@@ -2142,30 +3135,40 @@ export function getCommandArgs(command: string, argsList: Array<string>) {
   }
 
   // merge foundArgs and orderedArgs back into an ordered argument list
-  // that is conformant to the CLI specification.
+  // that is conformant to the CLI specification.  An optional argument that
+  // is not given, but comes before a keyword argument that is, is null.
+  const minItems = CLI_ARGS.properties[command].minItems;
+  const lastKeywordIndex = commandProps.reduce(
+    (last, prop, i) => (foundArgs.hasOwnProperty(prop.name) ? i : last), -1);
   let mergedArgs = [];
   let orderedArgIndex = 0;
 
   for (let i = 0; i < commandProps.length; i++) {
-    if (!commandProps[i].hasOwnProperty('name')) {
+    if (commandProps[i].hasOwnProperty('name') &&
+        foundArgs.hasOwnProperty(commandProps[i].name)) {
+      // keyword argument 
+      mergedArgs.push(foundArgs[commandProps[i].name]);
+    }
+    else if (orderedArgIndex < orderedArgs.length) {
       // positional argument
-      if (orderedArgIndex >= orderedArgs.length) {
-        break;
-      }
       mergedArgs.push(orderedArgs[orderedArgIndex]);
       orderedArgIndex += 1;
     }
-    else if (!foundArgs.hasOwnProperty(commandProps[i].name)) {
-      // positional argument 
-      if (orderedArgIndex >= orderedArgs.length) {
-        break;
+    else if (i < lastKeywordIndex) {
+      if (i < minItems) {
+        const argName = commandProps[i].hasOwnProperty('name') ?
+          commandProps[i].name.toUpperCase() : `number ${i + 1}`;
+        return {
+          'status': false,
+          'error': `missing argument ${argName}, which must come before ` +
+            `--${commandProps[lastKeywordIndex].name}`
+        };
       }
-      mergedArgs.push(orderedArgs[orderedArgIndex]);
-      orderedArgIndex += 1;
+      // commands treat a skipped argument like one that is not given
+      mergedArgs.push((null: any));
     }
     else {
-      // keyword argument 
-      mergedArgs.push(foundArgs[commandProps[i].name]);
+      break;
     }
   }
 
@@ -2229,8 +3232,20 @@ export function checkArgs(argList: Array<string>)
   const commands = new Object();
   commands[commandName] = commandArgs;
 
+  // optional arguments that were skipped (null) are not checked
+  let schema = CLI_ARGS;
+  if (commandArgs.some((arg) => arg === null)) {
+    const commandSchema = Object.assign({}, CLI_ARGS.properties[commandName], {
+      items: CLI_ARGS.properties[commandName].items.map(
+        (item, i) => (commandArgs[i] === null ? { type: 'null' } : item))
+    });
+    schema = Object.assign({}, CLI_ARGS, {
+      properties: Object.assign({}, CLI_ARGS.properties, { [commandName]: commandSchema })
+    });
+  }
+
   const ajv = Ajv();
-  const valid = ajv.validate(CLI_ARGS, commands);
+  const valid = ajv.validate(schema, commands);
   if (!valid) {
      // console.error(ajv.errors);
      return {
@@ -2248,37 +3263,270 @@ export function checkArgs(argList: Array<string>)
   };
 }
 
+/*
+ * Expand a leading ~ in a path to the user's home directory.
+ * @path (string) the path
+ */
+export function expandHomeDir(path: string) : string {
+  if (path === '~' || path.startsWith('~/')) {
+    return `${os.homedir()}${path.slice(1)}`;
+  }
+  return path;
+}
+
+/*
+ * Get the default config for a network type.
+ * @networkType (string) 'mainnet', 'regtest', or 'testnet'
+ */
+export function getConfigDefaults(networkType: string) : Object {
+  if (networkType === 'mainnet') {
+    return Object.assign({}, NETWORK_DEFAULTS, CONFIG_DEFAULTS);
+  } else if (networkType === 'regtest') {
+    return Object.assign({}, NETWORK_DEFAULTS, CONFIG_REGTEST_DEFAULTS);
+  } else if (networkType === 'testnet') {
+    return Object.assign({}, NETWORK_DEFAULTS, CONFIG_TESTNET_DEFAULTS);
+  }
+  throw new ValidationError(`Unrecognized network "${networkType}"`);
+}
+
+/*
+ * Parse a setting's value from text (an environment variable, an option,
+ * or "config set").  Objects are given as JSON, lists as comma-separated
+ * values, numbers as numbers, and booleans as true or false.  Other values
+ * are used as-is.
+ * Throws a ValidationError if the text cannot be parsed.
+ * @setting (string) the setting
+ * @text (string) its value as text
+ */
+export function parseSettingValue(setting: string, text: string) : any {
+  const settingType = CONFIG_SCHEMA.properties[setting].type;
+  if (settingType === 'object') {
+    try {
+      return JSON.parse(text);
+    }
+    catch (e) {
+      throw new ValidationError('must be a JSON object');
+    }
+  }
+  if (settingType === 'boolean') {
+    if (text === 'true' || text === 'false') {
+      return text === 'true';
+    }
+    throw new ValidationError('must be true or false');
+  }
+  if (settingType === 'array') {
+    return text.split(',').map((value) => value.trim()).filter((value) => value.length > 0);
+  }
+  if (settingType === 'integer' || settingType === 'number') {
+    const value = Number(text);
+    if (text.trim().length === 0 || isNaN(value)) {
+      throw new ValidationError('must be a number');
+    }
+    return value;
+  }
+  return text;
+}
+
+/*
+ * Check a parsed config file against CONFIG_SCHEMA.
+ * Returns a list of human-readable problems, which is empty if the config is valid.
+ * @configData (any) the parsed config file
+ */
+export function validateConfig(configData: any) : Array<string> {
+  const ajv = Ajv({ allErrors: true });
+  let problems = [];
+  if (!ajv.validate(CONFIG_SCHEMA, configData)) {
+    problems = ajv.errors.map((error) => {
+      // ajv writes profiles['NAME'].setting, since profile names are pattern properties
+      const where = error.dataPath ?
+        error.dataPath.replace(/\['([^']*)'\]/g, '.$1').replace(/^\./, '') : 'config file';
+      if (error.keyword === 'additionalProperties') {
+        return `${where}: unknown setting "${error.params.additionalProperty}"`;
+      }
+      else if (error.keyword === 'enum') {
+        return `${where}: must be one of ${error.params.allowedValues.join(', ')}`;
+      }
+      return `${where}: ${error.message}`;
+    });
+  }
+
+  if (!!configData && !!configData.defaultProfile &&
+      (!configData.profiles || !configData.profiles.hasOwnProperty(configData.defaultProfile))) {
+    problems.push(`defaultProfile: no profile named "${configData.defaultProfile}"`);
+  }
+  return problems;
+}
+
+/*
+ * Read a config file without validating it, so that a config with a bad
+ * setting can still be listed and fixed.
+ * Returns null if the file does not exist.
+ * @configFile (string) the path to the config file
+ */
+export function readConfigFileData(configFile: string) : ?Object {
+  const configPath = expandHomeDir(configFile);
+  let configText;
+  try {
+    configText = fs.readFileSync(configPath).toString();
+  }
+  catch (e) {
+    if (e.code === 'ENOENT') {
+      return null;
+    }
+    throw new ValidationError(`Failed to read config file ${configPath}: ${e.message}`);
+  }
+
+  try {
+    return JSON.parse(configText);
+  }
+  catch (e) {
+    throw new ValidationError(`Config file ${configPath} is not valid JSON: ${e.message}`);
+  }
+}
+
+/*
+ * Read and validate a config file.
+ * Returns null if the file does not exist, and throws a ValidationError
+ * listing every problem if the file exists but is not valid.
+ * @configFile (string) the path to the config file
+ */
+export function readConfigFile(configFile: string) : ?Object {
+  const configData = readConfigFileData(configFile);
+  if (configData === null || configData === undefined) {
+    return null;
+  }
+
+  const problems = validateConfig(configData);
+  if (problems.length > 0) {
+    throw new ValidationError(`Invalid config file ${expandHomeDir(configFile)}:\n  ` +
+                              `${problems.join('\n  ')}`, { 'problems': problems });
+  }
+  return configData;
+}
+
+/*
+ * Validate a config and write it to a file.  The file is only readable by
+ * its owner, since profiles can hold private keys.
+ * @configFile (string) the path to the config file
+ * @configData (Object) the config to write
+ */
+export function writeConfigFile(configFile: string, configData: Object) : void {
+  const configPath = expandHomeDir(configFile);
+  const problems = validateConfig(configData);
+  if (problems.length > 0) {
+    throw new ValidationError(`Refusing to write invalid config to ${configPath}:\n  ` +
+                              `${problems.join('\n  ')}`, { 'problems': problems });
+  }
+  fs.writeFileSync(configPath, `${JSON.stringify(configData, null, 2)}\n`, { mode: 0o600 });
+}
+
 /**
  * Load the config file and return a config dict.
+ * Settings are taken from the network's defaults, then the top level of the
+ * config file, then the selected profile (or the file's default profile).
  * If no config file exists, then return the default config.
+ * Throws if the config file is invalid or the profile does not exist.
  *
  * @configPath (string) the path to the config file.
- * @networkType (sring) 'mainnet', 'regtest', or 'testnet'
+ * @networkType (string) 'mainnet', 'regtest', or 'testnet'.  If not given,
+ *   the profile's network is used (and mainnet if it has none).
+ * @profileName (string) the profile to use instead of the default profile
  */
-export function loadConfig(configFile: string, networkType: string) : Object {
-  if (networkType !== 'mainnet' && networkType !== 'testnet' && networkType != 'regtest') {
-    throw new Error("Unregognized network")
+export function loadConfig(configFile: string, networkType: ?string = null,
+                           profileName: ?string = null) : Object {
+  const fileData = readConfigFile(configFile) || {};
+  const profile = profileName ? profileName : fileData.defaultProfile;
+
+  let profileData = {};
+  if (profile) {
+    if (!fileData.profiles || !fileData.profiles.hasOwnProperty(profile)) {
+      throw new ValidationError(`No profile named "${profile}" in ${expandHomeDir(configFile)}`);
+    }
+    profileData = fileData.profiles[profile];
   }
 
-  let configData = null;
-  let configRet = null;
+  const topLevelData = Object.assign({}, fileData);
+  delete topLevelData.profiles;
+  delete topLevelData.defaultProfile;
 
-  if (networkType === 'mainnet') {
-    configRet = Object.assign({}, CONFIG_DEFAULTS);
-  } else if (networkType === 'regtest') {
-    configRet = Object.assign({}, CONFIG_REGTEST_DEFAULTS);
-  } else {
-    configRet = Object.assign({}, CONFIG_TESTNET_DEFAULTS);
+  const network = networkType ? networkType :
+    (profileData.network ? profileData.network :
+    (topLevelData.network ? topLevelData.network : 'mainnet'));
+
+  return Object.assign(getConfigDefaults(network), topLevelData, profileData, {
+    network,
+    profile: profile ? profile : null
+  });
+}
+
+/*
+ * Get the command argument defaults that a config's profile provides.
+ * @configData (Object) the loaded config
+ * @return map from argument name (in CLI_ARGS) to default value
+ */
+export function getDefaultArgs(configData: Object) : Object {
+  const defaults = {};
+  for (const argName of Object.keys(PROFILE_ARGUMENT_DEFAULTS)) {
+    const settingName = PROFILE_ARGUMENT_DEFAULTS[argName];
+    if (configData.hasOwnProperty(settingName) && !!configData[settingName]) {
+      defaults[argName] = configData[settingName];
+    }
   }
+  return defaults;
+}
 
-  try {
-    configData = JSON.parse(fs.readFileSync(configFile).toString());
-    Object.assign(configRet, configData);
+/*
+ * Turn a command's arguments, given as data, into a CLI argument list.
+ * A list is taken in order; an object is given as --NAME VALUE keyword arguments.
+ * Values are converted to strings.
+ * @args (Array|Object) the arguments, or null for none
+ */
+export function makeArgsList(args: any) : Array<string> {
+  if (args === undefined || args === null) {
+    return [];
   }
-  catch (e) {
-    ;
+  if (Array.isArray(args)) {
+    return args.map((arg) => String(arg));
   }
-
-  return configRet;
+  if (typeof args === 'object') {
+    const argsList = [];
+    for (const name of Object.keys(args)) {
+      argsList.push(`--${name}`, String(args[name]));
+    }
+    return argsList;
+  }
+  throw new ValidationError('Arguments must be a list or an object');
 }
 
+/*
+ * Fill in a command's missing arguments from a set of defaults.
+ * Positional arguments are matched up (in order) with the arguments that were
+ * not given as --keywords.  Arguments after those are filled in from the
+ * defaults as --keywords, up to the first argument that has no default.
+ * @command (string) the command
+ * @argsList (Array<string>) the command's arguments (without the command)
+ * @defaults (Object) map from argument name to default value
+ * @return the arguments, with any defaults appended
+ */
+export function addDefaultArgs(command: string, argsList: Array<string>,
+                               defaults: Object) : Array<string> {
+  if (!CLI_ARGS.properties.hasOwnProperty(command) ||
+      !Array.isArray(CLI_ARGS.properties[command].items)) {
+    return argsList;
+  }
+
+  const keywords = argsList.filter((arg) => arg.startsWith('--')).map((arg) => arg.slice(2));
+  const numPositional = argsList.length - 2 * keywords.length;
+  const missing = CLI_ARGS.properties[command].items
+    .filter((item) => !keywords.includes(item.name))
+    .slice(Math.max(numPositional, 0));
+
+  const extraArgs = [];
+  for (const item of missing) {
+    if (!defaults.hasOwnProperty(item.name)) {
+      break;
+    }
+    extraArgs.push(`--${item.name}`, defaults[item.name]);
+  }
+  return argsList.concat(extraArgs);
+}
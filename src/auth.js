@@ -227,7 +227,7 @@ function loadUnnamedIdentity(network: Object, mnemonic: string, index: number):
 /*
  * Send a JSON HTTP response
  */
-function sendJSON(res: express.response, data: Object, statusCode: number) {
+export function sendJSON(res: express.response, data: Object, statusCode: number) {
   res.writeHead(statusCode, {'Content-Type' : 'application/json'})
   res.write(JSON.stringify(data))
   res.end()
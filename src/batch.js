@@ -0,0 +1,324 @@
+/* @flow */
+
+import fs from 'fs';
+import crypto from 'crypto';
+import logger from 'winston';
+import yaml from 'js-yaml';
+
+import {
+  CLI_ARGS,
+  checkArgs,
+  addDefaultArgs,
+  makeArgsList
+} from './argparse';
+
+import {
+  CLINetworkAdapter,
+  runWithNetwork
+} from './network';
+
+import {
+  COMMANDS,
+  DAEMON_COMMANDS
+} from './commands';
+
+import {
+  ValidationError,
+  makeErrorEnvelope,
+  resultError
+} from './errors';
+
+import type { CommandOptions } from './commands';
+
+// commands that cannot be run from a batch file
+const NON_BATCH_COMMANDS = ['batch', 'help', 'shell'];
+
+type BatchStep = {
+  id: string,
+  command: string,
+  args: Array<string>,   // checked arguments, in order
+  after: Array<string>,  // IDs of the steps that must run first
+  hash: string           // identifies the step's command and arguments, for resuming
+};
+
+type BatchProgress = {
+  steps: { [string]: { hash: string, result: any } }
+};
+
+type BatchStepReport = {
+  step: string,
+  command: string,
+  status: 'not run' | 'skipped' | 'ok' | 'failed',
+  result: any            // the step's result, or its error envelope if it failed
+};
+
+/*
+ * Get the path to the file that records a batch's progress.
+ */
+export function getBatchProgressPath(batchPath: string) : string {
+  return `${batchPath}.progress`;
+}
+
+/*
+ * Read the raw entries of a batch file.
+ * YAML files hold a list of entries; all other files hold one JSON entry per line.
+ */
+function readBatchEntries(batchPath: string) : Array<any> {
+  const text = fs.readFileSync(batchPath).toString();
+  if (/\.ya?ml$/i.test(batchPath)) {
+    const entries = yaml.safeLoad(text);
+    if (!Array.isArray(entries)) {
+      throw new ValidationError(`${batchPath}: expected a list of steps`);
+    }
+    return entries;
+  }
+
+  const entries = [];
+  const lines = text.split(/\r?\n/);
+  for (let i = 0; i < lines.length; i++) {
+    if (lines[i].trim().length === 0) {
+      continue;
+    }
+    try {
+      entries.push(JSON.parse(lines[i]));
+    }
+    catch (e) {
+      throw new ValidationError(`${batchPath}, line ${i + 1}: invalid JSON: ${e.message}`);
+    }
+  }
+  return entries;
+}
+
+/*
+ * Check one entry of a batch file, and turn it into a step.
+ * Throws an Error describing what is wrong with it.
+ */
+function makeBatchStep(entry: any, index: number, argDefaults: Object) : BatchStep {
+  if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+    throw new Error('expected an object with "command" and "args"');
+  }
+
+  const command = entry.command;
+  if (typeof command !== 'string' || !CLI_ARGS.properties.hasOwnProperty(command)) {
+    throw new Error(`unknown command "${String(command)}"`);
+  }
+  if (NON_BATCH_COMMANDS.includes(command) || DAEMON_COMMANDS.includes(command)) {
+    throw new Error(`command "${command}" cannot be run from a batch file`);
+  }
+
+  const cmdArgs = checkArgs(['', '', command].concat(
+    addDefaultArgs(command, makeArgsList(entry.args), argDefaults)));
+  if (!cmdArgs.success) {
+    throw new Error(`${command}: ${cmdArgs.error}`);
+  }
+
+  const after = entry.after === undefined ? [] : entry.after;
+  if (!Array.isArray(after)) {
+    throw new Error('"after" must be a list of step IDs');
+  }
+
+  return {
+    id: entry.id === undefined ? String(index + 1) : String(entry.id),
+    command,
+    args: cmdArgs.args,
+    after: after.map((id) => String(id)),
+    hash: crypto.createHash('sha256')
+      .update(JSON.stringify([command, cmdArgs.args])).digest('hex')
+  };
+}
+
+/*
+ * Order steps so that each one comes after the steps it depends on.
+ * Steps are otherwise kept in the order given.
+ * Throws if a step depends on a step that does not exist, or on itself.
+ */
+function orderBatchSteps(steps: Array<BatchStep>) : Array<BatchStep> {
+  const ids = steps.map((step) => step.id);
+  for (const step of steps) {
+    for (const id of step.after) {
+      if (!ids.includes(id)) {
+        throw new Error(`step ${step.id}: no step with ID "${id}" to run after`);
+      }
+    }
+  }
+
+  const ordered = [];
+  const done = new Set();
+  let remaining = steps.slice();
+  while (remaining.length > 0) {
+    const nextIndex = remaining.findIndex(
+      (step) => step.after.every((id) => done.has(id)));
+    if (nextIndex < 0) {
+      throw new Error('steps ' +
+        `${remaining.map((step) => step.id).join(', ')} depend on each other`);
+    }
+    const next = remaining[nextIndex];
+    ordered.push(next);
+    done.add(next.id);
+    remaining = remaining.slice(0, nextIndex).concat(remaining.slice(nextIndex + 1));
+  }
+  return ordered;
+}
+
+/*
+ * Read and check every step of a batch file, before any of them are run.
+ * Throws an Error listing every problem found.
+ * @batchPath (string) the batch file
+ * @argDefaults (Object) the profile's default arguments
+ * @return the steps, in the order they are to be run
+ */
+export function loadBatch(batchPath: string, argDefaults: Object = {}) : Array<BatchStep> {
+  const entries = readBatchEntries(batchPath);
+  const problems = [];
+  const steps = [];
+
+  for (let i = 0; i < entries.length; i++) {
+    try {
+      steps.push(makeBatchStep(entries[i], i, argDefaults));
+    }
+    catch (e) {
+      problems.push(`step ${i + 1}: ${e.message}`);
+    }
+  }
+
+  const ids = steps.map((step) => step.id);
+  ids.forEach((id, i) => {
+    if (ids.indexOf(id) !== i) {
+      problems.push(`step ID "${id}" is used more than once`);
+    }
+  });
+
+  if (problems.length === 0) {
+    try {
+      return orderBatchSteps(steps);
+    }
+    catch (e) {
+      problems.push(e.message);
+    }
+  }
+
+  throw new ValidationError(`Invalid batch file ${batchPath}:\n  ${problems.join('\n  ')}`,
+                            { 'problems': problems });
+}
+
+function readBatchProgress(progressPath: string) : BatchProgress {
+  try {
+    return JSON.parse(fs.readFileSync(progressPath).toString());
+  }
+  catch (e) {
+    if (e.code === 'ENOENT') {
+      return { steps: {} };
+    }
+    throw new ValidationError(`Failed to read batch progress from ${progressPath}: ${e.message}`);
+  }
+}
+
+/*
+ * Run a batch file's steps one at a time with a shared network, stopping at
+ * the first failure.  Steps that succeeded in an earlier run of the same batch
+ * are skipped; it is an error to change them in between.
+ * @network (CLINetworkAdapter) the network to use for every step
+ * @batchPath (string) the batch file
+ * @commandOpts (CommandOptions) the options for every step
+ * @argDefaults (Object) the profile's default arguments
+ * @return a report with each step's status and result
+ */
+export function runBatch(network: CLINetworkAdapter, batchPath: string,
+                         commandOpts: CommandOptions, argDefaults: Object = {})
+  : Promise<Object> {
+  return Promise.resolve().then(() => {
+    const steps = loadBatch(batchPath, argDefaults);
+    const progressPath = getBatchProgressPath(batchPath);
+    const progress = readBatchProgress(progressPath);
+
+    for (const step of steps) {
+      const previous = progress.steps[step.id];
+      if (!!previous && previous.hash !== step.hash) {
+        throw new ValidationError(`Step ${step.id} has changed since it succeeded.  ` +
+                                  `Remove ${progressPath} to run the whole batch again.`);
+      }
+    }
+
+    const report: Array<BatchStepReport> = steps.map((step) => ({
+      step: step.id,
+      command: step.command,
+      status: 'not run',
+      result: null
+    }));
+
+    let failed = false;
+    const runStep = (i) => {
+      if (i >= steps.length || failed) {
+        return Promise.resolve();
+      }
+
+      const step = steps[i];
+      if (progress.steps.hasOwnProperty(step.id)) {
+        report[i].status = 'skipped';
+        report[i].result = progress.steps[step.id].result;
+        return runStep(i + 1);
+      }
+
+      logger.debug(`batch: run step ${step.id}: ${step.command}`);
+      return Promise.resolve()
+        .then(() => runWithNetwork(
+          network, () => COMMANDS[step.command](network, step.args, commandOpts)))
+        .then((result) => {
+          if (!!result && result.hasOwnProperty('status') && !result.status) {
+            failed = true;
+            report[i].status = 'failed';
+            report[i].result = result;
+            return;
+          }
+
+          report[i].status = 'ok';
+          report[i].result = result instanceof Buffer ? result.toString('base64') : result;
+          progress.steps[step.id] = { hash: step.hash, result: report[i].result };
+          // results can hold keys
+          fs.writeFileSync(progressPath, JSON.stringify(progress, null, 2), { mode: 0o600 });
+        })
+        .catch((e) => {
+          failed = true;
+          report[i].status = 'failed';
+          report[i].result = makeErrorEnvelope(e);
+        })
+        .then(() => runStep(i + 1));
+    };
+
+    return runStep(0).then(() => {
+      if (!failed) {
+        try {
+          fs.unlinkSync(progressPath);
+        }
+        catch (e) {
+          if (e.code !== 'ENOENT') {
+            throw e;
+          }
+        }
+      }
+      const completed = report.filter(
+        (row) => row.status !== 'not run' && row.status !== 'failed').length;
+      const failedStep = report.find((row) => row.status === 'failed');
+      if (failedStep) {
+        // reported like any failed command, with the failed step's error code
+        const stepError = resultError(failedStep.result);
+        return {
+          'status': false,
+          'error': `Step ${failedStep.step} (${failedStep.command}) failed: ${stepError.message}`,
+          'code': stepError.code,
+          'completed': completed,
+          'total': steps.length,
+          'progressPath': progressPath,
+          'steps': report
+        };
+      }
+      return {
+        'status': true,
+        'completed': completed,
+        'total': steps.length,
+        'progressPath': null,
+        'steps': report
+      };
+    });
+  });
+}
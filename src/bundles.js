@@ -0,0 +1,385 @@
+/* @flow */
+
+import fs from 'fs';
+import os from 'os';
+import pathTools from 'path';
+const bitcoin = require('bitcoinjs-lib');
+
+import {
+  CLI_ARGS,
+  WATCH_ONLY_KEY_PATTERN,
+  expandHomeDir
+} from './argparse';
+
+import {
+  Cassette,
+  useCassette
+} from './cassette';
+
+import type {
+  Interaction
+} from './cassette';
+
+import {
+  CLINetworkAdapter,
+  getNetwork,
+  runWithNetwork
+} from './network';
+
+import {
+  CONSENSUS_HASH_VALID_BLOCKS
+} from './preorders';
+
+import {
+  SafetyError,
+  ValidationError
+} from './errors';
+
+import type {
+  PSBT
+} from './psbt';
+
+/*
+ * Unsigned bundles, for making a transaction on a networked machine and
+ * signing it on one that is not.
+ *
+ * A bundle holds a command's transaction as an unsigned PSBT, along with
+ * everything the command read to make it and to run its safety checks: every
+ * HTTP exchange, as in a cassette, and the files its arguments name.  Its
+ * keys are only public keys.  The offline machine runs the command again
+ * against the recorded exchanges, and only signs if that makes the same
+ * transaction (see sign_bundle).  The online machine then checks that the
+ * bundle is still current before sending it (see broadcast_bundle).
+ */
+
+const BUNDLE_VERSION = 1;
+
+// the commands that make transactions, and so can be bundled
+export const BUNDLE_COMMANDS = [
+  'announce', 'name_import', 'namespace_preorder', 'namespace_reveal', 'namespace_ready',
+  'renew', 'revoke', 'send_btc', 'send_tokens', 'transfer', 'tx_preorder', 'tx_register',
+  'update'
+];
+
+// the commands whose transactions carry a consensus hash, which Blockstack
+// Core only accepts for CONSENSUS_HASH_VALID_BLOCKS blocks
+const CONSENSUS_HASH_COMMANDS = [
+  'namespace_preorder', 'send_tokens', 'transfer', 'tx_preorder', 'update'
+];
+
+// the config settings that say where, and how, the network is read
+const BUNDLE_CONFIG_SETTINGS = [
+  'network', 'blockstackAPIUrl', 'blockstackNodeUrl', 'broadcastServiceUrl',
+  'utxoProvider', 'utxoServiceUrl', 'bitcoindUsername', 'bitcoindPassword',
+  'blockstackAPIUrls', 'broadcastServiceUrls', 'utxoServiceUrls', 'retries', 'quorum',
+  'feeTarget', 'feeMode', 'maxFeeRate', 'maxFee'
+];
+
+// the network options (-C, -F, -B, and so on) that change what a command makes
+const BUNDLE_NETWORK_OPTIONS = [
+  'consensusHash', 'feeRate', 'namespaceBurnAddress', 'priceToPay', 'priceUnits',
+  'receiveFeesPeriod', 'gracePeriod'
+];
+
+// the network options (-B, -P, and -D) that change who is paid, and how much.
+// The machine that signs a bundle must have been given the same ones.
+const BUNDLE_OVERRIDE_OPTIONS = ['namespaceBurnAddress', 'priceToPay', 'priceUnits'];
+
+// the config settings that cap what a transaction pays in fees.  The machine
+// that signs a bundle must have the same ones (0 and unset are no cap).
+const BUNDLE_CAP_SETTINGS = ['maxFeeRate', 'maxFee'];
+
+export type Bundle = {
+  version: number,
+  command: string,
+  args: Array<string>,
+  files: { [string]: string },   // the contents of the files that args name, by arg index
+  config: Object,                // the BUNDLE_CONFIG_SETTINGS it was made with
+  networkOptions: Object,        // the BUNDLE_NETWORK_OPTIONS it was made with
+  blockHeight: number,           // the block height when it was made
+  createdAt: number,             // when it was made, in milliseconds
+  interactions: Array<Interaction>,
+  psbt: string                   // the transaction, as a PSBT in base64
+};
+
+function pick(obj: Object, keys: Array<string>) : Object {
+  const picked = {};
+  for (const key of keys) {
+    if (obj[key] !== undefined && obj[key] !== null) {
+      picked[key] = obj[key];
+    }
+  }
+  return picked;
+}
+
+/*
+ * Check that a command can be made into a bundle.
+ * Throws a ValidationError if it cannot.
+ * @command (string) the command
+ * @args (Array<string>) its arguments
+ * @configData (Object) the config it is run with
+ * @opts (Object) the command options it is run with
+ */
+export function checkBundleable(command: string, args: Array<string>, configData: Object,
+                                opts: Object) : void {
+  if (!BUNDLE_COMMANDS.includes(command)) {
+    throw new ValidationError(`"${command}" does not make a transaction, so it cannot be ` +
+                              'made into a bundle');
+  }
+  if (!opts.safetyChecks || opts.estimateOnly) {
+    throw new ValidationError('Bundles are made with safety checks, and cannot be ' +
+                              'made with -U or -e');
+  }
+  if (configData.utxoProvider === 'electrum') {
+    throw new ValidationError('Bundles cannot be made with the electrum UTXO provider, ' +
+                              'since what is read from it cannot be recorded');
+  }
+  const items = CLI_ARGS.properties[command].items;
+  args.forEach((arg, index) => {
+    if (items[index] && items[index].realtype === 'private_key' &&
+        !arg.match(WATCH_ONLY_KEY_PATTERN)) {
+      throw new ValidationError(`Give ${items[index].name} as public keys (pubkey:...), ` +
+                                'so that no private key is written to the bundle');
+    }
+  });
+}
+
+/*
+ * Write a bundle of a command that was just run, with the exchanges it made.
+ * Resolves to the bundle.
+ * @path (string) the bundle file
+ * @network (CLINetworkAdapter) the network it was run on
+ * @run (Object) the command, args, config, networkOptions (as given to
+ *   CLINetworkAdapter), recorded interactions, and resulting psbt
+ */
+export function saveBundle(path: string, network: Object, run: {
+  command: string, args: Array<string>, config: Object, networkOptions: Object,
+  interactions: Array<Interaction>, psbt: string
+}) : Promise<Bundle> {
+  const items = CLI_ARGS.properties[run.command].items;
+  const files = {};
+  run.args.forEach((arg, index) => {
+    if (items[index] && items[index].realtype === 'path' && fs.existsSync(arg) &&
+        fs.statSync(arg).isFile()) {
+      files[String(index)] = fs.readFileSync(arg).toString();
+    }
+  });
+
+  // bitcoind's credentials are not needed to replay its responses
+  const config = pick(run.config, BUNDLE_CONFIG_SETTINGS);
+  for (const setting of ['bitcoindUsername', 'bitcoindPassword']) {
+    if (config[setting]) {
+      config[setting] = '[redacted]';
+    }
+  }
+
+  return network.getBlockHeight()
+    .then((blockHeight) => {
+      const bundle = {
+        version: BUNDLE_VERSION,
+        command: run.command,
+        args: run.args,
+        files,
+        config,
+        networkOptions: pick(run.networkOptions, BUNDLE_NETWORK_OPTIONS),
+        blockHeight,
+        createdAt: Date.now(),
+        interactions: run.interactions,
+        psbt: run.psbt
+      };
+      try {
+        fs.writeFileSync(expandHomeDir(path), JSON.stringify(bundle, null, 2));
+      }
+      catch (e) {
+        throw new ValidationError(`Failed to write bundle ${path}: ${e.message}`);
+      }
+      return bundle;
+    });
+}
+
+/*
+ * Read a bundle file.
+ * Throws a ValidationError if it is not a bundle.
+ * @path (string) the bundle file
+ */
+export function readBundle(path: string) : Bundle {
+  let bundle;
+  try {
+    bundle = JSON.parse(fs.readFileSync(expandHomeDir(path)).toString());
+  }
+  catch (e) {
+    throw new ValidationError(`Failed to read bundle ${path}: ${e.message}`);
+  }
+  if (!bundle || bundle.version !== BUNDLE_VERSION || !BUNDLE_COMMANDS.includes(bundle.command) ||
+      !Array.isArray(bundle.args) || !Array.isArray(bundle.interactions) ||
+      typeof bundle.psbt !== 'string' || typeof bundle.blockHeight !== 'number') {
+    throw new ValidationError(`${path} is not a version ${BUNDLE_VERSION} bundle`);
+  }
+  return bundle;
+}
+
+/*
+ * Run something with a bundle's arguments, with the files they name
+ * written back out to a temporary directory.
+ * @bundle (Bundle) the bundle
+ * @run (function) given the arguments, runs with them
+ */
+export function withBundleArgs<T>(bundle: Bundle, run: (args: Array<string>) => Promise<T>) : Promise<T> {
+  const indexes = Object.keys(bundle.files || {});
+  if (indexes.length === 0) {
+    return Promise.resolve().then(() => run(bundle.args.slice()));
+  }
+
+  const dir = fs.mkdtempSync(pathTools.join(os.tmpdir(), 'blockstack-bundle-'));
+  const args = bundle.args.slice();
+  const paths = indexes.map((index) => {
+    const path = pathTools.join(dir, `arg-${index}`);
+    fs.writeFileSync(path, bundle.files[index]);
+    args[parseInt(index)] = path;
+    return path;
+  });
+  const cleanUp = () => {
+    paths.forEach((path) => fs.unlinkSync(path));
+    fs.rmdirSync(dir);
+  };
+  return Promise.resolve().then(() => run(args))
+    .then((result) => {
+      cleanUp();
+      return result;
+    }, (e) => {
+      cleanUp();
+      throw e;
+    });
+}
+
+/*
+ * Check that a bundle does not bring its own burn address, price, or fee
+ * caps: anything it was made with that changes who is paid, or how much, must
+ * match what the signing machine was given itself.
+ * Throws a SafetyError if not.
+ * @bundle (Bundle) the bundle
+ * @localNetwork (CLINetworkAdapter) the signing machine's network, made from
+ *   its own config and options
+ */
+export function checkBundleSettings(bundle: Bundle, localNetwork: Object) : void {
+  const networkOptions = bundle.networkOptions || {};
+  const config = bundle.config || {};
+  const mismatches = {};
+  for (const option of BUNDLE_OVERRIDE_OPTIONS) {
+    const given = networkOptions[option];
+    const local = localNetwork[option] === undefined ? null : localNetwork[option];
+    if (given !== undefined && given !== null &&
+        (local === null || String(given) !== String(local))) {
+      mismatches[option] = { bundle: given, local };
+    }
+  }
+  for (const setting of BUNDLE_CAP_SETTINGS) {
+    const given = config[setting] ? config[setting] : null;
+    const local = localNetwork[setting] ? localNetwork[setting] : null;
+    if (given !== local) {
+      mismatches[setting] = { bundle: given, local };
+    }
+  }
+
+  if (Object.keys(mismatches).length > 0) {
+    throw new SafetyError({
+      'status': false,
+      'error': 'The bundle was made with a burn address, price, or fee caps that this ' +
+        'machine does not have; give it the same -B, -P, -D options and maxFeeRate and ' +
+        'maxFee settings to sign the bundle',
+      'mismatches': mismatches
+    });
+  }
+}
+
+/*
+ * Run a bundle's command again, on a network that only answers with the
+ * exchanges in the bundle.  Nothing is read from the real network.  The fee
+ * caps are the signing machine's own, and the bundle is refused if it was
+ * made with any other caps or overrides (see checkBundleSettings).
+ * @bundle (Bundle) the bundle
+ * @localNetwork (CLINetworkAdapter) the signing machine's network
+ * @run (function) given the replayed network and the bundle's arguments, runs the command
+ */
+export function replayBundle<T>(bundle: Bundle, localNetwork: Object,
+                                run: (network: Object, args: Array<string>) => Promise<T>)
+  : Promise<T> {
+  checkBundleSettings(bundle, localNetwork);
+  const config = bundle.config;
+  const network = new CLINetworkAdapter(
+    getNetwork(config, config.network !== 'mainnet'),
+    Object.assign({
+      altAPIUrl: config.blockstackAPIUrl,
+      altTransactionBroadcasterUrl: config.broadcastServiceUrl,
+      nodeAPIUrl: config.blockstackNodeUrl,
+      blockstackAPIUrls: config.blockstackAPIUrls,
+      broadcastServiceUrls: config.broadcastServiceUrls,
+      utxoServiceUrls: config.utxoServiceUrls,
+      retries: config.retries,
+      retryDelay: 0,
+      quorum: config.quorum,
+      feeTarget: config.feeTarget,
+      feeMode: config.feeMode
+    }, pick(bundle.networkOptions || {}, BUNDLE_NETWORK_OPTIONS), {
+      maxFeeRate: localNetwork.maxFeeRate,
+      maxFee: localNetwork.maxFee
+    }));
+
+  const stopReplaying = useCassette(new Cassette('replay', null, bundle.interactions));
+
+  // blockstack.js builds transactions against its global network
+  return runWithNetwork(network, () => withBundleArgs(bundle, (args) => run(network, args)))
+    .then((result) => {
+      stopReplaying();
+      return result;
+    }, (e) => {
+      stopReplaying();
+      throw e;
+    });
+}
+
+/*
+ * Check that a signed bundle can still be sent: that the outputs it spends
+ * are unspent, and that its consensus hash (if it has one) is recent enough.
+ * Rejects with a SafetyError if not.
+ * @network (CLINetworkAdapter) the network to check on
+ * @bundle (Bundle) the bundle
+ * @psbt (PSBT) the bundle's PSBT
+ */
+export function checkBundleFreshness(network: Object, bundle: Bundle, psbt: PSBT)
+  : Promise<void> {
+  const inputs = psbt.tx.ins.map((input, index) => {
+    const spentOutput = psbt.getSpentOutput(index);
+    return {
+      txid: Buffer.from(input.hash).reverse().toString('hex'),
+      vout: input.index,
+      address: bitcoin.address.fromOutputScript(spentOutput.script, network.layer1)
+    };
+  });
+
+  return Promise.all([
+    network.getBlockHeight(),
+    Promise.all(inputs.map((input) => network.getUTXOs(input.address)))
+  ])
+    .then(([blockHeight, utxoLists]) => {
+      const spentInputs = inputs
+        .filter((input, index) => !utxoLists[index].some(
+          (utxo) => utxo.tx_hash === input.txid && utxo.tx_output_n === input.vout))
+        .map((input) => `${input.txid}:${input.vout}`);
+      // the last block height it can be sent at, to be mined in time
+      const lastBlockHeight = CONSENSUS_HASH_COMMANDS.includes(bundle.command) ?
+        bundle.blockHeight + CONSENSUS_HASH_VALID_BLOCKS - 1 : null;
+      const expired = lastBlockHeight !== null && blockHeight > lastBlockHeight;
+
+      if (spentInputs.length > 0 || expired) {
+        throw new SafetyError({
+          'status': false,
+          'error': 'The bundle is no longer current; make a new one',
+          'spentInputs': spentInputs,
+          'blockHeight': blockHeight,
+          'bundleBlockHeight': bundle.blockHeight,
+          'lastBlockHeight': lastBlockHeight
+        });
+      }
+    });
+}
@@ -0,0 +1,273 @@
+/* @flow */
+
+import process from 'process';
+import fs from 'fs';
+import crypto from 'crypto';
+import pathTools from 'path';
+import logger from 'winston';
+
+import {
+  expandHomeDir
+} from './argparse';
+
+import {
+  mkdirs
+} from './utils';
+
+/*
+ * Caches the responses of the network calls that commands make over and over
+ * (see CLINetworkAdapter).  Each kind of response is an endpoint class with
+ * its own time-to-live, in seconds.  Responses that can change with each new
+ * block are also dropped once a higher block height has been seen.
+ */
+
+export const CACHE_BACKENDS = ['memory', 'disk', 'none'];
+
+export const DEFAULT_CACHE_TTLS = {
+  blockHeight: 30,
+  nameInfo: 60,
+  namespaceInfo: 600,
+  utxos: 30
+};
+
+export const CACHE_CLASSES = Object.keys(DEFAULT_CACHE_TTLS);
+
+// endpoint classes whose responses can change with each new block
+const BLOCK_SENSITIVE_CLASSES = ['nameInfo', 'namespaceInfo', 'utxos'];
+
+type CacheEntry = {
+  value: any,
+  storedAt: number,        // when it was stored, in milliseconds
+  changedAt?: number       // for block heights, when the height last changed
+};
+
+/*
+ * Where cached responses are kept.  Keys start with their endpoint class,
+ * followed by a ':'.
+ */
+export type CacheBackend = {
+  +get: (key: string) => ?CacheEntry,
+  +set: (key: string, entry: CacheEntry) => void,
+  +clear: (endpointClass: ?string) => void
+};
+
+/*
+ * Keep cached responses for as long as the process runs.
+ */
+export class MemoryCacheBackend {
+  entries: { [string]: CacheEntry }
+
+  constructor() {
+    this.entries = {};
+  }
+
+  get(key: string) : ?CacheEntry {
+    return this.entries.hasOwnProperty(key) ? this.entries[key] : null;
+  }
+
+  set(key: string, entry: CacheEntry) : void {
+    this.entries[key] = entry;
+  }
+
+  clear(endpointClass: ?string = null) : void {
+    for (const key of Object.keys(this.entries)) {
+      if (!endpointClass || key.startsWith(`${endpointClass}:`)) {
+        delete this.entries[key];
+      }
+    }
+  }
+}
+
+/*
+ * Keep cached responses in a directory, so they are shared between runs.
+ * Each response is a file named after its endpoint class and the hash of its key.
+ */
+export class DiskCacheBackend {
+  cacheDir: string
+
+  constructor(cacheDir: string) {
+    this.cacheDir = pathTools.resolve(expandHomeDir(cacheDir));
+  }
+
+  getEntryPath(key: string) : string {
+    const endpointClass = key.slice(0, key.indexOf(':'));
+    const keyHash = crypto.createHash('sha256').update(key).digest('hex');
+    return pathTools.join(this.cacheDir, `${endpointClass}.${keyHash}.json`);
+  }
+
+  get(key: string) : ?CacheEntry {
+    try {
+      const stored = JSON.parse(fs.readFileSync(this.getEntryPath(key)).toString());
+      // guard against hash collisions and files from other programs
+      return stored.key === key ? stored.entry : null;
+    }
+    catch (e) {
+      if (e.code !== 'ENOENT') {
+        logger.debug(`Ignoring unreadable cache entry for ${key}: ${e.message}`);
+      }
+      return null;
+    }
+  }
+
+  set(key: string, entry: CacheEntry) : void {
+    try {
+      mkdirs(this.cacheDir);
+      // write, then rename, so other runs never read a partial entry
+      const entryPath = this.getEntryPath(key);
+      const tmpPath = `${entryPath}.${process.pid}.tmp`;
+      fs.writeFileSync(tmpPath, JSON.stringify({ key, entry }));
+      fs.renameSync(tmpPath, entryPath);
+    }
+    catch (e) {
+      // a cache that cannot be written is not worth failing a command over
+      logger.warn(`Failed to write to cache ${this.cacheDir}: ${e.message}`);
+    }
+  }
+
+  clear(endpointClass: ?string = null) : void {
+    let fileNames = [];
+    try {
+      fileNames = fs.readdirSync(this.cacheDir);
+    }
+    catch (e) {
+      if (e.code === 'ENOENT') {
+        return;
+      }
+      throw e;
+    }
+    for (const fileName of fileNames) {
+      if (/\.json$/.test(fileName) &&
+          (!endpointClass || fileName.startsWith(`${endpointClass}.`))) {
+        fs.unlinkSync(pathTools.join(this.cacheDir, fileName));
+      }
+    }
+  }
+}
+
+/*
+ * Copy a cached value, so callers cannot change what is cached.
+ */
+function copyValue(value: any) : any {
+  return value === undefined ? value : JSON.parse(JSON.stringify(value));
+}
+
+/*
+ * A cache of network responses, with a time-to-live for each endpoint class.
+ * Responses are scoped (e.g. by the API URL they came from), so that
+ * different networks never share them.
+ */
+export class ResponseCache {
+  backend: CacheBackend
+  ttls: { [string]: number }
+  pending: { [string]: Promise<any> }
+  now: () => number
+
+  /*
+   * @backend (CacheBackend) where the responses are kept
+   * @ttls (Object) OPTIONAL: the time-to-live of each endpoint class, in seconds
+   * @now (function) OPTIONAL: the clock, in milliseconds
+   */
+  constructor(backend: CacheBackend, ttls: Object = {}, now: () => number = Date.now) {
+    this.backend = backend;
+    this.ttls = Object.assign({}, DEFAULT_CACHE_TTLS, ttls);
+    this.pending = {};
+    this.now = now;
+  }
+
+  /*
+   * Get when the block height of a scope was last seen to change (0 if never).
+   */
+  getBlockChangeTime(scope: string) : number {
+    const entry = this.backend.get(`blockHeight:${scope}:`);
+    return !!entry && !!entry.changedAt ? entry.changedAt : 0;
+  }
+
+  isFresh(endpointClass: string, scope: string, entry: CacheEntry) : boolean {
+    if (this.now() - entry.storedAt >= this.ttls[endpointClass] * 1000) {
+      return false;
+    }
+    if (BLOCK_SENSITIVE_CLASSES.includes(endpointClass) &&
+        this.getBlockChangeTime(scope) >= entry.storedAt) {
+      // a new block (or a reorg) has been seen since it was stored
+      return false;
+    }
+    return true;
+  }
+
+  /*
+   * Make the entry for a response.  Block heights also record when
+   * they last changed, which is kept even after they expire.
+   */
+  makeEntry(key: string, endpointClass: string, value: any) : CacheEntry {
+    const now = this.now();
+    if (endpointClass !== 'blockHeight') {
+      return { value: copyValue(value), storedAt: now };
+    }
+    const previous = this.backend.get(key);
+    let changedAt = 0;
+    if (!!previous) {
+      changedAt = previous.value !== value ? now : (previous.changedAt || 0);
+    }
+    return { value, storedAt: now, changedAt };
+  }
+
+  /*
+   * Get a response from the cache, or fetch and cache it.
+   * Concurrent requests for the same response share one fetch.
+   * @endpointClass (string) one of CACHE_CLASSES
+   * @scope (string) where the response comes from
+   * @id (string) which response it is (e.g. a name or an address)
+   * @fetcher (function) returns a Promise to the response
+   */
+  fetch(endpointClass: string, scope: string, id: string,
+        fetcher: () => Promise<any>) : Promise<any> {
+    if (!this.ttls[endpointClass]) {
+      return fetcher();
+    }
+
+    const key = `${endpointClass}:${scope}:${id}`;
+    const entry = this.backend.get(key);
+    if (!!entry && this.isFresh(endpointClass, scope, entry)) {
+      logger.debug(`Cache hit for ${key}`);
+      return Promise.resolve(copyValue(entry.value));
+    }
+
+    if (!this.pending.hasOwnProperty(key)) {
+      this.pending[key] = Promise.resolve().then(() => fetcher())
+        .then((value) => {
+          delete this.pending[key];
+          this.backend.set(key, this.makeEntry(key, endpointClass, value));
+          return value;
+        })
+        .catch((e) => {
+          delete this.pending[key];
+          throw e;
+        });
+    }
+    return this.pending[key].then((value) => copyValue(value));
+  }
+
+  /*
+   * Drop cached responses of one endpoint class (or all of them).
+   */
+  invalidate(endpointClass: ?string = null) : void {
+    this.backend.clear(endpointClass);
+  }
+}
+
+/*
+ * Make the response cache that the config asks for.
+ * Returns null if caching is turned off.
+ * @configData (Object) the config, with its cache, cacheDir, and cacheTTLs settings
+ * @disabled (boolean) true to turn caching off (i.e. --no-cache)
+ */
+export function makeResponseCache(configData: Object, disabled: boolean = false)
+  : ?ResponseCache {
+  const backendName = configData.cache ? configData.cache : 'memory';
+  if (disabled || backendName === 'none') {
+    return null;
+  }
+  const backend = backendName === 'disk' ?
+    new DiskCacheBackend(configData.cacheDir) : new MemoryCacheBackend();
+  return new ResponseCache(backend, configData.cacheTTLs);
+}
@@ -0,0 +1,388 @@
+/* @flow */
+
+import process from 'process';
+import fs from 'fs';
+import logger from 'winston';
+
+import {
+  expandHomeDir
+} from './argparse';
+
+import {
+  NetworkError,
+  ValidationError
+} from './errors';
+
+/*
+ * Record the HTTP exchanges a run makes into a cassette file, or replay them
+ * from one, so that a run can be reproduced without the network.  What is
+ * recorded is what goes through fetch() (see CLIMain()).
+ *
+ * A request is matched by its method, URL, body, and Authorization header.
+ * Signed tokens in the body and header are compared by their decoded
+ * contents, without their signatures and the claims that change each time
+ * they are made (salts and timestamps), so a replayed run that signs the
+ * same tokens matches the recording.
+ */
+
+export const CASSETTE_MODES = ['record', 'replay'];
+
+const CASSETTE_VERSION = 1;
+
+// token claims that change each time a token is signed
+const VOLATILE_CLAIMS = ['salt', 'iat', 'exp', 'nbf', 'jti'];
+
+// what a JWT looks like: three base64url segments
+const TOKEN_PATTERN = /[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+\.[A-Za-z0-9_-]*/g;
+
+type RecordedRequest = {
+  method: string,
+  url: string,
+  authorization: ?string,
+  body: string
+};
+
+type RecordedResponse = {
+  status: number,
+  statusText: string,
+  headers: { [string]: string },
+  body: string,
+  bodyEncoding: 'utf8' | 'base64'
+};
+
+export type Interaction = {
+  request: RecordedRequest,
+  response?: RecordedResponse,
+  error?: { name: string, message: string, code: ?string }
+};
+
+function decodeSegment(segment: string) : any {
+  try {
+    return JSON.parse(Buffer.from(segment, 'base64').toString());
+  }
+  catch (e) {
+    return null;
+  }
+}
+
+function stripVolatileClaims(payload: any) : any {
+  if (!payload || typeof payload !== 'object' || Array.isArray(payload)) {
+    return payload;
+  }
+  const stripped = Object.assign({}, payload);
+  for (const claim of VOLATILE_CLAIMS) {
+    delete stripped[claim];
+  }
+  return stripped;
+}
+
+/*
+ * Replace the signed tokens in some text with their stable contents.
+ */
+function normalizeText(text: string) : string {
+  return text.replace(TOKEN_PATTERN, (token) => {
+    const segments = token.split('.');
+    const header = decodeSegment(segments[0]);
+    const payload = decodeSegment(segments[1]);
+    if (!header || typeof header !== 'object' || !header.alg || payload === null) {
+      // not a token (e.g. a name like hello.personal.id)
+      return token;
+    }
+    return `jwt:${JSON.stringify({ header, payload: normalizeJSON(stripVolatileClaims(payload)) })}`;
+  });
+}
+
+/*
+ * Replace the signed tokens in a JSON value with their stable contents.
+ * Tokens that were already decoded (with a header, payload, and signature)
+ * lose their signatures and volatile claims too.
+ */
+function normalizeJSON(value: any) : any {
+  if (typeof value === 'string') {
+    return normalizeText(value);
+  }
+  if (Array.isArray(value)) {
+    return value.map(normalizeJSON);
+  }
+  if (!value || typeof value !== 'object') {
+    return value;
+  }
+  const isDecodedToken = value.hasOwnProperty('header') && value.hasOwnProperty('payload') &&
+    value.hasOwnProperty('signature');
+  const normalized = {};
+  for (const key of Object.keys(value)) {
+    if (isDecodedToken && key === 'signature') {
+      continue;
+    }
+    normalized[key] = normalizeJSON(isDecodedToken && key === 'payload' ?
+      stripVolatileClaims(value[key]) : value[key]);
+  }
+  return normalized;
+}
+
+/*
+ * Get the text of a request body, as it is matched.
+ */
+function normalizeBody(body: any) : string {
+  if (body === null || body === undefined) {
+    return '';
+  }
+  let text;
+  if (typeof body === 'string') {
+    text = body;
+  }
+  else if (Buffer.isBuffer(body)) {
+    text = isUTF8(body) ? body.toString() : `base64:${body.toString('base64')}`;
+  }
+  else {
+    text = String(body);
+  }
+
+  try {
+    return JSON.stringify(normalizeJSON(JSON.parse(text)));
+  }
+  catch (e) {
+    return normalizeText(text);
+  }
+}
+
+/*
+ * Get the Authorization header as it is matched and recorded.  Tokens are
+ * kept by their (public) contents, and anything else, like an API key,
+ * is redacted so it never ends up in a cassette.
+ */
+function normalizeAuthorization(value: ?string) : ?string {
+  if (!value) {
+    return null;
+  }
+  const normalized = normalizeText(value);
+  return normalized !== value ? normalized : '[redacted]';
+}
+
+function getHeader(headers: any, name: string) : ?string {
+  if (!headers) {
+    return null;
+  }
+  if (typeof headers.get === 'function') {
+    return headers.get(name);
+  }
+  const key = Object.keys(headers).find((header) => header.toLowerCase() === name.toLowerCase());
+  return key ? headers[key] : null;
+}
+
+function isUTF8(buffer: Buffer) : boolean {
+  return Buffer.from(buffer.toString('utf8'), 'utf8').equals(buffer);
+}
+
+/*
+ * Describe a fetch() request the way it is matched.
+ */
+function describeRequest(url: any, init: ?Object) : RecordedRequest {
+  const urlString = typeof url === 'string' ? url : url.url;
+  const options = init || {};
+  return {
+    method: (options.method || (typeof url === 'string' ? 'GET' : url.method) || 'GET').toUpperCase(),
+    url: urlString,
+    authorization: normalizeAuthorization(getHeader(options.headers, 'Authorization')),
+    body: normalizeBody(options.body)
+  };
+}
+
+/*
+ * A file of recorded HTTP exchanges.  In record mode, each exchange is
+ * written to it as soon as it completes, so the recording survives the
+ * CLI exiting early.  In replay mode, requests are answered from it in
+ * the order they were recorded; once every matching exchange has been
+ * replayed, the last one is repeated (e.g. for polling).  A cassette with
+ * no file is only kept in memory (e.g. in an unsigned bundle).
+ */
+export class Cassette {
+  mode: string
+  path: ?string
+  interactions: Array<Interaction>
+  replayed: Array<boolean>
+
+  /*
+   * @mode (string) 'record' or 'replay'
+   * @path (string) the cassette file, or null to keep it in memory
+   * @interactions (Array) OPTIONAL: the exchanges to replay, if there is no file
+   */
+  constructor(mode: string, path: ?string, interactions: Array<Interaction> = []) {
+    if (!CASSETTE_MODES.includes(mode)) {
+      throw new ValidationError(`Invalid cassette mode "${mode}"; ` +
+                                `expected one of ${CASSETTE_MODES.join(', ')}`);
+    }
+    this.mode = mode;
+    this.path = path ? expandHomeDir(path) : null;
+    this.interactions = path ? [] : interactions;
+    this.replayed = this.interactions.map(() => false);
+
+    if (!this.path) {
+      return;
+    }
+    if (mode === 'replay') {
+      this.load();
+    }
+    else {
+      this.save();
+    }
+  }
+
+  load() : void {
+    const path = this.path;
+    if (!path) {
+      return;
+    }
+    let cassette;
+    try {
+      cassette = JSON.parse(fs.readFileSync(path).toString());
+    }
+    catch (e) {
+      throw new ValidationError(`Failed to read cassette ${path}: ${e.message}`);
+    }
+    if (!cassette || cassette.version !== CASSETTE_VERSION || !Array.isArray(cassette.interactions)) {
+      throw new ValidationError(`${path} is not a version ${CASSETTE_VERSION} cassette`);
+    }
+    this.interactions = cassette.interactions;
+    this.replayed = this.interactions.map(() => false);
+  }
+
+  save() : void {
+    const path = this.path;
+    if (!path) {
+      return;
+    }
+    const cassette = {
+      version: CASSETTE_VERSION,
+      interactions: this.interactions
+    };
+    // write, then rename, so an interrupted run leaves the last good cassette
+    const tmpPath = `${path}.${process.pid}.tmp`;
+    try {
+      fs.writeFileSync(tmpPath, JSON.stringify(cassette, null, 2));
+      fs.renameSync(tmpPath, path);
+    }
+    catch (e) {
+      throw new ValidationError(`Failed to write cassette ${path}: ${e.message}`);
+    }
+  }
+
+  /*
+   * fetch() a request, recording or replaying it.
+   * @realFetch (function) the fetch() to record
+   * @url (string|Request) the URL
+   * @init (Object) the fetch() options
+   */
+  fetch(realFetch: Function, url: any, init: ?Object) : Promise<*> {
+    const request = describeRequest(url, init);
+    if (this.mode === 'replay') {
+      return Promise.resolve().then(() => this.replay(request));
+    }
+    return Promise.resolve().then(() => realFetch(url, init))
+      .then((resp) => this.recordResponse(request, resp))
+      .catch((e) => {
+        if (!e.recordedBy) {
+          this.record({ request, error: { name: e.name, message: e.message, code: e.code } });
+        }
+        throw e;
+      });
+  }
+
+  record(interaction: Interaction) : void {
+    logger.debug(`Recording ${interaction.request.method} ${interaction.request.url}`);
+    this.interactions.push(interaction);
+    this.save();
+  }
+
+  /*
+   * Record a response, and make a fresh copy of it for the caller
+   * (since recording reads its body).
+   */
+  recordResponse(request: RecordedRequest, resp: Object) : Promise<*> {
+    return resp.arrayBuffer()
+      .then((arrayBuffer) => {
+        const body = Buffer.from(arrayBuffer);
+        const headers = {};
+        resp.headers.forEach((value, name) => {
+          headers[name] = value;
+        });
+        const response = {
+          status: resp.status,
+          statusText: resp.statusText,
+          headers,
+          body: isUTF8(body) ? body.toString() : body.toString('base64'),
+          bodyEncoding: isUTF8(body) ? 'utf8' : 'base64'
+        };
+        try {
+          this.record({ request, response });
+        }
+        catch (e) {
+          // already recorded as far as it can be
+          e.recordedBy = this.path;
+          throw e;
+        }
+        return makeResponse(response);
+      });
+  }
+
+  replay(request: RecordedRequest) : Object {
+    const key = JSON.stringify(request);
+    const matching = [];
+    this.interactions.forEach((interaction, i) => {
+      if (JSON.stringify(interaction.request) === key) {
+        matching.push(i);
+      }
+    });
+    if (matching.length === 0) {
+      const where = this.path ? ` in cassette ${this.path}` : '';
+      throw new NetworkError(`No recorded response for ${request.method} ${request.url}${where}`,
+                             { request });
+    }
+
+    const next = matching.find((i) => !this.replayed[i]);
+    const index = next !== undefined ? next : matching[matching.length - 1];
+    this.replayed[index] = true;
+
+    const interaction = this.interactions[index];
+    logger.debug(`Replaying ${request.method} ${request.url}`);
+    if (interaction.error) {
+      const error: Object = new Error(interaction.error.message);
+      error.name = interaction.error.name;
+      if (interaction.error.code) {
+        error.code = interaction.error.code;
+      }
+      throw error;
+    }
+    return makeResponse(interaction.response);
+  }
+}
+
+/*
+ * Make a fetch() Response from a recorded one.
+ */
+function makeResponse(response: ?RecordedResponse) : Object {
+  if (!response) {
+    throw new ValidationError('Invalid cassette: an interaction has no response');
+  }
+  const body = Buffer.from(response.body, response.bodyEncoding === 'base64' ? 'base64' : 'utf8');
+  const noBody = body.length === 0 || [101, 204, 205, 304].includes(response.status);
+  return new global.Response(noBody ? null : body, {
+    status: response.status,
+    statusText: response.statusText,
+    headers: response.headers
+  });
+}
+
+/*
+ * Send every fetch() through a cassette.  This must be done before the
+ * network adapter is made, so that its failover sits on top of the cassette.
+ * @cassette (Cassette) the cassette to record to or replay from
+ * @return a function that stops using it
+ */
+export function useCassette(cassette: Cassette) : () => void {
+  const realFetch = global.fetch;
+  global.fetch = (url: any, init: ?Object) => cassette.fetch(realFetch, url, init);
+  return () => {
+    global.fetch = realFetch;
+  };
+}
@@ -0,0 +1,4019 @@
+/* @flow */
+
+const blockstack = require('blockstack');
+const bitcoin = require('bitcoinjs-lib');
+import process from 'process';
+import fs from 'fs';
+import logger from 'winston'
+import cors from 'cors'
+
+const bigi = require('bigi')
+const bip39 = require('bip39')
+const crypto = require('crypto')
+const c32check = require('c32check')
+const express = require('express')
+const pathTools = require('path')
+
+import {
+  TransactionSigner
+} from 'blockstack';
+
+import {
+  getOwnerKeyInfo,
+  getPaymentKeyInfo,
+  getApplicationKeyInfo,
+  extractAppKey,
+  STRENGTH,
+} from './keys';
+
+import {
+  ID_ADDRESS_PATTERN,
+  STACKS_ADDRESS_PATTERN,
+  CONFIG_SCHEMA,
+  CONFIG_SETTINGS,
+  DEFAULT_CONFIG_PATH,
+  DEFAULT_KEYSTORE_DIR,
+  expandHomeDir,
+  getConfigDefaults,
+  loadConfig,
+  parseSettingValue,
+  readConfigFile,
+  readConfigFileData,
+  writeConfigFile
+} from './argparse';
+
+import {
+  encryptBackupPhrase,
+  decryptBackupPhrase
+} from './encrypt';
+
+import {
+  gaiaAuth,
+  gaiaConnect,
+  gaiaUploadProfileAll,
+  makeZoneFileFromGaiaUrl
+} from './data';
+
+import {
+  getPrivateKeyAddress,
+  canonicalPrivateKey,
+  sumUTXOs,
+  hash160,
+  checkUrl,
+  decodePrivateKey,
+  makeProfileJWT,
+  broadcastTransactionAndZoneFile,
+  getNameInfoEasy,
+  nameLookup,
+  getpass,
+  getBackupPhrase,
+  mkdirs,
+  getIDAddress,
+  getIDAppKeys,
+  makeWatchOnlySigner,
+  WatchOnlySigner
+} from './utils';
+
+import {
+  makeCompletionScript
+} from './completion';
+
+import {
+  AuthenticationError,
+  InsufficientFundsError,
+  NetworkError,
+  NotFoundError,
+  SafetyError,
+  ValidationError
+} from './errors';
+
+import {
+  getAllowedCommands,
+  makeCommandServer,
+  DEFAULT_SERVE_PORT
+} from './server';
+
+import {
+  MOCK_ELECTRUM_PORT,
+  MOCK_NODE_PORTS,
+  MockNode
+} from './mocknode';
+
+import {
+  checkPreorder,
+  getRegisterValueHash,
+  locateTransaction,
+  trackPreorder,
+  trackRegister,
+  trackReplacement
+} from './preorders';
+
+import {
+  getChangeIndex,
+  makeChildPayment,
+  makeReplacement,
+  signalsReplacement
+} from './fees';
+
+import {
+  PSBT,
+  SIGHASH_TYPES,
+  makePSBT,
+  parseSighashTypes,
+  signPSBT
+} from './psbt';
+
+import {
+  checkBundleFreshness,
+  readBundle,
+  replayBundle,
+  withBundleArgs
+} from './bundles';
+
+import {
+  loadExternalSigners
+} from './signers';
+
+import {
+  addKey,
+  exportKey,
+  listKeys,
+  removeKey,
+  resolveKeystoreArgs
+} from './keystore';
+
+import {
+  describeEffectiveConfig,
+  loadEnvironment,
+  resolveConfig
+} from './environment';
+
+import {
+  handleAuth,
+  handleSignIn
+} from './auth';
+
+/*
+ * Per-call options that control how a command behaves.
+ * These used to be global CLI switches; they are now passed
+ * to each command so that commands can be run as a library.
+ */
+export type CommandOptions = {
+  txOnly: boolean,          // only generate transactions; do not broadcast them (-x)
+  psbt: boolean,            // generate unsigned PSBTs instead of transactions (-S); implies txOnly
+  signedTx: ?string,        // a transaction signed elsewhere, to check and send in place of
+                            // the one the command would make (broadcast_bundle)
+  estimateOnly: boolean,    // only estimate the transaction cost (-e)
+  safetyChecks: boolean,    // run safety checks before sending transactions (not -U)
+  blockstackTest: boolean,  // emit extra fields expected by the integration test framework
+  configPath: string,       // the config file, for commands that manage it (-c)
+  profile: ?string,         // the config profile selected for this call (-p)
+  apiKey: ?string,          // the subdomain registrar's API key (BLOCKSTACK_CLI_API_KEY)
+  serveToken: ?string,      // the bearer token for "serve" (BLOCKSTACK_CLI_SERVE_TOKEN)
+  serveOrigins: Array<string>,  // the origins that may call "serve" from a browser
+  serveSigners: Array<string>,  // the external signers that served commands may use
+  keystoreDir: string,      // the keystore directory, for keystore:ALIAS keys
+  keystorePassword: ?string,  // the keystore's password (BLOCKSTACK_CLI_KEYSTORE_PASSWORD)
+  effectiveConfig: ?Array<Object>  // the resolved settings and options, for "config show"
+};
+
+export const DEFAULT_COMMAND_OPTIONS : CommandOptions = {
+  txOnly: false,
+  psbt: false,
+  signedTx: null,
+  estimateOnly: false,
+  safetyChecks: true,
+  blockstackTest: false,
+  configPath: DEFAULT_CONFIG_PATH,
+  profile: null,
+  apiKey: null,
+  serveToken: null,
+  serveOrigins: [],
+  serveSigners: [],
+  keystoreDir: DEFAULT_KEYSTORE_DIR,
+  keystorePassword: null,
+  effectiveConfig: null
+};
+
+/*
+ * Commands that keep running after they return (i.e. they start a server).
+ * The CLI must not exit once these commands' promises resolve.
+ */
+export const DAEMON_COMMANDS = ['authenticator', 'mock_node', 'serve'];
+
+// how many of a backup phrase's owner keys sign_bundle signs with
+const BUNDLE_OWNER_KEY_INDEXES = 16;
+
+/*
+ * If a sub-command's safety checks failed, get back the safety check results.
+ * Used by commands that run the safety checks of several transactions
+ * before sending any of them.
+ */
+function safetyChecksOrThrow(error: Object) : Object {
+  if (error.hasOwnProperty('safetyErrors')) {
+    return error.safetyErrors;
+  }
+  throw error;
+}
+
+/*
+ * Decode a key that a transaction is made with.  With psbt, only its
+ * public keys are needed, since the transaction is left unsigned.
+ * @serializedKey (string) a private key, a key bundle, or public keys
+ */
+function decodeTransactionKey(serializedKey: string, opts: CommandOptions)
+  : string | TransactionSigner {
+  const key = decodePrivateKey(serializedKey);
+  return opts.psbt ? makeWatchOnlySigner(key) : key;
+}
+
+/*
+ * Make a transaction, signed by its keys or (with psbt) as an unsigned PSBT.
+ * Resolves to the transaction's hex, or to the PSBT as base64.  With signedTx,
+ * that transaction is used instead.
+ * @keys (Array) the decoded keys that own the transaction's inputs
+ * @makeTx (function) makes the transaction, given whether to leave it unsigned
+ */
+function makeTransaction(network: Object, opts: CommandOptions,
+                         keys: Array<string | TransactionSigner>,
+                         makeTx: (buildIncomplete: boolean) => Promise<string>) : Promise<string> {
+  if (opts.signedTx) {
+    return Promise.resolve(opts.signedTx);
+  }
+  if (!opts.psbt) {
+    if (keys.some((key) => key instanceof WatchOnlySigner)) {
+      return Promise.reject(new ValidationError(
+        'Public keys can only be used to make PSBTs (with -S); give private keys to sign'));
+    }
+    return makeTx(false);
+  }
+  return makeTx(true)
+    .then((txHex) => makePSBT(network, txHex, keys.map(makeWatchOnlySigner)))
+    .then((psbt) => psbt.toBase64());
+}
+
+/*
+ * Get a name's record information
+ * args:
+ * @name (string) the name to query
+ */
+function whois(network: Object, args: Array<string>, opts: CommandOptions) {
+  const name = args[0];
+  return network.getNameInfo(name)
+    .then((nameInfo) => {
+      if (opts.blockstackTest) {
+        // the test framework expects a few more fields.
+        // these are for compatibility with the old CLI.
+        // you are not required to understand them.
+        return Promise.all([network.getNameHistory(name, 0), network.getBlockHeight()])
+          .then(([nameHistory, blockHeight]) => {
+            if (nameInfo.renewal_deadline > 0 && nameInfo.renewal_deadline <= blockHeight) {
+              return {'error': 'Name expired'}
+            }
+
+            const blocks = Object.keys(nameHistory);
+            const lastBlock = blocks.sort().slice(-1)[0];
+
+            return Object.assign({}, nameInfo, {
+              'owner_address': nameInfo.address,
+              'owner_script': bitcoin.address.toOutputScript(
+                network.coerceMainnetAddress(nameInfo.address)).toString('hex'),
+              'last_transaction_height': lastBlock,
+              'block_renewed_at': nameHistory[lastBlock].slice(-1)[0].last_renewed,
+            });
+          })
+      }
+      else {
+        return nameInfo;
+      }
+    });
+}
+
+/*
+ * Get a name's price information
+ * args:
+ * @name (string) the name to query
+ */
+function price(network: Object, args: Array<string>) {
+  const name = args[0];
+  return network.getNamePrice(name)
+    .then(priceInfo => ({ units: priceInfo.units, amount: priceInfo.amount.toString() }));
+}
+
+/*
+ * Get a namespace's price information 
+ * args:
+ * @namespaceID (string) the namespace to query
+ */
+function priceNamespace(network: Object, args: Array<string>) {
+  const namespaceID = args[0];
+  return network.getNamespacePrice(namespaceID)
+    .then(priceInfo => ({ units: priceInfo.units, amount: priceInfo.amount.toString() }));
+}
+
+/*
+ * Get names owned by an address
+ * args:
+ * @address (string) the address to query
+ */
+function names(network: Object, args: Array<string>) {
+  const IDaddress = args[0];
+  if (!IDaddress.startsWith('ID-')) {
+    throw new ValidationError("Must be an ID-address");
+  }
+
+  const address = IDaddress.slice(3);
+  return network.getNamesOwned(address);
+}
+
+/*
+ * Look up a name's profile and zonefile
+ * args:
+ * @name (string) the name to look up
+ */
+function lookup(network: Object, args: Array<string>) {
+  network.setCoerceMainnetAddress(true);
+
+  const name = args[0];
+  return nameLookup(network, name);
+}
+
+/*
+ * Get a name's blockchain record
+ * args:
+ * @name (string) the name to query
+ */
+function getNameBlockchainRecord(network: Object, args: Array<string>) {
+  const name = args[0];
+  return Promise.resolve().then(() => {
+    return network.getBlockchainNameRecord(name);
+  });
+}
+
+/*
+ * Get a name's history entry or entries
+ * args:
+ * @name (string) the name to query
+ * @page (string) the page to query (OPTIONAL)
+ */
+function getNameHistoryRecord(network: Object, args: Array<string>) {
+  const name = args[0];
+  let page;
+
+  if (args.length >= 2) {
+    page = parseInt(args[1]);
+    return Promise.resolve().then(() => {
+      return network.getNameHistory(name, page);
+    });
+  }
+  else {
+    // all pages 
+    let history = {};
+    
+    function getAllHistoryPages(page: number) {
+      return network.getNameHistory(name, page)
+        .then((results) => {
+          if (Object.keys(results).length == 0) {
+            return history;
+          }
+          else {
+            history = Object.assign(history, results);
+            return getAllHistoryPages(page + 1);
+          }
+        })
+    }
+
+    return getAllHistoryPages(0);
+  }
+}
+
+/*
+ * Get a namespace's blockchain record
+ * args:
+ * @namespaceID (string) the namespace to query
+ */
+function getNamespaceBlockchainRecord(network: Object, args: Array<string>) {
+  const namespaceID = args[0];
+  return Promise.resolve().then(() => {
+    return network.getNamespaceInfo(namespaceID);
+  });
+}
+
+/*
+ * Get a name's zone file
+ * args:
+ * @name (string) the name to query
+ */
+function getNameZonefile(network: Object, args: Array<string>) {
+  const name = args[0];
+  return Promise.resolve().then(() => {
+      return network.getNameInfo(name)
+    })
+    .then(nameInfo => nameInfo.zonefile);
+}
+
+/*
+ * Generate and optionally send a name-preorder
+ * args:
+ * @name (string) the name to preorder
+ * @IDaddress (string) the address to own the name
+ * @paymentKey (string) the payment private key
+ */
+function txPreorder(network: Object, args: Array<string>, opts: CommandOptions) {
+  const name = args[0];
+  const IDaddress = args[1];
+  const paymentKey = decodeTransactionKey(args[2], opts);
+  const paymentAddress = getPrivateKeyAddress(network, paymentKey);
+
+  if (!IDaddress.startsWith('ID-')) {
+    throw new ValidationError("Recipient ID-address must start with ID-");
+  }
+  const address = IDaddress.slice(3);
+
+  const namespaceID = name.split('.').slice(-1)[0];
+
+  const txPromise = makeTransaction(network, opts, [paymentKey],
+    (buildIncomplete) => blockstack.transactions.makePreorder(
+      name, address, paymentKey, buildIncomplete));
+
+  // send it, and keep track of it until the name is registered
+  const sendPreorder = (tx) => network.broadcastTransaction(tx)
+    .then((txidHex) => trackPreorder(network, {
+      name, ownerAddress: address, paymentAddress, preorderTx: tx
+    })
+      .then(() => txidHex));
+
+  const paymentUTXOsPromise = network.getUTXOs(paymentAddress);
+
+  const estimatePromise = paymentUTXOsPromise.then((utxos) => {
+        const numUTXOs = utxos.length;
+        return blockstack.transactions.estimatePreorder(
+          name, network.coerceAddress(address), 
+          network.coerceAddress(paymentAddress), numUTXOs);
+      });
+
+  if (opts.estimateOnly) {
+    return estimatePromise;
+  }
+  
+  if (!opts.safetyChecks) {
+    if (opts.txOnly) {
+      return txPromise;
+    }
+    else {
+      return txPromise.then(sendPreorder);
+    }
+  }
+
+  const paymentBalance = paymentUTXOsPromise.then((utxos) => {
+    return sumUTXOs(utxos);
+  });
+
+  const nameInfoPromise = getNameInfoEasy(network, name);
+  const blockHeightPromise = network.getBlockHeight();
+
+  const safetyChecksPromise = Promise.all([
+      nameInfoPromise,
+      blockHeightPromise,
+      blockstack.safety.isNameValid(name),
+      blockstack.safety.isNameAvailable(name),
+      blockstack.safety.addressCanReceiveName(network.coerceAddress(address)),
+      blockstack.safety.isInGracePeriod(name),
+      network.getNamespaceBurnAddress(namespaceID, true),
+      network.getNamespaceBurnAddress(namespaceID, false),
+      paymentBalance,
+      estimatePromise,
+      blockstack.safety.namespaceIsReady(namespaceID),
+      network.getNamePrice(name),
+      network.getAccountBalance(paymentAddress, 'STACKS'),
+    ])
+    .then(([nameInfo,
+            blockHeight,
+            isNameValid,
+            isNameAvailable,
+            addressCanReceiveName, 
+            isInGracePeriod,
+            givenNamespaceBurnAddress,
+            trueNamespaceBurnAddress,
+            paymentBalance,
+            estimate,
+            isNamespaceReady,
+            namePrice,
+            STACKSBalance]) => {
+      if (isNameValid && isNamespaceReady &&
+          (isNameAvailable || !nameInfo) &&
+          addressCanReceiveName && !isInGracePeriod && paymentBalance >= estimate &&
+          trueNamespaceBurnAddress === givenNamespaceBurnAddress &&
+          (namePrice.units === 'BTC' || (namePrice.units == 'STACKS'
+           && namePrice.amount.compareTo(STACKSBalance) <= 0))) {
+        return {'status': true};
+      }
+      else {
+        return {
+          'status': false,
+          'error': 'Name cannot be safely preordered',
+          'isNameValid': isNameValid,
+          'isNameAvailable': isNameAvailable,
+          'addressCanReceiveName': addressCanReceiveName,
+          'isInGracePeriod': isInGracePeriod,
+          'paymentBalanceBTC': paymentBalance,
+          'paymentBalanceStacks': STACKSBalance.toString(),
+          'nameCostUnits': namePrice.units,
+          'nameCostAmount': namePrice.amount.toString(),
+          'estimateCostBTC': estimate,
+          'isNamespaceReady': isNamespaceReady,
+          'namespaceBurnAddress': givenNamespaceBurnAddress,
+          'trueNamespaceBurnAddress': trueNamespaceBurnAddress,
+        };
+      }
+    });
+
+  return safetyChecksPromise
+    .then((safetyChecksResult) => {
+      if (!safetyChecksResult.status) {
+        throw new SafetyError(safetyChecksResult);
+      }
+
+      if (opts.txOnly) {
+        return txPromise;
+      }
+
+      return txPromise.then(sendPreorder);
+    });
+}
+
+
+/*
+ * Generate and optionally send a name-register
+ * args:
+ * @name (string) the name to register
+ * @IDaddress (string) the address that owns this name
+ * @paymentKey (string) the payment private key
+ * @zonefile (string) if given, the raw zone file or the path to the zone file data to use
+ * @zonefileHash (string) if given, this is the raw zone file hash to use
+ *  (in which case, @zonefile will be ignored)
+ */
+function txRegister(network: Object, args: Array<string>, opts: CommandOptions) {
+  const name = args[0];
+  const IDaddress = args[1];
+  const paymentKey = decodeTransactionKey(args[2], opts);
+
+  if (!IDaddress.startsWith('ID-')) {
+    throw new ValidationError("Recipient ID-address must start with ID-");
+  }
+  const address = IDaddress.slice(3);
+  const namespaceID = name.split('.').slice(-1)[0];
+
+  let zonefilePath = null;
+  let zonefileHash = null;
+  let zonefile = null;
+
+  if (args.length > 3) {
+    zonefilePath = args[3];
+  }
+
+  if (args.length > 4) {
+    zonefileHash = args[4];
+    zonefilePath = null;
+
+    logger.debug(`Using zone file hash ${zonefileHash} instead of zone file`);
+  }
+
+  if (!!zonefilePath) {
+    try {
+      zonefile = fs.readFileSync(zonefilePath).toString();
+    }
+    catch(e) {
+      // zone file path as raw zone file
+      zonefile = zonefilePath
+    }
+  }
+
+  const paymentAddress = getPrivateKeyAddress(network, paymentKey);
+  const paymentUTXOsPromise = network.getUTXOs(paymentAddress);
+
+  const estimatePromise = paymentUTXOsPromise.then((utxos) => {
+        const numUTXOs = utxos.length;
+        return blockstack.transactions.estimateRegister(
+          name, network.coerceAddress(address),
+          network.coerceAddress(paymentAddress), true, numUTXOs);
+      });
+
+  const txPromise = makeTransaction(network, opts, [paymentKey],
+    (buildIncomplete) => blockstack.transactions.makeRegister(
+      name, address, paymentKey, zonefile, zonefileHash, buildIncomplete));
+
+  const sendRegister = (tx) => network.broadcastTransaction(tx)
+    .then((txidHex) => {
+      trackRegister(network, name, address, tx);
+      return txidHex;
+    });
+
+  if (opts.estimateOnly) {
+    return estimatePromise;
+  }
+ 
+  if (!opts.safetyChecks) {
+    if (opts.txOnly) {
+      return txPromise;
+    }
+    else {
+      return txPromise.then(sendRegister);
+    }
+  }
+
+  const paymentBalancePromise = paymentUTXOsPromise.then((utxos) => {
+    return sumUTXOs(utxos);
+  });
+ 
+  const nameInfoPromise = getNameInfoEasy(network, name);
+  const blockHeightPromise = network.getBlockHeight();
+
+  // a register that is sent on its own must follow a preorder that can still
+  // be registered, if that preorder was sent from here
+  // (register and register_addr send new preorders along with their registers)
+  const trackedPreorder = !opts.txOnly && network.preorders ?
+    network.preorders.find(name, address) : null;
+  const preorderStatusPromise = trackedPreorder ?
+    checkPreorder(network, trackedPreorder) : Promise.resolve(null);
+
+  const safetyChecksPromise = Promise.all([
+      nameInfoPromise,
+      blockHeightPromise,
+      blockstack.safety.isNameValid(name),
+      blockstack.safety.isNameAvailable(name),
+      blockstack.safety.addressCanReceiveName(
+        network.coerceAddress(address)),
+      blockstack.safety.isInGracePeriod(name),
+      blockstack.safety.namespaceIsReady(namespaceID),
+      paymentBalancePromise,
+      estimatePromise,
+      preorderStatusPromise,
+    ])
+    .then(([nameInfo, 
+            blockHeight,
+            isNameValid,
+            isNameAvailable, 
+            addressCanReceiveName,
+            isInGracePeriod,
+            isNamespaceReady,
+            paymentBalance,
+            estimateCost,
+            preorderStatus]) => {
+      if (isNameValid && isNamespaceReady &&
+         (isNameAvailable || !nameInfo) &&
+          addressCanReceiveName && !isInGracePeriod && estimateCost < paymentBalance &&
+          (!preorderStatus || preorderStatus.valid)) {
+        return {'status': true};
+      }
+      else {
+        return {
+          'status': false,
+          'error': 'Name cannot be safely registered',
+          'isNameValid': isNameValid,
+          'isNameAvailable': isNameAvailable,
+          'addressCanReceiveName': addressCanReceiveName,
+          'isInGracePeriod': isInGracePeriod,
+          'isNamespaceReady': isNamespaceReady,
+          'paymentBalanceBTC': paymentBalance,
+          'estimateCostBTC': estimateCost,
+          'isPreorderValid': preorderStatus ? preorderStatus.valid : null,
+          'preorderProblem': preorderStatus ? preorderStatus.problem : null,
+        };
+      }
+    });
+  
+  return safetyChecksPromise
+    .then((safetyChecksResult) => {
+      if (!safetyChecksResult.status) {
+        throw new SafetyError(safetyChecksResult);
+      }
+
+      if (opts.txOnly) {
+        return txPromise;
+      }
+
+      return txPromise.then(sendRegister);
+    });
+}
+
+/*
+ * Check whether the latest preorder of a name that was sent from here can
+ * still be registered, and warn about reorgs.  If it cannot, and a payment
+ * key is given, send a new preorder (and register, if the old preorder had
+ * one) in its place.
+ * args:
+ * @name (string) the name
+ * @paymentKey (string) OPTIONAL the payment private key, to replace the preorder with
+ */
+function preorderStatus(network: Object, args: Array<string>, opts: CommandOptions) {
+  const name = args[0];
+  const paymentKey = args.length > 1 ? decodePrivateKey(args[1]) : null;
+
+  if (!network.preorders) {
+    throw new ValidationError('Preorders are not being kept track of (see the preordersFile setting)');
+  }
+  const record = network.preorders.find(name);
+  if (!record) {
+    throw new NotFoundError(`No preorder of ${name} has been sent from here ` +
+                            `(see ${network.preorders.path})`);
+  }
+
+  return checkPreorder(network, record)
+    .then((status) => {
+      status.warnings.forEach((warning) => logger.warn(`${name}: ${warning}`));
+      if (status.valid) {
+        return status;
+      }
+      if (!paymentKey) {
+        logger.warn(`${name}: ${String(status.problem)}.  Pass PAYMENT_KEY to send a new preorder.`);
+        return status;
+      }
+
+      // the old preorder's name fee is lost, so the new one pays it again
+      logger.warn(`${name}: ${String(status.problem)}.  Sending a new preorder in its place.`);
+      const replacement = record.zonefile !== null && record.zonefile !== undefined ?
+        sendNameRegistration(network, name, record.ownerAddress, paymentKey,
+                             record.zonefile, opts) :
+        txPreorder(network, [name, `ID-${record.ownerAddress}`, paymentKey], opts);
+
+      return replacement.then((result) => {
+        if (!opts.txOnly && !opts.estimateOnly) {
+          const newRecord = network.preorders.find(name);
+          if (newRecord && newRecord.preorderTxid !== record.preorderTxid) {
+            network.preorders.update(record.preorderTxid, { supersededBy: newRecord.preorderTxid });
+          }
+        }
+        return Object.assign({}, status, { 'replacement': result });
+      });
+    });
+}
+
+/*
+ * Get a transaction that is stuck unconfirmed mined sooner, by replacing it
+ * with one that pays a higher fee rate (rbf), or by spending its change in
+ * one that pays for both (cpfp).  If it is a preorder that was sent from
+ * here, the register that spends its change is made again (rbf) or paid
+ * for too (cpfp), and the new transactions are kept track of.
+ * args:
+ * @txid (string) the transaction
+ * @paymentKey (string) the payment private key, which its change is paid to
+ * @method (string) OPTIONAL rbf or cpfp (by default, rbf if the transaction
+ *   signals that it can be replaced, and cpfp if not)
+ * @ownerKey (string) OPTIONAL the owner private key, if it owns one of its inputs
+ */
+function bumpFee(network: Object, args: Array<string>, opts: CommandOptions) {
+  const txid = args[0];
+  const paymentKey = decodePrivateKey(args[1]);
+  const givenMethod = args.length > 2 && !!args[2] ? args[2] : null;
+  const ownerKey = args.length > 3 ? decodePrivateKey(args[3]) : null;
+  const paymentAddress = getPrivateKeyAddress(network, paymentKey);
+
+  if (opts.psbt) {
+    throw new ValidationError('Fee bumps cannot be made as PSBTs; give private keys to sign them');
+  }
+
+  // a tracked preorder, or the register that goes with one
+  const record = network.preorders ? network.preorders.findByTxid(txid) : null;
+  const isPreorder = !!record && record.preorderTxid === txid;
+  const isRegister = !!record && record.registerTxid === txid;
+
+  const safetyChecksPromise = !opts.safetyChecks ? Promise.resolve({ 'status': true }) :
+    Promise.all([
+      locateTransaction(network, txid),
+      record ? checkPreorder(network, record) : Promise.resolve(null)
+    ])
+      .then(([location, preorderStatus]) => {
+        if (location === 'unconfirmed' && (!preorderStatus || preorderStatus.valid)) {
+          return { 'status': true };
+        }
+        return {
+          'status': false,
+          'error': 'Transaction cannot be safely bumped',
+          'isUnconfirmed': location === 'unconfirmed',
+          'blockHeight': typeof location === 'number' ? location : null,
+          'isPreorderValid': preorderStatus ? preorderStatus.valid : null,
+          'preorderProblem': preorderStatus ? preorderStatus.problem : null,
+        };
+      });
+
+  const describeBump = (method, bump, bumpTxid, registerTxid) => {
+    const result: Object = {
+      'status': true,
+      'method': method,
+      'bumpedTxid': txid,
+      'txid': bumpTxid,
+      'fee': bump.fee,
+      'extraFee': bump.extraFee,
+      'feeRate': Math.round(bump.feeRate * 10) / 10,
+    };
+    if (registerTxid) {
+      result.registerTxid = registerTxid;
+    }
+    if (bump.droppedTxids.length > 0) {
+      result.droppedTxids = bump.droppedTxids;
+    }
+    return result;
+  };
+
+  // the unconfirmed transactions that spend the transaction's outputs, which
+  // replacing it drops: for a preorder, its register.  Anything else that spends
+  // its change cannot be found, and so cannot be paid for.
+  const getDescendants = (txHex) => {
+    const tx = bitcoin.Transaction.fromHex(txHex);
+    const registerTxid = isPreorder && record ? record.registerTxid : null;
+    return Promise.all([
+      registerTxid ? locateTransaction(network, registerTxid) : Promise.resolve(null),
+      network.getUTXOs(paymentAddress)
+    ])
+      .then(([registerLocation, utxos]) => {
+        if (registerTxid && registerLocation === 'unconfirmed') {
+          return network.getRawTransaction(registerTxid).then((registerTx) => [registerTx]);
+        }
+        const changeIndex = getChangeIndex(network, tx, paymentAddress);
+        if (!utxos.some((utxo) => utxo.tx_hash === txid && utxo.tx_output_n === changeIndex)) {
+          throw new ValidationError(`The change of ${txid} has been spent by a transaction ` +
+                                    'that replacing it would drop, and whose fee is not known ' +
+                                    'here; bump the fee of that transaction instead');
+        }
+        return [];
+      });
+  };
+
+  // replace the transaction, and then (for a preorder) its register
+  const replace = (txHex, feeRate, descendantTxs) => makeReplacement(
+    network, txHex, paymentKey, ownerKey ? [ownerKey] : [], feeRate, descendantTxs,
+    opts.estimateOnly)
+    .then((bump) => {
+      const newTxid = bitcoin.Transaction.fromHex(bump.tx).getId();
+      if (opts.estimateOnly) {
+        return bump.extraFee;
+      }
+      if (!isPreorder || !record) {
+        if (opts.txOnly) {
+          return bump.tx;
+        }
+        return network.broadcastTransaction(bump.tx)
+          .then(() => {
+            if (isRegister && record && network.preorders) {
+              network.preorders.update(record.preorderTxid, { registerTxid: newTxid });
+            }
+            return describeBump('rbf', bump, newTxid, null);
+          });
+      }
+
+      // the old register spends the old preorder's change, so make it again from the
+      // replacement's change, with the same zone file (or zone file hash)
+      network.forgetTransaction(txid);
+      if (record.registerTxid) {
+        network.forgetTransaction(record.registerTxid);
+      }
+      network.modifyUTXOSetFrom(bump.tx);
+
+      const zonefile = record.zonefile;
+      let registerPromise = Promise.resolve(null);
+      if (zonefile !== null && zonefile !== undefined) {
+        registerPromise = blockstack.transactions.makeRegister(
+          record.name, record.ownerAddress, paymentKey, zonefile);
+      }
+      else if (record.registerTxid) {
+        const registerTxid = record.registerTxid;
+        registerPromise = network.getRawTransaction(registerTxid)
+          .then((registerTx) => blockstack.transactions.makeRegister(
+            record.name, record.ownerAddress, paymentKey, null,
+            getRegisterValueHash(registerTx)),
+          () => {
+            logger.warn(`Could not get the register ${registerTxid} of ${record.name}; ` +
+                        'send it again with "tx_register" once the new preorder is mined');
+            return null;
+          });
+      }
+
+      return registerPromise.then((registerTx) => {
+        const registerTxid = registerTx ? bitcoin.Transaction.fromHex(registerTx).getId() : null;
+        if (opts.txOnly) {
+          return registerTx ?
+            { preorder: bump.tx, register: registerTx, zonefile: zonefile } : bump.tx;
+        }
+
+        let sendPromise;
+        if (registerTx && zonefile !== null && zonefile !== undefined) {
+          sendPromise = network.broadcastNameRegistration(bump.tx, registerTx, zonefile);
+        }
+        else {
+          sendPromise = network.broadcastTransaction(bump.tx)
+            .then(() => (registerTx ? network.broadcastTransaction(registerTx) : null));
+        }
+        return sendPromise.then(() => {
+          trackReplacement(network, record, bump.tx, registerTx);
+          return describeBump('rbf', bump, newTxid, registerTxid);
+        });
+      });
+    });
+
+  // spend the change of the transaction (or, for a preorder, of its register)
+  const payForParent = (txHex, feeRate) => {
+    const registerTxid = isPreorder && record ? record.registerTxid : null;
+    const parentPromise = !registerTxid ? Promise.resolve(txHex) :
+      locateTransaction(network, registerTxid)
+        .then((location) => {
+          if (location === 'missing') {
+            throw new ValidationError(`The register of ${txid} has not been sent yet, so it ` +
+                                      'cannot pay for it; use rbf');
+          }
+          return network.getRawTransaction(registerTxid);
+        });
+
+    return Promise.all([parentPromise, network.getUTXOs(paymentAddress)])
+      .then(([parentHex, utxos]) => {
+        const parentTx = bitcoin.Transaction.fromHex(parentHex);
+        const changeIndex = getChangeIndex(network, parentTx, paymentAddress);
+        if (!utxos.some((utxo) => utxo.tx_hash === parentTx.getId() &&
+                        utxo.tx_output_n === changeIndex)) {
+          throw new ValidationError(`The change of ${parentTx.getId()} has already been spent, ` +
+                                    'so it cannot pay for it; use rbf');
+        }
+        return makeChildPayment(network, parentHex, paymentKey, feeRate, opts.estimateOnly);
+      })
+      .then((bump) => {
+        if (opts.estimateOnly) {
+          return bump.extraFee;
+        }
+        if (opts.txOnly) {
+          return bump.tx;
+        }
+        return network.broadcastTransaction(bump.tx)
+          .then(() => describeBump('cpfp', bump, bitcoin.Transaction.fromHex(bump.tx).getId(),
+                                   null));
+      });
+  };
+
+  return safetyChecksPromise
+    .then((safetyChecksResult) => {
+      if (!safetyChecksResult.status) {
+        throw new SafetyError(safetyChecksResult);
+      }
+      return Promise.all([network.getRawTransaction(txid), network.getFeeRate()]);
+    })
+    .then(([txHex, feeRate]) => {
+      // blockstack.js's transactions cannot be replaced, so their change pays for them
+      const replaceable = signalsReplacement(txHex);
+      if (givenMethod === 'cpfp' || (!givenMethod && !replaceable)) {
+        if (!givenMethod) {
+          logger.info(`${txid} does not signal that it can be replaced, so it is bumped with cpfp`);
+        }
+        return payForParent(txHex, feeRate);
+      }
+      // (makeReplacement() explains why a transaction that does not signal cannot be replaced)
+      return (replaceable ? getDescendants(txHex) : Promise.resolve([]))
+        .then((descendantTxs) => replace(txHex, feeRate, descendantTxs));
+    });
+}
+
+/*
+ * Generate a zone file for a name, given its Gaia hub URL
+ * Optionally includes a _resolver entry 
+ * args:
+ * @name (string) the blockstack ID
+ * @idAddress (string) the ID address that owns the name
+ * @gaiaHub (string) the URL to the write endpoint to store the name's profile
+ */
+function makeZonefile(network: Object, args: Array<string>) {
+  const name = args[0];
+  const idAddress = args[1];
+  const gaiaHub = args[2];
+  let resolver;
+
+  if (!idAddress.startsWith('ID-')) {
+    throw new ValidationError("ID-address must start with ID-");
+  }
+
+  if (args.length > 3) {
+    resolver = args[3];
+  }
+
+  const address = idAddress.slice(3);
+  const mainnetAddress = network.coerceMainnetAddress(address);
+  const profileUrl = `${gaiaHub.replace(/\/+$/g, '')}/${mainnetAddress}/profile.json`;
+  try {
+    checkUrl(profileUrl);
+  }
+  catch(e) {
+    return Promise.resolve().then(() => {
+      throw new SafetyError({
+        'status': false,
+        'error': e.message,
+        'hints': [
+          'Make sure the Gaia hub URL does not have any trailing /\'s',
+          'Make sure the Gaia hub URL scheme is present and well-formed',
+        ],
+      });
+    });
+  }
+
+  const zonefile = blockstack.makeProfileZoneFile(name, profileUrl);
+  return Promise.resolve().then(() => {
+    if (!resolver) {
+      return zonefile;
+    }
+
+    // append _resolver record
+    // TODO: zone-file doesn't do this right, so we have to append manually 
+    return `${zonefile.replace(/\n+$/, '')}\n_resolver\tIN\tURI\t10\t1\t"${resolver}"`;
+  });
+}
+
+/*
+ * Generate and optionally send a name-update
+ * args:
+ * @name (string) the name to update
+ * @zonefile (string) the path to the zonefile to use
+ * @ownerKey (string) the owner private key
+ * @paymentKey (string) the payment private key
+ * @zonefileHash (string) the zone file hash to use, if given
+ *   (will be used instead of the zonefile)
+ */
+function update(network: Object, args: Array<string>, opts: CommandOptions) {
+  const name = args[0];
+  let zonefilePath = args[1];
+  const ownerKey = decodeTransactionKey(args[2], opts);
+  const paymentKey = decodeTransactionKey(args[3], opts);
+
+  let zonefile = null;
+  let zonefileHash = null;
+
+  if (args.length > 4) {
+    zonefileHash = args[4];
+    zonefilePath = null;
+    logger.debug(`Using zone file hash ${zonefileHash} instead of zone file`);
+  }
+
+  if (zonefilePath) {
+    zonefile = fs.readFileSync(zonefilePath).toString();
+  }
+
+  const ownerAddress = getPrivateKeyAddress(network, ownerKey);
+  const paymentAddress = getPrivateKeyAddress(network, paymentKey);
+
+  const ownerUTXOsPromise = network.getUTXOs(ownerAddress);
+  const paymentUTXOsPromise = network.getUTXOs(paymentAddress);
+
+  const estimatePromise = Promise.all([
+      ownerUTXOsPromise, paymentUTXOsPromise])
+    .then(([ownerUTXOs, paymentUTXOs]) => {
+        const numOwnerUTXOs = ownerUTXOs.length;
+        const numPaymentUTXOs = paymentUTXOs.length;
+        return blockstack.transactions.estimateUpdate(
+          name, network.coerceAddress(ownerAddress),
+          network.coerceAddress(paymentAddress),
+          numOwnerUTXOs + numPaymentUTXOs - 1);
+      });
+
+  const txPromise = makeTransaction(network, opts, [ownerKey, paymentKey],
+    (buildIncomplete) => blockstack.transactions.makeUpdate(
+      name, ownerKey, paymentKey, zonefile, zonefileHash, buildIncomplete));
+
+  if (opts.estimateOnly) {
+    return estimatePromise;
+  }
+ 
+  if (!opts.safetyChecks) {
+    if (opts.txOnly) {
+      return txPromise;
+    }
+    else {
+      return txPromise
+        .then((tx) => {
+          return network.broadcastTransaction(tx);
+        });
+    }
+  }
+
+  const paymentBalancePromise = paymentUTXOsPromise.then((utxos) => {
+    return sumUTXOs(utxos);
+  });
+
+  const safetyChecksPromise = Promise.all([
+      blockstack.safety.isNameValid(name),
+      blockstack.safety.ownsName(name, network.coerceAddress(ownerAddress)),
+      blockstack.safety.isInGracePeriod(name),
+      estimatePromise,
+      paymentBalancePromise
+    ])
+    .then(([isNameValid, ownsName, isInGracePeriod, estimateCost, paymentBalance]) => {
+      if (isNameValid && ownsName && !isInGracePeriod && estimateCost < paymentBalance) {
+        return {'status': true};
+      }
+      else {
+        return {
+          'status': false,
+          'error': 'Name cannot be safely updated',
+          'isNameValid': isNameValid,
+          'ownsName': ownsName,
+          'isInGracePeriod': isInGracePeriod,
+          'estimateCostBTC': estimateCost,
+          'paymentBalanceBTC': paymentBalance,
+        };
+      }
+    });
+
+  return safetyChecksPromise
+    .then((safetyChecksResult) => {
+      if (!safetyChecksResult.status) {
+        throw new SafetyError(safetyChecksResult);
+      }
+
+      if (opts.txOnly) {
+        return txPromise;
+      }
+
+      return txPromise.then((tx) => {
+        return network.broadcastTransaction(tx);
+      })
+      .then((txidHex) => {
+        return txidHex;
+      });
+    });
+}
+
+/*
+ * Generate and optionally send a name-transfer
+ * args:
+ * @name (string) the name to transfer
+ * @IDaddress (string) the new owner address
+ * @keepZoneFile (boolean) keep the zone file or not
+ * @ownerKey (string) the owner private key
+ * @paymentKey (string) the payment private key
+ */
+function transfer(network: Object, args: Array<string>, opts: CommandOptions) {
+  const name = args[0];
+  const IDaddress = args[1];
+  const keepZoneFile = (args[2].toLowerCase() === 'true');
+  const ownerKey = decodeTransactionKey(args[3], opts);
+  const paymentKey = decodeTransactionKey(args[4], opts);
+  const ownerAddress = getPrivateKeyAddress(network, ownerKey);
+  const paymentAddress = getPrivateKeyAddress(network, paymentKey);
+
+  if (!IDaddress.startsWith('ID-')) {
+    throw new ValidationError("Recipient ID-address must start with ID-");
+  }
+  const address = IDaddress.slice(3);
+
+  const ownerUTXOsPromise = network.getUTXOs(ownerAddress);
+  const paymentUTXOsPromise = network.getUTXOs(paymentAddress);
+
+  const estimatePromise = Promise.all([
+      ownerUTXOsPromise, paymentUTXOsPromise])
+    .then(([ownerUTXOs, paymentUTXOs]) => {
+        const numOwnerUTXOs = ownerUTXOs.length;
+        const numPaymentUTXOs = paymentUTXOs.length;
+        return blockstack.transactions.estimateTransfer(
+          name, network.coerceAddress(address),
+          network.coerceAddress(ownerAddress), 
+          network.coerceAddress(paymentAddress),
+          numOwnerUTXOs + numPaymentUTXOs - 1);
+      });
+
+  const txPromise = makeTransaction(network, opts, [ownerKey, paymentKey],
+    (buildIncomplete) => blockstack.transactions.makeTransfer(
+      name, address, ownerKey, paymentKey, keepZoneFile, buildIncomplete));
+
+  if (opts.estimateOnly) {
+    return estimatePromise;
+  }
+ 
+  if (!opts.safetyChecks) {
+    if (opts.txOnly) {
+      return txPromise;
+    }
+    else {
+      return txPromise
+        .then((tx) => {
+          return network.broadcastTransaction(tx);
+        });
+    }
+  }
+
+  const paymentBalancePromise = paymentUTXOsPromise.then((utxos) => {
+    return sumUTXOs(utxos);
+  });
+  
+  const safetyChecksPromise = Promise.all([
+      blockstack.safety.isNameValid(name),
+      blockstack.safety.ownsName(name, network.coerceAddress(ownerAddress)),
+      blockstack.safety.addressCanReceiveName(network.coerceAddress(address)),
+      blockstack.safety.isInGracePeriod(name),
+      paymentBalancePromise,
+      estimatePromise,
+    ])
+    .then(([isNameValid, ownsName, addressCanReceiveName, 
+            isInGracePeriod, paymentBalance, estimateCost]) => {
+      if (isNameValid && ownsName && addressCanReceiveName &&
+          !isInGracePeriod && estimateCost < paymentBalance) {
+        return {'status': true};
+      }
+      else {
+        return {
+          'status': false,
+          'error': 'Name cannot be safely transferred',
+          'isNameValid': isNameValid,
+          'ownsName': ownsName,
+          'addressCanReceiveName': addressCanReceiveName,
+          'isInGracePeriod': isInGracePeriod,
+          'estimateCostBTC': estimateCost,
+          'paymentBalanceBTC': paymentBalance,
+        };
+      }
+    });
+
+  return safetyChecksPromise
+    .then((safetyChecksResult) => {
+      if (!safetyChecksResult.status) {
+        throw new SafetyError(safetyChecksResult);
+      }
+
+      if (opts.txOnly) {
+        return txPromise;
+      }
+
+      return txPromise.then((tx) => {
+        return network.broadcastTransaction(tx);
+      })
+      .then((txidHex) => {
+        return txidHex;
+      });
+    });
+}
+
+/*
+ * Generate and optionally send a name-renewal
+ * args:
+ * @name (string) the name to renew
+ * @ownerKey (string) the owner private key
+ * @paymentKey (string) the payment private key 
+ * @address (string) OPTIONAL: the new owner address
+ * @zonefilePath (string) OPTIONAL: the path to the new zone file
+ * @zonefileHash (string) OPTINOAL: use the given zonefile hash.  Supercedes zonefile.
+ */
+function renew(network: Object, args: Array<string>, opts: CommandOptions) {
+  const name = args[0];
+  const ownerKey = decodeTransactionKey(args[1], opts);
+  const paymentKey = decodeTransactionKey(args[2], opts);
+  const ownerAddress = getPrivateKeyAddress(network, ownerKey);
+  const paymentAddress = getPrivateKeyAddress(network, paymentKey);
+  const namespaceID = name.split('.').slice(-1)[0];
+
+  let newAddress = null;
+  let zonefilePath = null;
+  let zonefileHash = null;
+  let zonefile = null;
+
+  if (args.length >= 4 && !!args[3]) {
+    // ID-address
+    newAddress = args[3].slice(3);
+  }
+  else {
+    newAddress = getPrivateKeyAddress(network, ownerKey);
+  }
+
+  if (args.length >= 5) {
+    zonefilePath = args[4];
+  }
+
+  if (args.length >= 6) {
+    zonefileHash = args[5];
+    zonefilePath = null;
+    logger.debug(`Using zone file hash ${zonefileHash} instead of zone file`);
+  }
+
+  if (zonefilePath) {
+    zonefile = fs.readFileSync(zonefilePath).toString();
+  }
+
+  const ownerUTXOsPromise = network.getUTXOs(ownerAddress);
+  const paymentUTXOsPromise = network.getUTXOs(paymentAddress);
+
+  const estimatePromise = Promise.all([
+      ownerUTXOsPromise, paymentUTXOsPromise])
+    .then(([ownerUTXOs, paymentUTXOs]) => {
+        const numOwnerUTXOs = ownerUTXOs.length;
+        const numPaymentUTXOs = paymentUTXOs.length;
+        return blockstack.transactions.estimateRenewal(
+          name, network.coerceAddress(newAddress), 
+          network.coerceAddress(ownerAddress),
+          network.coerceAddress(paymentAddress), true, 
+          numOwnerUTXOs + numPaymentUTXOs - 1);
+      });
+
+  const zonefilePromise = new Promise((resolve, reject) => {
+    if (!!zonefile) {
+      resolve(zonefile);
+    } else if (!!zonefileHash) {
+      // already have the hash 
+      resolve(null);
+    } else {
+      network.getNameInfo(name)
+        .then((nameInfo) => {
+          if (!!nameInfo.zonefile_hash) {
+            network.getZonefile(nameInfo.zonefile_hash)
+              .then((zonefileData) => {
+                resolve(zonefileData);
+              })
+              .catch((zonefileNetworkError) => reject(zonefileNetworkError));
+          } else {
+            // give an empty zonefile 
+            resolve(null);
+          }
+        })
+        .catch((nameNetworkError) => reject(nameNetworkError));
+    }
+  })
+  .catch((e) => {
+    console.error(e);
+  });
+
+  const txPromise = zonefilePromise.then((zonefileData) => {
+    return makeTransaction(network, opts, [ownerKey, paymentKey],
+      (buildIncomplete) => blockstack.transactions.makeRenewal(
+        name, newAddress, ownerKey, paymentKey, zonefileData, zonefileHash, buildIncomplete));
+  });
+
+  if (opts.estimateOnly) {
+    return estimatePromise;
+  }
+ 
+  if (!opts.safetyChecks) {
+    if (opts.txOnly) {
+      return txPromise;
+    }
+    else {
+      return txPromise
+        .then((tx) => {
+          return network.broadcastTransaction(tx);
+        });
+    }
+  }
+
+  const paymentBalancePromise = paymentUTXOsPromise.then((utxos) => {
+    return sumUTXOs(utxos);
+  });
+
+  const canReceiveNamePromise = Promise.resolve().then(() => {
+    if (newAddress) {
+      return blockstack.safety.addressCanReceiveName(network.coerceAddress(newAddress));
+    }
+    else {
+      return true;
+    }
+  });
+
+  const safetyChecksPromise = Promise.all([
+      blockstack.safety.isNameValid(name),
+      blockstack.safety.ownsName(name, network.coerceAddress(ownerAddress)),
+      network.getNamespaceBurnAddress(namespaceID, true),
+      network.getNamespaceBurnAddress(namespaceID, false),
+      canReceiveNamePromise,
+      network.getNamePrice(name),
+      network.getAccountBalance(paymentAddress, 'STACKS'),
+      estimatePromise,
+      paymentBalancePromise,
+    ])
+    .then(([isNameValid, ownsName, givenNSBurnAddr, trueNSBurnAddr, 
+           addressCanReceiveName, nameCost, 
+           accountBalance, estimateCost, paymentBalance]) => {
+      if (isNameValid && ownsName && addressCanReceiveName && 
+          trueNSBurnAddr === givenNSBurnAddr &&
+          (nameCost.units === 'BTC' || (nameCost.units == 'STACKS' &&
+           nameCost.amount.compareTo(accountBalance) <= 0)) &&
+          estimateCost < paymentBalance) {
+        return {'status': true};
+      }
+      else {
+        return {
+          'status': false,
+          'error': 'Name cannot be safely renewed',
+          'isNameValid': isNameValid,
+          'ownsName': ownsName,
+          'addressCanReceiveName': addressCanReceiveName,
+          'estimateCostBTC': estimateCost,
+          'nameCostUnits': nameCost.units,
+          'nameCostAmount': nameCost.amount.toString(),
+          'paymentBalanceBTC': paymentBalance,
+          'paymentBalanceStacks': accountBalance.toString(),
+          'namespaceBurnAddress': givenNSBurnAddr,
+          'trueNamespaceBurnAddress': trueNSBurnAddr,
+        };
+      }
+    });
+
+  return safetyChecksPromise
+    .then((safetyChecksResult) => {
+      if (!safetyChecksResult.status) {
+        throw new SafetyError(safetyChecksResult);
+      }
+
+      if (opts.txOnly) {
+        return txPromise;
+      }
+
+      return txPromise.then((tx) => {
+        return network.broadcastTransaction(tx);
+      })
+      .then((txidHex) => {
+        return txidHex;
+      });
+    });
+}
+
+/*
+ * Generate and optionally send a name-revoke
+ * args:
+ * @name (string) the name to revoke
+ * @ownerKey (string) the owner private key
+ * @paymentKey (string) the payment private key
+ */
+function revoke(network: Object, args: Array<string>, opts: CommandOptions) {
+  const name = args[0];
+  const ownerKey = decodeTransactionKey(args[1], opts);
+  const paymentKey = decodeTransactionKey(args[2], opts);
+  const paymentAddress = getPrivateKeyAddress(network, paymentKey);
+  const ownerAddress = getPrivateKeyAddress(network, ownerKey);
+
+  const ownerUTXOsPromise = network.getUTXOs(ownerAddress);
+  const paymentUTXOsPromise = network.getUTXOs(paymentAddress);
+
+  const estimatePromise = Promise.all([
+      ownerUTXOsPromise, paymentUTXOsPromise])
+    .then(([ownerUTXOs, paymentUTXOs]) => {
+        const numOwnerUTXOs = ownerUTXOs.length;
+        const numPaymentUTXOs = paymentUTXOs.length;
+        return blockstack.transactions.estimateRevoke(
+          name, network.coerceAddress(ownerAddress),
+          network.coerceAddress(paymentAddress),
+          numOwnerUTXOs + numPaymentUTXOs - 1);
+    });
+
+  const txPromise = makeTransaction(network, opts, [ownerKey, paymentKey],
+    (buildIncomplete) => blockstack.transactions.makeRevoke(
+      name, ownerKey, paymentKey, buildIncomplete));
+
+  if (opts.estimateOnly) {
+    return estimatePromise;
+  }
+ 
+  if (!opts.safetyChecks) {
+    if (opts.txOnly) {
+      return txPromise;
+    }
+    else {
+      return txPromise
+        .then((tx) => {
+          return network.broadcastTransaction(tx);
+        });
+    }
+  }
+
+  const paymentBalancePromise = paymentUTXOsPromise.then((utxos) => {
+    return sumUTXOs(utxos);
+  });
+ 
+  const safetyChecksPromise = Promise.all([
+      blockstack.safety.isNameValid(name),
+      blockstack.safety.ownsName(name, network.coerceAddress(ownerAddress)),
+      blockstack.safety.isInGracePeriod(name),
+      estimatePromise,
+      paymentBalancePromise
+    ])
+    .then(([isNameValid, ownsName, isInGracePeriod, estimateCost, paymentBalance]) => {
+      if (isNameValid && ownsName && !isInGracePeriod && estimateCost < paymentBalance) {
+        return {'status': true};
+      }
+      else {
+        return {
+          'status': false,
+          'error': 'Name cannot be safely revoked',
+          'isNameValid': isNameValid,
+          'ownsName': ownsName,
+          'isInGracePeriod': isInGracePeriod,
+          'estimateCostBTC': estimateCost,
+          'paymentBalanceBTC': paymentBalance,
+        };
+      }
+    });
+
+  return safetyChecksPromise
+    .then((safetyChecksResult) => {
+      if (!safetyChecksResult.status) {
+        throw new SafetyError(safetyChecksResult);
+      }
+
+      if (opts.txOnly) {
+        return txPromise;
+      }
+
+      return txPromise.then((tx) => {
+        return network.broadcastTransaction(tx);
+      })
+      .then((txidHex) => {
+        return txidHex;
+      });
+    });
+}
+
+/*
+ * Generate and optionally send a namespace-preorder
+ * args:
+ * @namespace (string) the namespace to preorder
+ * @address (string) the address to reveal the namespace
+ * @paymentKey (string) the payment private key
+ */
+function namespacePreorder(network: Object, args: Array<string>, opts: CommandOptions) {
+  const namespaceID = args[0];
+  const address = args[1];
+  const paymentKey = decodeTransactionKey(args[2], opts);
+  const paymentAddress = getPrivateKeyAddress(network, paymentKey);
+
+  const txPromise = makeTransaction(network, opts, [paymentKey],
+    (buildIncomplete) => blockstack.transactions.makeNamespacePreorder(
+      namespaceID, address, paymentKey, buildIncomplete));
+
+  const paymentUTXOsPromise = network.getUTXOs(paymentAddress);
+
+  const estimatePromise = paymentUTXOsPromise.then((utxos) => {
+        const numUTXOs = utxos.length;
+        return blockstack.transactions.estimateNamespacePreorder(
+          namespaceID, network.coerceAddress(address), 
+          network.coerceAddress(paymentAddress), numUTXOs);
+      });
+
+  if (opts.estimateOnly) {
+    return estimatePromise;
+  }
+  
+  if (!opts.safetyChecks) {
+    if (opts.txOnly) {
+      return txPromise;
+    }
+    else {
+      return txPromise
+        .then((tx) => {
+          return network.broadcastTransaction(tx);
+        });
+    }
+  }
+
+  const paymentBalance = paymentUTXOsPromise.then((utxos) => {
+    return sumUTXOs(utxos);
+  });
+
+  const safetyChecksPromise = Promise.all([
+      blockstack.safety.isNamespaceValid(namespaceID),
+      blockstack.safety.isNamespaceAvailable(namespaceID),
+      network.getNamespacePrice(namespaceID),
+      network.getAccountBalance(paymentAddress, 'STACKS'),
+      paymentBalance,
+      estimatePromise
+    ])
+    .then(([isNamespaceValid, isNamespaceAvailable, namespacePrice,
+            STACKSBalance, paymentBalance, estimate]) => {
+      if (isNamespaceValid && isNamespaceAvailable && 
+          (namespacePrice.units === 'BTC' || 
+            (namespacePrice.units === 'STACKS' && 
+             namespacePrice.amount.compareTo(STACKSBalance) <= 0)) &&
+          paymentBalance >= estimate) {
+        return {'status': true};
+      }
+      else {
+        return {
+          'status': false,
+          'error': 'Namespace cannot be safely preordered',
+          'isNamespaceValid': isNamespaceValid,
+          'isNamespaceAvailable': isNamespaceAvailable,
+          'paymentBalanceBTC': paymentBalance,
+          'paymentBalanceStacks': STACKSBalance.toString(),
+          'namespaceCostUnits': namespacePrice.units,
+          'namespaceCostAmount': namespacePrice.amount.toString(),
+          'estimateCostBTC': estimate,
+        };
+      }
+    });
+
+  return safetyChecksPromise
+    .then((safetyChecksResult) => {
+      if (!safetyChecksResult.status) {
+        throw new SafetyError(safetyChecksResult);
+      }
+
+      if (opts.txOnly) {
+        return txPromise;
+      }
+
+      return txPromise.then((tx) => {
+        return network.broadcastTransaction(tx);
+      })
+      .then((txidHex) => {
+        return txidHex;
+      });
+    });
+}
+
+/*
+ * Generate and optionally send a namespace-reveal
+ * args:
+ * @name (string) the namespace to reveal
+ * @revealAddr (string) the reveal address
+ * @version (int) the namespace version bits
+ * @lifetime (int) the name lifetime
+ * @coeff (int) the multiplicative price coefficient
+ * @base (int) the price base
+ * @bucketString (string) the serialized bucket exponents
+ * @nonalphaDiscount (int) the non-alpha price discount
+ * @noVowelDiscount (int) the no-vowel price discount
+ * @paymentKey (string) the payment private key
+ */
+function namespaceReveal(network: Object, args: Array<string>, opts: CommandOptions) {
+  const namespaceID = args[0];
+  const revealAddr = args[1];
+  const version = parseInt(args[2]);
+  let lifetime = parseInt(args[3]);
+  const coeff = parseInt(args[4]);
+  const base = parseInt(args[5]);
+  const bucketString = args[6];
+  const nonalphaDiscount = parseInt(args[7]);
+  const noVowelDiscount = parseInt(args[8]);
+  const paymentKey = decodeTransactionKey(args[9], opts);
+
+  const buckets = bucketString.split(',')
+    .map((x) => {return parseInt(x)});
+
+  if (lifetime < 0) {
+    lifetime = 2**32 - 1;
+  }
+
+  if (nonalphaDiscount === 0) {
+    throw new ValidationError("Cannot have a 0 non-alpha discount (pass 1 for no discount)");
+  }
+
+  if (noVowelDiscount === 0) {
+    throw new ValidationError("Cannot have a 0 no-vowel discount (pass 1 for no discount)");
+  }
+
+  const namespace = new blockstack.transactions.BlockstackNamespace(namespaceID);
+
+  namespace.setVersion(version);
+  namespace.setLifetime(lifetime);
+  namespace.setCoeff(coeff);
+  namespace.setBase(base);
+  namespace.setBuckets(buckets);
+  namespace.setNonalphaDiscount(nonalphaDiscount);
+  namespace.setNoVowelDiscount(noVowelDiscount);
+
+  const paymentAddress = getPrivateKeyAddress(network, paymentKey);
+  const paymentUTXOsPromise = network.getUTXOs(paymentAddress);
+
+  const estimatePromise = paymentUTXOsPromise.then((utxos) => {
+        const numUTXOs = utxos.length;
+        return blockstack.transactions.estimateNamespaceReveal(
+          namespace, network.coerceAddress(revealAddr),
+          network.coerceAddress(paymentAddress), numUTXOs);
+      });
+
+  const txPromise = makeTransaction(network, opts, [paymentKey],
+    (buildIncomplete) => blockstack.transactions.makeNamespaceReveal(
+      namespace, revealAddr, paymentKey, buildIncomplete));
+
+  if (opts.estimateOnly) {
+    return estimatePromise;
+  }
+ 
+  if (!opts.safetyChecks) {
+    if (opts.txOnly) {
+      return txPromise;
+    }
+    else {
+      return txPromise
+        .then((tx) => {
+          return network.broadcastTransaction(tx);
+        });
+    }
+  }
+
+  const paymentBalancePromise = paymentUTXOsPromise.then((utxos) => {
+    return sumUTXOs(utxos);
+  });
+ 
+  const safetyChecksPromise = Promise.all([
+      blockstack.safety.isNamespaceValid(namespaceID),
+      blockstack.safety.isNamespaceAvailable(namespaceID),
+      paymentBalancePromise,
+      estimatePromise
+    ])
+    .then(([isNamespaceValid, isNamespaceAvailable,
+            paymentBalance, estimate]) => {
+
+      if (isNamespaceValid && isNamespaceAvailable && 
+          paymentBalance >= estimate) {
+        return {'status': true};
+      }
+      else {
+        return {
+          'status': false,
+          'error': 'Namespace cannot be safely revealed',
+          'isNamespaceValid': isNamespaceValid,
+          'isNamespaceAvailable': isNamespaceAvailable,
+          'paymentBalanceBTC': paymentBalance,
+          'estimateCostBTC': estimate,
+        };
+      }
+    });
+  
+  return safetyChecksPromise
+    .then((safetyChecksResult) => {
+      if (!safetyChecksResult.status) {
+        throw new SafetyError(safetyChecksResult);
+      }
+
+      if (opts.txOnly) {
+        return txPromise;
+      }
+
+      return txPromise.then((tx) => {
+        return network.broadcastTransaction(tx);
+      })
+      .then((txidHex) => {
+        return txidHex;
+      });
+    });
+}
+
+/*
+ * Generate and optionally send a namespace-ready
+ * args:
+ * @namespaceID (string) the namespace ID
+ * @revealKey (string) the hex-encoded reveal key
+ */
+function namespaceReady(network: Object, args: Array<string>, opts: CommandOptions) {
+  const namespaceID = args[0];
+  const revealKey = decodeTransactionKey(args[1], opts);
+  const revealAddress = getPrivateKeyAddress(network, revealKey);
+
+  const txPromise = makeTransaction(network, opts, [revealKey],
+    (buildIncomplete) => blockstack.transactions.makeNamespaceReady(
+      namespaceID, revealKey, buildIncomplete));
+
+  const revealUTXOsPromise = network.getUTXOs(revealAddress);
+
+  const estimatePromise = revealUTXOsPromise.then((utxos) => {
+        const numUTXOs = utxos.length;
+        return blockstack.transactions.estimateNamespaceReady(
+          namespaceID, numUTXOs);
+      });
+
+  if (opts.estimateOnly) {
+    return estimatePromise;
+  }
+  
+  if (!opts.safetyChecks) {
+    if (opts.txOnly) {
+      return txPromise;
+    }
+    else {
+      return txPromise
+        .then((tx) => {
+          return network.broadcastTransaction(tx);
+        });
+    }
+  }
+
+  const revealBalancePromise = revealUTXOsPromise.then((utxos) => {
+    return sumUTXOs(utxos);
+  });
+
+  const safetyChecksPromise = Promise.all([
+      blockstack.safety.isNamespaceValid(namespaceID),
+      blockstack.safety.namespaceIsReady(namespaceID),
+      blockstack.safety.revealedNamespace(namespaceID, revealAddress),
+      revealBalancePromise,
+      estimatePromise
+    ])
+    .then(([isNamespaceValid, isNamespaceReady, isRevealer,
+            revealerBalance, estimate]) => {
+      if (isNamespaceValid && !isNamespaceReady && isRevealer &&
+          revealerBalance >= estimate) {
+        return {'status': true};
+      }
+      else {
+        return {
+          'status': false,
+          'error': 'Namespace cannot be safely launched',
+          'isNamespaceValid': isNamespaceValid,
+          'isNamespaceReady': isNamespaceReady,
+          'isPrivateKeyRevealer': isRevealer,
+          'revealerBalanceBTC': revealerBalance,
+          'estimateCostBTC': estimate
+        };
+      }
+    });
+
+  return safetyChecksPromise
+    .then((safetyChecksResult) => {
+      if (!safetyChecksResult.status) {
+        throw new SafetyError(safetyChecksResult);
+      }
+
+      if (opts.txOnly) {
+        return txPromise;
+      }
+
+      return txPromise.then((tx) => {
+        return network.broadcastTransaction(tx);
+      })
+      .then((txidHex) => {
+        return txidHex;
+      });
+    });
+}
+
+
+/*
+ * Generate and send a name-import transaction
+ * @name (string) the name to import
+ * @IDrecipientAddr (string) the recipient of the name
+ * @gaiaHubURL (string) the URL to the name's gaia hub
+ * @importKey (string) the key to pay for the import
+ * @zonefile (string) OPTIONAL: the path to the zone file to use (supercedes gaiaHubUrl)
+ * @zonefileHash (string) OPTIONAL: the hash of the zone file (supercedes gaiaHubUrl and zonefile)
+ */
+function nameImport(network: Object, args: Array<string>, opts: CommandOptions) {
+  const name = args[0];
+  const IDrecipientAddr = args[1];
+  const gaiaHubUrl = args[2];
+  const importKey = decodeTransactionKey(args[3], opts);
+  let zonefilePath = args[4]
+  let zonefileHash = args[5];
+  let zonefile = null;
+
+  if (opts.safetyChecks && (typeof importKey !== 'string')) {
+    // multisig import not supported, unless we're testing 
+    throw new ValidationError('Invalid argument: multisig is not supported at this time');
+  }
+
+  if (!IDrecipientAddr.startsWith('ID-')) {
+    throw new ValidationError("Recipient ID-address must start with ID-");
+  }
+
+  const recipientAddr = IDrecipientAddr.slice(3);
+
+  if (zonefilePath && !zonefileHash) {
+    zonefile = fs.readFileSync(zonefilePath).toString();
+  }
+
+  else if (!zonefileHash && !zonefilePath) {
+    // make zone file and hash from gaia hub url
+    const mainnetAddress = network.coerceMainnetAddress(recipientAddr);
+    const profileUrl = `${gaiaHubUrl}/${mainnetAddress}/profile.json`;
+    try {
+      checkUrl(profileUrl);
+    }
+    catch(e) {
+      return Promise.resolve().then(() => {
+        throw new SafetyError({
+          'status': false,
+          'error': e.message,
+          'hints': [
+            'Make sure the Gaia hub URL does not have any trailing /\'s',
+            'Make sure the Gaia hub URL scheme is present and well-formed',
+          ],
+        });
+      });
+    }
+
+    zonefile = blockstack.makeProfileZoneFile(name, profileUrl);
+    zonefileHash = hash160(Buffer.from(zonefile)).toString('hex');
+  }
+
+  const namespaceID = name.split('.').slice(-1);
+  const importAddress = getPrivateKeyAddress(network, importKey);
+
+  const txPromise = makeTransaction(network, opts, [importKey],
+    (buildIncomplete) => blockstack.transactions.makeNameImport(
+      name, recipientAddr, zonefileHash, importKey, buildIncomplete));
+
+  const importUTXOsPromise = network.getUTXOs(importAddress);
+
+  const estimatePromise = importUTXOsPromise.then((utxos) => {
+        const numUTXOs = utxos.length;
+        return blockstack.transactions.estimateNameImport(
+          name, recipientAddr, zonefileHash, numUTXOs);
+      });
+
+  if (opts.estimateOnly) {
+    return estimatePromise;
+  }
+ 
+  if (!opts.safetyChecks) {
+    if (opts.txOnly) {
+      return txPromise;
+    }
+    else {
+      return txPromise
+        .then((tx) => {
+          return broadcastTransactionAndZoneFile(network, tx, zonefile)
+        })
+        .then((resp) => {
+          if (resp.status && resp.hasOwnProperty('txid')) {
+            // just return txid 
+            return resp.txid;
+          }
+          else {
+            // some error; report what was and was not sent
+            return resp;
+          }
+        });
+    }
+  }
+
+  const importBalancePromise = importUTXOsPromise.then((utxos) => {
+    return sumUTXOs(utxos);
+  });
+
+  const safetyChecksPromise = Promise.all([
+      blockstack.safety.namespaceIsReady(namespaceID),
+      blockstack.safety.namespaceIsRevealed(namespaceID),
+      blockstack.safety.addressCanReceiveName(recipientAddr),
+      importBalancePromise,
+      estimatePromise
+    ])
+    .then(([isNamespaceReady, isNamespaceRevealed, addressCanReceive,
+            importBalance, estimate]) => {
+      if (!isNamespaceReady && isNamespaceRevealed && addressCanReceive &&
+          importBalance >= estimate) {
+        return {'status': true};
+      }
+      else {
+        return {
+          'status': false,
+          'error': 'Name cannot be safetly imported',
+          'isNamespaceReady': isNamespaceReady,
+          'isNamespaceRevealed': isNamespaceRevealed,
+          'addressCanReceiveName': addressCanReceive,
+          'importBalanceBTC': importBalance,
+          'estimateCostBTC': estimate
+        };
+      }
+  });
+
+  return safetyChecksPromise
+    .then((safetyChecksResult) => {
+      if (!safetyChecksResult.status) {
+        throw new SafetyError(safetyChecksResult);
+      }
+
+      if (opts.txOnly) {
+        return txPromise;
+      }
+
+      return txPromise
+        .then((tx) => {
+          return broadcastTransactionAndZoneFile(network, tx, zonefile)
+        })
+        .then((resp) => {
+          if (resp.status && resp.hasOwnProperty('txid')) {
+            // just return txid 
+            return resp.txid;
+          }
+          else {
+            // some error; report what was and was not sent
+            return resp;
+          }
+        });
+    });
+}
+
+
+/*
+ * Announce a message to subscribed peers by means of an Atlas zone file
+ * @messageHash (string) the hash of the already-sent message
+ * @senderKey (string) the key that owns the name that the peers have subscribed to
+ */
+function announce(network: Object, args: Array<string>, opts: CommandOptions) {
+  const messageHash = args[0];
+  const senderKey = decodeTransactionKey(args[1], opts);
+
+  const senderAddress = getPrivateKeyAddress(network, senderKey);
+
+  const txPromise = makeTransaction(network, opts, [senderKey],
+    (buildIncomplete) => blockstack.transactions.makeAnnounce(
+      messageHash, senderKey, buildIncomplete));
+
+  const senderUTXOsPromise = network.getUTXOs(senderAddress);
+
+  const estimatePromise = senderUTXOsPromise.then((utxos) => {
+    const numUTXOs = utxos.length;
+    return blockstack.transactions.estimateAnnounce(messageHash, numUTXOs)
+  });
+
+  if (opts.estimateOnly) {
+    return estimatePromise;
+  }
+  
+  if (!opts.safetyChecks) {
+    if (opts.txOnly) {
+      return txPromise;
+    }
+    else {
+      return txPromise
+        .then((tx) => {
+          return network.broadcastTransaction(tx);
+        });
+    }
+  }
+
+  const senderBalancePromise = senderUTXOsPromise.then((utxos) => {
+    return sumUTXOs(utxos);
+  });
+
+  const safetyChecksPromise = Promise.all(
+     [senderBalancePromise, estimatePromise])
+    .then(([senderBalance, estimate]) => {
+      if (senderBalance >= estimate) {
+        return {'status': true};
+      }
+      else {
+        return {
+          'status': false,
+          'error': 'Announcement cannot be safely sent',
+          'senderBalanceBTC': senderBalance,
+          'estimateCostBTC': estimate
+        };
+      }
+  });
+
+  return safetyChecksPromise
+    .then((safetyChecksResult) => {
+      if (!safetyChecksResult.status) {
+        throw new SafetyError(safetyChecksResult);
+      }
+
+      if (opts.txOnly) {
+        return txPromise;
+      }
+
+      return txPromise.then((tx) => {
+        return network.broadcastTransaction(tx);
+      })
+      .then((txidHex) => {
+        return txidHex;
+      });
+    });
+}
+
+
+/*
+ * Check, make, and send the preorder and register transactions of a name,
+ * and keep track of the preorder until the name is registered.  With
+ * txOnly, the transactions are only made.
+ * Resolves to the broadcaster's result, or to {preorder, register, zonefile}.
+ * @name (string) the name to register
+ * @address (string) the address to own the name
+ * @paymentKey (string) the payment private key
+ * @zonefile (string) the zone file to give the name
+ */
+function sendNameRegistration(network: Object, name: string, address: string,
+                              paymentKey: string, zonefile: string,
+                              opts: CommandOptions) : Promise<*> {
+  let preorderTx = "";
+  let registerTx = "";
+
+  if (opts.psbt) {
+    // the register spends the preorder's change, whose txid is not known until it is signed
+    return Promise.reject(new ValidationError(
+      'Cannot make PSBTs of a preorder and register together; use "tx_preorder" and then ' +
+      '"tx_register" once the preorder is sent'));
+  }
+
+  // carry out safety checks for preorder and register
+  const txOpts = Object.assign({}, opts, { txOnly: true, estimateOnly: false });
+  const preorderSafetyCheckPromise = txPreorder(
+    network, [name, `ID-${address}`, paymentKey], txOpts)
+    .catch(safetyChecksOrThrow);
+
+  const registerSafetyCheckPromise = txRegister(
+    network, [name, `ID-${address}`, paymentKey, zonefile], txOpts)
+    .catch(safetyChecksOrThrow);
+
+  return Promise.all([preorderSafetyCheckPromise, registerSafetyCheckPromise])
+    .then(([preorderSafetyChecks, registerSafetyChecks]) => {
+      if ((preorderSafetyChecks.hasOwnProperty('status') && !preorderSafetyChecks.status) || 
+          (registerSafetyChecks.hasOwnProperty('status') && !registerSafetyChecks.status)) {
+        // one or both safety checks failed 
+        throw new SafetyError({
+          'status': false,
+          'error': 'Failed to generate one or more transactions',
+          'preorderSafetyChecks': preorderSafetyChecks,
+          'registerSafetyChecks': registerSafetyChecks,
+        });
+      }
+
+      // will have only gotten back the raw tx (which we'll discard anyway,
+      // since we have to use the right UTXOs)
+      return blockstack.transactions.makePreorder(name, address, paymentKey);
+    })
+    .then((rawTx) => {
+      preorderTx = rawTx;
+      return rawTx;
+    })
+    .then((rawTx) => {
+      // make it so that when we generate the NAME_REGISTRATION operation,
+      // we consume the change output from the NAME_PREORDER.
+      network.modifyUTXOSetFrom(rawTx);
+      return rawTx;
+    })
+    .then(() => {
+      // now we can make the NAME_REGISTRATION 
+      return blockstack.transactions.makeRegister(name, address, paymentKey, zonefile);
+    })
+    .then((rawTx) => {
+      registerTx = rawTx;
+      return rawTx;
+    })
+    .then((rawTx) => {
+      // make sure we don't double-spend the NAME_REGISTRATION before it is broadcasted
+      network.modifyUTXOSetFrom(rawTx);
+    })
+    .then(() => {
+      if (opts.txOnly) {
+        return Promise.resolve().then(() => { 
+          const txData = {
+            preorder: preorderTx,
+            register: registerTx,
+            zonefile: zonefile,
+          };
+          return txData;   
+        });
+      }
+      else {
+        return network.broadcastNameRegistration(preorderTx, registerTx, zonefile)
+          .then((txResult) => trackPreorder(network, {
+            name,
+            ownerAddress: address,
+            paymentAddress: getPrivateKeyAddress(network, paymentKey),
+            preorderTx,
+            registerTx,
+            zonefile
+          })
+            .then(() => txResult));
+      }
+    });
+}
+
+/*
+ * Register a name the easy way.  Send the preorder
+ * and register transactions to the broadcaster, as 
+ * well as the zone file.  Also create and replicate
+ * the profile to the Gaia hub.
+ * @arg name (string) the name to register
+ * @arg ownerKey (string) the hex-encoded owner private key (must be singlesig)
+ * @arg paymentKey (string) the hex-encoded payment key to purchase this name
+ * @arg gaiaHubUrl (string) the write endpoint of the gaia hub URL to use
+ * @arg zonefile (string) OPTIONAL the path to the zone file to give this name.
+ *  supercedes gaiaHubUrl
+ */
+function register(network: Object, args: Array<string>, opts: CommandOptions) {
+  const name = args[0];
+  const ownerKey = decodePrivateKey(args[1]);
+  const paymentKey = decodePrivateKey(args[2]);
+  const gaiaHubUrl = args[3];
+
+  const address = getPrivateKeyAddress(network, ownerKey);
+  const emptyProfile = {type: '@Person', account: []};
+
+  let zonefilePromise = null;
+
+  if (args.length > 4) {
+    const zonefilePath = args[4];
+    zonefilePromise = Promise.resolve().then(() => fs.readFileSync(zonefilePath).toString());
+  }
+  else {
+    // generate one
+    zonefilePromise = makeZoneFileFromGaiaUrl(network, name, gaiaHubUrl, ownerKey);
+  }
+
+  let broadcastResult = null;
+
+  return zonefilePromise
+  .then((zonefile) => sendNameRegistration(network, name, address, paymentKey, zonefile, opts))
+  .then((txResult) => {
+    // sign and upload profile
+    broadcastResult = txResult;
+    const signedProfileData = makeProfileJWT(emptyProfile, ownerKey);
+    return gaiaUploadProfileAll(
+      network, [gaiaHubUrl], signedProfileData, ownerKey);
+  })
+  .then((gaiaUrls) => {
+    if (gaiaUrls.error) {
+      // transactions are already sent, so report the upload failure
+      // alongside them instead of throwing
+      return {
+        'profileUrls': gaiaUrls,
+        'txInfo': broadcastResult
+      };
+    }
+    return {
+      'profileUrls': gaiaUrls.dataUrls, 
+      'txInfo': broadcastResult
+    };
+  });
+}
+
+/*
+ * Register a name the easy way to an ID-address.  Send the preorder
+ * and register transactions to the broadcaster, as 
+ * well as the zone file.
+ * @arg name (string) the name to register
+ * @arg ownerAddress (string) the ID-address of the owner
+ * @arg paymentKey (string) the hex-encoded payment key to purchase this name
+ * @arg gaiaHubUrl (string) the gaia hub URL to use
+ * @arg zonefile (string) OPTIONAL the path to the zone file to give this name.
+ *  supercedes gaiaHubUrl
+ */
+function registerAddr(network: Object, args: Array<string>, opts: CommandOptions) {
+  const name = args[0];
+  const IDaddress = args[1];
+  const paymentKey = decodePrivateKey(args[2]);
+  const gaiaHubUrl = args[3];
+
+  const address = IDaddress.slice(3);
+  const mainnetAddress = network.coerceMainnetAddress(address)
+
+  let zonefile = "";
+  if (args.length > 4) {
+    const zonefilePath = args[4];
+    zonefile = fs.readFileSync(zonefilePath).toString();
+  }
+  else {
+    // generate one 
+    const profileUrl = `${gaiaHubUrl.replace(/\/+$/g, '')}/${mainnetAddress}/profile.json`;
+    try {
+      checkUrl(profileUrl);
+    }
+    catch(e) {
+      return Promise.resolve().then(() => {
+        throw new SafetyError({
+          'status': false,
+          'error': e.message,
+          'hints': [
+            'Make sure the Gaia hub URL does not have any trailing /\'s',
+            'Make sure the Gaia hub URL scheme is present and well-formed',
+          ],
+        });
+      });
+    }
+
+    zonefile = blockstack.makeProfileZoneFile(name, profileUrl);
+  }
+
+  return sendNameRegistration(network, name, address, paymentKey, zonefile, opts)
+    .then((txResult) => {
+      // succcess! 
+      return {
+        'txInfo': txResult
+      };
+    });
+}
+
+
+/*
+ * Register a subdomain name the easy way.  Send the
+ * zone file and signed subdomain records to the subdomain registrar.
+ * @arg name (string) the name to register
+ * @arg ownerKey (string) the hex-encoded owner private key (must be single-sig)
+ * @arg gaiaHubUrl (string) the write endpoint of the gaia hub URL to use
+ * @arg registrarUrl (string) OPTIONAL the registrar URL
+ * @arg zonefile (string) OPTIONAL the path to the zone file to give this name.
+ *  supercedes gaiaHubUrl
+ */
+function registerSubdomain(network: Object, args: Array<string>, opts: CommandOptions) {
+  const name = args[0];
+  const ownerKey = decodePrivateKey(args[1]);
+  const gaiaHubUrl = args[2];
+  const registrarUrl = args[3];
+
+  const address = getPrivateKeyAddress(network, ownerKey);
+  const mainnetAddress = network.coerceMainnetAddress(address)
+  const emptyProfile = {type: '@Person', account: []};
+  const onChainName = name.split('.').slice(-2).join('.');
+  const subName = name.split('.')[0];
+
+  let zonefilePromise = null;
+
+  // TODO: fix this once the subdomain registrar will tell us the on-chain name
+  logger.warn(`WARNING: not yet able to verify that ${registrarUrl} is the registrar ` +
+              `for ${onChainName}; assuming that it is...`);
+
+  if (args.length > 4) {
+    const zonefilePath = args[4];
+    zonefilePromise = Promise.resolve().then(() => fs.readFileSync(zonefilePath).toString());
+  }
+  else {
+    // generate one 
+    zonefilePromise = makeZoneFileFromGaiaUrl(network, name, gaiaHubUrl, ownerKey);
+  }
+
+  let api_key = opts.apiKey;
+
+  const onChainNamePromise = getNameInfoEasy(network, onChainName);
+  const registrarStatusPromise = fetch(`${registrarUrl}/index`)
+    .then((resp) => resp.json());
+
+  const profileUploadPromise = Promise.resolve().then(() => {
+      // sign and upload profile
+      const signedProfileData = makeProfileJWT(emptyProfile, ownerKey);
+      return gaiaUploadProfileAll(
+        network, [gaiaHubUrl], signedProfileData, ownerKey);
+    })
+    .then((gaiaUrls) => {
+      if (gaiaUrls.error) {
+        return { profileUrls: null, error: gaiaUrls.error };
+      }
+      else {
+        return { profileUrls: gaiaUrls.dataUrls };
+      }
+    });
+
+  let safetyChecksPromise = null;
+  if (opts.safetyChecks) {
+    safetyChecksPromise = Promise.all([
+        onChainNamePromise,
+        blockstack.safety.isNameAvailable(name),
+        registrarStatusPromise
+      ])
+      .then(([onChainNameInfo, isNameAvailable, registrarStatus]) => {
+        if (opts.safetyChecks) {
+          const registrarName =
+            (!!registrarStatus && registrarStatus.hasOwnProperty('domainName')) ?
+            registrarStatus.domainName :
+            '<unknown>';
+
+          if (!onChainNameInfo || !isNameAvailable || 
+              (registrarName !== '<unknown>' && registrarName !== onChainName)) {
+            return {
+              'status': false,
+              'error': 'Subdomain cannot be safely registered',
+              'onChainNameInfo': onChainNameInfo,
+              'isNameAvailable': isNameAvailable,
+              'onChainName': onChainName,
+              'registrarName': registrarName
+            };
+          }
+        }
+        return { 'status': true }
+      });
+  }
+  else {
+    safetyChecksPromise = Promise.resolve().then(() => {
+      return {
+        'status': true
+      };
+    });
+  }
+
+  return Promise.all([safetyChecksPromise, zonefilePromise])
+  .then(([safetyChecks, zonefile]) => {
+    if (safetyChecks.status) {
+      const request = {
+        'zonefile': zonefile,
+        'name': subName,
+        'owner_address': mainnetAddress
+      };
+
+      let options = {
+        method: 'POST',
+        headers: {
+          'Content-type': 'application/json',
+          'Authorization': ''
+        },
+        body: JSON.stringify(request)
+      };
+
+      if (!!api_key) {
+        options.headers.Authorization = `bearer ${api_key}`;
+      }
+
+      const registerPromise = fetch(`${registrarUrl}/register`, options)
+        .then(resp => resp.json())
+
+      return Promise.all([registerPromise, profileUploadPromise])
+        .then(([registerInfo, profileUploadInfo]) => {
+          if (!profileUploadInfo.error) {
+            return {
+              'txInfo': registerInfo,
+              'profileUrls': profileUploadInfo.profileUrls,
+            };
+          }
+          else {
+            throw new Error(profileUploadInfo.error);
+          }
+        });
+    }
+    else {
+      throw new SafetyError(safetyChecks);
+    }
+  });
+}
+
+/*
+ * Sign a profile.
+ * @path (string) path to the profile
+ * @privateKey (string) the owner key (must be single-sig)
+ */
+function profileSign(network: Object, args: Array<string>) {
+  const profilePath = args[0];
+  const privateKey = decodePrivateKey(args[1]);
+  const profileData = JSON.parse(fs.readFileSync(profilePath).toString());
+  return Promise.resolve().then(() => makeProfileJWT(profileData, privateKey));
+}
+
+/*
+ * Verify a profile with an address or public key
+ * @path (string) path to the profile
+ * @publicKeyOrAddress (string) public key or address
+ */
+function profileVerify(network: Object, args: Array<string>) {
+  const profilePath = args[0];
+  let publicKeyOrAddress = args[1];
+
+  // need to coerce mainnet 
+  if (publicKeyOrAddress.match(ID_ADDRESS_PATTERN)) {
+    publicKeyOrAddress = network.coerceMainnetAddress(publicKeyOrAddress.slice(3));
+  }
+  
+  const profileString = fs.readFileSync(profilePath).toString();
+  
+  return Promise.resolve().then(() => {
+    let profileToken = null;
+    
+    try {
+      const profileTokens = JSON.parse(profileString);
+      profileToken = profileTokens[0].token;
+    }
+    catch (e) {
+      // might be a raw token 
+      profileToken = profileString;
+    }
+
+    if (!profileToken) {
+      throw new ValidationError(`Data at ${profilePath} does not appear to be a signed profile`);
+    }
+   
+    return blockstack.extractProfile(profileToken, publicKeyOrAddress);
+  });
+}
+
+
+/*
+ * Store a signed profile for a name or an address.
+ * * verify that the profile was signed by the name's owner address
+ * * verify that the private key matches the name's owner address
+ *
+ * Assumes that the URI records are all Gaia hubs
+ *
+ * @nameOrAddress (string) name or address that owns the profile
+ * @path (string) path to the signed profile token
+ * @privateKey (string) owner private key for the name
+ * @gaiaUrl (string) this is the write endpoint of the Gaia hub to use
+ */
+function profileStore(network: Object, args: Array<string>, opts: CommandOptions) {
+  let nameOrAddress = args[0];
+  const signedProfilePath = args[1];
+  const privateKey = decodePrivateKey(args[2]);
+  const gaiaHubUrl = args[3];
+
+  const signedProfileData = fs.readFileSync(signedProfilePath).toString();
+
+  const ownerAddress = getPrivateKeyAddress(network, privateKey);
+  let ownerAddressMainnet = network.coerceMainnetAddress(ownerAddress);
+
+  let nameInfoPromise = null;
+  let name;
+
+  if (nameOrAddress.startsWith('ID-')) {
+    // ID-address
+    nameInfoPromise = Promise.resolve().then(() => {
+      return {
+        'address': nameOrAddress.slice(3)
+      }
+    });
+  }
+  else {
+    // name; find the address 
+    nameInfoPromise = getNameInfoEasy(network, nameOrAddress);
+    name = nameOrAddress;
+  }
+  
+  const verifyProfilePromise = profileVerify(network, 
+    [signedProfilePath, `ID-${ownerAddressMainnet}`]);
+   
+  return Promise.all([nameInfoPromise, verifyProfilePromise])
+    .then(([nameInfo]) => {
+      if (opts.safetyChecks && (!nameInfo ||
+          network.coerceAddress(nameInfo.address) !== network.coerceAddress(ownerAddress))) {
+        throw new Error(`Name owner address either could not be found, or does not match ` +
+          `private key address ${ownerAddress}`);
+      }
+      return gaiaUploadProfileAll(
+        network, [gaiaHubUrl], signedProfileData, privateKey, name);
+    })
+    .then((gaiaUrls) => {
+      if (gaiaUrls.error) {
+        throw new Error(gaiaUrls.error);
+      }
+      else {
+        return {'profileUrls': gaiaUrls.dataUrls};
+      }
+    });
+}
+
+/*
+ * Push a zonefile to the Atlas network
+ * @zonefileDataOrPath (string) the zonefile data to push, or the path to the data
+ */
+function zonefilePush(network: Object, args: Array<string>) {
+  const zonefileDataOrPath = args[0];
+  let zonefileData = null;
+
+  try {
+    zonefileData = fs.readFileSync(zonefileDataOrPath).toString();
+  } catch(e) {
+    zonefileData = zonefileDataOrPath;
+  }
+
+  return network.broadcastZoneFile(zonefileData);
+}
+
+/*
+ * Get the app private key(s) from a backup phrase and an ID-address
+ * args:
+ * @mnemonic (string) the 12-word phrase
+ * @nameOrIDAddress (string) the name or ID-address
+ * @appOrigin (string) the application's origin URL
+ */
+function getAppKeys(network: Object, args: Array<string>) {
+  const mnemonicPromise = getBackupPhrase(args[0]);
+  const nameOrIDAddress = args[1];
+  const origin = args[2];
+  let idAddress
+  return getIDAddress(network, nameOrIDAddress).then((idAddr) => {
+      idAddress = idAddr;
+      return mnemonicPromise;
+    })
+    .then((mnemonic) => getApplicationKeyInfo(network, mnemonic, idAddress, origin));
+}
+
+/*
+ * Get the owner private key(s) from a backup phrase
+ * args:
+ * @mnemonic (string) the 12-word phrase
+ * @max_index (integer) (optional) the profile index maximum
+ */
+function getOwnerKeys(network: Object, args: Array<string>) {
+  const mnemonicPromise = getBackupPhrase(args[0]);
+  let maxIndex = 1;
+  if (args.length > 1) {
+    maxIndex = parseInt(args[1]);
+  }
+
+  return mnemonicPromise.then((mnemonic) => {
+    let keyInfo = [];
+    for (let i = 0; i < maxIndex; i++) {
+      keyInfo.push(getOwnerKeyInfo(network, mnemonic, i));
+    }
+ 
+    return keyInfo;
+  });
+}
+
+/*
+ * Get the payment private key from a backup phrase 
+ * args:
+ * @mnemonic (string) the 12-word phrase
+ */
+function getPaymentKey(network: Object, args: Array<string>) {
+  const mnemonicPromise = getBackupPhrase(args[0]);
+  
+  return mnemonicPromise.then((mnemonic) => {
+    // keep the return value consistent with getOwnerKeys 
+    const keyObj = getPaymentKeyInfo(network, mnemonic);
+    const keyInfo = [];
+    keyInfo.push(keyObj);
+    return keyInfo;
+  });
+}
+
+/*
+ * Make a private key and output it 
+ * args:
+ * @mnemonic (string) OPTIONAL; the 12-word phrase
+ */
+function makeKeychain(network: Object, args: Array<string>) {
+  const mnemonicPromise = (args[0] ? getBackupPhrase(args[0]) : 
+    Promise.resolve().then(() => bip39.generateMnemonic(STRENGTH, crypto.randomBytes)));
+
+  return mnemonicPromise.then((mnemonic) => {
+    const ownerKeyInfo = getOwnerKeyInfo(network, mnemonic, 0);
+    const paymentKeyInfo = getPaymentKeyInfo(network, mnemonic);
+    return {
+      'mnemonic': mnemonic,
+      'ownerKeyInfo': ownerKeyInfo,
+      'paymentKeyInfo': paymentKeyInfo
+    };
+  });
+}
+
+/*
+ * Get an address's tokens and their balances.
+ * Takes either a Bitcoin or Stacks address
+ * args:
+ * @address (string) the address
+ */
+function balance(network: Object, args: Array<string>, opts: CommandOptions) {
+  let address = args[0];
+  if (address.match(STACKS_ADDRESS_PATTERN)) {
+    address = c32check.c32ToB58(address);
+  }
+
+  if (opts.blockstackTest) {
+    // force testnet address if we're in regtest or testnet mode
+    address = network.coerceAddress(address);
+  }
+
+  return Promise.resolve().then(() => {
+    return network.getAccountTokens(address);
+  })
+  .then((tokenList) => {
+    let tokenAndBTC = tokenList.tokens;
+    if (!tokenAndBTC) {
+      tokenAndBTC = [];
+    }
+
+    tokenAndBTC.push('BTC');
+
+    return Promise.all(tokenAndBTC.map((tokenType) => {
+      if (tokenType === 'BTC') {
+        return Promise.resolve().then(() => {
+          return network.getUTXOs(address);
+        })
+        .then((utxoList) => {
+          return {
+            'token': 'BTC',
+            'amount': `${sumUTXOs(utxoList)}`
+          };
+        });
+      }
+      else {
+        return Promise.resolve().then(() => {
+          return network.getAccountBalance(address, tokenType)
+        })
+        .then((tokenBalance) => {
+          return {
+            'token': tokenType,
+            'amount': tokenBalance.toString()
+          };
+        });
+      }
+    }));
+  })
+  .then((tokenBalances) => {
+    let ret = {};
+    for (let tokenInfo of tokenBalances) {
+      ret[tokenInfo.token] = tokenInfo.amount;
+    }
+    return ret;
+  });
+}
+
+/*
+ * Get a page of the account's history
+ * args:
+ * @address (string) the account address
+ * @page (int) the page of the history to fetch (optional)
+ */
+function getAccountHistory(network: Object, args: Array<string>) {
+  const address = c32check.c32ToB58(args[0]);
+
+  if (args.length >= 2) {
+    const page = parseInt(args[1]);
+    return Promise.resolve().then(() => {
+      return network.getAccountHistoryPage(address, page);
+    });
+  }
+  else {
+    // all pages 
+    let history = {};
+    
+    function getAllHistoryPages(page: number) {
+      return network.getAccountHistoryPage(address, page)
+        .then((results) => {
+          if (Object.keys(results).length == 0) {
+            return history;
+          }
+          else {
+            history = Object.assign(history, results);
+            return getAllHistoryPages(page + 1);
+          }
+        })
+    }
+
+    return getAllHistoryPages(0);
+  }
+}
+
+/*
+ * Get the account's state(s) at a particular block height
+ * args:
+ * @address (string) the account address
+ * @blockHeight (int) the height at which to query
+ */
+function getAccountAt(network: Object, args: Array<string>) {
+  const address = c32check.c32ToB58(args[0]);
+  const blockHeight = parseInt(args[1]);
+
+  return Promise.resolve().then(() => {
+    return network.getAccountAt(address, blockHeight);
+  });
+}
+
+/*
+ * Sends BTC from one private key to another address
+ * args:
+ * @recipientAddress (string) the recipient's address
+ * @amount (string) the amount of BTC to send
+ * @privateKey (string) the private key that owns the BTC
+ */
+function sendBTC(network: Object, args: Array<string>, opts: CommandOptions) {
+  const destinationAddress = args[0]
+  const amount = parseInt(args[1])
+  const paymentKeyHex = decodeTransactionKey(args[2], opts);
+
+  if (amount <= 5500) {
+    throw new ValidationError("Invalid amount (must be greater than 5500)")
+  }
+
+  let paymentKey;
+  if (typeof paymentKeyHex === 'string') {
+    // single-sig
+    paymentKey = blockstack.PubkeyHashSigner.fromHexString(paymentKeyHex);
+  }
+  else {
+    // multi-sig or segwit 
+    paymentKey = paymentKeyHex;
+  }
+
+  const txPromise = makeTransaction(network, opts, [paymentKeyHex],
+    (buildIncomplete) => blockstack.transactions.makeBitcoinSpend(
+      destinationAddress, paymentKey, amount, buildIncomplete))
+    .catch((e) => {
+      if (e.name === 'InvalidAmountError') {
+        throw new InsufficientFundsError(e.message);
+      }
+      else {
+        throw e;
+      }
+    });
+
+  if (opts.txOnly) {
+    return txPromise;
+  }
+  else {
+    return txPromise.then((tx) => {
+      return network.broadcastTransaction(tx);
+    })
+    .then((txid) => {
+      return txid;
+    });
+  }
+}
+
+
+/*
+ * Send tokens from one account private key to another account's address.
+ * args:
+ * @recipientAddress (string) the recipient's account address
+ * @tokenType (string) the type of tokens to send
+ * @tokenAmount (int) the number of tokens to send
+ * @privateKey (string) the hex-encoded private key to use to send the tokens
+ * @memo (string) OPTIONAL: a 34-byte memo to include
+ */
+function sendTokens(network: Object, args: Array<string>, opts: CommandOptions) {
+  const recipientAddress = c32check.c32ToB58(args[0]);
+  const tokenType = args[1];
+  const tokenAmount = bigi.fromByteArrayUnsigned(args[2]);
+  const privateKey = decodeTransactionKey(args[3], opts);
+  let memo = "";
+
+  if (args.length > 4) {
+    memo = args[4];
+  }
+
+  const senderAddress = getPrivateKeyAddress(network, privateKey);
+  const senderUTXOsPromise = network.getUTXOs(senderAddress);
+
+  const txPromise = makeTransaction(network, opts, [privateKey],
+    (buildIncomplete) => blockstack.transactions.makeTokenTransfer(
+      recipientAddress, tokenType, tokenAmount, memo, privateKey, undefined, buildIncomplete));
+
+  const estimatePromise = senderUTXOsPromise.then((utxos) => {
+    const numUTXOs = utxos.length;
+    return blockstack.transactions.estimateTokenTransfer(
+      recipientAddress, tokenType, tokenAmount, memo, numUTXOs);
+  });
+
+  if (opts.estimateOnly) {
+    return estimatePromise;
+  }
+
+  if (!opts.safetyChecks) {
+    if (opts.txOnly) {
+      return txPromise;
+    }
+    else {
+      return txPromise.then((tx) => {
+        return network.broadcastTransaction(tx);
+      });
+    }
+  }
+
+  const btcBalancePromise = senderUTXOsPromise.then((utxos) => {
+    return sumUTXOs(utxos);
+  });
+
+  const accountStatePromise = network.getAccountStatus(senderAddress, tokenType);
+  const tokenBalancePromise = network.getAccountBalance(senderAddress, tokenType);
+  const blockHeightPromise = network.getBlockHeight()
+
+  const safetyChecksPromise = Promise.all(
+    [tokenBalancePromise, estimatePromise, btcBalancePromise,
+      accountStatePromise, blockHeightPromise])
+    .then(([tokenBalance, estimate, btcBalance, 
+      accountState, blockHeight]) => {
+      if (btcBalance >= estimate && tokenBalance.compareTo(tokenAmount) >= 0 &&
+          accountState.lock_transfer_block_id <= blockHeight) {
+        return {'status': true};
+      }
+      else {
+        return {
+          'status': false,
+          'error': 'TokenTransfer cannot be safely sent',
+          'lockTransferBlockHeight': accountState.lock_transfer_block_id,
+          'senderBalanceBTC': btcBalance,
+          'estimateCostBTC': estimate,
+          'tokenBalance': tokenBalance.toString(),
+          'blockHeight': blockHeight,
+        };
+      }
+  });
+
+  return safetyChecksPromise
+    .then((safetyChecksResult) => {
+      if (!safetyChecksResult.status) {
+        throw new SafetyError(safetyChecksResult);
+      }
+      
+      if (opts.txOnly) {
+        return txPromise;
+      }
+
+      return txPromise.then((tx) => {
+        return network.broadcastTransaction(tx);
+      })
+      .then((txidHex) => {
+        return txidHex;
+      });
+    });
+}
+
+/*
+ * Read a PSBT given as base64 or hex, or as the path to a file with it
+ * (as base64, hex, or binary).
+ * @psbtOrPath (string) the PSBT or the path
+ */
+function readPSBT(psbtOrPath: string) : PSBT {
+  if (!fs.existsSync(psbtOrPath)) {
+    return PSBT.decode(psbtOrPath);
+  }
+  const data = fs.readFileSync(psbtOrPath);
+  if (data.slice(0, 5).toString('hex') === '70736274ff') {
+    return PSBT.decode(data.toString('hex'));
+  }
+  return PSBT.decode(data.toString());
+}
+
+/*
+ * Add signatures to a PSBT (made with -S).  This needs no network access,
+ * so it can be done on an air-gapped machine.
+ * args:
+ * @psbt (string) the PSBT, or the path to it
+ * @privateKey (string) the private key, or a bundle of them, to sign with
+ * @sighashTypes (string) OPTIONAL: the sighash types besides ALL to sign with,
+ *   separated by commas
+ */
+function psbtSign(network: Object, args: Array<string>) {
+  const psbt = readPSBT(args[0]);
+  const key = decodePrivateKey(args[1]);
+  let privateKeys;
+  if (typeof key === 'string') {
+    privateKeys = [key];
+  }
+  else if (key.privateKeys) {
+    // multi-sig or segwit
+    privateKeys = key.privateKeys;
+  }
+  else {
+    throw new ValidationError('Only private keys can sign PSBTs');
+  }
+
+  const allowedSighashTypes = args.length > 2 && !!args[2] ?
+    parseSighashTypes(args[2]) : [SIGHASH_TYPES.ALL];
+  const added = signPSBT(psbt, privateKeys, allowedSighashTypes);
+  if (added === 0) {
+    throw new ValidationError('The PSBT has no inputs left for these keys to sign');
+  }
+  return Promise.resolve(psbt.toBase64());
+}
+
+/*
+ * Combine two copies of a PSBT that were signed by different keys.
+ * args:
+ * @psbt (string) the PSBT, or the path to it
+ * @otherPSBT (string) the other PSBT, or the path to it
+ */
+function psbtCombine(network: Object, args: Array<string>) {
+  const psbt = readPSBT(args[0]);
+  psbt.combine(readPSBT(args[1]));
+  return Promise.resolve(psbt.toBase64());
+}
+
+/*
+ * Tell the network what a PSBT's inputs are worth, so that the fee of its
+ * transaction can be checked when it is sent.
+ */
+function setSpentOutputValues(network: Object, psbt: PSBT) : void {
+  psbt.tx.ins.forEach((input, index) => {
+    const spentOutput = psbt.getSpentOutput(index);
+    network.setOutputValue(
+      Buffer.from(input.hash).reverse().toString('hex'), input.index, spentOutput.value);
+  });
+}
+
+/*
+ * Turn a fully-signed PSBT into a transaction, and send it (or with -x,
+ * print it).
+ * args:
+ * @psbt (string) the PSBT, or the path to it
+ */
+function psbtFinalizeBroadcast(network: Object, args: Array<string>, opts: CommandOptions) {
+  const psbt = readPSBT(args[0]);
+  psbt.finalize();
+  const tx = psbt.extractTransaction();
+  setSpentOutputValues(network, psbt);
+
+  if (opts.txOnly) {
+    return Promise.resolve(tx.toHex());
+  }
+  return network.broadcastTransaction(tx.toHex());
+}
+
+/*
+ * Check and sign an unsigned bundle (made with -b), offline.  The bundle's
+ * command is run again against what it read from the network when it was
+ * made, with its safety checks; the bundle is only signed if that makes the
+ * same transaction.  The bundle is refused if it was made with a burn address,
+ * price, or fee caps that this machine was not given.  It is signed with each
+ * of the backup phrase's keys that can.  Resolves to the signed bundle.
+ * args:
+ * @bundlePath (string) the bundle file
+ * @mnemonic (string) the 12-word phrase, or its ciphertext
+ */
+function signBundle(network: Object, args: Array<string>, opts: CommandOptions) {
+  const bundle = readBundle(args[0]);
+  const psbt = PSBT.decode(bundle.psbt);
+  let mnemonic;
+  return getBackupPhrase(args[1])
+    .then((phrase) => {
+      mnemonic = phrase;
+      return replayBundle(bundle, network, (replayNetwork, bundleArgs) => COMMANDS[bundle.command](
+        replayNetwork, bundleArgs, Object.assign({}, opts, {
+          txOnly: true, psbt: true, signedTx: null, estimateOnly: false, safetyChecks: true
+        })));
+    })
+    .then((remadePSBT) => {
+      if (!psbt.isSignedCopyOf(PSBT.decode(remadePSBT))) {
+        throw new ValidationError(`The bundle's transaction is not the one that ` +
+                                  `"${bundle.command}" makes from the bundle's network reads`);
+      }
+
+      const privateKeys = [getPaymentKeyInfo(network, mnemonic).privateKey];
+      for (let i = 0; i < BUNDLE_OWNER_KEY_INDEXES; i++) {
+        privateKeys.push(getOwnerKeyInfo(network, mnemonic, i).privateKey);
+      }
+      if (signPSBT(psbt, privateKeys) === 0) {
+        throw new ValidationError('The bundle has no inputs left for this backup phrase\'s ' +
+                                  'keys to sign');
+      }
+      return Object.assign({}, bundle, { psbt: psbt.toBase64() });
+    });
+}
+
+/*
+ * Send a signed bundle (from sign_bundle), or with -x, print its transaction.
+ * The outputs it spends must still be unspent, its consensus hash must still
+ * be recent enough, and the bundle's command is run again to re-check its
+ * safety checks against the network as it is now.
+ * args:
+ * @bundlePath (string) the signed bundle file
+ */
+function broadcastBundle(network: Object, args: Array<string>, opts: CommandOptions) {
+  const bundle = readBundle(args[0]);
+  const psbt = PSBT.decode(bundle.psbt);
+  psbt.finalize();
+  const signedTx = psbt.extractTransaction().toHex();
+
+  return checkBundleFreshness(network, bundle, psbt)
+    .then(() => {
+      setSpentOutputValues(network, psbt);
+      return withBundleArgs(bundle, (bundleArgs) => COMMANDS[bundle.command](
+        network, bundleArgs, Object.assign({}, opts, {
+          psbt: false, signedTx, estimateOnly: false, safetyChecks: true
+        })));
+    });
+}
+
+/*
+ * Get the number of confirmations of a txid.
+ * args:
+ * @txid (string) the transaction ID as a hex string
+ */
+function getConfirmations(network: Object, args: Array<string>) {
+  const txid = args[0];
+  return Promise.all([network.getBlockHeight(), network.getTransactionInfo(txid)])
+    .then(([blockHeight, txInfo]) => {
+      return {
+        'blockHeight': txInfo.block_height,
+        'confirmations': blockHeight - txInfo.block_height + 1,
+      };
+    })
+    .catch((e) => {
+      if (e.message.toLowerCase() === 'unconfirmed transaction') {
+        return {
+          'blockHeight': 'unconfirmed',
+          'confirmations': 0,
+        };
+      }
+      else {
+        throw e;
+      }
+    });
+}
+
+/*
+ * Get the address of a private key 
+ * args:
+ * @private_key (string) the hex-encoded private key or key bundle
+ */
+function getKeyAddress(network: Object, args: Array<string>) {
+  const privateKey = decodePrivateKey(args[0]);
+  return Promise.resolve().then(() => {
+    const addr = getPrivateKeyAddress(network, privateKey);
+    return {
+      'BTC': addr,
+      'STACKS': c32check.b58ToC32(addr),
+    };
+  });
+}
+
+
+/*
+ * Get a file from Gaia.
+ * args:
+ * @username (string) the blockstack ID of the user who owns the data
+ * @origin (string) the application origin
+ * @path (string) the file to read
+ * @appPrivateKey (string) OPTIONAL: the app private key to decrypt/verify with
+ * @decrypt (string) OPTINOAL: if '1' or 'true', then decrypt
+ * @verify (string) OPTIONAL: if '1' or 'true', then search for and verify a signature file
+ *  along with the data
+ */
+function gaiaGetFile(network: Object, args: Array<string>) {
+  const username = args[0];
+  const origin = args[1];
+  const path = args[2];
+  let appPrivateKey = args[3];
+  let decrypt = false;
+  let verify = false;
+
+  if (!!appPrivateKey && args.length > 4) {
+    decrypt = (args[4].toLowerCase() === 'true' || args[4].toLowerCase() === '1');
+  }
+
+  if (!!appPrivateKey && args.length > 5) {
+    verify = (args[5].toLowerCase() === 'true' || args[5].toLowerCase() === '1');
+  }
+
+  if (!appPrivateKey) {
+    // make a fake private key (it won't be used)
+    appPrivateKey = 'fda1afa3ff9ef25579edb5833b825ac29fae82d03db3f607db048aae018fe882';
+  }
+
+  // force mainnet addresses 
+  blockstack.config.network.layer1 = bitcoin.networks.bitcoin;
+  return gaiaAuth(appPrivateKey, null)
+    .then(() => blockstack.getFile(path, {
+        decrypt: decrypt,
+        verify: verify,
+        app: origin,
+        username: username}))
+    .then((data) => {
+      if (data instanceof ArrayBuffer) {
+        return Buffer.from(data);
+      }
+      else {
+        return data;
+      }
+    })
+}
+
+/*
+ * Put a file into a Gaia hub
+ * args:
+ * @hubUrl (string) the URL to the write endpoint of the gaia hub
+ * @appPrivateKey (string) the private key used to authenticate to the gaia hub
+ * @dataPath (string) the path (on disk) to the data to store 
+ * @gaiaPath (string) the path (in Gaia) where the data will be stored
+ * @encrypt (string) OPTIONAL: if '1' or 'true', then encrypt the file
+ * @sign (string) OPTIONAL: if '1' or 'true', then sign the file and store the signature too.
+ */
+function gaiaPutFile(network: Object, args: Array<string>) {
+  const hubUrl = args[0];
+  const appPrivateKey = args[1];
+  const dataPath = args[2];
+  const gaiaPath = pathTools.normalize(args[3].replace(/^\/+/, ''));
+
+  let encrypt = false;
+  let sign = false;
+  
+  if (args.length > 4) {
+    encrypt = (args[4].toLowerCase() === 'true' || args[4].toLowerCase() === '1');
+  }
+  if (args.length > 5) {
+    sign = (args[5].toLowerCase() === 'true' || args[5].toLowerCase() === '1');
+  }
+  
+  const data = fs.readFileSync(dataPath);
+
+  // force mainnet addresses 
+  blockstack.config.network.layer1 = bitcoin.networks.bitcoin;
+  return gaiaAuth(appPrivateKey, hubUrl)
+    .then(() => {      
+      return blockstack.putFile(gaiaPath, data, { encrypt: encrypt, sign: sign });
+    })
+    .then((urls) => {
+      return {'urls': urls};
+    });
+}
+
+/*
+ * Go in a tail-recursion loop to apply a calback on a Gaia hub's files.
+ */
+function gaiaListFilesLoop(hubConfig: Object, page: string | null, 
+                           count: number, fileCount: number, callback: (name: string) => boolean) {
+  if (count > 65536) {
+    // this is ridiculously huge 
+    throw new ValidationError('Too many entries to list');
+  }
+
+  const pageRequest = JSON.stringify({ page: page });
+  return fetch(`${hubConfig.server}/list-files/${hubConfig.address}`,
+    {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Content-Length': `${pageRequest.length}`,
+        'Authorization': `bearer ${hubConfig.token}`,
+      },
+      body: pageRequest
+    })
+    .then((response) => response.text())
+    .then((responseText) => JSON.parse(responseText))
+    .then((responseJSON) => {
+      const entries = responseJSON.entries;
+      const nextPage = responseJSON.page;
+      if (entries === null || entries === undefined) {
+        throw new NetworkError('Malformed response: no entries');
+      }
+      for (let i = 0; i < entries.length; i++) {
+        callback(entries[i]);
+      }
+      if (nextPage && entries.length > 0) {
+        // keep going 
+        return gaiaListFilesLoop(hubConfig, nextPage, count+1,
+            fileCount + entries.length, callback);
+      }
+      else {
+        return Promise.resolve(fileCount + entries.length);
+      }
+    });
+}
+
+/*
+ * List files in a Gaia hub
+ * Returns the list of file names.
+ * args:
+ * @hubUrl (string) the URL to the write endpoint of the gaia hub
+ * @appPrivateKey (string) the private key used to authenticate to the gaia hub
+ */
+function gaiaListFiles(network: Object, args: Array<string>) {
+  const hubUrl = args[0];
+  const appPrivateKey = args[1];
+  const fileNames = [];
+
+  // force mainnet addresses 
+  blockstack.config.network.layer1 = bitcoin.networks.bitcoin;
+  return blockstack.connectToGaiaHub(hubUrl, canonicalPrivateKey(appPrivateKey))
+    .then((hubConfig) => {
+      return gaiaListFilesLoop(hubConfig, null, 0, 0, (name) => {
+        fileNames.push(name);
+        return true;
+      });
+    })
+    .then(() => fileNames);
+}
+
+
+/*
+ * Group array items into batches
+ */
+function batchify<T>(input: Array<T>, batchSize: number = 50): Array<Array<T>> {
+  const output = []
+  let currentBatch = []
+  for (let i = 0; i < input.length; i++) {
+    currentBatch.push(input[i])
+    if (currentBatch.length >= batchSize) {
+      output.push(currentBatch)
+      currentBatch = []
+    }
+  }
+  if (currentBatch.length > 0) {
+    output.push(currentBatch)
+  }
+  return output
+}
+
+/*
+ * Dump all files from a Gaia hub bucket to a directory on disk.
+ * args:
+ * @nameOrIDAddress (string) the name or ID address that owns the bucket to dump
+ * @appOrigin (string) the application for which to dump data
+ * @hubUrl (string) the URL to the write endpoint of the gaia hub
+ * @mnemonic (string) the 12-word phrase or ciphertext
+ * @dumpDir (string) the directory to hold the dumped files
+ */
+function gaiaDumpBucket(network: Object, args: Array<string>) {
+  const nameOrIDAddress = args[0];
+  const appOrigin = args[1];
+  const hubUrl = args[2];
+  const mnemonicOrCiphertext = args[3];
+  let dumpDir = args[4];
+
+  if (dumpDir.length === 0) {
+    throw new ValidationError('Invalid directory (not given)');
+  }
+  if (dumpDir[0] !== '/') {
+    // relative path.  make absolute 
+    const cwd = fs.realpathSync('.');
+    dumpDir = pathTools.normalize(`${cwd}/${dumpDir}`);
+  }
+
+  mkdirs(dumpDir);
+
+  function downloadFile(hubConfig: Object, fileName: string) : Promise<*> {
+    const gaiaReadUrl = `${hubConfig.url_prefix.replace(/\/+$/, '')}/${hubConfig.address}`;
+    const fileUrl = `${gaiaReadUrl}/${fileName}`;
+    const destPath = `${dumpDir}/${fileName.replace(/\//g, '\\x2f')}`;
+    
+    console.log(`Download ${fileUrl} to ${destPath}`);
+    return fetch(fileUrl)
+      .then((resp) => {
+        if (resp.status !== 200) {
+          throw new NetworkError(`Bad status code for ${fileUrl}: ${resp.status}`);
+        }
+        
+        // javascript can be incredibly stupid at fetching data despite being a Web language...
+        const contentType = resp.headers.get('Content-Type')
+        if (contentType === null
+            || contentType.startsWith('text')
+            || contentType === 'application/json') {
+          return resp.text()
+        } else {
+          return resp.arrayBuffer()
+        }
+      })
+      .then((filebytes) => {
+        return new Promise((resolve, reject) => {
+          try {
+            fs.writeFileSync(destPath, Buffer.from(filebytes), { encoding: null, mode: 0o660 });
+            resolve();
+          }
+          catch(e) {
+            reject(e);
+          }
+        });
+      });
+  }
+
+  // force mainnet addresses
+  blockstack.config.network.layer1 = bitcoin.networks.bitcoin;
+
+  const fileNames = [];
+  let gaiaHubConfig;
+  let appPrivateKey;
+  let ownerPrivateKey;
+
+  return getIDAppKeys(network, nameOrIDAddress, appOrigin, mnemonicOrCiphertext)
+    .then((keyInfo) => {
+      appPrivateKey = keyInfo.appPrivateKey;
+      ownerPrivateKey = keyInfo.ownerPrivateKey;
+      return gaiaConnect(network, hubUrl, appPrivateKey, ownerPrivateKey)
+    })
+    .then((hubConfig) => {
+      gaiaHubConfig = hubConfig;
+      return gaiaListFilesLoop(hubConfig, null, 0, 0, (name) => {
+        fileNames.push(name);
+        return true;
+      });
+    })
+    .then((fileCount) => {
+      console.log(`Download ${fileCount} files...`);
+      const fileBatches = batchify(fileNames);
+      let filePromiseChain = Promise.resolve();
+      for (let i = 0; i < fileBatches.length; i++) {
+        const filePromises = fileBatches[i].map((fileName) => downloadFile(gaiaHubConfig, fileName));
+        const batchPromise = Promise.all(filePromises);
+        filePromiseChain = filePromiseChain.then(() => batchPromise);
+      }
+
+      return filePromiseChain.then(() => fileCount);
+    });
+}
+
+/*
+ * Restore all of the files in a Gaia bucket dump to a new Gaia hub
+ * args:
+ * @nameOrIDAddress (string) the name or ID address that owns the bucket to dump
+ * @appOrigin (string) the origin of the app for which to restore data
+ * @hubUrl (string) the URL to the write endpoint of the new gaia hub
+ * @mnemonic (string) the 12-word phrase or ciphertext
+ * @dumpDir (string) the directory to hold the dumped files
+ */
+function gaiaRestoreBucket(network: Object, args: Array<string>) {
+  const nameOrIDAddress = args[0];
+  const appOrigin = args[1];
+  const hubUrl = args[2];
+  const mnemonicOrCiphertext = args[3];
+  let dumpDir = args[4];
+
+  if (dumpDir.length === 0) {
+    throw new ValidationError('Invalid directory (not given)');
+  }
+  if (dumpDir[0] !== '/') {
+    // relative path.  make absolute 
+    const cwd = fs.realpathSync('.');
+    dumpDir = pathTools.normalize(`${cwd}/${dumpDir}`);
+  }
+
+  const fileList = fs.readdirSync(dumpDir);
+  const fileBatches = batchify(fileList, 10);
+
+  let appPrivateKey;
+  let ownerPrivateKey;
+  
+  // force mainnet addresses 
+  blockstack.config.network.layer1 = bitcoin.networks.bitcoin;
+
+  return getIDAppKeys(network, nameOrIDAddress, appOrigin, mnemonicOrCiphertext)
+    .then((keyInfo) => {
+      appPrivateKey = keyInfo.appPrivateKey;
+      ownerPrivateKey = keyInfo.ownerPrivateKey;
+      return gaiaAuth(appPrivateKey, hubUrl, ownerPrivateKey);
+    })
+    .then(() => {
+      let uploadPromise = Promise.resolve();
+      for (let i = 0; i < fileBatches.length; i++) {
+        const uploadBatchPromises = fileBatches[i].map((fileName) => {
+          const filePath = pathTools.join(dumpDir, fileName);
+          const dataBuf = fs.readFileSync(filePath);
+          const gaiaPath = fileName.replace(/\\x2f/g, '/');
+          return blockstack.putFile(gaiaPath, dataBuf, { encrypt: false, sign: false })
+            .then(url => {
+              console.log(`Uploaded ${fileName} to ${url}`);
+            });
+        });
+        uploadPromise = uploadPromise.then(() => Promise.all(uploadBatchPromises));
+      }
+      return uploadPromise;
+    })
+    .then(() => fileList.length);
+}
+
+/*
+ * Set the Gaia hub for an application for a blockstack ID.
+ * args:
+ * @blockstackID (string) the blockstack ID of the user
+ * @profileHubUrl (string) the URL to the write endpoint of the user's profile gaia hub
+ * @appOrigin (string) the application's Origin
+ * @hubUrl (string) the URL to the write endpoint of the app's gaia hub
+ * @mnemonic (string) the 12-word backup phrase, or the ciphertext of it
+ */
+function gaiaSetHub(network: Object, args: Array<string>) {
+  network.setCoerceMainnetAddress(true);
+
+  const blockstackID = args[0];
+  const ownerHubUrl = args[1];
+  const appOrigin = args[2];
+  const hubUrl = args[3];
+  const mnemonicPromise = getBackupPhrase(args[4]);
+
+  const nameInfoPromise = getNameInfoEasy(network, blockstackID)
+    .then((nameInfo) => {
+      if (!nameInfo) {
+        throw new NotFoundError('Name not found');
+      }
+      return nameInfo;
+    });
+
+  const profilePromise = blockstack.lookupProfile(blockstackID);
+
+  let profile;
+  let ownerPrivateKey;
+  let appAddress;
+
+  return Promise.all([nameInfoPromise, profilePromise, mnemonicPromise])
+    .then(([nameInfo, nameProfile, mnemonic]) => {
+      if (!nameProfile) {
+        throw new NotFoundError("No profile found");
+      }
+      if (!nameInfo) {
+        throw new NotFoundError('Name not found');
+      }
+      if (!nameInfo.zonefile) {
+        throw new NotFoundError('No zone file found');
+      }
+
+      // get owner ID-address
+      const ownerAddress = network.coerceMainnetAddress(nameInfo.address);
+      const idAddress = `ID-${ownerAddress}`;
+      
+      // get owner and app key info 
+      const appKeyInfo = getApplicationKeyInfo(network, mnemonic, idAddress, appOrigin);
+      const ownerKeyInfo = getOwnerKeyInfo(network, mnemonic, appKeyInfo.ownerKeyIndex);
+     
+      let appPrivateKey = extractAppKey(appKeyInfo);
+      appPrivateKey = `${canonicalPrivateKey(appPrivateKey)}01`;
+      appAddress = network.coerceMainnetAddress(getPrivateKeyAddress(network, appPrivateKey));
+
+      profile = nameProfile;
+      ownerPrivateKey = ownerKeyInfo.privateKey;
+      
+      const ownerGaiaHubPromise = gaiaConnect(network, ownerHubUrl, ownerPrivateKey);
+      const appGaiaHubPromise = gaiaConnect(network, hubUrl, appPrivateKey);
+
+      return Promise.all([ownerGaiaHubPromise, appGaiaHubPromise]);
+    })
+    .then(([ownerHubConfig, appHubConfig]) => {
+      if (!ownerHubConfig.url_prefix) {
+        throw new Error('Invalid owner hub config: no url_prefix defined');
+      }
+
+      if (!appHubConfig.url_prefix) {
+        throw new Error('Invalid app hub config: no url_prefix defined');
+      }
+
+      const gaiaReadUrl = appHubConfig.url_prefix.replace(/\/+$/, '');
+
+      const newAppEntry = {};
+      newAppEntry[appOrigin] = `${gaiaReadUrl}/${appAddress}/`;
+
+      const apps = Object.assign({}, profile.apps ? profile.apps : {}, newAppEntry)
+      profile.apps = apps;
+
+      // sign the new profile
+      const signedProfile = makeProfileJWT(profile, ownerPrivateKey); 
+      return gaiaUploadProfileAll(
+        network, [ownerHubUrl], signedProfile, ownerPrivateKey, blockstackID);
+    })
+    .then((profileUrls) => {
+      return {
+        'profileUrls': profileUrls
+      };
+    });
+}
+      
+      
+/*
+ * Manage the config file and its profiles
+ * args:
+ * @subcommand (string) get, set, list, validate, use, or show
+ * @key (string) OPTIONAL: the setting to get or set, or the profile to use
+ * @value (string) OPTIONAL: the setting's new value
+ */
+function config(network: Object, args: Array<string>, opts: CommandOptions) {
+  const subcommand = args[0];
+  const key = args.length > 1 && !!args[1] ? args[1] : null;
+  const configPath = expandHomeDir(opts.configPath);
+
+  return Promise.resolve().then(() => {
+    if (subcommand === 'validate') {
+      const configData = readConfigFile(configPath);
+      return {
+        'status': true,
+        'path': configPath,
+        'exists': !!configData,
+        'profiles': !!configData && !!configData.profiles ?
+          Object.keys(configData.profiles) : []
+      };
+    }
+
+    if (subcommand === 'list') {
+      // not validated, so that a config with a bad setting can still be listed
+      const configData = readConfigFileData(configPath) || {};
+      const profiles = configData.profiles ? configData.profiles : {};
+      return Object.keys(profiles).map((profileName) => {
+        const profileConfig = Object.assign({}, configData, profiles[profileName]);
+        const profileNetwork = profileConfig.network || 'mainnet';
+        let apiUrl = profileConfig.blockstackAPIUrl;
+        if (!apiUrl && CONFIG_SCHEMA.properties.network.enum.includes(profileNetwork)) {
+          apiUrl = getConfigDefaults(profileNetwork).blockstackAPIUrl;
+        }
+        return {
+          'profile': profileName,
+          'default': profileName === configData.defaultProfile,
+          'network': profileNetwork,
+          'blockstackAPIUrl': apiUrl || null
+        };
+      });
+    }
+
+    if (subcommand === 'get') {
+      const resolvedConfig = loadConfig(configPath, null, opts.profile);
+      if (!key) {
+        return resolvedConfig;
+      }
+      if (!CONFIG_SETTINGS.includes(key)) {
+        throw new ValidationError(`Unknown setting "${key}".  ` +
+                                  `Settings are: ${CONFIG_SETTINGS.join(', ')}`);
+      }
+      return resolvedConfig.hasOwnProperty(key) ? resolvedConfig[key] : null;
+    }
+
+    if (subcommand === 'set') {
+      if (!key || args.length < 3) {
+        throw new ValidationError('Usage: config set SETTING VALUE');
+      }
+      if (!CONFIG_SETTINGS.includes(key)) {
+        throw new ValidationError(`Unknown setting "${key}".  ` +
+                                  `Settings are: ${CONFIG_SETTINGS.join(', ')}`);
+      }
+
+      let value;
+      try {
+        value = parseSettingValue(key, args[2]);
+      }
+      catch (e) {
+        throw new ValidationError(`The value of "${key}" ${e.message}`);
+      }
+
+      // not validated, so that a bad setting can be fixed; the result is validated when written
+      const configData = readConfigFileData(configPath) || {};
+      const profileName = opts.profile ? opts.profile : configData.defaultProfile;
+      if (profileName) {
+        // setting a value in a new profile creates it
+        configData.profiles = Object.assign({}, configData.profiles);
+        configData.profiles[profileName] = Object.assign(
+          {}, configData.profiles[profileName], { [key]: value });
+      }
+      else {
+        configData[key] = value;
+      }
+
+      writeConfigFile(configPath, configData);
+      return {
+        'status': true,
+        'path': configPath,
+        'profile': profileName ? profileName : null,
+        'setting': key
+      };
+    }
+
+    if (subcommand === 'use') {
+      const configData = readConfigFileData(configPath) || {};
+      if (key) {
+        if (!configData.profiles || !configData.profiles.hasOwnProperty(key)) {
+          throw new ValidationError(`No profile named "${key}" in ${configPath}`);
+        }
+        configData.defaultProfile = key;
+      }
+      else {
+        delete configData.defaultProfile;
+      }
+
+      writeConfigFile(configPath, configData);
+      return {
+        'status': true,
+        'path': configPath,
+        'defaultProfile': key
+      };
+    }
+
+    if (subcommand === 'show') {
+      if (opts.effectiveConfig) {
+        return opts.effectiveConfig;
+      }
+      // not run from the command line, so there are no options to show
+      const env = loadEnvironment();
+      return describeEffectiveConfig(
+        resolveConfig(configPath, null, opts.profile, env));
+    }
+
+    throw new ValidationError(`Unknown config subcommand "${subcommand}"`);
+  });
+}
+
+/*
+ * Manage the keystore of encrypted keys
+ * args:
+ * @subcommand (string) add, list, remove, or export
+ * @alias (string) the key's name (all but list)
+ */
+function keystore(network: Object, args: Array<string>, opts: CommandOptions) {
+  const subcommand = args[0];
+  const alias = args.length > 1 ? args[1] : null;
+  const keystoreDir = opts.keystoreDir;
+
+  return Promise.resolve().then(() => {
+    if (subcommand === 'list') {
+      return listKeys(network, keystoreDir);
+    }
+    if (!alias) {
+      throw new ValidationError(`Usage: keystore ${subcommand} ALIAS`);
+    }
+
+    if (subcommand === 'add') {
+      return addKey(network, keystoreDir, alias, opts.keystorePassword);
+    }
+
+    if (subcommand === 'remove') {
+      removeKey(keystoreDir, alias);
+      return {
+        'status': true,
+        'alias': alias
+      };
+    }
+
+    if (subcommand === 'export') {
+      return exportKey(keystoreDir, alias, opts.keystorePassword)
+        .then(({ kind, key }) => ({
+          'alias': alias,
+          'kind': kind,
+          'key': key
+        }));
+    }
+
+    throw new ValidationError(`Unknown keystore subcommand "${subcommand}"`);
+  });
+}
+
+/*
+ * Make a shell completion script
+ * args:
+ * @shell (string) the shell: bash, zsh, or fish
+ */
+function completion(network: Object, args: Array<string>) {
+  return Promise.resolve().then(() => makeCompletionScript(args[0]));
+}
+
+/*
+ * Convert an address between mainnet and testnet, and between
+ * base58check and c32check.
+ * args:
+ * @address (string) the input address.  can be in any format
+ */
+function addressConvert(network: Object, args: Array<string>) {
+  const addr = args[0];
+  let b58addr;
+  let c32addr;
+  if (addr.match(STACKS_ADDRESS_PATTERN)) {
+    c32addr = addr;
+    b58addr = c32check.c32ToB58(c32addr);
+  }
+  else if (addr.match(/[123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz]+/)) {
+    c32addr = c32check.b58ToC32(addr);
+    b58addr = addr;
+  }
+  else {
+    throw new ValidationError(`Unrecognized address ${addr}`);
+  }
+
+  return Promise.resolve().then(() => ({STACKS: c32addr, BTC: b58addr}));
+}
+
+/*
+ * Run an authentication daemon on a given port.
+ * args:
+ * @gaiaHubUrl (string) the write endpoint of your app Gaia hub, where app data will be stored
+ * @mnemonic (string) your 12-word phrase, optionally encrypted.  If encrypted, then
+ * a password will be prompted.
+ * @profileGaiaHubUrl (string) the write endpoint of your profile Gaia hub, where your profile
+ *   will be stored (optional)
+ * @port (number) the port to listen on (optional)
+ */
+function authDaemon(network: Object, args: Array<string>) {
+  const gaiaHubUrl = args[0];
+  const mnemonicOrCiphertext = args[1];
+  let port = 8888;  // default port
+  let profileGaiaHub = gaiaHubUrl;
+
+  if (args.length > 2) {
+    profileGaiaHub = args[2];
+  }
+
+  if (args.length > 3) {
+    port = parseInt(args[3]);
+  }
+
+  if (port < 0 || port > 65535) {
+    return Promise.resolve().then(() => {
+      throw new ValidationError('Invalid port');
+    });
+  }
+
+  const mnemonicPromise = getBackupPhrase(mnemonicOrCiphertext);
+
+  return mnemonicPromise
+    .then((mnemonic) => {
+      // load up all of our identity addresses, profiles, profile URLs, and Gaia connections
+      const authServer = express();
+      authServer.use(cors())
+
+      authServer.get(/^\/auth\/*$/, (req: express.request, res: express.response) => {
+        return handleAuth(network, mnemonic, gaiaHubUrl, profileGaiaHub, port, req, res);
+      });
+
+      authServer.get(/^\/signin\/*$/, (req: express.request, res: express.response) => {
+        return handleSignIn(network, mnemonic, gaiaHubUrl, profileGaiaHub, req, res);
+      });
+
+      authServer.listen(port, () => console.log(`Authentication server started on ${port}`));
+      return 'Press Ctrl+C to exit';
+    });
+}
+
+/*
+ * Serve commands over a local HTTP API (REST and JSON-RPC).
+ * args:
+ * @port (number) the port to listen on (optional)
+ * @allowed_commands (string) the commands to serve: a comma-separated list,
+ *   "read-only" (the default), or "all" (optional)
+ * @token (string) the bearer token clients must send (optional).  If not given,
+ *   then BLOCKSTACK_CLI_SERVE_TOKEN is used, or a random one is made and printed.
+ */
+function serve(network: Object, args: Array<string>, opts: CommandOptions) {
+  const port = args.length > 0 && !!args[0] ? parseInt(args[0]) : DEFAULT_SERVE_PORT;
+  const allowlist = args.length > 1 && !!args[1] ? args[1] : 'read-only';
+  let token = args.length > 2 && !!args[2] ? args[2] : opts.serveToken;
+
+  return Promise.resolve().then(() => {
+    if (port < 0 || port > 65535) {
+      throw new ValidationError('Invalid port');
+    }
+
+    const allowedCommands = getAllowedCommands(allowlist, COMMANDS);
+    if (!token) {
+      token = crypto.randomBytes(32).toString('hex');
+      console.error(`Bearer token: ${token}`);
+    }
+
+    const commandServer = makeCommandServer(network, opts, COMMANDS, token, allowedCommands);
+    commandServer.listen(port, '127.0.0.1', () => console.log(
+      `Command server started on 127.0.0.1:${port}, serving ${allowedCommands.join(', ')}`));
+    return 'Press Ctrl+C to exit';
+  });
+}
+
+/*
+ * Run mock Blockstack Core, transaction broadcaster, Bitcoin, and Gaia hub
+ * services, with all of their state in memory.
+ * args:
+ * @port (number) the port to serve every service on (optional).  If not given,
+ *   each service is served on its regtest port (see MOCK_NODE_PORTS).  The
+ *   Electrum server is on the next port, or on MOCK_ELECTRUM_PORT.
+ * @seed_path (string) a JSON file with the initial state (optional)
+ */
+function mockNode(network: Object, args: Array<string>) {
+  const port = args.length > 0 && !!args[0] ? parseInt(args[0]) : null;
+  const seedPath = args.length > 1 && !!args[1] ? args[1] : null;
+
+  return Promise.resolve().then(() => {
+    if (port !== null && (port < 0 || port > 65534)) {
+      throw new ValidationError('Invalid port');
+    }
+
+    let seed = {};
+    if (seedPath) {
+      try {
+        seed = JSON.parse(fs.readFileSync(seedPath).toString());
+      }
+      catch (e) {
+        throw new ValidationError(`Failed to read seed file ${seedPath}: ${e.message}`);
+      }
+    }
+
+    const ports = port === null ? MOCK_NODE_PORTS : Object.keys(MOCK_NODE_PORTS).reduce(
+      (allPorts, service) => Object.assign(allPorts, { [service]: port }), {});
+    const mock = new MockNode(network.layer1, seed);
+    return Promise.all([
+      mock.listen(ports),
+      mock.listenElectrum(port === null ? MOCK_ELECTRUM_PORT : port + 1)
+    ]);
+  })
+  .then(([urls, electrumUrl]) => {
+    console.error(`Mock node started, with an Electrum server at ${electrumUrl} ` +
+                  '(for utxoProvider "electrum").  Use these config settings to talk to it:');
+    return urls;
+  });
+}
+
+/*
+ * Encrypt a backup phrase
+ * args:
+ * @backup_phrase (string) the 12-word phrase to encrypt
+ * @password (string) the password (will be interactively prompted if not given)
+ */
+function encryptMnemonic(network: Object, args: Array<string>) {
+  const mnemonic = args[0];
+  if (mnemonic.split(/ +/g).length !== 12) {
+    throw new ValidationError('Invalid backup phrase: must be 12 words');
+  }
+
+  const passwordPromise = new Promise((resolve, reject) => {
+    let pass = '';
+    if (args.length === 2) {
+      pass = args[1];
+      resolve(pass);
+    }
+    else {
+      if (!process.stdin.isTTY) {
+        // password must be given as an argument
+        const errMsg = 'Password argument required on non-interactive mode';
+        reject(new ValidationError(errMsg));
+      }
+      else {
+        // prompt password
+        getpass('Enter password: ', (pass1) => {
+          getpass('Enter password again: ', (pass2) => {
+            if (pass1 !== pass2) {
+              const errMsg = 'Passwords do not match';
+              reject(new ValidationError(errMsg));
+            }
+            else {
+              resolve(pass1);
+            }
+          });
+        });
+      }
+    }
+  });
+
+  return passwordPromise
+    .then((pass) => encryptBackupPhrase(new Buffer(mnemonic), pass))
+    .then((cipherTextBuffer) => cipherTextBuffer.toString('base64'));
+}
+
+/* Decrypt a backup phrase 
+ * args:
+ * @encrypted_backup_phrase (string) the encrypted base64-encoded backup phrase
+ * @password 9string) the password (will be interactively prompted if not given)
+ */
+function decryptMnemonic(network: Object, args: Array<string>) {
+  const ciphertext = args[0];
+ 
+  const passwordPromise = new Promise((resolve, reject) => {
+    if (args.length === 2) {
+      const pass = args[1];
+      resolve(pass);
+    }
+    else {
+      if (!process.stdin.isTTY) {
+        // password must be given 
+        reject(new ValidationError('Password argument required in non-interactive mode'));
+      }
+      else {
+        // prompt password 
+        getpass('Enter password: ', (p) => {
+          resolve(p);
+        });
+      }
+    }
+  });
+
+  return passwordPromise
+    .then((pass) => decryptBackupPhrase(Buffer.from(ciphertext, 'base64'), pass))
+    .catch((e) => {
+      throw new AuthenticationError('Failed to decrypt (wrong password or corrupt ciphertext), ' +
+        `details: ${e.message}`);
+    });
+}
+
+/*
+ * Before each command runs, replace its keystore:ALIAS arguments with their
+ * keys, and have it ask the external signers among its arguments for their
+ * addresses, since it looks up its keys' addresses as it starts.
+ */
+function withKeyArgs(commands: { [string]: Function }) : { [string]: Function } {
+  const wrapped = {};
+  Object.keys(commands).forEach((command) => {
+    wrapped[command] = (network: Object, args: Array<string>, opts: CommandOptions) =>
+      resolveKeystoreArgs(command, args, opts.keystoreDir, opts.keystorePassword)
+        .then((keyArgs) => loadExternalSigners(keyArgs)
+          .then(() => commands[command](network, keyArgs, opts)));
+  });
+  return wrapped;
+}
+
+/*
+ * Global set of commands.
+ * Each command takes the network, the list of positional arguments (as validated
+ * by the CLI schema), and the per-call options, and returns a Promise that resolves
+ * to the command's result.  Failed safety checks are reported by throwing a SafetyError.
+ */
+export const COMMANDS = withKeyArgs({
+  'authenticator': authDaemon,
+  'announce': announce,
+  'balance': balance,
+  'broadcast_bundle': broadcastBundle,
+  'bump_fee': bumpFee,
+  'completion': completion,
+  'config': config,
+  'convert_address': addressConvert,
+  'decrypt_keychain': decryptMnemonic,
+  'encrypt_keychain': encryptMnemonic,
+  'gaia_dump_bucket': gaiaDumpBucket,
+  'gaia_getfile': gaiaGetFile,
+  'gaia_restore_bucket': gaiaRestoreBucket,
+  'gaia_putfile': gaiaPutFile,
+  'gaia_listfiles': gaiaListFiles,
+  'gaia_sethub': gaiaSetHub,
+  'get_address': getKeyAddress,
+  'get_account_at': getAccountAt,
+  'get_account_history': getAccountHistory,
+  'get_blockchain_record': getNameBlockchainRecord,
+  'get_blockchain_history': getNameHistoryRecord,
+  'get_confirmations': getConfirmations,
+  'get_namespace_blockchain_record': getNamespaceBlockchainRecord,
+  'get_app_keys': getAppKeys,
+  'get_owner_keys': getOwnerKeys,
+  'get_payment_key': getPaymentKey,
+  'get_zonefile': getNameZonefile,
+  'keystore': keystore,
+  'lookup': lookup,
+  'make_keychain': makeKeychain,
+  'make_zonefile': makeZonefile,
+  'mock_node': mockNode,
+  'names': names,
+  'name_import': nameImport,
+  'namespace_preorder': namespacePreorder,
+  'namespace_reveal': namespaceReveal,
+  'namespace_ready': namespaceReady,
+  'preorder_status': preorderStatus,
+  'price': price,
+  'price_namespace': priceNamespace,
+  'profile_sign': profileSign,
+  'profile_store': profileStore,
+  'profile_verify': profileVerify,
+  'psbt_combine': psbtCombine,
+  'psbt_finalize_broadcast': psbtFinalizeBroadcast,
+  'psbt_sign': psbtSign,
+  'register': register,
+  'register_addr': registerAddr,
+  'register_subdomain': registerSubdomain,
+  'renew': renew,
+  'revoke': revoke,
+  'send_btc': sendBTC,
+  'send_tokens': sendTokens,
+  'serve': serve,
+  'sign_bundle': signBundle,
+  'transfer': transfer,
+  'tx_preorder': txPreorder,
+  'tx_register': txRegister,
+  'update': update,
+  'whois': whois,
+  'zonefile_push': zonefilePush
+});
\ No newline at end of file
@@ -0,0 +1,522 @@
+/* @flow */
+
+import os from 'os';
+import fs from 'fs';
+const pathTools = require('path');
+
+import {
+  CLI_ARGS,
+  CLI_OPTIONS,
+  CLI_LONG_OPTIONS,
+  NAME_PATTERN,
+  SUBDOMAIN_PATTERN,
+  ID_ADDRESS_PATTERN
+} from './argparse';
+
+export const COMPLETION_SHELLS = ['bash', 'zsh', 'fish'];
+
+// how many names and ID-addresses to remember for completion
+const MAX_COMPLETION_CACHE_ENTRIES = 1000;
+
+type CommandCompletionSpec = {
+  name: string,
+  description: string,
+  keywords: Array<string>,
+  kinds: Array<string>
+};
+
+type CompletionSpec = {
+  commands: Array<CommandCompletionSpec>,
+  flagOptions: Array<string>,
+  valueOptions: Array<string>
+};
+
+/*
+ * Get the path to the cache of names and ID-addresses used for completion.
+ * It has one name or ID-address per line, so completion scripts can read it directly.
+ */
+export function getCompletionCachePath() : string {
+  return pathTools.join(os.homedir(), '.blockstack-cli-completions');
+}
+
+/*
+ * Classify a command argument by the kind of value that can be suggested for it.
+ * Returns one of 'name', 'id_address', 'name_or_id_address', 'file',
+ * 'boolean', 'command', or '-' if nothing can be suggested.
+ * @argInfo (Object) the argument's schema in CLI_ARGS
+ */
+export function getArgumentKind(argInfo: Object) : string {
+  const realtype = String(argInfo.realtype).toLowerCase().replace(/-/g, '_');
+  if (realtype.endsWith('blockstack_id')) {
+    return 'name';
+  }
+  else if (realtype === 'id_address' || realtype === 'name_or_id_address') {
+    return realtype;
+  }
+  else if (realtype === 'path' || realtype === 'filename') {
+    return 'file';
+  }
+  else if (realtype === 'boolean' || realtype === 'true_or_false') {
+    return 'boolean';
+  }
+  else if (realtype === 'command') {
+    return 'command';
+  }
+  return '-';
+}
+
+/*
+ * Read the cached names and ID-addresses that can be suggested for
+ * an argument of the given kind.
+ * @kind (string) 'name', 'id_address', or 'name_or_id_address'
+ */
+export function getKnownIDs(kind: string) : Array<string> {
+  let entries = [];
+  try {
+    entries = fs.readFileSync(getCompletionCachePath()).toString()
+      .split('\n')
+      .filter((entry) => entry.length > 0);
+  }
+  catch (e) {
+    return [];
+  }
+
+  if (kind === 'name') {
+    return entries.filter((entry) => !entry.startsWith('ID-'));
+  }
+  else if (kind === 'id_address') {
+    return entries.filter((entry) => entry.startsWith('ID-'));
+  }
+  return entries;
+}
+
+/*
+ * Remember the names and ID-addresses given to a command, so they can be
+ * suggested later.  Never throws; completion is a convenience.
+ * @command (string) the command that was run
+ * @args (Array<string>) the command's arguments
+ */
+export function recordCompletions(command: string, args: Array<string>) : void {
+  const commandInfo = CLI_ARGS.properties[command];
+  if (!commandInfo || !Array.isArray(commandInfo.items)) {
+    return;
+  }
+
+  const seen = [];
+  for (let i = 0; i < args.length && i < commandInfo.items.length; i++) {
+    const kind = getArgumentKind(commandInfo.items[i]);
+    const arg = args[i];
+    if (!arg) {
+      continue;
+    }
+    if (kind === 'name' || kind === 'name_or_id_address') {
+      if (arg.match(NAME_PATTERN) || arg.match(SUBDOMAIN_PATTERN)) {
+        seen.push(arg);
+      }
+    }
+    if (kind === 'id_address' || kind === 'name_or_id_address') {
+      if (arg.match(ID_ADDRESS_PATTERN)) {
+        seen.push(arg);
+      }
+    }
+  }
+
+  if (seen.length === 0) {
+    return;
+  }
+
+  try {
+    // newest entries go last
+    const entries = getKnownIDs('name_or_id_address')
+      .filter((entry) => !seen.includes(entry))
+      .concat(seen)
+      .slice(-MAX_COMPLETION_CACHE_ENTRIES);
+    fs.writeFileSync(getCompletionCachePath(), `${entries.join('\n')}\n`);
+  }
+  catch (e) {
+    return;
+  }
+}
+
+/*
+ * Summarize CLI_ARGS and the global options into what the completion
+ * scripts need: each command's --keyword arguments and the kind of value
+ * each argument takes (in the same order).
+ */
+function getCompletionSpec() : CompletionSpec {
+  const commands = Object.keys(CLI_ARGS.properties).sort().map((name) => {
+    const commandInfo = CLI_ARGS.properties[name];
+    const items = Array.isArray(commandInfo.items) ? commandInfo.items : [];
+    return {
+      name,
+      description: commandInfo.help.split(/\.\s/)[0].replace(/\s+/g, ' ').trim(),
+      keywords: items.map((item) => `--${item.name}`),
+      kinds: items.map(getArgumentKind)
+    };
+  });
+
+  const flagOptions = [];
+  const valueOptions = [];
+  for (let i = 0; i < CLI_OPTIONS.length; i++) {
+    if (CLI_OPTIONS[i] === ':') {
+      continue;
+    }
+    const names = [`-${CLI_OPTIONS[i]}`];
+    if (CLI_LONG_OPTIONS.hasOwnProperty(CLI_OPTIONS[i])) {
+      names.push(`--${CLI_LONG_OPTIONS[CLI_OPTIONS[i]]}`);
+    }
+    if (CLI_OPTIONS[i + 1] === ':') {
+      valueOptions.push(...names);
+    }
+    else {
+      flagOptions.push(...names);
+    }
+  }
+
+  return { commands, flagOptions, valueOptions };
+}
+
+function makeBashScript(spec: CompletionSpec) : string {
+  const commandNames = spec.commands.map((command) => command.name).join(' ');
+  const globalOpts = spec.flagOptions.concat(spec.valueOptions).join(' ');
+  const valueOptsPattern = spec.valueOptions.join('|');
+  const flagOptsPattern = spec.flagOptions.join('|');
+  const commandCases = spec.commands.map((command) =>
+    `    ${command.name})\n` +
+    `      keywords=(${command.keywords.join(' ')})\n` +
+    `      kinds=(${command.kinds.join(' ')})\n` +
+    '      ;;').join('\n');
+
+  return `# bash completion for blockstack-cli
+# Generated by "blockstack-cli completion bash".  To install, run:
+#   blockstack-cli completion bash > /etc/bash_completion.d/blockstack-cli
+
+_blockstack_cli_known_ids() {
+  local cache="$HOME/.blockstack-cli-completions"
+  [ -f "$cache" ] || return 0
+  case "$1" in
+    name) grep -v '^ID-' "$cache" ;;
+    id_address) grep '^ID-' "$cache" ;;
+    *) cat "$cache" ;;
+  esac
+}
+
+_blockstack_cli() {
+  local cur prev cmd kind i pos
+  local -a keywords kinds
+  local commands="${commandNames}"
+  local global_opts="${globalOpts}"
+  cur="\${COMP_WORDS[COMP_CWORD]}"
+  prev="\${COMP_WORDS[COMP_CWORD-1]}"
+  COMPREPLY=()
+
+  # find the command, skipping over global options
+  cmd=""
+  i=1
+  while [ $i -lt $COMP_CWORD ]; do
+    case "\${COMP_WORDS[i]}" in
+      ${valueOptsPattern}) i=$((i + 2)) ;;
+      -*) i=$((i + 1)) ;;
+      *) cmd="\${COMP_WORDS[i]}"; break ;;
+    esac
+  done
+
+  if [ -z "$cmd" ]; then
+    case "$prev" in
+      ${valueOptsPattern}) return 0 ;;
+    esac
+    if [[ "$cur" == -* ]]; then
+      COMPREPLY=( $(compgen -W "$global_opts" -- "$cur") )
+    else
+      COMPREPLY=( $(compgen -W "$commands" -- "$cur") )
+    fi
+    return 0
+  fi
+
+  case "$cmd" in
+${commandCases}
+    *) return 0 ;;
+  esac
+
+  if [[ "$cur" == --* ]]; then
+    COMPREPLY=( $(compgen -W "\${keywords[*]}" -- "$cur") )
+    return 0
+  fi
+
+  # find the kind of argument being completed
+  kind="-"
+  if [[ "$prev" == --* ]]; then
+    for pos in "\${!keywords[@]}"; do
+      if [ "\${keywords[pos]}" = "$prev" ]; then
+        kind="\${kinds[pos]}"
+      fi
+    done
+  else
+    pos=0
+    i=$((i + 1))
+    while [ $i -lt $COMP_CWORD ]; do
+      case "\${COMP_WORDS[i]}" in
+        ${flagOptsPattern}|--*=*) i=$((i + 1)) ;;
+        --*|${valueOptsPattern}) i=$((i + 2)) ;;
+        *) pos=$((pos + 1)); i=$((i + 1)) ;;
+      esac
+    done
+    kind="\${kinds[pos]}"
+  fi
+
+  case "$kind" in
+    name|id_address|name_or_id_address)
+      COMPREPLY=( $(compgen -W "$(_blockstack_cli_known_ids "$kind")" -- "$cur") ) ;;
+    file) COMPREPLY=( $(compgen -f -- "$cur") ) ;;
+    boolean) COMPREPLY=( $(compgen -W "true false" -- "$cur") ) ;;
+    command) COMPREPLY=( $(compgen -W "$commands" -- "$cur") ) ;;
+  esac
+  return 0
+}
+
+complete -o filenames -F _blockstack_cli blockstack-cli
+`;
+}
+
+function makeZshScript(spec: CompletionSpec) : string {
+  const commandNames = spec.commands.map((command) => command.name).join(' ');
+  const globalOpts = spec.flagOptions.concat(spec.valueOptions).join(' ');
+  const valueOptsPattern = spec.valueOptions.join('|');
+  const flagOptsPattern = spec.flagOptions.join('|');
+  const commandCases = spec.commands.map((command) =>
+    `    ${command.name})\n` +
+    `      keywords=(${command.keywords.join(' ')})\n` +
+    `      kinds=(${command.kinds.join(' ')})\n` +
+    '      ;;').join('\n');
+
+  return `#compdef blockstack-cli
+# zsh completion for blockstack-cli
+# Generated by "blockstack-cli completion zsh".  To install, run:
+#   blockstack-cli completion zsh > "\${fpath[1]}/_blockstack-cli"
+
+_blockstack_cli_known_ids() {
+  local cache="$HOME/.blockstack-cli-completions"
+  [[ -f "$cache" ]] || return 0
+  case "$1" in
+    name) grep -v '^ID-' "$cache" ;;
+    id_address) grep '^ID-' "$cache" ;;
+    *) cat "$cache" ;;
+  esac
+}
+
+_blockstack-cli() {
+  local cur prev cmd kind i pos
+  local -a commands global_opts keywords kinds ids
+  commands=(${commandNames})
+  global_opts=(${globalOpts})
+  cur="\${words[CURRENT]}"
+  prev="\${words[CURRENT-1]}"
+
+  # find the command, skipping over global options
+  cmd=""
+  i=2
+  while (( i < CURRENT )); do
+    case "\${words[i]}" in
+      ${valueOptsPattern}) (( i += 2 )) ;;
+      -*) (( i += 1 )) ;;
+      *) cmd="\${words[i]}"; break ;;
+    esac
+  done
+
+  if [[ -z "$cmd" ]]; then
+    case "$prev" in
+      ${valueOptsPattern}) return 1 ;;
+    esac
+    if [[ "$cur" == -* ]]; then
+      compadd -a global_opts
+    else
+      compadd -a commands
+    fi
+    return 0
+  fi
+
+  case "$cmd" in
+${commandCases}
+    *) return 1 ;;
+  esac
+
+  if [[ "$cur" == --* ]]; then
+    compadd -a keywords
+    return 0
+  fi
+
+  # find the kind of argument being completed
+  kind="-"
+  if [[ "$prev" == --* ]]; then
+    pos=\${keywords[(Ie)$prev]}
+    (( pos > 0 )) && kind="\${kinds[pos]}"
+  else
+    pos=1
+    (( i += 1 ))
+    while (( i < CURRENT )); do
+      case "\${words[i]}" in
+        ${flagOptsPattern}|--*=*) (( i += 1 )) ;;
+        --*|${valueOptsPattern}) (( i += 2 )) ;;
+        *) (( pos += 1 )); (( i += 1 )) ;;
+      esac
+    done
+    kind="\${kinds[pos]}"
+  fi
+
+  case "$kind" in
+    name|id_address|name_or_id_address)
+      ids=(\${(f)"$(_blockstack_cli_known_ids "$kind")"})
+      compadd -a ids
+      ;;
+    file) _files ;;
+    boolean) compadd true false ;;
+    command) compadd -a commands ;;
+  esac
+}
+
+if [[ "\${funcstack[1]}" == "_blockstack-cli" ]]; then
+  _blockstack-cli "$@"
+else
+  compdef _blockstack-cli blockstack-cli
+fi
+`;
+}
+
+/*
+ * Quote a string for fish.
+ */
+function fishQuote(str: string) : string {
+  return `'${str.replace(/\\/g, '\\\\').replace(/'/g, '\\\'')}'`;
+}
+
+function makeFishScript(spec: CompletionSpec) : string {
+  const commandNames = spec.commands.map((command) => command.name).join(' ');
+  const valueOpts = spec.valueOptions.map((option) => `'${option}'`).join(' ');
+  const flagOpts = spec.flagOptions.map((option) => `'${option}'`).join(' ');
+  const commandCases = spec.commands.map((command) =>
+    `    case ${command.name}\n` +
+    `      set keywords ${command.keywords.join(' ')}\n` +
+    `      set kinds ${command.kinds.join(' ')}`).join('\n');
+
+  const commandCompletions = spec.commands.map((command) =>
+    'complete -c blockstack-cli -n \'not __blockstack_cli_command >/dev/null\' ' +
+    `-a ${command.name} -d ${fishQuote(command.description)}`).join('\n');
+
+  const keywordCompletions = spec.commands
+    .filter((command) => command.keywords.length > 0)
+    .map((command) =>
+      `complete -c blockstack-cli -n '__fish_seen_subcommand_from ${command.name}' ` +
+      command.keywords.map((keyword) => `-l ${keyword.slice(2)}`).join(' '))
+    .join('\n');
+
+  const fishOption = (option) =>
+    (option.startsWith('--') ? `-l ${option.slice(2)}` : `-s ${option.slice(1)}`);
+  const optionCompletions = spec.flagOptions.map((option) =>
+    `complete -c blockstack-cli ${fishOption(option)}`)
+    .concat(spec.valueOptions.map((option) =>
+      `complete -c blockstack-cli ${fishOption(option)} -x`))
+    .join('\n');
+
+  return `# fish completion for blockstack-cli
+# Generated by "blockstack-cli completion fish".  To install, run:
+#   blockstack-cli completion fish > ~/.config/fish/completions/blockstack-cli.fish
+
+function __blockstack_cli_known_ids
+  set -l cache ~/.blockstack-cli-completions
+  test -f $cache; or return 0
+  switch $argv[1]
+    case name
+      grep -v '^ID-' $cache
+    case id_address
+      grep '^ID-' $cache
+    case '*'
+      cat $cache
+  end
+end
+
+# print the command being completed and its position, skipping over global options
+function __blockstack_cli_command
+  set -l words (commandline -opc)
+  set -l i 2
+  while test $i -le (count $words)
+    switch $words[$i]
+      case ${valueOpts}
+        set i (math $i + 2)
+      case '-*'
+        set i (math $i + 1)
+      case '*'
+        echo $words[$i]
+        echo $i
+        return 0
+    end
+  end
+  return 1
+end
+
+# print the kind of argument being completed
+function __blockstack_cli_arg_kind
+  set -l words (commandline -opc)
+  set -l found (__blockstack_cli_command); or return 1
+  set -l keywords
+  set -l kinds
+  switch $found[1]
+${commandCases}
+    case '*'
+      return 1
+  end
+
+  if string match -q -- '--*' $words[-1]
+    set -l pos (contains -i -- $words[-1] $keywords); and echo $kinds[$pos]
+    return 0
+  end
+
+  set -l pos 1
+  set -l i (math $found[2] + 1)
+  while test $i -le (count $words)
+    switch $words[$i]
+      case ${flagOpts} '--*=*'
+        set i (math $i + 1)
+      case '--*' ${valueOpts}
+        set i (math $i + 2)
+      case '*'
+        set pos (math $pos + 1)
+        set i (math $i + 1)
+    end
+  end
+  set -q kinds[$pos]; and echo $kinds[$pos]
+end
+
+function __blockstack_cli_arg_is
+  set -l kind (__blockstack_cli_arg_kind)
+  and contains -- "$kind" $argv
+end
+
+complete -c blockstack-cli -f
+${optionCompletions}
+${commandCompletions}
+${keywordCompletions}
+complete -c blockstack-cli -n '__blockstack_cli_arg_is name id_address name_or_id_address' -a '(__blockstack_cli_known_ids (__blockstack_cli_arg_kind))'
+complete -c blockstack-cli -n '__blockstack_cli_arg_is file' -F
+complete -c blockstack-cli -n '__blockstack_cli_arg_is boolean' -a 'true false'
+complete -c blockstack-cli -n '__blockstack_cli_arg_is command' -a '${commandNames}'
+`;
+}
+
+/*
+ * Make a shell completion script from CLI_ARGS.
+ * @shell (string) one of COMPLETION_SHELLS
+ */
+export function makeCompletionScript(shell: string) : string {
+  const spec = getCompletionSpec();
+  switch (shell) {
+    case 'bash':
+      return makeBashScript(spec);
+    case 'zsh':
+      return makeZshScript(spec);
+    case 'fish':
+      return makeFishScript(spec);
+    default:
+      throw new Error(`Unsupported shell "${shell}"; ` +
+                      `expected one of ${COMPLETION_SHELLS.join(', ')}`);
+  }
+}
@@ -10,10 +10,13 @@ import {
   canonicalPrivateKey,
   getPrivateKeyAddress,
   checkUrl,
-  SafetyError,
   getPublicKeyFromPrivateKey
 } from './utils';
 
+import {
+  SafetyError
+} from './errors';
+
 import {
   parseZoneFile
 } from 'zone-file';
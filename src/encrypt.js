@@ -7,6 +7,14 @@ import bip39 from 'bip39'
 import crypto from 'crypto'
 import triplesec from 'triplesec'
 
+import {
+  AuthenticationError
+} from './errors'
+
+import {
+  timePhase
+} from './trace'
+
 function normalizeMnemonic(mnemonic: string) {
   return bip39.mnemonicToEntropy(mnemonic).toString('hex')
 } 
@@ -15,6 +23,63 @@ function denormalizeMnemonic(normalizedMnemonic : string) {
   return bip39.entropyToMnemonic(normalizedMnemonic)
 } 
 
+// AES-128-CBC with a SHA256 HMAC, keyed by PBKDF2 of the password
+function encryptWithKeys(plaintext: Buffer, password: string) : Buffer {
+  const salt = crypto.randomBytes(16)
+  const keysAndIV = crypto.pbkdf2Sync(password, salt, 100000, 48, 'sha512')
+  const encKey = keysAndIV.slice(0, 16)
+  const macKey = keysAndIV.slice(16, 32)
+  const iv = keysAndIV.slice(32, 48)
+
+  const cipher = crypto.createCipheriv('aes-128-cbc', encKey, iv)
+  let cipherText = cipher.update(plaintext, undefined, 'hex')
+  cipherText += cipher.final('hex')
+
+  const hmacPayload = Buffer.concat([salt, Buffer.from(cipherText, 'hex')])
+
+  const hmac = crypto.createHmac('sha256', macKey)
+  hmac.write(hmacPayload)
+  const hmacDigest = hmac.digest()
+
+  return Buffer.concat([salt, hmacDigest, Buffer.from(cipherText, 'hex')])
+}
+
+function decryptWithKeys(dataBuffer: Buffer, password: string) : Buffer {
+  const salt = dataBuffer.slice(0, 16)
+  const hmacSig = dataBuffer.slice(16, 48)   // 32 bytes
+  const cipherText = dataBuffer.slice(48)
+  const hmacPayload = Buffer.concat([salt, cipherText])
+
+  const keysAndIV = crypto.pbkdf2Sync(password, salt, 100000, 48, 'sha512')
+  const encKey = keysAndIV.slice(0, 16)
+  const macKey = keysAndIV.slice(16, 32)
+  const iv = keysAndIV.slice(32, 48)
+
+  const hmac = crypto.createHmac('sha256', macKey)
+  hmac.write(hmacPayload)
+  const hmacDigest = hmac.digest()
+
+  // hash both hmacSig and hmacDigest so string comparison time
+  // is uncorrelated to the ciphertext 
+  const hmacSigHash = crypto.createHash('sha256')
+    .update(hmacSig)
+    .digest()
+    .toString('hex')
+
+  const hmacDigestHash = crypto.createHash('sha256')
+    .update(hmacDigest)
+    .digest()
+    .toString('hex')
+  
+  if (hmacSigHash !== hmacDigestHash) {
+    // not authentic
+    throw new AuthenticationError('Wrong password (HMAC mismatch)')
+  }
+
+  const decipher = crypto.createDecipheriv('aes-128-cbc', encKey, iv)
+  return Buffer.concat([decipher.update(cipherText), decipher.final()])
+}
+
 function encryptMnemonic(plaintextBuffer : Buffer, password: string) : Promise<Buffer> {
   return Promise.resolve().then(() => {
     // must be bip39 mnemonic 
@@ -26,81 +91,28 @@ function encryptMnemonic(plaintextBuffer : Buffer, password: string) : Promise<B
     const plaintextNormalized = Buffer.from(
       normalizeMnemonic(plaintextBuffer.toString()), 'hex')
 
-    // AES-128-CBC with SHA256 HMAC 
-    const salt = crypto.randomBytes(16)
-    const keysAndIV = crypto.pbkdf2Sync(password, salt, 100000, 48, 'sha512')
-    const encKey = keysAndIV.slice(0, 16)
-    const macKey = keysAndIV.slice(16, 32)
-    const iv = keysAndIV.slice(32, 48)
-
-    const cipher = crypto.createCipheriv('aes-128-cbc', encKey, iv)
-    let cipherText = cipher.update(plaintextNormalized, undefined, 'hex')
-    cipherText += cipher.final('hex')
-
-    const hmacPayload = Buffer.concat([salt, Buffer.from(cipherText, 'hex')])
-
-    const hmac = crypto.createHmac('sha256', macKey)
-    hmac.write(hmacPayload)
-    const hmacDigest = hmac.digest()
-
-    const payload = Buffer.concat([salt, hmacDigest, Buffer.from(cipherText, 'hex')])
-    return payload
+    return encryptWithKeys(plaintextNormalized, password)
   })
 }
 
 function decryptMnemonic(dataBuffer: Buffer, password: string) : Promise<string> {
   return Promise.resolve().then(() => {
-    const salt = dataBuffer.slice(0, 16)
-    const hmacSig = dataBuffer.slice(16, 48)   // 32 bytes
-    const cipherText = dataBuffer.slice(48)
-    const hmacPayload = Buffer.concat([salt, cipherText])
-
-    const keysAndIV = crypto.pbkdf2Sync(password, salt, 100000, 48, 'sha512')
-    const encKey = keysAndIV.slice(0, 16)
-    const macKey = keysAndIV.slice(16, 32)
-    const iv = keysAndIV.slice(32, 48)
-
-    const decipher = crypto.createDecipheriv('aes-128-cbc', encKey, iv)
-    let plaintext = decipher.update(cipherText.toString('hex'), 'hex').toString('hex')
-    plaintext += decipher.final().toString('hex')
-
-    const hmac = crypto.createHmac('sha256', macKey)
-    hmac.write(hmacPayload)
-    const hmacDigest = hmac.digest()
-
-    // hash both hmacSig and hmacDigest so string comparison time
-    // is uncorrelated to the ciphertext 
-    const hmacSigHash = crypto.createHash('sha256')
-      .update(hmacSig)
-      .digest()
-      .toString('hex')
-
-    const hmacDigestHash = crypto.createHash('sha256')
-      .update(hmacDigest)
-      .digest()
-      .toString('hex')
-    
-    if (hmacSigHash !== hmacDigestHash) {
-      // not authentic
-      throw new Error('Wrong password (HMAC mismatch)')
-    }
-
+    const plaintext = decryptWithKeys(dataBuffer, password).toString('hex')
     const mnemonic = denormalizeMnemonic(plaintext)
     if (!bip39.validateMnemonic(mnemonic)) {
-      throw new Error('Wrong password (invalid plaintext)')
+      throw new AuthenticationError('Wrong password (invalid plaintext)')
     }
 
     return mnemonic
   })
 }
 
-
 export function encryptBackupPhrase(plaintextBuffer: Buffer, password: string) : Promise<Buffer> {
-  return encryptMnemonic(plaintextBuffer, password)
+  return timePhase('keyDerivation', () => encryptMnemonic(plaintextBuffer, password))
 }
 
 export function decryptBackupPhrase(dataBuffer: Buffer, password: string) : Promise<string> {
-  return decryptMnemonic(dataBuffer, password)
+  return timePhase('keyDerivation', () => decryptMnemonic(dataBuffer, password)
   .catch((e) => // try the old way
     new Promise((resolve, reject) => {
       triplesec.decrypt(
@@ -118,6 +130,20 @@ export function decryptBackupPhrase(dataBuffer: Buffer, password: string) : Prom
         }
       )
     })
-  )
+  ))
 }
 
+
+/*
+ * Encrypt any data with a password, the way backup phrases are encrypted
+ * (but without turning it into entropy first).
+ */
+export function encryptWithPassword(plaintext: Buffer, password: string) : Promise<Buffer> {
+  return timePhase('keyDerivation', () => Promise.resolve().then(
+    () => encryptWithKeys(plaintext, password)))
+}
+
+export function decryptWithPassword(dataBuffer: Buffer, password: string) : Promise<Buffer> {
+  return timePhase('keyDerivation', () => Promise.resolve().then(
+    () => decryptWithKeys(dataBuffer, password)))
+}
@@ -0,0 +1,160 @@
+/* @flow */
+
+import logger from 'winston';
+
+import {
+  NetworkError
+} from './errors';
+
+// how long an endpoint that failed is skipped, in milliseconds.
+// It doubles with each failure in a row, up to MAX_ENDPOINT_COOLDOWN.
+const ENDPOINT_COOLDOWN = 30 * 1000;
+const MAX_ENDPOINT_COOLDOWN = 10 * 60 * 1000;
+
+type EndpointHealth = {
+  failures: number,      // failures in a row
+  downUntil: number      // when to try it again, in milliseconds
+};
+
+/*
+ * Wait for the given number of milliseconds.
+ */
+function sleep(ms: number) : Promise<void> {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/*
+ * Should a request that got this response be tried again elsewhere?
+ * Servers that are down or overloaded say so with a 5xx or a 429;
+ * other statuses (like a 404) are real answers.
+ */
+function isRetryableStatus(status: number) : boolean {
+  return status >= 500 || status === 429;
+}
+
+/*
+ * A list of interchangeable endpoints for one service (e.g. several Blockstack
+ * Core nodes).  Requests go to the first healthy endpoint, in the order given.
+ * An endpoint that fails (cannot be reached, or answers with a 5xx or 429) is
+ * marked unhealthy and skipped until its cooldown passes.  If every endpoint
+ * fails, the whole list is tried again after an exponential backoff.
+ */
+export class EndpointPool {
+  service: string
+  urls: Array<string>
+  retries: number
+  retryDelay: number
+  health: { [string]: EndpointHealth }
+
+  /*
+   * @service (string) the config setting of the service, for messages
+   * @urls (Array<string>) the endpoints; the first is the one blockstack.js uses
+   * @retries (number) how many more times to try the list if every endpoint fails
+   * @retryDelay (number) milliseconds to wait before the first retry (doubled each time)
+   */
+  constructor(service: string, urls: Array<string>, retries: number = 2,
+              retryDelay: number = 500) {
+    this.service = service;
+    this.urls = urls.map((url) => url.replace(/\/+$/, ''))
+      .filter((url, i, all) => url.length > 0 && all.indexOf(url) === i);
+    this.retries = retries;
+    this.retryDelay = retryDelay;
+    this.health = {};
+  }
+
+  /*
+   * The URL that blockstack.js sends this service's requests to.
+   */
+  getPrimaryUrl() : string {
+    return this.urls[0];
+  }
+
+  /*
+   * Get the endpoints to try, healthy ones first.
+   */
+  getEndpoints() : Array<string> {
+    const now = Date.now();
+    const isUp = (url) => !this.health[url] || this.health[url].downUntil <= now;
+    return this.urls.filter(isUp).concat(this.urls.filter((url) => !isUp(url)));
+  }
+
+  markFailed(url: string, reason: string) : void {
+    const failures = this.health[url] ? this.health[url].failures + 1 : 1;
+    const cooldown = Math.min(ENDPOINT_COOLDOWN * Math.pow(2, failures - 1), MAX_ENDPOINT_COOLDOWN);
+    this.health[url] = { failures, downUntil: Date.now() + cooldown };
+    // only warn when an endpoint first goes down
+    const log = failures === 1 ? logger.warn : logger.debug;
+    log(`${this.service} endpoint ${url} failed (${reason}); ` +
+        `skipping it for ${Math.round(cooldown / 1000)}s`);
+  }
+
+  markHealthy(url: string) : void {
+    delete this.health[url];
+  }
+
+  /*
+   * Does a URL belong to this service (i.e. start with its primary URL)?
+   */
+  owns(url: string) : boolean {
+    const primaryUrl = this.getPrimaryUrl();
+    return !!primaryUrl && (url === primaryUrl || url.startsWith(`${primaryUrl}/`) ||
+                            url.startsWith(`${primaryUrl}?`));
+  }
+
+  /*
+   * Fetch a URL of this service, failing over to the other endpoints
+   * and retrying with backoff.  Resolves to the last response if every
+   * attempt got a retryable status, and rejects if none could be reached.
+   * @fetchFn (function) the fetch() to use
+   * @url (string) the URL, which starts with the primary URL
+   * @init (Object) the fetch() options
+   */
+  fetch(fetchFn: Function, url: string, init: ?Object) : Promise<*> {
+    const path = url.slice(this.getPrimaryUrl().length);
+    let lastResponse = null;
+    let lastError = null;
+
+    const tryEndpoints = (endpoints: Array<string>) : Promise<*> => {
+      if (endpoints.length === 0) {
+        return Promise.resolve(null);
+      }
+      const endpoint = endpoints[0];
+      return Promise.resolve().then(() => fetchFn(`${endpoint}${path}`, init))
+        .then((resp) => {
+          if (isRetryableStatus(resp.status)) {
+            lastResponse = resp;
+            this.markFailed(endpoint, `status ${resp.status}`);
+            return tryEndpoints(endpoints.slice(1));
+          }
+          this.markHealthy(endpoint);
+          return resp;
+        })
+        .catch((e) => {
+          lastError = e;
+          this.markFailed(endpoint, e.message);
+          return tryEndpoints(endpoints.slice(1));
+        });
+    };
+
+    const tryRound = (round: number) : Promise<*> => tryEndpoints(this.getEndpoints())
+      .then((resp) => {
+        if (resp) {
+          return resp;
+        }
+        if (round < this.retries) {
+          const delay = this.retryDelay * Math.pow(2, round);
+          logger.debug(`Every ${this.service} endpoint failed; retrying in ${delay}ms`);
+          return sleep(delay).then(() => tryRound(round + 1));
+        }
+        if (lastResponse) {
+          return lastResponse;
+        }
+        throw new NetworkError(`Failed to reach any ${this.service} endpoint ` +
+                               `(${this.urls.join(', ')}): ` +
+                               `${lastError ? lastError.message : 'no endpoints'}`,
+                               { endpoints: this.urls });
+      });
+
+    return tryRound(0);
+  }
+}
@@ -0,0 +1,382 @@
+/* @flow */
+
+import process from 'process';
+import fs from 'fs';
+
+import {
+  CONFIG_SETTINGS,
+  expandHomeDir,
+  loadConfig,
+  parseSettingValue,
+  readConfigFile,
+  validateConfig
+} from './argparse';
+
+import {
+  ValidationError
+} from './errors';
+
+import {
+  redactProxyUrl
+} from './transport';
+
+export const DEFAULT_ENV_FILE = '.env';
+
+type GlobalOptionInfo = {
+  option: string,     // the option's letter
+  name: string,       // the option's name, as shown by "config show"
+  variable: string    // the environment variable that sets it
+};
+
+/*
+ * The global options that can be set with environment variables.
+ * -H, -T, -I, -Q, -K, and -M are left out, since they override the config
+ * settings blockstackAPIUrl, broadcastServiceUrl, blockstackNodeUrl, quorum,
+ * feeTarget, and feeMode, which have variables of their own (see
+ * SETTING_ENVIRONMENT_VARIABLES).
+ */
+export const GLOBAL_OPTIONS : Array<GlobalOptionInfo> = [
+  { option: 'c', name: 'configPath', variable: 'BLOCKSTACK_CLI_CONFIG' },
+  { option: 'p', name: 'profile', variable: 'BLOCKSTACK_CLI_PROFILE' },
+  { option: 'd', name: 'debug', variable: 'BLOCKSTACK_CLI_DEBUG' },
+  { option: 'e', name: 'estimateOnly', variable: 'BLOCKSTACK_CLI_ESTIMATE_ONLY' },
+  { option: 'i', name: 'integrationTest', variable: 'BLOCKSTACK_CLI_INTEGRATION_TEST' },
+  { option: 't', name: 'testnet', variable: 'BLOCKSTACK_CLI_TESTNET' },
+  { option: 'U', name: 'unsafe', variable: 'BLOCKSTACK_CLI_UNSAFE' },
+  { option: 'x', name: 'txOnly', variable: 'BLOCKSTACK_CLI_TX_ONLY' },
+  { option: 'S', name: 'psbt', variable: 'BLOCKSTACK_CLI_PSBT' },
+  { option: 'n', name: 'noCache', variable: 'BLOCKSTACK_CLI_NO_CACHE' },
+  { option: 'C', name: 'consensusHash', variable: 'BLOCKSTACK_CLI_CONSENSUS_HASH' },
+  { option: 'F', name: 'feeRate', variable: 'BLOCKSTACK_CLI_FEE_RATE' },
+  { option: 'B', name: 'namespaceBurnAddress', variable: 'BLOCKSTACK_CLI_NAMESPACE_BURN_ADDRESS' },
+  { option: 'P', name: 'priceToPay', variable: 'BLOCKSTACK_CLI_PRICE' },
+  { option: 'D', name: 'priceUnits', variable: 'BLOCKSTACK_CLI_PRICE_UNITS' },
+  { option: 'G', name: 'gracePeriod', variable: 'BLOCKSTACK_CLI_GRACE_PERIOD' },
+  { option: 'N', name: 'receiveFeesPeriod', variable: 'BLOCKSTACK_CLI_RECEIVE_FEES_PERIOD' },
+  { option: 'O', name: 'outputFormat', variable: 'BLOCKSTACK_CLI_OUTPUT_FORMAT' },
+  { option: 'R', name: 'recordCassette', variable: 'BLOCKSTACK_CLI_RECORD' },
+  { option: 'Y', name: 'replayCassette', variable: 'BLOCKSTACK_CLI_REPLAY' },
+  { option: 'V', name: 'trace', variable: 'BLOCKSTACK_CLI_TRACE' },
+  { option: 'A', name: 'harPath', variable: 'BLOCKSTACK_CLI_HAR' },
+  { option: 'b', name: 'bundlePath', variable: 'BLOCKSTACK_CLI_BUNDLE' }
+];
+
+// global options that override config settings
+export const OPTION_CONFIG_SETTINGS = {
+  'H': 'blockstackAPIUrl',
+  'T': 'broadcastServiceUrl',
+  'I': 'blockstackNodeUrl',
+  'Q': 'quorum',
+  'K': 'feeTarget',
+  'M': 'feeMode'
+};
+
+// the environment variables that set config settings
+export const SETTING_ENVIRONMENT_VARIABLES = {
+  network: 'BLOCKSTACK_CLI_NETWORK',
+  blockstackAPIUrl: 'BLOCKSTACK_CLI_BLOCKSTACK_API_URL',
+  blockstackNodeUrl: 'BLOCKSTACK_CLI_BLOCKSTACK_NODE_URL',
+  broadcastServiceUrl: 'BLOCKSTACK_CLI_BROADCAST_SERVICE_URL',
+  utxoServiceUrl: 'BLOCKSTACK_CLI_UTXO_SERVICE_URL',
+  gaiaHubUrl: 'BLOCKSTACK_CLI_GAIA_HUB_URL',
+  gaiaUrlPrefix: 'BLOCKSTACK_CLI_GAIA_URL_PREFIX',
+  ownerKey: 'BLOCKSTACK_CLI_OWNER_KEY',
+  paymentKey: 'BLOCKSTACK_CLI_PAYMENT_KEY',
+  logConfig: 'BLOCKSTACK_CLI_LOG_CONFIG',
+  cache: 'BLOCKSTACK_CLI_CACHE',
+  cacheDir: 'BLOCKSTACK_CLI_CACHE_DIR',
+  keystoreDir: 'BLOCKSTACK_CLI_KEYSTORE_DIR',
+  cacheTTLs: 'BLOCKSTACK_CLI_CACHE_TTLS',
+  blockstackAPIUrls: 'BLOCKSTACK_CLI_BLOCKSTACK_API_URLS',
+  broadcastServiceUrls: 'BLOCKSTACK_CLI_BROADCAST_SERVICE_URLS',
+  utxoServiceUrls: 'BLOCKSTACK_CLI_UTXO_SERVICE_URLS',
+  retries: 'BLOCKSTACK_CLI_RETRIES',
+  retryDelay: 'BLOCKSTACK_CLI_RETRY_DELAY',
+  quorum: 'BLOCKSTACK_CLI_QUORUM',
+  proxy: 'BLOCKSTACK_CLI_PROXY',
+  noProxy: 'BLOCKSTACK_CLI_NO_PROXY',
+  caFile: 'BLOCKSTACK_CLI_CA_FILE',
+  utxoProvider: 'BLOCKSTACK_CLI_UTXO_PROVIDER',
+  bitcoindUsername: 'BLOCKSTACK_CLI_BITCOIND_USERNAME',
+  bitcoindPassword: 'BLOCKSTACK_CLI_BITCOIND_PASSWORD',
+  feeTarget: 'BLOCKSTACK_CLI_FEE_TARGET',
+  feeMode: 'BLOCKSTACK_CLI_FEE_MODE',
+  maxFeeRate: 'BLOCKSTACK_CLI_MAX_FEE_RATE',
+  maxFee: 'BLOCKSTACK_CLI_MAX_FEE',
+  preordersFile: 'BLOCKSTACK_CLI_PREORDERS_FILE',
+  serveOrigins: 'BLOCKSTACK_CLI_SERVE_ORIGINS',
+  serveSigners: 'BLOCKSTACK_CLI_SERVE_SIGNERS',
+  completionHistory: 'BLOCKSTACK_CLI_COMPLETION_HISTORY'
+};
+
+// settings whose values are not shown by "config show"
+const SECRET_SETTINGS = ['ownerKey', 'paymentKey', 'bitcoindPassword'];
+
+export type ResolvedConfig = {
+  config: Object,                 // the effective config settings
+  sources: { [string]: string }   // where each setting's value came from
+};
+
+/*
+ * Parse the contents of a .env file.  Each line is NAME=VALUE, optionally
+ * preceded by "export".  Values can be single- or double-quoted; escapes
+ * like \n are only expanded in double quotes.  Lines starting with # are ignored.
+ * @text (string) the file's contents
+ * @return map from variable name to value
+ */
+export function parseDotEnv(text: string) : { [string]: string } {
+  const variables = {};
+  const lines = text.split(/\r?\n/);
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i].trim();
+    if (line.length === 0 || line.startsWith('#')) {
+      continue;
+    }
+
+    const match = line.match(/^(?:export\s+)?([A-Za-z_][A-Za-z0-9_]*)\s*=\s*(.*)$/);
+    if (!match) {
+      throw new ValidationError(`line ${i + 1}: expected NAME=VALUE`);
+    }
+
+    let value = match[2];
+    if (value.length >= 2 && value.startsWith('"') && value.endsWith('"')) {
+      value = value.slice(1, -1).replace(/\\(.)/g, (escape, c) => (c === 'n' ? '\n' : c));
+    }
+    else if (value.length >= 2 && value.startsWith('\'') && value.endsWith('\'')) {
+      value = value.slice(1, -1);
+    }
+    else {
+      // unquoted values can have trailing comments
+      value = value.replace(/\s+#.*$/, '').trim();
+    }
+    variables[match[1]] = value;
+  }
+  return variables;
+}
+
+/*
+ * Get the environment, with the variables in the .env file added.
+ * Variables that are already set take precedence over the .env file.
+ * The .env file is read from the current directory, or from the path
+ * in BLOCKSTACK_CLI_ENV_FILE (in which case it must exist).
+ * @env (Object) the process's environment
+ */
+export function loadEnvironment(env: Object = process.env) : Object {
+  const envFile = env.BLOCKSTACK_CLI_ENV_FILE ?
+    expandHomeDir(env.BLOCKSTACK_CLI_ENV_FILE) : DEFAULT_ENV_FILE;
+
+  let fileVariables = {};
+  try {
+    fileVariables = parseDotEnv(fs.readFileSync(envFile).toString());
+  }
+  catch (e) {
+    if (e.code !== 'ENOENT' || !!env.BLOCKSTACK_CLI_ENV_FILE) {
+      throw new ValidationError(`Failed to load ${envFile}: ${e.message}`);
+    }
+  }
+
+  return Object.assign({}, fileVariables, env);
+}
+
+/*
+ * Parse an environment variable's value as a boolean.
+ */
+function parseBoolean(variable: string, value: string) : boolean {
+  const normalized = value.trim().toLowerCase();
+  if (['1', 'true', 'yes', 'on'].includes(normalized)) {
+    return true;
+  }
+  else if (['0', 'false', 'no', 'off', ''].includes(normalized)) {
+    return false;
+  }
+  throw new ValidationError(`Invalid value for ${variable}: "${value}" (expected true or false)`);
+}
+
+/*
+ * Fill in the global options that were not given on the command line
+ * from their environment variables.
+ * @opts (Object) the options parsed by getCLIOpts
+ * @env (Object) the environment
+ * @return the options, and the source ('option' or 'environment') of each one that is set
+ */
+export function applyEnvironmentOptions(opts: Object, env: Object)
+  : { opts: Object, sources: { [string]: string } } {
+  const newOpts = Object.assign({}, opts);
+  const sources = {};
+
+  for (const optionInfo of GLOBAL_OPTIONS) {
+    const option = optionInfo.option;
+    const value = env[optionInfo.variable];
+    const isSwitch = typeof opts[option] === 'boolean';
+    const givenAsFlag = isSwitch ? opts[option] : (opts[option] !== null && opts[option] !== undefined);
+
+    if (givenAsFlag) {
+      sources[option] = 'option';
+    }
+    else if (value !== undefined && value !== null) {
+      newOpts[option] = isSwitch ? parseBoolean(optionInfo.variable, value) : value;
+      sources[option] = 'environment';
+    }
+  }
+
+  return { opts: newOpts, sources };
+}
+
+/*
+ * Get the config settings given by environment variables.
+ * Throws if any of them are invalid.
+ * @env (Object) the environment
+ */
+export function getEnvironmentConfig(env: Object) : Object {
+  const settings = {};
+  for (const setting of CONFIG_SETTINGS) {
+    const variable = SETTING_ENVIRONMENT_VARIABLES[setting];
+    const value = env[variable];
+    if (value === undefined || value === null || value === '') {
+      continue;
+    }
+
+    let settingValue;
+    try {
+      settingValue = parseSettingValue(setting, value);
+    }
+    catch (e) {
+      throw new ValidationError(`Invalid value for ${variable}: ${e.message}`);
+    }
+
+    const problems = validateConfig({ [setting]: settingValue });
+    if (problems.length > 0) {
+      throw new ValidationError(`Invalid value for ${variable}: ` +
+                                `${problems.map((problem) => problem.replace(/^[^:]*: /, '')).join('; ')}`);
+    }
+    settings[setting] = settingValue;
+  }
+  return settings;
+}
+
+/*
+ * Resolve the effective config.  Each setting is taken from the first of:
+ *   1. a command-line option (-H, -T, -I, -Q, -K, -M, or -t/-i for the network)
+ *   2. a BLOCKSTACK_CLI_* environment variable (or the .env file)
+ *   3. the config profile, then the top level of the config file
+ *   4. the network's defaults
+ * @configPath (string) the path to the config file
+ * @networkType (string) the network chosen on the command line, if any
+ * @profile (string) the profile chosen on the command line or environment, if any
+ * @env (Object) the environment
+ * @optionSettings (Object) config settings given as command-line options
+ */
+export function resolveConfig(configPath: string, networkType: ?string, profile: ?string,
+                              env: Object, optionSettings: Object = {}) : ResolvedConfig {
+  const envSettings = getEnvironmentConfig(env);
+  const fileConfig = loadConfig(
+    configPath, networkType ? networkType : envSettings.network, profile);
+
+  const fileData = readConfigFile(configPath) || {};
+  const profileData = fileConfig.profile ? fileData.profiles[fileConfig.profile] : {};
+
+  const givenOptionSettings = {};
+  for (const setting of Object.keys(optionSettings)) {
+    const value = optionSettings[setting];
+    if (value !== null && value !== undefined) {
+      try {
+        givenOptionSettings[setting] = typeof value === 'string' ?
+          parseSettingValue(setting, value) : value;
+      }
+      catch (e) {
+        throw new ValidationError(`Invalid value for ${setting}: ${e.message}`);
+      }
+
+      const problems = validateConfig({ [setting]: givenOptionSettings[setting] });
+      if (problems.length > 0) {
+        throw new ValidationError(`Invalid value for ${setting}: ` +
+                                  `${problems.map((problem) => problem.replace(/^[^:]*: /, '')).join('; ')}`);
+      }
+    }
+  }
+
+  const config = Object.assign({}, fileConfig, envSettings, givenOptionSettings, {
+    network: fileConfig.network
+  });
+
+  const sources = {};
+  for (const setting of Object.keys(config)) {
+    if (givenOptionSettings.hasOwnProperty(setting) ||
+        (setting === 'network' && !!networkType)) {
+      sources[setting] = 'option';
+    }
+    else if (envSettings.hasOwnProperty(setting)) {
+      sources[setting] = 'environment';
+    }
+    else if (profileData.hasOwnProperty(setting)) {
+      sources[setting] = `profile ${fileConfig.profile}`;
+    }
+    else if (fileData.hasOwnProperty(setting)) {
+      sources[setting] = 'config file';
+    }
+    else {
+      sources[setting] = 'default';
+    }
+  }
+
+  return { config, sources };
+}
+
+/*
+ * Describe the effective config and global options, for "config show".
+ * Secret values (private keys and proxy passwords) are not shown.
+ * @resolved (ResolvedConfig) the resolved config
+ * @opts (Object) the global options, after applyEnvironmentOptions
+ * @optionSources (Object) the source of each global option
+ * @return a list of {setting, value, source, variable} rows
+ */
+export function describeEffectiveConfig(resolved: ResolvedConfig,
+                                        opts: Object = {},
+                                        optionSources: Object = {}) : Array<Object> {
+  const showValue = (setting, value) => {
+    if (value === null || value === undefined) {
+      return null;
+    }
+    if (setting === 'proxy') {
+      return redactProxyUrl(value);
+    }
+    return SECRET_SETTINGS.includes(setting) ? '(hidden)' : value;
+  };
+
+  const rows = CONFIG_SETTINGS.map((setting) => ({
+    setting,
+    value: showValue(setting, resolved.config[setting]),
+    source: resolved.sources.hasOwnProperty(setting) ? resolved.sources[setting] : 'unset',
+    variable: SETTING_ENVIRONMENT_VARIABLES[setting]
+  }));
+
+  return rows.concat(GLOBAL_OPTIONS.map((optionInfo) => {
+    const value = opts[optionInfo.option];
+    return {
+      setting: optionInfo.name,
+      value: showValue(optionInfo.name, value === null || value === undefined ? null : value),
+      source: optionSources.hasOwnProperty(optionInfo.option) ?
+        optionSources[optionInfo.option] : 'default',
+      variable: optionInfo.variable
+    };
+  }));
+}
+
+/*
+ * Get the command options that are only set by the environment.
+ * API_KEY and BLOCKSTACK_TEST are honored for compatibility,
+ * but BLOCKSTACK_CLI_API_KEY takes precedence over API_KEY.
+ * @env (Object) the environment
+ */
+export function getEnvironmentCommandOptions(env: Object)
+  : { apiKey: ?string, serveToken: ?string, keystorePassword: ?string,
+      blockstackTest: boolean } {
+  const apiKey = env.BLOCKSTACK_CLI_API_KEY ? env.BLOCKSTACK_CLI_API_KEY :
+    (env.API_KEY ? env.API_KEY : null);
+  const blockstackTest = env.BLOCKSTACK_TEST ?
+    parseBoolean('BLOCKSTACK_TEST', env.BLOCKSTACK_TEST) : false;
+  const serveToken = env.BLOCKSTACK_CLI_SERVE_TOKEN ? env.BLOCKSTACK_CLI_SERVE_TOKEN : null;
+  const keystorePassword = env.BLOCKSTACK_CLI_KEYSTORE_PASSWORD ?
+    env.BLOCKSTACK_CLI_KEYSTORE_PASSWORD : null;
+  return { apiKey, serveToken, keystorePassword, blockstackTest };
+}
@@ -0,0 +1,222 @@
+/* @flow */
+
+/*
+ * The CLI's errors.
+ *
+ * Every error has a stable, machine-readable 'code' (one of ERROR_CODES),
+ * which also decides the CLI's exit code.  Tell errors apart by their 'code',
+ * not with instanceof: subclasses of Error are not real subclasses once
+ * compiled by Babel, so instanceof does not work on them (their own fields do).
+ */
+
+export const ERROR_CODES = {
+  INTERNAL: 'INTERNAL',                       // anything else
+  VALIDATION: 'VALIDATION',                   // bad arguments, options, or config
+  NETWORK: 'NETWORK',                         // a remote service failed or could not be reached
+  SAFETY_CHECK: 'SAFETY_CHECK',               // a transaction failed its safety checks
+  INSUFFICIENT_FUNDS: 'INSUFFICIENT_FUNDS',   // not enough money to pay for a transaction
+  NOT_FOUND: 'NOT_FOUND',                     // no such name, namespace, file, etc.
+  AUTHENTICATION: 'AUTHENTICATION'            // a wrong password, token, or signature
+};
+
+// the CLI's exit code for each error code
+export const EXIT_CODES = {
+  INTERNAL: 1,
+  VALIDATION: 2,
+  NETWORK: 3,
+  SAFETY_CHECK: 4,
+  INSUFFICIENT_FUNDS: 5,
+  NOT_FOUND: 6,
+  AUTHENTICATION: 7
+};
+
+// codes of errors from Node that mean the network is unreachable
+const SYSTEM_NETWORK_ERRORS = ['ECONNREFUSED', 'ECONNRESET', 'ENOTFOUND',
+                               'EAI_AGAIN', 'ETIMEDOUT', 'EHOSTUNREACH', 'EPIPE'];
+
+// code of blockstack.js's RemoteServiceError, which a service's error response becomes
+const REMOTE_SERVICE_ERROR = 'remote_service_error';
+
+// most of a service's error response to put in an error message
+const MAX_RESPONSE_TEXT = 1024;
+
+export class CLIError extends Error {
+  code: string
+  details: ?Object
+  constructor(message: string, code: string = ERROR_CODES.INTERNAL, details: ?Object = null) {
+    super(message);
+    this.message = message;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+export class ValidationError extends CLIError {
+  constructor(message: string, details: ?Object = null) {
+    super(message, ERROR_CODES.VALIDATION, details);
+  }
+}
+
+export class NetworkError extends CLIError {
+  constructor(message: string, details: ?Object = null) {
+    super(message, ERROR_CODES.NETWORK, details);
+  }
+}
+
+export class InsufficientFundsError extends CLIError {
+  constructor(message: string, details: ?Object = null) {
+    super(message, ERROR_CODES.INSUFFICIENT_FUNDS, details);
+  }
+}
+
+export class NotFoundError extends CLIError {
+  constructor(message: string, details: ?Object = null) {
+    super(message, ERROR_CODES.NOT_FOUND, details);
+  }
+}
+
+export class AuthenticationError extends CLIError {
+  constructor(message: string, details: ?Object = null) {
+    super(message, ERROR_CODES.AUTHENTICATION, details);
+  }
+}
+
+/*
+ * A transaction failed its safety checks.  The 'safetyErrors' field
+ * holds the report of which checks failed (it is also the 'details').
+ */
+export class SafetyError extends CLIError {
+  safetyErrors: Object
+  constructor(safetyErrors: Object) {
+    super(typeof safetyErrors.error === 'string' ? safetyErrors.error : 'Safety checks failed',
+          ERROR_CODES.SAFETY_CHECK, safetyErrors);
+    this.safetyErrors = safetyErrors;
+  }
+}
+
+/*
+ * Get an error's code.  Errors that did not come from the CLI
+ * (e.g. from blockstack.js or Node) are classified by what they are.
+ * @error (Error) the error
+ * @return one of ERROR_CODES
+ */
+export function getErrorCode(error: any) : string {
+  if (!error) {
+    return ERROR_CODES.INTERNAL;
+  }
+  if (typeof error.code === 'string' && ERROR_CODES.hasOwnProperty(error.code)) {
+    return error.code;
+  }
+  if (error.hasOwnProperty('safetyErrors')) {
+    return ERROR_CODES.SAFETY_CHECK;
+  }
+  if (error.name === 'NotEnoughFundsError' || error.name === 'InvalidAmountError') {
+    return ERROR_CODES.INSUFFICIENT_FUNDS;
+  }
+  if (error.name === 'FetchError' || error.code === REMOTE_SERVICE_ERROR ||
+      SYSTEM_NETWORK_ERRORS.includes(error.code) ||
+      /^Bad response (status|code)/.test(String(error.message))) {
+    return ERROR_CODES.NETWORK;
+  }
+  if (error.code === 'ENOENT') {
+    return ERROR_CODES.NOT_FOUND;
+  }
+  return ERROR_CODES.INTERNAL;
+}
+
+/*
+ * Describe a blockstack.js RemoteServiceError, which often has no message of
+ * its own, by the response it was made from.
+ * @error (Error) the RemoteServiceError
+ * @responseText (string) OPTIONAL: the response body
+ */
+function describeRemoteServiceError(error: any, responseText: ?string = null) : string {
+  const response = error.response;
+  let message = 'Remote service error';
+  if (!!response) {
+    message += response.url ? ` from ${response.url}` : '';
+    message += `: HTTP ${response.status}${response.statusText ? ` ${response.statusText}` : ''}`;
+  }
+  if (error.message) {
+    message += `: ${error.message}`;
+  }
+  else if (responseText) {
+    message += `: ${responseText.trim().slice(0, MAX_RESPONSE_TEXT)}`;
+  }
+  return message;
+}
+
+/*
+ * Turn a blockstack.js RemoteServiceError into a NetworkError whose message
+ * has the service's response status and (if it was not read already) body.
+ * Any other error is passed through as-is.
+ * @error (Error) the error
+ * @return a Promise that resolves to the error to report
+ */
+export function explainRemoteServiceError(error: any) : Promise<Error> {
+  if (!error || error.code !== REMOTE_SERVICE_ERROR) {
+    return Promise.resolve(error);
+  }
+  const response = error.response;
+  const textPromise = !!response && !response.bodyUsed && typeof response.text === 'function' ?
+    response.text().catch(() => null) : Promise.resolve(null);
+  return textPromise.then((responseText) => new NetworkError(
+    describeRemoteServiceError(error, responseText),
+    !!response ? { httpStatus: response.status } : null));
+}
+
+/*
+ * Get the CLI's exit code for an error.
+ */
+export function getExitCode(error: any) : number {
+  return EXIT_CODES[getErrorCode(error)];
+}
+
+/*
+ * Make the JSON error envelope that every command reports errors with:
+ *   { "status": false, "error": MESSAGE, "code": CODE, "details": ... }
+ * 'details' is only present if the error has any (e.g. a safety check report).
+ * @error (Error) the error
+ */
+export function makeErrorEnvelope(error: any) : Object {
+  let message;
+  if (!!error && error.code === REMOTE_SERVICE_ERROR) {
+    message = describeRemoteServiceError(error);
+  }
+  else {
+    message = !!error && error.message ? String(error.message) : String(error);
+  }
+  const envelope: Object = {
+    'status': false,
+    'error': message,
+    'code': getErrorCode(error)
+  };
+  if (!!error && !!error.details) {
+    envelope.details = error.details;
+  }
+  else if (!!error && error.hasOwnProperty('safetyErrors')) {
+    envelope.details = error.safetyErrors;
+  }
+  return envelope;
+}
+
+/*
+ * Turn a command result of the form {status: false, error: ...} into an error,
+ * so that it is reported like any other.  The rest of the result (or the
+ * result's own details) becomes the error's details.
+ * @result (Object) the failed command result
+ */
+export function resultError(result: Object) : CLIError {
+  const code = typeof result.code === 'string' && ERROR_CODES.hasOwnProperty(result.code) ?
+    result.code : ERROR_CODES.INTERNAL;
+  const message = typeof result.error === 'string' ? result.error : 'Command failed';
+
+  let details = result.details;
+  if (details === undefined) {
+    details = Object.assign({}, result);
+    delete details.status;
+    delete details.error;
+    delete details.code;
+  }
+  return new CLIError(message, code, Object.keys(details || {}).length > 0 ? details : null);
+}
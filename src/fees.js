@@ -0,0 +1,325 @@
+/* @flow */
+
+import logger from 'winston';
+const bitcoin = require('bitcoinjs-lib');
+const blockstack = require('blockstack');
+
+import {
+  TransactionSigner
+} from 'blockstack';
+
+import {
+  InsufficientFundsError,
+  ValidationError
+} from './errors';
+
+import {
+  locateTransaction
+} from './preorders';
+
+import {
+  getPrivateKeyAddress
+} from './utils';
+
+/*
+ * Fee bumping, for transactions that sit unconfirmed because they pay too
+ * little.  There are two ways to do it:
+ *
+ * Replace-by-fee (RBF) sends a copy of the transaction that pays more, by
+ * taking the difference out of its change.  The copy spends the same outputs,
+ * so it replaces the original (along with anything that spends the original's
+ * outputs, whose fees it must pay for too).  Its Blockstack payload is the
+ * same, but its txid is not.  Only transactions that signal that they can be
+ * replaced (BIP 125) can be replaced.
+ *
+ * Child-pays-for-parent (CPFP) spends the transaction's change in a new
+ * transaction that pays enough for both, so that they are mined together.
+ * The original is left as it is.
+ *
+ * Only single-key (p2pkh) payment keys and external signers are supported,
+ * since the size of what they sign is known.
+ */
+
+// the least a replacement must pay over what it replaces, per byte (BIP 125),
+// and the least a transaction may pay
+const MIN_RELAY_FEE_RATE = 1;
+
+// the smallest change output blockstack.js makes
+const DUST_MINIMUM = 5500;
+
+// lets the transactions made here be replaced in turn (BIP 125)
+const RBF_SEQUENCE = 0xfffffffd;
+
+// a transaction can only be replaced if one of its inputs has a lower sequence (BIP 125)
+const MAX_RBF_SEQUENCE = 0xfffffffe;
+
+// the size of a transaction that spends one p2pkh output to another
+const P2PKH_CHILD_BYTES = 10 + 148 + 34;
+
+export type FeeBump = {
+  tx: string,             // the replacement (rbf) or the child (cpfp)
+  fee: number,            // what it pays in fees
+  extraFee: number,       // what the bump adds to the fees already paid
+  feeRate: number,        // what it (with cpfp, along with its ancestors) pays per byte
+  oldFeeRate: number,     // what the original (with its ancestors, or with rbf, its
+                          // descendants) paid per byte
+  droppedTxids: Array<string>  // with rbf, the descendants that are replaced along with it
+};
+
+type SpentOutput = { script: Buffer, value: number };
+
+function txidOf(input: Object) : string {
+  return Buffer.from(input.hash).reverse().toString('hex');
+}
+
+function getOutputScript(network: Object, address: string) : Buffer {
+  return bitcoin.address.toOutputScript(network.coerceAddress(address), network.layer1);
+}
+
+/*
+ * Make a key into something that signs transaction inputs.  The key must
+ * spend from a p2pkh address.
+ */
+function makeSigner(network: Object, key: string | TransactionSigner) : TransactionSigner {
+  const address = network.coerceAddress(getPrivateKeyAddress(network, key));
+  if (bitcoin.address.fromBase58Check(address).version !== network.layer1.pubKeyHash) {
+    throw new ValidationError(`Fees can only be bumped with single-key payment keys or ` +
+                              `external signers, not with the key of ${address}`);
+  }
+  return typeof key === 'string' ? blockstack.PubkeyHashSigner.fromHexString(key) : key;
+}
+
+/*
+ * Look up the outputs that a transaction spends, and tell the network what
+ * they are worth, so that the fees of transactions that spend them can be
+ * checked when they are sent.
+ */
+function getSpentOutputs(network: Object, tx: Object) : Promise<Array<SpentOutput>> {
+  return Promise.all(tx.ins.map((input) => network.getRawTransaction(txidOf(input))
+    .then((prevTxHex) => {
+      const output = bitcoin.Transaction.fromHex(prevTxHex).outs[input.index];
+      if (!output) {
+        throw new ValidationError(`${txidOf(input)} has no output ${input.index}`);
+      }
+      network.setOutputValue(txidOf(input), input.index, output.value);
+      return { script: output.script, value: output.value };
+    })));
+}
+
+function getFee(tx: Object, spentOutputs: Array<SpentOutput>) : number {
+  return spentOutputs.reduce((sum, output) => sum + output.value, 0) -
+    tx.outs.reduce((sum, output) => sum + output.value, 0);
+}
+
+/*
+ * Find the output of a transaction that pays its change.  Blockstack
+ * operations put it last.
+ * Throws a ValidationError if there is none.
+ */
+export function getChangeIndex(network: Object, tx: Object, changeAddress: string) : number {
+  const script = getOutputScript(network, changeAddress);
+  for (let i = tx.outs.length - 1; i >= 0; i--) {
+    if (tx.outs[i].script.equals(script)) {
+      return i;
+    }
+  }
+  throw new ValidationError(`Transaction ${tx.getId()} pays no change to ${changeAddress}, ` +
+                            'so its fee cannot be bumped with that key');
+}
+
+/*
+ * Does a transaction signal that it can be replaced (BIP 125)?
+ * blockstack.js's transactions do not.
+ * @txHex (string) the transaction
+ */
+export function signalsReplacement(txHex: string) : boolean {
+  return bitcoin.Transaction.fromHex(txHex).ins.some((input) => input.sequence < MAX_RBF_SEQUENCE);
+}
+
+function checkFeeRate(txid: string, oldFeeRate: number, feeRate: number) : void {
+  if (oldFeeRate >= feeRate) {
+    throw new ValidationError(`Transaction ${txid} already pays ${oldFeeRate.toFixed(1)} ` +
+                              `satoshis/byte, which is at least the fee rate of ${feeRate}; ` +
+                              'give a higher one with -F');
+  }
+}
+
+/*
+ * Make a transaction that replaces an unconfirmed one, and pays a higher
+ * fee rate out of its change.  Every input is signed again, since the
+ * outputs change, so the keys must own all of them.  The transactions that
+ * spend its outputs (its descendants) are dropped along with it, so the
+ * replacement also pays what they paid in fees (BIP 125).
+ * Throws a ValidationError if the transaction does not signal that it can be replaced.
+ * @network (CLINetworkAdapter) the network
+ * @txHex (string) the transaction to replace
+ * @changeKey (string|TransactionSigner) the key that its change is paid to
+ * @otherKeys (Array) the keys that own its other inputs (e.g. the owner key)
+ * @feeRate (number) the fee rate to pay, in satoshis per byte
+ * @descendantTxHexes (Array<string>) its unconfirmed descendants
+ * @buildIncomplete (boolean) leave the replacement unsigned
+ * @return a Promise to the FeeBump, with the replacement
+ */
+export function makeReplacement(network: Object, txHex: string,
+                                changeKey: string | TransactionSigner,
+                                otherKeys: Array<string | TransactionSigner>,
+                                feeRate: number,
+                                descendantTxHexes: Array<string> = [],
+                                buildIncomplete: boolean = false) : Promise<FeeBump> {
+  const tx = bitcoin.Transaction.fromHex(txHex);
+  if (!signalsReplacement(txHex)) {
+    return Promise.reject(new ValidationError(`Transaction ${tx.getId()} does not signal that ` +
+                                              'it can be replaced (BIP 125); use cpfp'));
+  }
+  const descendants = descendantTxHexes.map(
+    (descendantHex) => bitcoin.Transaction.fromHex(descendantHex));
+  const keys = [changeKey].concat(otherKeys);
+  const signers = keys.map((key) => makeSigner(network, key));
+  const scripts = keys.map((key) => getOutputScript(network, getPrivateKeyAddress(network, key)));
+  const changeIndex = getChangeIndex(network, tx, getPrivateKeyAddress(network, changeKey));
+
+  return Promise.all([
+    getSpentOutputs(network, tx),
+    Promise.all(descendants.map((descendant) => getSpentOutputs(network, descendant)
+      .then((descendantSpentOutputs) => getFee(descendant, descendantSpentOutputs))))
+  ])
+    .then(([spentOutputs, descendantFees]) => {
+      const inputSigners = spentOutputs.map((output, index) => {
+        const keyIndex = scripts.findIndex((script) => script.equals(output.script));
+        if (keyIndex < 0) {
+          throw new ValidationError(`Input ${index} of ${tx.getId()} is not owned by any of ` +
+                                    'the keys given, so it cannot be signed again');
+        }
+        return signers[keyIndex];
+      });
+
+      // the replacement is as big as the original, give or take a byte per signature
+      const size = tx.byteLength();
+      const oldFee = getFee(tx, spentOutputs);
+      const descendantFee = descendantFees.reduce((sum, value) => sum + value, 0);
+      const descendantSize = descendants.reduce(
+        (sum, descendant) => sum + descendant.virtualSize(), 0);
+      const oldFeeRate = (oldFee + descendantFee) / (size + descendantSize);
+      checkFeeRate(tx.getId(), oldFeeRate, feeRate);
+
+      // it must pay more than everything it replaces, by at least the relay fee of itself
+      const fee = Math.max(Math.ceil(feeRate * size),
+                           oldFee + descendantFee + MIN_RELAY_FEE_RATE * size);
+      const change = tx.outs[changeIndex].value - (fee - oldFee);
+      if (change < DUST_MINIMUM) {
+        throw new InsufficientFundsError(`The change of ${tx.getId()} ` +
+          `(${tx.outs[changeIndex].value} satoshis) cannot pay the ${fee - oldFee} more ` +
+          'satoshis in fees that replacing it takes');
+      }
+
+      const droppedTxids = descendants.map((descendant) => descendant.getId());
+      if (droppedTxids.length > 0) {
+        logger.warn(`Replacing ${tx.getId()} also drops the unconfirmed transactions that ` +
+                    `spend its outputs: ${droppedTxids.join(', ')}`);
+      }
+
+      const txb = new bitcoin.TransactionBuilder(network.layer1);
+      txb.setVersion(tx.version);
+      txb.setLockTime(tx.locktime);
+      tx.ins.forEach((input) => txb.addInput(Buffer.from(input.hash), input.index, RBF_SEQUENCE));
+      tx.outs.forEach((output, index) => txb.addOutput(
+        output.script, index === changeIndex ? change : output.value));
+
+      // sign one input at a time, since external signers are asked in turn
+      return inputSigners.reduce((promise, signer, index) => promise
+        .then(() => (buildIncomplete ? null : signer.signTransaction(txb, index))),
+                                 Promise.resolve())
+        .then(() => ({
+          tx: buildIncomplete ? txb.buildIncomplete().toHex() : txb.build().toHex(),
+          fee,
+          extraFee: fee - oldFee,
+          feeRate: fee / size,
+          oldFeeRate,
+          droppedTxids
+        }));
+    });
+}
+
+/*
+ * Get a transaction's unconfirmed ancestors (the transactions whose outputs
+ * it spends, and theirs, and so on, that are not mined yet), along with it.
+ */
+function getUnconfirmedAncestors(network: Object, txHex: string,
+                                 seen: Array<string> = []) : Promise<Array<string>> {
+  const tx = bitcoin.Transaction.fromHex(txHex);
+  seen.push(tx.getId());
+  const parentTxids = tx.ins.map(txidOf)
+    .filter((txid, i, all) => all.indexOf(txid) === i && !seen.includes(txid));
+
+  // one parent at a time, so that shared ancestors are only counted once
+  return parentTxids.reduce((promise, txid) => promise.then((ancestors) =>
+    locateTransaction(network, txid)
+      .then((location) => {
+        if (location !== 'unconfirmed' || seen.includes(txid)) {
+          return ancestors;
+        }
+        return network.getRawTransaction(txid)
+          .then((parentHex) => getUnconfirmedAncestors(network, parentHex, seen))
+          .then((parentAncestors) => ancestors.concat(parentAncestors));
+      })), Promise.resolve([]))
+    .then((ancestors) => ancestors.concat([txHex]));
+}
+
+/*
+ * Make a transaction that spends an unconfirmed transaction's change back
+ * to the same address, and pays enough for the two of them (and any of the
+ * transaction's unconfirmed ancestors) to be mined at a higher fee rate.
+ * The change must be unspent.
+ * @network (CLINetworkAdapter) the network
+ * @txHex (string) the transaction whose change to spend
+ * @changeKey (string|TransactionSigner) the key that its change is paid to
+ * @feeRate (number) the fee rate to pay, in satoshis per byte
+ * @buildIncomplete (boolean) leave the child unsigned
+ * @return a Promise to the FeeBump, with the child
+ */
+export function makeChildPayment(network: Object, txHex: string,
+                                 changeKey: string | TransactionSigner,
+                                 feeRate: number,
+                                 buildIncomplete: boolean = false) : Promise<FeeBump> {
+  const tx = bitcoin.Transaction.fromHex(txHex);
+  const signer = makeSigner(network, changeKey);
+  const changeAddress = getPrivateKeyAddress(network, changeKey);
+  const changeIndex = getChangeIndex(network, tx, changeAddress);
+  const change = tx.outs[changeIndex].value;
+  network.setOutputValue(tx.getId(), changeIndex, change);
+
+  return getUnconfirmedAncestors(network, txHex)
+    .then((packageTxs) => Promise.all(packageTxs.map((packageTxHex) => {
+      const packageTx = bitcoin.Transaction.fromHex(packageTxHex);
+      return getSpentOutputs(network, packageTx)
+        .then((spentOutputs) => ({
+          fee: getFee(packageTx, spentOutputs),
+          size: packageTx.byteLength()
+        }));
+    })))
+    .then((packageInfo) => {
+      const packageFee = packageInfo.reduce((sum, info) => sum + info.fee, 0);
+      const packageSize = packageInfo.reduce((sum, info) => sum + info.size, 0);
+      checkFeeRate(tx.getId(), packageFee / packageSize, feeRate);
+
+      const fee = Math.max(Math.ceil(feeRate * (packageSize + P2PKH_CHILD_BYTES)) - packageFee,
+                           MIN_RELAY_FEE_RATE * P2PKH_CHILD_BYTES);
+      if (change - fee < DUST_MINIMUM) {
+        throw new InsufficientFundsError(`The change of ${tx.getId()} (${change} satoshis) ` +
+          `cannot pay the ${fee} satoshis in fees that its child must pay`);
+      }
+
+      const txb = new bitcoin.TransactionBuilder(network.layer1);
+      txb.addInput(tx.getId(), changeIndex, RBF_SEQUENCE);
+      txb.addOutput(getOutputScript(network, changeAddress), change - fee);
+      return Promise.resolve(buildIncomplete ? null : signer.signTransaction(txb, 0))
+        .then(() => ({
+          tx: buildIncomplete ? txb.buildIncomplete().toHex() : txb.build().toHex(),
+          fee,
+          extraFee: fee,
+          feeRate: (packageFee + fee) / (packageSize + P2PKH_CHILD_BYTES),
+          oldFeeRate: packageFee / packageSize,
+          droppedTxids: []
+        }));
+    });
+}
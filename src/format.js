@@ -0,0 +1,189 @@
+/* @flow */
+
+import process from 'process';
+import logger from 'winston';
+import yaml from 'js-yaml';
+
+import {
+  JSONStringify
+} from './utils';
+
+import {
+  ValidationError,
+  makeErrorEnvelope
+} from './errors';
+
+export const OUTPUT_FORMATS = ['json', 'yaml', 'table', 'csv'];
+
+type Row = { [string]: any };
+
+function isPlainObject(value: any) : boolean {
+  return !!value && typeof value === 'object' && !Array.isArray(value);
+}
+
+/*
+ * Turn a command result into a list of rows with named columns.
+ * * a list of objects becomes one row per object.
+ * * a list of scalars becomes one row per scalar, in a 'value' column.
+ * * an object of lists (e.g. a name's history, keyed by block height)
+ *   becomes one row per list item, with the object key in a 'key' column.
+ * * an object of objects becomes one row per object, keyed the same way.
+ * * any other object becomes one 'key'/'value' row per field.
+ * * a scalar becomes a single 'value' row.
+ * @result (any) the command result
+ */
+function makeRows(result: any) : Array<Row> {
+  if (Array.isArray(result)) {
+    return result.map((item) => (isPlainObject(item) ? item : { value: item }));
+  }
+
+  if (isPlainObject(result)) {
+    const keys = Object.keys(result);
+    if (keys.length > 0 && keys.every((key) => Array.isArray(result[key]))) {
+      const rows = [];
+      for (const key of keys) {
+        for (const item of result[key]) {
+          rows.push(isPlainObject(item) ? Object.assign({ key }, item) : { key, value: item });
+        }
+      }
+      return rows;
+    }
+    if (keys.length > 0 && keys.every((key) => isPlainObject(result[key]))) {
+      return keys.map((key) => Object.assign({ key }, result[key]));
+    }
+    return keys.map((key) => ({ key, value: result[key] }));
+  }
+
+  return [{ value: result }];
+}
+
+/*
+ * Get the union of all rows' column names, in the order they are first seen.
+ */
+function getColumns(rows: Array<Row>) : Array<string> {
+  const columns = [];
+  for (const row of rows) {
+    for (const column of Object.keys(row)) {
+      if (!columns.includes(column)) {
+        columns.push(column);
+      }
+    }
+  }
+  return columns;
+}
+
+/*
+ * Render a single cell.  Nested values are rendered as compact JSON.
+ */
+function cellString(value: any) : string {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  if (typeof value === 'object') {
+    return JSON.stringify(value);
+  }
+  return String(value);
+}
+
+/*
+ * Render rows as an aligned, human-readable table.
+ */
+function formatTable(rows: Array<Row>) : string {
+  const columns = getColumns(rows);
+  const cells = rows.map((row) => columns.map((column) => cellString(row[column])));
+  const widths = columns.map((column, i) =>
+    Math.max(column.length, ...cells.map((rowCells) => rowCells[i].length)));
+
+  const formatLine = (lineCells) => lineCells
+    .map((cell, i) => cell + ' '.repeat(widths[i] - cell.length))
+    .join('  ')
+    .trimRight();
+
+  const lines = [
+    formatLine(columns),
+    formatLine(widths.map((width) => '-'.repeat(width)))
+  ];
+  for (const rowCells of cells) {
+    lines.push(formatLine(rowCells));
+  }
+  return lines.join('\n');
+}
+
+/*
+ * Render a single CSV field, quoting it if need be (RFC 4180).
+ */
+function csvField(value: any) : string {
+  const str = cellString(value);
+  if (/[",\r\n]/.test(str)) {
+    return `"${str.replace(/"/g, '""')}"`;
+  }
+  return str;
+}
+
+/*
+ * Render rows as CSV, with a header line.
+ */
+function formatCSV(rows: Array<Row>) : string {
+  const columns = getColumns(rows);
+  const lines = [columns.map(csvField).join(',')];
+  for (const row of rows) {
+    lines.push(columns.map((column) => csvField(row[column])).join(','));
+  }
+  return lines.join('\n');
+}
+
+/*
+ * Render a command result in the given output format.
+ * Plain strings (transactions, txids, zone files) are returned as-is,
+ * since they have no structure to render.
+ * @result (any) the command result
+ * @format (string) one of OUTPUT_FORMATS
+ * @stderr (boolean) whether or not the result will be written to stderr
+ * @return the rendered string
+ */
+export function formatResult(result: any, format: string = 'json',
+                             stderr: boolean = false) : string {
+  if (typeof result === 'string') {
+    return result;
+  }
+
+  switch (format) {
+    case 'json':
+      return JSONStringify(result, stderr);
+
+    case 'yaml':
+      return yaml.safeDump(result, { skipInvalid: true }).trimRight();
+
+    case 'table':
+      return formatTable(makeRows(result));
+
+    case 'csv':
+      return formatCSV(makeRows(result));
+
+    default:
+      throw new ValidationError(`Unknown output format "${format}"; ` +
+                                `expected one of ${OUTPUT_FORMATS.join(', ')}`);
+  }
+}
+
+/*
+ * Print a command's result to stdout in the given output format.
+ * Raw data and strings (transactions, txids, zone files) are printed as-is.
+ */
+export function printResult(result: any, format: string) {
+  if (result instanceof Buffer) {
+    process.stdout.write(result);
+  }
+  else {
+    console.log(formatResult(result, format));
+  }
+}
+
+/*
+ * Print a command's error to stderr in the given output format, as the
+ * error envelope (see makeErrorEnvelope()).
+ */
+export function printError(error: Error, format: string) {
+  logger.debug(error.stack);
+  console.error(formatResult(makeErrorEnvelope(error), format, true));
+}
@@ -1,6 +1,12 @@
 #!/usr/bin/env node
 
 export { CLIMain } from './cli';
+export * from './api';
+export { formatResult, OUTPUT_FORMATS } from './format';
+export { runBatch, loadBatch } from './batch';
+export * from './errors';
+export { MockNode, MockNodeState, MOCK_NODE_PORTS, MOCK_ELECTRUM_PORT } from './mocknode';
+export { PSBT } from './psbt';
 
 // implement just enough of window to be useful to blockstack.js.
 // do this here, so we can be *sure* it's in RAM.
@@ -28,4 +34,7 @@ global['localStorage'] = global['window'].localStorage
 // cross-fetch overrides
 import fetch from 'cross-fetch'
 
-require('.').CLIMain()
+// only run the CLI if we're invoked as a program, not imported as a library
+if (require.main === module) {
+  require('.').CLIMain()
+}
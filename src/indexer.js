@@ -0,0 +1,303 @@
+/* @flow */
+
+import logger from 'winston';
+
+import {
+  NetworkError,
+  NotFoundError
+} from './errors';
+
+import {
+  makeMethodCall,
+  parseMethodResponse
+} from './xmlrpc';
+
+/*
+ * Clients for the indexers that serve names' blockchain records and histories.
+ * Newer Blockstack Core nodes serve them over the REST API, and older ones only
+ * over XML-RPC.  Rather than guess from a failed request which kind of node it
+ * is, CLINetworkAdapter asks each indexer whether it supports an operation
+ * (see selectIndexerClient()) and uses the first one that does.
+ */
+
+// the operations an indexer can support
+export const INDEXER_CAPABILITIES = {
+  nameRecord: "names' blockchain records",
+  nameHistory: 'name histories'
+};
+
+// the name that REST endpoints are probed with.  Whether or not it exists,
+// an indexer that has the endpoint answers with JSON.
+const PROBE_NAME = 'capability-probe.id';
+
+export type IndexerClient = {
+  +describe: () => string,
+  +supports: (capability: string) => Promise<boolean>,
+  +getNameRecord: (name: string) => Promise<Object>,
+  +getNameHistory: (name: string, page: number) => Promise<Object>
+};
+
+/*
+ * Find out whether an indexer supports an operation, and remember the answer.
+ * Probes that could not reach the indexer are not remembered, so they are
+ * tried again next time.
+ * @probes (Object) the client's remembered answers
+ * @capability (string) one of INDEXER_CAPABILITIES
+ * @probe (function) returns a Promise to true or false, or rejects if it cannot tell
+ */
+function probeOnce(probes: { [string]: Promise<boolean> }, capability: string,
+                   probe: () => Promise<boolean>) : Promise<boolean> {
+  if (!probes.hasOwnProperty(capability)) {
+    probes[capability] = Promise.resolve().then(() => probe())
+      .catch((e) => {
+        delete probes[capability];
+        throw e;
+      });
+  }
+  return probes[capability];
+}
+
+/*
+ * An indexer that speaks Blockstack Core's REST API.
+ */
+export class RESTIndexerClient {
+  apiUrl: string
+  probes: { [string]: Promise<boolean> }
+
+  constructor(apiUrl: string) {
+    this.apiUrl = apiUrl.replace(/\/+$/, '');
+    this.probes = {};
+  }
+
+  describe() : string {
+    return `REST API at ${this.apiUrl}`;
+  }
+
+  getPath(capability: string, name: string, page: number = 0) : string {
+    if (capability === 'nameRecord') {
+      return `/v1/blockchains/bitcoin/names/${name}`;
+    }
+    return `/v1/names/${name}/history?page=${page}`;
+  }
+
+  /*
+   * The endpoint exists if it answers the probe with a record, or with
+   * a JSON error saying there is no such name.  Nodes that do not have it
+   * answer with some other status, or with a page that is not JSON.
+   */
+  supports(capability: string) : Promise<boolean> {
+    return probeOnce(this.probes, capability, () =>
+      fetch(`${this.apiUrl}${this.getPath(capability, PROBE_NAME)}`)
+        .then((resp) => {
+          if (resp.status >= 500) {
+            throw new NetworkError(`Bad response status: ${resp.status}`);
+          }
+          if (resp.status !== 200 && resp.status !== 404) {
+            return false;
+          }
+          return resp.text()
+            .then((body) => {
+              try {
+                const answer = JSON.parse(body);
+                return !!answer && typeof answer === 'object';
+              }
+              catch (e) {
+                return false;
+              }
+            });
+        }));
+  }
+
+  getNameRecord(name: string) : Promise<Object> {
+    return fetch(`${this.apiUrl}${this.getPath('nameRecord', name)}`)
+      .then((resp) => {
+        if (resp.status === 404) {
+          throw new NotFoundError('Name not found');
+        }
+        else if (resp.status !== 200) {
+          throw new NetworkError(`Bad response status: ${resp.status}`);
+        }
+        return resp.json();
+      });
+  }
+
+  getNameHistory(name: string, page: number) : Promise<Object> {
+    return fetch(`${this.apiUrl}${this.getPath('nameHistory', name, page)}`)
+      .then((resp) => {
+        if (resp.status !== 200) {
+          throw new NetworkError(`Bad response status: ${resp.status}`);
+        }
+        return resp.json();
+      });
+  }
+}
+
+// the XML-RPC method for each operation
+const XMLRPC_METHODS = {
+  nameRecord: 'get_name_blockchain_record',
+  nameHistory: 'get_name_history_page'
+};
+
+/*
+ * An indexer that speaks Blockstack Core's legacy XML-RPC interface.
+ */
+export class XMLRPCIndexerClient {
+  nodeUrl: string
+  probes: { [string]: Promise<boolean> }
+  listedMethods: ?Promise<?Array<string>>
+
+  constructor(nodeUrl: string) {
+    this.nodeUrl = nodeUrl.replace(/\/+$/, '');
+    this.probes = {};
+    this.listedMethods = null;
+  }
+
+  describe() : string {
+    return `XML-RPC at ${this.nodeUrl}/RPC2`;
+  }
+
+  /*
+   * Call an XML-RPC method.  Rejects with a NetworkError if the call fails
+   * or returns a fault.
+   */
+  call(method: string, params: Array<any> = []) : Promise<any> {
+    return fetch(`${this.nodeUrl}/RPC2`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'text/xml' },
+      body: makeMethodCall(method, params)
+    })
+      .then((resp) => {
+        if (resp.status !== 200) {
+          throw new NetworkError(`Bad response code: ${resp.status}`);
+        }
+        return resp.text();
+      })
+      .then((respText) => parseMethodResponse(respText, method));
+  }
+
+  /*
+   * Call one of Blockstack Core's methods.  They return JSON (sometimes
+   * encoded as a string), with an 'error' field if they failed.
+   */
+  callIndexer(method: string, params: Array<any>) : Promise<Object> {
+    return this.call(method, params)
+      .then((result) => {
+        let resultJson = result;
+        if (typeof result === 'string') {
+          try {
+            resultJson = JSON.parse(result);
+          }
+          catch (e) {
+            throw new NetworkError(`Invalid JSON returned by ${method}`);
+          }
+        }
+        if (!resultJson || typeof resultJson !== 'object') {
+          throw new NetworkError(`Invalid result returned by ${method}`);
+        }
+        if (resultJson.error) {
+          if (/not found/i.test(String(resultJson.error))) {
+            throw new NotFoundError('Name not found');
+          }
+          throw new NetworkError(`${method} failed: ${String(resultJson.error)}`);
+        }
+        return resultJson;
+      });
+  }
+
+  /*
+   * Get the node's methods, if it supports introspection (null if not).
+   */
+  listMethods() : Promise<?Array<string>> {
+    if (!this.listedMethods) {
+      this.listedMethods = this.call('system.listMethods')
+        .then((methods) => (Array.isArray(methods) ? methods : null))
+        .catch((e) => {
+          if (!e.details || e.details.faultCode === undefined) {
+            // could not ask; try again next time
+            this.listedMethods = null;
+            throw e;
+          }
+          return null;
+        });
+    }
+    return this.listedMethods;
+  }
+
+  /*
+   * Nodes that support introspection list the methods they have.
+   * Otherwise, a node that answers a ping is assumed to have them all.
+   */
+  supports(capability: string) : Promise<boolean> {
+    return probeOnce(this.probes, capability, () => this.listMethods()
+      .then((methods) => {
+        if (methods) {
+          return methods.includes(XMLRPC_METHODS[capability]);
+        }
+        return this.call('ping')
+          .then(() => true)
+          .catch((e) => {
+            if (!e.details || e.details.faultCode === undefined) {
+              throw e;
+            }
+            return false;
+          });
+      }));
+  }
+
+  getNameRecord(name: string) : Promise<Object> {
+    return this.callIndexer(XMLRPC_METHODS.nameRecord, [name])
+      .then((result) => {
+        if (!result.record) {
+          throw new NetworkError(`Invalid result returned by ${XMLRPC_METHODS.nameRecord}`);
+        }
+        const nameRecord = result.record;
+        // the REST API does not include the history
+        delete nameRecord.history;
+        return nameRecord;
+      });
+  }
+
+  getNameHistory(name: string, page: number) : Promise<Object> {
+    return this.callIndexer(XMLRPC_METHODS.nameHistory, [name, page])
+      .then((result) => {
+        if (!result.history || typeof result.history !== 'object') {
+          throw new NetworkError(`Invalid result returned by ${XMLRPC_METHODS.nameHistory}`);
+        }
+        return result.history;
+      });
+  }
+}
+
+/*
+ * Find the first indexer that supports an operation.  Indexers that cannot
+ * be reached are skipped.  Throws a NetworkError if none supports it.
+ * @clients (Array<IndexerClient>) the indexers, in order of preference
+ * @capability (string) one of INDEXER_CAPABILITIES
+ */
+export function selectIndexerClient(clients: Array<IndexerClient>, capability: string)
+  : Promise<IndexerClient> {
+  const unreachable = [];
+  const trySelect = (remaining: Array<IndexerClient>) : Promise<IndexerClient> => {
+    if (remaining.length === 0) {
+      const tried = clients.map((client) => client.describe()).join(', ');
+      throw new NetworkError(`No indexer serves ${INDEXER_CAPABILITIES[capability]} ` +
+                             `(tried ${tried}).  Pass -I to use another indexer.`,
+                             { unreachable });
+    }
+    const client = remaining[0];
+    return client.supports(capability)
+      .catch((e) => {
+        logger.debug(`Could not probe the ${client.describe()}: ${e.message}`);
+        unreachable.push(`${client.describe()}: ${e.message}`);
+        return false;
+      })
+      .then((supported) => {
+        if (supported) {
+          logger.debug(`Using the ${client.describe()} for ${INDEXER_CAPABILITIES[capability]}`);
+          return client;
+        }
+        return trySelect(remaining.slice(1));
+      });
+  };
+  return Promise.resolve().then(() => trySelect(clients));
+}
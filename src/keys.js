@@ -14,6 +14,10 @@ import {
   getPrivateKeyAddress
 } from './utils';
 
+import {
+  timePhase
+} from './trace';
+
 const IDENTITY_KEYCHAIN = 888
 const BLOCKSTACK_ON_BITCOIN = 0
 const APPS_NODE_INDEX = 0
@@ -125,7 +129,7 @@ function toPrivkeyHex(k : Object) : string {
 
 function getIdentityKeyPre09(mnemonic : string) : IdentityNode {
   // on browser branch, v09 was commit -- 848d1f5445f01db1e28cde4a52bb3f22e5ca014c
-  const pK = keychains.PrivateKeychain.fromMnemonic(mnemonic);
+  const pK = timePhase('keyDerivation', () => keychains.PrivateKeychain.fromMnemonic(mnemonic));
   const identityKey = pK.privatelyNamedChild('blockstack-0');
   const secret = identityKey.privateKey;
   const keyPair = new bitcoin.ECPair(secret, false, {"network" :
@@ -134,8 +138,10 @@ function getIdentityKeyPre09(mnemonic : string) : IdentityNode {
 }
 
 function getMaster(mnemonic : string) {
-  const seed = bip39.mnemonicToSeed(mnemonic);
-  return bitcoin.bip32.fromSeed(seed);
+  return timePhase('keyDerivation', () => {
+    const seed = bip39.mnemonicToSeed(mnemonic);
+    return bitcoin.bip32.fromSeed(seed);
+  });
 }
 
 
@@ -0,0 +1,296 @@
+/* @flow */
+
+import fs from 'fs';
+import pathTools from 'path';
+const bip39 = require('bip39');
+
+import {
+  CLI_ARGS,
+  KEYSTORE_ALIAS_PATTERN,
+  KEYSTORE_KEY_PATTERN,
+  PRIVATE_KEY_PATTERN_ANY,
+  expandHomeDir
+} from './argparse';
+
+import {
+  decryptWithPassword,
+  encryptWithPassword
+} from './encrypt';
+
+import {
+  NotFoundError,
+  ValidationError
+} from './errors';
+
+import {
+  decodePrivateKey,
+  getPrivateKeyAddress,
+  getpass,
+  mkdirs
+} from './utils';
+
+import {
+  getPaymentKeyInfo
+} from './keys';
+
+/*
+ * The keystore: private keys and backup phrases, each encrypted with a
+ * password (as backup phrases are; see encrypt.js) in its own file, so that
+ * they need not be given on the command line.  A key argument of
+ * "keystore:ALIAS" is replaced by the key before its command runs.
+ *
+ * Each key is kept in ALIAS.json in the keystore directory, which only its
+ * owner can read.  Besides the ciphertext, the file has the key's address,
+ * so that the keystore can be listed without the password.
+ */
+
+const KEYSTORE_VERSION = 1;
+
+const KEY_KINDS = ['private_key', 'backup_phrase'];
+
+// the kind of key that each argument realtype can be given
+const KEY_REALTYPES = {
+  'private_key': 'private_key',
+  '12_words_or_ciphertext': 'backup_phrase'
+};
+
+export type KeystoreEntry = {
+  version: number,
+  alias: string,
+  kind: string,          // private_key or backup_phrase
+  address: ?string,      // the key's (or the backup phrase's payment key's) mainnet address
+  createdAt: string,
+  ciphertext: string     // base64
+};
+
+function getKeyPath(keystoreDir: string, alias: string) : string {
+  if (!alias.match(KEYSTORE_ALIAS_PATTERN)) {
+    throw new ValidationError(`Invalid keystore alias "${alias}"`);
+  }
+  return pathTools.join(expandHomeDir(keystoreDir), `${alias}.json`);
+}
+
+function readEntry(keystoreDir: string, alias: string) : KeystoreEntry {
+  const path = getKeyPath(keystoreDir, alias);
+  let entry;
+  try {
+    entry = JSON.parse(fs.readFileSync(path).toString());
+  }
+  catch (e) {
+    if (e.code === 'ENOENT') {
+      throw new NotFoundError(`No key "${alias}" in the keystore ${keystoreDir}`);
+    }
+    throw new ValidationError(`Failed to read keystore key ${path}: ${e.message}`);
+  }
+  if (!entry || entry.version !== KEYSTORE_VERSION || typeof entry.ciphertext !== 'string' ||
+      !KEY_KINDS.includes(entry.kind)) {
+    throw new ValidationError(`${path} is not a version ${KEYSTORE_VERSION} keystore key`);
+  }
+  return entry;
+}
+
+/*
+ * Get the keystore's password, from the environment or by asking for it.
+ * @prompt (string) what to ask with
+ * @password (string) the password from the environment, if any
+ */
+function getKeystorePassword(prompt: string, password: ?string) : Promise<string> {
+  if (password) {
+    return Promise.resolve(password);
+  }
+  if (!process.stdin.isTTY) {
+    return Promise.reject(new ValidationError(
+      'The keystore password must be given with BLOCKSTACK_CLI_KEYSTORE_PASSWORD ' +
+      'in non-interactive mode'));
+  }
+  return new Promise((resolve) => getpass(prompt, resolve));
+}
+
+/*
+ * Read what to add to the keystore: from stdin, or typed without echoing it.
+ */
+function readSecret(alias: string) : Promise<string> {
+  if (process.stdin.isTTY) {
+    return new Promise((resolve) => getpass(
+      `Enter the private key or backup phrase for ${alias}: `, resolve));
+  }
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    process.stdin.on('data', (chunk) => chunks.push(chunk));
+    process.stdin.on('end', () => resolve(Buffer.concat(chunks).toString()));
+    process.stdin.on('error', reject);
+  });
+}
+
+/*
+ * Add a private key, key bundle, or backup phrase to the keystore.
+ * Resolves to its entry, without the ciphertext.
+ * @network (Object) the network, for the key's address
+ * @keystoreDir (string) the keystore directory
+ * @alias (string) the key's name
+ * @password (string) the password from the environment, if any
+ */
+export function addKey(network: Object, keystoreDir: string, alias: string,
+                       password: ?string) : Promise<Object> {
+  const path = getKeyPath(keystoreDir, alias);
+  if (fs.existsSync(path)) {
+    return Promise.reject(new ValidationError(
+      `There is already a key "${alias}" in the keystore; remove it first`));
+  }
+  // stdin is where the key is read from, so the password cannot be asked for
+  if (!password && !process.stdin.isTTY) {
+    return Promise.reject(new ValidationError(
+      'No keystore password was given with BLOCKSTACK_CLI_KEYSTORE_PASSWORD, and stdin is ' +
+      'not a TTY to ask for one'));
+  }
+
+  let kind;
+  let secret;
+  let address;
+  return readSecret(alias)
+    .then((text) => {
+      secret = text.trim().split(/\s+/g).join(' ');
+      if (secret.match(PRIVATE_KEY_PATTERN_ANY)) {
+        kind = 'private_key';
+        address = getPrivateKeyAddress(network, decodePrivateKey(secret));
+      }
+      else if (bip39.validateMnemonic(secret)) {
+        kind = 'backup_phrase';
+        address = getPaymentKeyInfo(network, secret).address.BTC;
+      }
+      else {
+        throw new ValidationError('Not a private key, key bundle, or 12-word backup phrase');
+      }
+
+      if (password) {
+        return password;
+      }
+      return getKeystorePassword(`Enter a password for ${alias}: `, null)
+        .then((firstPassword) => getKeystorePassword('Enter it again: ', null)
+          .then((secondPassword) => {
+            if (firstPassword !== secondPassword) {
+              throw new ValidationError('The passwords do not match');
+            }
+            return firstPassword;
+          }));
+    })
+    .then((keyPassword) => {
+      if (!keyPassword) {
+        throw new ValidationError('The keystore password cannot be empty');
+      }
+      return encryptWithPassword(Buffer.from(secret), keyPassword);
+    })
+    .then((ciphertext) => {
+      const entry = {
+        version: KEYSTORE_VERSION,
+        alias,
+        kind,
+        address: network.coerceMainnetAddress(address),
+        createdAt: new Date().toISOString(),
+        ciphertext: ciphertext.toString('base64')
+      };
+
+      // only the keystore's owner may read it
+      const dir = pathTools.resolve(expandHomeDir(keystoreDir));
+      if (!fs.existsSync(dir)) {
+        mkdirs(dir);
+        fs.chmodSync(dir, 0o700);
+      }
+      fs.writeFileSync(path, JSON.stringify(entry, null, 2), { mode: 0o600, flag: 'wx' });
+      return describeEntry(network, entry);
+    });
+}
+
+function describeEntry(network: Object, entry: KeystoreEntry) : Object {
+  return {
+    'alias': entry.alias,
+    'kind': entry.kind,
+    'address': entry.address ? network.coerceAddress(entry.address) : null,
+    'createdAt': entry.createdAt
+  };
+}
+
+/*
+ * List the keys in the keystore, without their ciphertexts.
+ * @network (Object) the network, for the keys' addresses
+ * @keystoreDir (string) the keystore directory
+ */
+export function listKeys(network: Object, keystoreDir: string) : Array<Object> {
+  const dir = expandHomeDir(keystoreDir);
+  if (!fs.existsSync(dir)) {
+    return [];
+  }
+  return fs.readdirSync(dir)
+    .filter((name) => name.endsWith('.json'))
+    .map((name) => name.slice(0, -'.json'.length))
+    .filter((alias) => !!alias.match(KEYSTORE_ALIAS_PATTERN))
+    .sort()
+    .map((alias) => describeEntry(network, readEntry(keystoreDir, alias)));
+}
+
+/*
+ * Delete a key from the keystore.
+ * @keystoreDir (string) the keystore directory
+ * @alias (string) the key's name
+ */
+export function removeKey(keystoreDir: string, alias: string) : void {
+  readEntry(keystoreDir, alias);
+  fs.unlinkSync(getKeyPath(keystoreDir, alias));
+}
+
+/*
+ * Decrypt a key in the keystore.
+ * Resolves to its kind and the key.
+ * @keystoreDir (string) the keystore directory
+ * @alias (string) the key's name
+ * @password (string) the password from the environment, if any
+ */
+export function exportKey(keystoreDir: string, alias: string, password: ?string)
+  : Promise<{ kind: string, key: string }> {
+  return Promise.resolve().then(() => {
+    const entry = readEntry(keystoreDir, alias);
+    return getKeystorePassword(`Enter the keystore password for ${alias}: `, password)
+      .then((keyPassword) => decryptWithPassword(Buffer.from(entry.ciphertext, 'base64'),
+                                                 keyPassword))
+      .then((plaintext) => ({ kind: entry.kind, key: plaintext.toString() }));
+  });
+}
+
+/*
+ * Replace a command's keystore:ALIAS arguments with the keys they name.
+ * Only private key and backup phrase arguments (by their realtypes) are
+ * replaced, and only with keys of the same kind.
+ * @command (string) the command
+ * @args (Array<string>) its arguments
+ * @keystoreDir (string) the keystore directory
+ * @password (string) the password from the environment, if any
+ */
+export function resolveKeystoreArgs(command: string, args: Array<string>, keystoreDir: string,
+                                    password: ?string) : Promise<Array<string>> {
+  const items = CLI_ARGS.properties.hasOwnProperty(command) ?
+    CLI_ARGS.properties[command].items : [];
+  const resolved = args.slice();
+
+  // passwords are asked for one at a time
+  return args.reduce((promise, arg, index) => promise.then(() => {
+    const item = items[index];
+    const matches = typeof arg === 'string' ? arg.match(KEYSTORE_KEY_PATTERN) : null;
+    if (!item || !KEY_REALTYPES.hasOwnProperty(item.realtype) || !matches) {
+      return Promise.resolve();
+    }
+    const alias = matches[1];
+    return exportKey(keystoreDir, alias, password)
+      .then(({ kind, key }) => {
+        if (kind !== KEY_REALTYPES[item.realtype]) {
+          throw new ValidationError(`${item.name} cannot be keystore:${alias}, which is a ` +
+                                    kind.replace('_', ' '));
+        }
+        if (item.pattern && !key.match(new RegExp(item.pattern))) {
+          throw new ValidationError(`keystore:${alias} is not the kind of key ${item.name} ` +
+                                    'must be');
+        }
+        resolved[index] = key;
+      });
+  }), Promise.resolve())
+    .then(() => resolved);
+}
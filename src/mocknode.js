@@ -0,0 +1,1363 @@
+/* @flow */
+
+import crypto from 'crypto';
+import net from 'net';
+import logger from 'winston';
+import cors from 'cors';
+const blockstack = require('blockstack');
+const bitcoin = require('bitcoinjs-lib');
+const express = require('express');
+const jsontokens = require('jsontokens');
+
+import {
+  sendJSON
+} from './auth';
+
+import {
+  ValidationError
+} from './errors';
+
+import {
+  getOutputScript,
+  getScriptHash
+} from './utxo';
+
+/*
+ * An in-memory stand-in for the services the CLI talks to: a Blockstack Core
+ * node's REST API, a transaction broadcaster, a Bitcoin node (bitcoind's
+ * JSON-RPC interface, blockchain.info's API, an Esplora API, and an Electrum
+ * server), and a Gaia hub.  It is meant for testing commands end-to-end on
+ * one machine.
+ *
+ * Transactions sent to it are mined right away, one block each, and the
+ * Blockstack name operations in them (preorders, registrations, renewals,
+ * updates, transfers, revokes, and imports) are applied to its names.  Their
+ * signatures are not checked.  Namespaces are not made by transactions; they
+ * come from the seed (see MockNodeState) or from POST /mock/v1/namespaces.
+ *
+ * With its mempool on, transactions wait unconfirmed until the next block
+ * is mined instead, and can be replaced by ones that spend the same outputs
+ * and pay more in fees.
+ */
+
+// the ports each service listens on by default (the regtest defaults)
+export const MOCK_NODE_PORTS = {
+  blockstackAPIUrl: 16268,
+  broadcastServiceUrl: 16269,
+  utxoServiceUrl: 18332,
+  gaiaHubUrl: 4000
+};
+
+// the port the Electrum server listens on by default
+export const MOCK_ELECTRUM_PORT = 50001;
+
+const SATOSHIS_PER_BTC = 1e8;
+
+// Core prices names in units of 100 satoshis
+const NAME_COST_UNIT = 100;
+
+// namespace prices in satoshis, by the length of the namespace ID
+const NAMESPACE_PRICES = [
+  { maxLength: 1, price: 400 * SATOSHIS_PER_BTC },
+  { maxLength: 3, price: 40 * SATOSHIS_PER_BTC },
+  { maxLength: 7, price: 4 * SATOSHIS_PER_BTC },
+  { maxLength: Infinity, price: 0.4 * SATOSHIS_PER_BTC }
+];
+
+// the pricing and lifetime of namespaces that are not given them
+const DEFAULT_NAMESPACE = {
+  version: 1,
+  lifetime: 52595,
+  coeff: 250,
+  base: 4,
+  buckets: [6, 5, 4, 3, 2, 1, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
+  nonalpha_discount: 10,
+  no_vowel_discount: 10
+};
+
+const DEFAULT_SEED = {
+  blockHeight: 1000,
+  feeRate: 10,
+  mempool: false,
+  namespaces: { id: {} },
+  balances: {},
+  names: {}
+};
+
+// how many blocks back an update's consensus hash may be from
+const CONSENSUS_HASH_WINDOW = 24;
+
+const GRACE_PERIOD = 5000;
+
+// page sizes
+const NAMES_PAGE_SIZE = 100;
+const HISTORY_PAGE_SIZE = 20;
+const GAIA_PAGE_SIZE = 100;
+
+// largest request body accepted (Gaia hubs take files up to 20MB)
+const MAX_REQUEST_BODY = 20 * 1024 * 1024;
+
+const NAME_OPCODES = {
+  '?': 'NAME_PREORDER',
+  ':': 'NAME_REGISTRATION',
+  '+': 'NAME_UPDATE',
+  '>': 'NAME_TRANSFER',
+  '~': 'NAME_REVOKE',
+  ';': 'NAME_IMPORT'
+};
+
+type MockUTXO = {
+  txid: string,
+  vout: number,
+  address: string,
+  value: number,
+  height: ?number     // null while its transaction is in the mempool
+};
+
+function sha256Hex(text: string) : string {
+  return crypto.createHash('sha256').update(text).digest('hex');
+}
+
+function hash128(buff: Buffer) : string {
+  return bitcoin.crypto.sha256(buff).slice(0, 16).toString('hex');
+}
+
+/*
+ * Get an address's public key hash, so addresses can be compared
+ * no matter which network's version byte they have.
+ */
+function addressHash(address: string) : string {
+  try {
+    return bitcoin.address.fromBase58Check(address).hash.toString('hex');
+  }
+  catch (e) {
+    return address;
+  }
+}
+
+function namespaceOf(name: string) : string {
+  return name.slice(name.lastIndexOf('.') + 1);
+}
+
+/*
+ * The state of the mock services, and the rules that change it.
+ */
+export class MockNodeState {
+  layer1: Object
+  blockHeight: number
+  namespaces: { [string]: Object }
+  names: { [string]: Object }
+  history: { [string]: { [string]: Array<Object> } }
+  zonefiles: { [string]: string }
+  transactions: { [string]: { hex: string, height: ?number } }
+  utxos: { [string]: MockUTXO }
+  holdTransactions: boolean
+  mempool: Array<string>
+  mempoolSpends: { [string]: { txid: string, utxo: MockUTXO } }
+  feeRate: number
+  forks: { [string]: number }
+  gaiaFiles: { [string]: { [string]: { contentType: string, data: Buffer } } }
+  gaiaChallenge: string
+
+  /*
+   * @layer1 (Object) the bitcoinjs network whose addresses to use
+   * @seed (Object) the initial state:
+   *   blockHeight: the starting block height
+   *   feeRate: the fee rate to estimate, in satoshis per byte
+   *   mempool: whether transactions wait in the mempool for the next block
+   *   namespaces: namespace IDs and their (ready) namespaces' fields, e.g.
+   *     { "id": { "lifetime": 52595, "coeff": 250, ... } }
+   *   balances: addresses and how many satoshis each starts with
+   *   names: names and their fields, e.g. { "hello.id": { "address": ..., "zonefile": ... } }
+   */
+  constructor(layer1: Object, seed: Object = {}) {
+    const fullSeed = Object.assign({}, DEFAULT_SEED, seed);
+    this.layer1 = layer1;
+    this.blockHeight = fullSeed.blockHeight;
+    this.namespaces = {};
+    this.names = {};
+    this.history = {};
+    this.zonefiles = {};
+    this.transactions = {};
+    this.utxos = {};
+    this.holdTransactions = !!fullSeed.mempool;
+    this.mempool = [];
+    this.mempoolSpends = {};
+    this.feeRate = fullSeed.feeRate;
+    this.forks = {};
+    this.gaiaFiles = {};
+    this.gaiaChallenge = JSON.stringify(
+      ['gaiahub', '0', 'mock-hub', 'blockstack_storage_please_sign']);
+
+    for (const namespaceID of Object.keys(fullSeed.namespaces)) {
+      this.addNamespace(namespaceID, fullSeed.namespaces[namespaceID]);
+    }
+    for (const address of Object.keys(fullSeed.balances)) {
+      this.fund(address, fullSeed.balances[address]);
+    }
+    for (const name of Object.keys(fullSeed.names)) {
+      const nameInfo = fullSeed.names[name];
+      const valueHash = nameInfo.zonefile ? this.storeZonefile(nameInfo.zonefile) : null;
+      this.registerName(name, nameInfo.address, valueHash, null, 'NAME_IMPORT');
+    }
+  }
+
+  /*
+   * Make up the 80-byte header of the block at a height.  Only its hash
+   * matters, so the rest of it is zeros.
+   */
+  getBlockHeader(height: number) : Buffer {
+    const fork = this.forks[String(height)] || 0;
+    const header = Buffer.alloc(80);
+    Buffer.from(sha256Hex(`mock-block-${height}-${fork}`), 'hex').copy(header, 36);
+    return header;
+  }
+
+  getBlockHash(height: number) : string {
+    return bitcoin.crypto.hash256(this.getBlockHeader(height)).reverse().toString('hex');
+  }
+
+  getConsensusHash(height: number = this.blockHeight) : string {
+    return sha256Hex(`mock-consensus-${height}`).slice(0, 32);
+  }
+
+  /*
+   * Mine blocks.  The first one has the transactions in the mempool.
+   */
+  mineBlocks(count: number = 1) : number {
+    if (count > 0 && this.mempool.length > 0) {
+      this.blockHeight += 1;
+      this.confirmMempool();
+      count -= 1;
+    }
+    this.blockHeight += count;
+    return this.blockHeight;
+  }
+
+  /*
+   * Mine the transactions in the mempool into the block at the current
+   * height, in the order they were sent, and apply their name operations.
+   */
+  confirmMempool() : void {
+    const txids = this.mempool;
+    this.mempool = [];
+    this.mempoolSpends = {};
+    for (const txid of txids) {
+      this.transactions[txid].height = this.blockHeight;
+      Object.keys(this.utxos).filter((outpoint) => this.utxos[outpoint].txid === txid)
+        .forEach((outpoint) => {
+          this.utxos[outpoint].height = this.blockHeight;
+        });
+      this.applyNameOperation(bitcoin.Transaction.fromHex(this.transactions[txid].hex), txid);
+      logger.debug(`Mock node mined ${txid} at ${this.blockHeight}`);
+    }
+  }
+
+  /*
+   * Get the fee that a transaction in the mempool pays.
+   */
+  getMempoolFee(txid: string) : number {
+    const tx = bitcoin.Transaction.fromHex(this.transactions[txid].hex);
+    const inputValue = Object.keys(this.mempoolSpends)
+      .filter((outpoint) => this.mempoolSpends[outpoint].txid === txid)
+      .reduce((sum, outpoint) => sum + this.mempoolSpends[outpoint].utxo.value, 0);
+    return inputValue - tx.outs.reduce((sum, output) => sum + output.value, 0);
+  }
+
+  /*
+   * Get a transaction in the mempool and the ones that spend its outputs
+   * (and theirs, and so on), parents first.
+   */
+  getMempoolDescendants(txid: string) : Array<string> {
+    const children = Object.keys(this.mempoolSpends)
+      .filter((outpoint) => outpoint.startsWith(`${txid}:`))
+      .map((outpoint) => this.mempoolSpends[outpoint].txid);
+    return [txid].concat(...children.map((child) => this.getMempoolDescendants(child)))
+      .filter((id, i, all) => all.indexOf(id) === i);
+  }
+
+  /*
+   * Take a transaction out of the mempool, putting back the outputs it spent
+   * and removing the ones it made.  Its descendants must be gone already.
+   */
+  evictTransaction(txid: string) : void {
+    Object.keys(this.mempoolSpends)
+      .filter((outpoint) => this.mempoolSpends[outpoint].txid === txid)
+      .forEach((outpoint) => {
+        this.utxos[outpoint] = this.mempoolSpends[outpoint].utxo;
+        delete this.mempoolSpends[outpoint];
+      });
+    Object.keys(this.utxos).filter((outpoint) => this.utxos[outpoint].txid === txid)
+      .forEach((outpoint) => {
+        delete this.utxos[outpoint];
+      });
+    delete this.transactions[txid];
+    this.mempool = this.mempool.filter((id) => id !== txid);
+    logger.debug(`Mock node evicted ${txid} from its mempool`);
+  }
+
+  /*
+   * Replace the last few blocks with new ones.  Their transactions are
+   * mined again at the same heights, so only the blocks' hashes change.
+   */
+  reorg(depth: number = 1) : void {
+    for (let height = Math.max(this.blockHeight - depth + 1, 0); height <= this.blockHeight; height++) {
+      this.forks[String(height)] = (this.forks[String(height)] || 0) + 1;
+    }
+  }
+
+  /*
+   * Give an address a new UTXO, out of thin air.  It is made by a
+   * coinbase-like transaction, so the output can be looked up like any other.
+   */
+  fund(address: string, satoshis: number) : string {
+    const tx = new bitcoin.Transaction();
+    // (each one is mined in a block of its own, so the height makes it unique)
+    tx.addInput(Buffer.alloc(32), 0xffffffff, 0xffffffff,
+                Buffer.from(`mock-fund-${this.blockHeight}`));
+    tx.addOutput(getOutputScript(address), satoshis);
+    const txid = tx.getId();
+    this.transactions[txid] = { hex: tx.toHex(), height: this.mineBlocks() };
+    this.utxos[`${txid}:0`] = { txid, vout: 0, address, value: satoshis, height: this.blockHeight };
+    return txid;
+  }
+
+  getUTXOs(address: string) : Array<MockUTXO> {
+    const hash = addressHash(address);
+    return Object.keys(this.utxos).map((outpoint) => this.utxos[outpoint])
+      .filter((utxo) => addressHash(utxo.address) === hash);
+  }
+
+  getConfirmations(height: ?number) : number {
+    return height === null || height === undefined ? 0 : this.blockHeight - height + 1;
+  }
+
+  /*
+   * Get the UTXOs paid to an Electrum script hash.
+   */
+  getUTXOsByScriptHash(scriptHash: string) : Array<MockUTXO> {
+    return Object.keys(this.utxos).map((outpoint) => this.utxos[outpoint])
+      .filter((utxo) => getScriptHash(utxo.address) === scriptHash);
+  }
+
+  /*
+   * Find the height of a block by its hash.
+   */
+  getBlockHeight(blockHash: string) : ?number {
+    for (let height = this.blockHeight; height >= 0; height--) {
+      if (this.getBlockHash(height) === blockHash) {
+        return height;
+      }
+    }
+    return null;
+  }
+
+  addNamespace(namespaceID: string, fields: Object = {}) : Object {
+    if (!/^[a-z0-9_-]{1,19}$/.test(namespaceID)) {
+      throw new ValidationError(`Invalid namespace ID '${namespaceID}'`);
+    }
+    const burnAddress = bitcoin.address.toBase58Check(Buffer.alloc(20), this.layer1.pubKeyHash);
+    const namespace: Object = {
+      namespace_id: namespaceID,
+      address: burnAddress,
+      recipient_address: burnAddress,
+      reveal_block: this.blockHeight,
+      ready_block: this.blockHeight,
+      ready: true,
+      op: '!'
+    };
+    this.namespaces[namespaceID] = Object.assign(namespace, DEFAULT_NAMESPACE, fields);
+    return this.namespaces[namespaceID];
+  }
+
+  getNamePrice(name: string) : ?number {
+    const namespace = this.namespaces[namespaceOf(name)];
+    if (!namespace) {
+      return null;
+    }
+    const label = name.slice(0, name.lastIndexOf('.'));
+    const exponent = namespace.buckets[Math.min(label.length - 1, namespace.buckets.length - 1)];
+    let discount = 1;
+    if (/[^a-z]/.test(label)) {
+      discount = Math.max(discount, namespace.nonalpha_discount);
+    }
+    if (!/[aeiouy]/.test(label)) {
+      discount = Math.max(discount, namespace.no_vowel_discount);
+    }
+    return Math.floor(namespace.coeff * Math.pow(namespace.base, exponent) / discount) * NAME_COST_UNIT;
+  }
+
+  getNamespacePrice(namespaceID: string) : number {
+    // the last tier has no maximum length
+    return NAMESPACE_PRICES.filter((tier) => namespaceID.length <= tier.maxLength)[0].price;
+  }
+
+  storeZonefile(zonefile: string) : string {
+    const valueHash = bitcoin.crypto.hash160(Buffer.from(zonefile)).toString('hex');
+    this.zonefiles[valueHash] = zonefile;
+    return valueHash;
+  }
+
+  getNameRecord(name: string) : ?Object {
+    const nameRecord = this.names[name];
+    if (!nameRecord) {
+      return null;
+    }
+    return Object.assign({}, nameRecord, {
+      expire_block: nameRecord.last_renewed + this.namespaces[nameRecord.namespace_id].lifetime,
+      renewal_deadline: nameRecord.last_renewed +
+        this.namespaces[nameRecord.namespace_id].lifetime + GRACE_PERIOD
+    });
+  }
+
+  /*
+   * Get a name's information as GET /v1/names/:name has it.
+   */
+  getNameInfo(name: string) : ?Object {
+    const nameRecord = this.getNameRecord(name);
+    if (!nameRecord) {
+      return null;
+    }
+    let status = 'registered';
+    if (nameRecord.revoked) {
+      status = 'revoked';
+    }
+    else if (nameRecord.expire_block <= this.blockHeight) {
+      status = 'expired';
+    }
+    return {
+      address: nameRecord.address,
+      blockchain: 'bitcoin',
+      expire_block: nameRecord.expire_block,
+      grace_period: nameRecord.expire_block <= this.blockHeight &&
+        this.blockHeight < nameRecord.renewal_deadline,
+      last_txid: nameRecord.txid,
+      renewal_deadline: nameRecord.renewal_deadline,
+      resolver: null,
+      status,
+      zonefile: nameRecord.value_hash ? (this.zonefiles[nameRecord.value_hash] || null) : null,
+      zonefile_hash: nameRecord.value_hash
+    };
+  }
+
+  getNamesOwned(address: string) : Array<string> {
+    const hash = addressHash(address);
+    return Object.keys(this.names).filter(
+      (name) => !this.names[name].revoked && addressHash(this.names[name].address) === hash).sort();
+  }
+
+  recordHistory(name: string, opcode: string, txid: ?string) : void {
+    if (!this.history[name]) {
+      this.history[name] = {};
+    }
+    const height = String(this.blockHeight);
+    if (!this.history[name][height]) {
+      this.history[name][height] = [];
+    }
+    this.history[name][height].push(Object.assign({}, this.names[name], {
+      opcode,
+      txid,
+      vtxindex: this.history[name][height].length
+    }));
+  }
+
+  /*
+   * Register, renew, or import a name.
+   */
+  registerName(name: string, address: string, valueHash: ?string, txid: ?string,
+               opcode: string) : void {
+    const namespaceID = namespaceOf(name);
+    if (!this.namespaces[namespaceID]) {
+      throw new ValidationError(`No such namespace '${namespaceID}' for '${name}'`);
+    }
+    const existing = this.getNameRecord(name);
+    if (existing && !existing.revoked && existing.renewal_deadline > this.blockHeight) {
+      // a renewal
+      this.names[name] = Object.assign(this.names[name], {
+        address,
+        value_hash: valueHash ? valueHash : existing.value_hash,
+        last_renewed: this.blockHeight,
+        block_number: this.blockHeight,
+        txid
+      });
+    }
+    else {
+      this.names[name] = {
+        name,
+        namespace_id: namespaceID,
+        address,
+        value_hash: valueHash,
+        first_registered: this.blockHeight,
+        last_renewed: this.blockHeight,
+        block_number: this.blockHeight,
+        importer_address: opcode === 'NAME_IMPORT' ? address : null,
+        revoked: false,
+        txid
+      };
+    }
+    this.recordHistory(name, opcode, txid);
+  }
+
+  /*
+   * Find a name by the hash of its name (and maybe a recent consensus hash).
+   */
+  findNameByHash(nameHash: string, withConsensusHash: boolean) : ?string {
+    return Object.keys(this.names).find((name) => {
+      if (!withConsensusHash) {
+        return hash128(Buffer.from(name, 'ascii')) === nameHash;
+      }
+      for (let i = 0; i < CONSENSUS_HASH_WINDOW; i++) {
+        const consensusHash = this.getConsensusHash(this.blockHeight - i);
+        if (hash128(Buffer.from(`${name}${consensusHash}`, 'ascii')) === nameHash) {
+          return true;
+        }
+      }
+      return false;
+    });
+  }
+
+  getOutputAddress(tx: Object, index: number) : ?string {
+    if (index >= tx.outs.length) {
+      return null;
+    }
+    try {
+      return bitcoin.address.fromOutputScript(tx.outs[index].script, this.layer1);
+    }
+    catch (e) {
+      return null;
+    }
+  }
+
+  /*
+   * Apply the Blockstack name operation in a transaction's OP_RETURN, if any.
+   * Operations that do not apply (e.g. an update to a name that does not
+   * exist) are skipped, as Core would skip them.
+   */
+  applyNameOperation(tx: Object, txid: string) : void {
+    const chunks = tx.outs.length > 0 ? bitcoin.script.decompile(tx.outs[0].script) : null;
+    if (!chunks || chunks[0] !== bitcoin.opcodes.OP_RETURN || !Buffer.isBuffer(chunks[1])) {
+      return;
+    }
+    const payload = chunks[1];
+    if (payload.length < 3 || payload.slice(0, 2).toString('ascii') !== 'id') {
+      return;
+    }
+
+    const opcode = NAME_OPCODES[String.fromCharCode(payload[2])];
+    const readName = (buff) => buff.toString('ascii').replace(/\0+$/, '');
+    const skip = (why) => logger.warn(`Mock node skipped ${opcode} in ${txid}: ${why}`);
+
+    if (opcode === 'NAME_REGISTRATION' || opcode === 'NAME_IMPORT') {
+      const hasValueHash = opcode === 'NAME_REGISTRATION' && payload.length >= 3 + 37 + 20;
+      const name = readName(hasValueHash ? payload.slice(3, 40) : payload.slice(3));
+      let valueHash = hasValueHash ? payload.slice(40, 60).toString('hex') : null;
+      if (opcode === 'NAME_IMPORT' && tx.outs.length > 2) {
+        valueHash = bitcoin.address.fromBase58Check(this.getOutputAddress(tx, 2)).hash.toString('hex');
+      }
+      const address = this.getOutputAddress(tx, 1);
+      if (!address) {
+        skip('no recipient');
+        return;
+      }
+      if (valueHash === '0000000000000000000000000000000000000000') {
+        valueHash = null;
+      }
+      try {
+        this.registerName(name, address, valueHash, txid, opcode);
+      }
+      catch (e) {
+        skip(e.message);
+      }
+    }
+    else if (opcode === 'NAME_UPDATE') {
+      const name = this.findNameByHash(payload.slice(3, 19).toString('hex'), true);
+      if (!name) {
+        skip('no such name (or a stale consensus hash)');
+        return;
+      }
+      this.names[name].value_hash = payload.slice(19, 39).toString('hex');
+      this.names[name].txid = txid;
+      this.recordHistory(name, opcode, txid);
+    }
+    else if (opcode === 'NAME_TRANSFER') {
+      const name = this.findNameByHash(payload.slice(4, 20).toString('hex'), false);
+      const address = this.getOutputAddress(tx, 1);
+      if (!name || !address) {
+        skip('no such name or recipient');
+        return;
+      }
+      this.names[name].address = address;
+      if (String.fromCharCode(payload[3]) !== '>') {
+        // the zone file is not kept
+        this.names[name].value_hash = null;
+      }
+      this.names[name].txid = txid;
+      this.recordHistory(name, opcode, txid);
+    }
+    else if (opcode === 'NAME_REVOKE') {
+      const name = readName(payload.slice(3));
+      if (!this.names[name]) {
+        skip('no such name');
+        return;
+      }
+      this.names[name].revoked = true;
+      this.names[name].txid = txid;
+      this.recordHistory(name, opcode, txid);
+    }
+  }
+
+  /*
+   * Accept a transaction: spend its inputs, add its outputs, mine it
+   * into a new block (or, with the mempool on, keep it in the mempool),
+   * and apply its name operation.  A transaction that spends outputs that
+   * transactions in the mempool spend replaces them (and their descendants)
+   * if it pays more in fees than they do.
+   * Throws a ValidationError if it spends outputs that do not exist
+   * or more than it has, or does not pay enough to replace what it conflicts with.
+   * @return the transaction ID
+   */
+  sendTransaction(txHex: string) : string {
+    let tx;
+    try {
+      tx = bitcoin.Transaction.fromHex(txHex);
+    }
+    catch (e) {
+      throw new ValidationError(`Invalid transaction: ${e.message}`);
+    }
+    const txid = tx.getId();
+    if (this.transactions[txid]) {
+      return txid;
+    }
+
+    const outpoints = tx.ins.map(
+      (input) => `${Buffer.from(input.hash).reverse().toString('hex')}:${input.index}`);
+    const missing = outpoints.filter(
+      (outpoint) => !this.utxos[outpoint] && !this.mempoolSpends[outpoint]);
+    if (missing.length > 0) {
+      throw new ValidationError(`Transaction ${txid} spends missing or spent outputs: ` +
+                                `${missing.join(', ')}`);
+    }
+    const spentOutput = (outpoint) => (this.utxos[outpoint] ?
+      this.utxos[outpoint] : this.mempoolSpends[outpoint].utxo);
+    const inputValue = outpoints.reduce((sum, outpoint) => sum + spentOutput(outpoint).value, 0);
+    const outputValue = tx.outs.reduce((sum, output) => sum + output.value, 0);
+    if (outputValue > inputValue) {
+      throw new ValidationError(`Transaction ${txid} spends ${outputValue} satoshis, ` +
+                                `but its inputs only have ${inputValue}`);
+    }
+
+    const conflicts = outpoints.filter((outpoint) => !!this.mempoolSpends[outpoint])
+      .map((outpoint) => this.mempoolSpends[outpoint].txid);
+    if (conflicts.length > 0) {
+      const replaced = [].concat(...conflicts.map((conflict) => this.getMempoolDescendants(conflict)))
+        .filter((id, i, all) => all.indexOf(id) === i);
+      const replacedFee = replaced.reduce((sum, id) => sum + this.getMempoolFee(id), 0);
+      if (inputValue - outputValue <= replacedFee) {
+        // RPC_VERIFY_REJECTED
+        throw new ValidationError(`Transaction ${txid} does not pay more in fees than the ` +
+                                  `${replaced.length} transaction(s) it would replace ` +
+                                  `(${replacedFee} satoshis)`, { rpcCode: -26 });
+      }
+      replaced.reverse().forEach((id) => this.evictTransaction(id));
+    }
+
+    if (this.holdTransactions) {
+      for (const outpoint of outpoints) {
+        this.mempoolSpends[outpoint] = { txid, utxo: this.utxos[outpoint] };
+        delete this.utxos[outpoint];
+      }
+      tx.outs.forEach((output, vout) => {
+        const address = this.getOutputAddress(tx, vout);
+        if (address) {
+          this.utxos[`${txid}:${vout}`] = { txid, vout, address, value: output.value, height: null };
+        }
+      });
+      this.transactions[txid] = { hex: txHex, height: null };
+      this.mempool.push(txid);
+      logger.debug(`Mock node added ${txid} to its mempool`);
+      return txid;
+    }
+
+    const height = this.mineBlocks();
+    for (const outpoint of outpoints) {
+      delete this.utxos[outpoint];
+    }
+    tx.outs.forEach((output, vout) => {
+      const address = this.getOutputAddress(tx, vout);
+      if (address) {
+        this.utxos[`${txid}:${vout}`] = { txid, vout, address, value: output.value, height };
+      }
+    });
+    this.transactions[txid] = { hex: txHex, height };
+
+    this.applyNameOperation(tx, txid);
+    logger.debug(`Mock node mined ${txid} at ${height}`);
+    return txid;
+  }
+
+  /*
+   * Check a Gaia request's bearer token, and return the address it
+   * may write to.  Only v1 tokens (signed JWTs) are accepted.
+   */
+  checkGaiaToken(authorization: ?string) : ?string {
+    const match = /^bearer\s+v1:(.+)$/i.exec(authorization || '');
+    if (!match) {
+      return null;
+    }
+    try {
+      const payload = jsontokens.decodeToken(match[1]).payload;
+      if (payload.gaiaChallenge !== this.gaiaChallenge ||
+          !new jsontokens.TokenVerifier('ES256K', payload.iss).verify(match[1])) {
+        return null;
+      }
+      return blockstack.publicKeyToAddress(payload.iss);
+    }
+    catch (e) {
+      return null;
+    }
+  }
+}
+
+/*
+ * Read a request's body.
+ */
+function readBody(req: express.request) : Promise<Buffer> {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let length = 0;
+    req.on('data', (chunk) => {
+      length += chunk.length;
+      if (length > MAX_REQUEST_BODY) {
+        reject(new ValidationError('Request body too large'));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => resolve(Buffer.concat(chunks)));
+    req.on('error', reject);
+  });
+}
+
+function readJSONBody(req: express.request) : Promise<any> {
+  return readBody(req).then((body) => {
+    try {
+      return JSON.parse(body.toString());
+    }
+    catch (e) {
+      throw new ValidationError(`Invalid JSON: ${e.message}`);
+    }
+  });
+}
+
+/*
+ * Get a page of a list, with pages given by the 'page' query parameter.
+ */
+function getPage(list: Array<any>, req: express.request, pageSize: number) : Array<any> {
+  const page = req.query.page ? parseInt(req.query.page) : 0;
+  return list.slice(page * pageSize, (page + 1) * pageSize);
+}
+
+/*
+ * Make the mock services' HTTP server.  Every route of every service is
+ * served, so one server can stand in for all of them.
+ * @state (MockNodeState) the state to serve and change
+ */
+export function makeMockNodeServer(state: MockNodeState) : express.app {
+  const server = express();
+  server.use(cors());
+
+  server.use((req: express.request, res: express.response, next: Function) => {
+    logger.debug(`Mock node: ${req.method} ${req.originalUrl}`);
+    next();
+  });
+
+  // handle a request whose response is made by a promise
+  const handle = (handler: (req: express.request) => Promise<*> | *) =>
+    (req: express.request, res: express.response) => {
+      Promise.resolve().then(() => handler(req))
+        .then((response) => {
+          if (response === null || response === undefined) {
+            sendJSON(res, { 'error': 'Not found' }, 404);
+          }
+          else {
+            sendJSON(res, (response: any), 200);
+          }
+        })
+        .catch((e) => {
+          logger.debug(e.stack);
+          sendJSON(res, { 'error': e.message }, e.code === 'VALIDATION' ? 400 : 500);
+        });
+    };
+
+  // Blockstack Core
+  server.get(/^\/v1\/(info|node\/ping)$/, handle(() => ({
+    'status': 'alive', 'version': 'mock', 'last_block_processed': state.blockHeight,
+    'consensus': state.getConsensusHash()
+  })));
+  server.get('/v1/blockchains/bitcoin/consensus', handle(() => ({
+    'consensus_hash': state.getConsensusHash()
+  })));
+  server.get('/v1/blockchains/bitcoin/names/:name', (req, res) => {
+    const nameRecord = state.getNameRecord(req.params.name);
+    if (!nameRecord) {
+      sendJSON(res, { 'error': 'Name not found' }, 404);
+      return;
+    }
+    sendJSON(res, nameRecord, 200);
+  });
+  server.get('/v1/names', handle((req) => getPage(Object.keys(state.names).sort(), req, NAMES_PAGE_SIZE)));
+  server.get('/v1/names/:name', (req, res) => {
+    const nameInfo = state.getNameInfo(req.params.name);
+    if (!nameInfo) {
+      sendJSON(res, { 'error': 'Name not found' }, 404);
+      return;
+    }
+    sendJSON(res, nameInfo, 200);
+  });
+  server.get('/v1/names/:name/history', handle((req) => {
+    const history = state.history[req.params.name] || {};
+    const heights = Object.keys(history).sort((a, b) => parseInt(b) - parseInt(a));
+    return getPage(heights, req, HISTORY_PAGE_SIZE).reduce(
+      (page, height) => Object.assign(page, { [height]: history[height] }), {});
+  }));
+  server.get('/v1/namespaces', handle(() => Object.keys(state.namespaces).sort()));
+  server.get('/v1/namespaces/:namespaceID', (req, res) => {
+    const namespace = state.namespaces[req.params.namespaceID];
+    if (!namespace) {
+      sendJSON(res, { 'error': 'No such namespace' }, 404);
+      return;
+    }
+    sendJSON(res, namespace, 200);
+  });
+  server.get('/v1/namespaces/:namespaceID/names', handle((req) => getPage(
+    Object.keys(state.names).filter((name) => namespaceOf(name) === req.params.namespaceID).sort(),
+    req, NAMES_PAGE_SIZE)));
+  server.get('/v1/addresses/bitcoin/:address', handle((req) => ({
+    'names': state.getNamesOwned(req.params.address)
+  })));
+  server.get(/^\/v[12]\/prices\/names\/([^/]+)$/, handle((req) => {
+    const price = state.getNamePrice(req.params[0]);
+    if (price === null || price === undefined) {
+      return null;
+    }
+    return { 'name_price': { 'units': 'BTC', 'amount': String(price), 'satoshis': price } };
+  }));
+  server.get(/^\/v[12]\/prices\/namespaces\/([^/]+)$/, handle((req) => {
+    const price = state.getNamespacePrice(req.params[0]);
+    return { 'units': 'BTC', 'amount': String(price), 'satoshis': price };
+  }));
+  server.get('/v1/zonefiles/:zonefileHash', (req, res) => {
+    const zonefile = state.zonefiles[req.params.zonefileHash];
+    if (zonefile === undefined) {
+      sendJSON(res, { 'error': 'No such zone file' }, 404);
+      return;
+    }
+    res.writeHead(200, { 'Content-Type': 'text/plain' });
+    res.end(zonefile);
+  });
+  server.post(/^\/v1\/zonefile\/?$/, handle((req) => readJSONBody(req).then((body) => {
+    if (!body || typeof body.zonefile !== 'string') {
+      throw new ValidationError('Missing zonefile');
+    }
+    state.storeZonefile(body.zonefile);
+    return { 'status': true, 'servers': ['mock'] };
+  })));
+
+  // Stacks accounts (there are none)
+  server.get('/v1/accounts/:address/tokens', handle(() => ({ 'tokens': [] })));
+  server.get('/v1/accounts/:address/history', handle(() => []));
+  server.get('/v1/accounts/:address/history/:blockHeight', handle(() => []));
+  server.get('/v1/accounts/:address/:tokenType/balance', handle(() => ({ 'balance': '0' })));
+  server.get('/v1/accounts/:address/:tokenType/status', handle(() => null));
+
+  // the transaction broadcaster
+  server.post('/v1/broadcast/transaction', handle((req) => readJSONBody(req).then((body) => ({
+    'transaction_hash': state.sendTransaction(String(body.transaction))
+  }))));
+  server.post('/v1/broadcast/zone-file', handle((req) => readJSONBody(req).then((body) => {
+    state.storeZonefile(String(body.zoneFile));
+    return { 'status': true };
+  })));
+  server.post('/v1/broadcast/registration', handle((req) => readJSONBody(req).then((body) => {
+    const preorderTxid = state.sendTransaction(String(body.preorderTransaction));
+    state.sendTransaction(String(body.registerTransaction));
+    state.storeZonefile(String(body.zoneFile));
+    return { 'transaction_hash': preorderTxid };
+  })));
+
+  // bitcoind's JSON-RPC interface
+  server.post('/', (req, res) => {
+    readJSONBody(req)
+      .then((body) => {
+        const params = body.params || [];
+        let result;
+        switch (body.method) {
+          case 'getblockcount':
+            result = state.blockHeight;
+            break;
+          case 'importaddress':
+            result = null;
+            break;
+          case 'listunspent':
+            result = [].concat(...(params[2] || []).map((address) => state.getUTXOs(address)))
+              .map((utxo) => ({
+                txid: utxo.txid,
+                vout: utxo.vout,
+                address: utxo.address,
+                amount: utxo.value / SATOSHIS_PER_BTC,
+                confirmations: state.getConfirmations(utxo.height)
+              }));
+            break;
+          case 'sendrawtransaction':
+            result = state.sendTransaction(String(params[0]));
+            break;
+          case 'gettransaction':
+          case 'getrawtransaction': {
+            const tx = state.transactions[params[0]];
+            if (!tx) {
+              // RPC_INVALID_ADDRESS_OR_KEY
+              throw new ValidationError(`No such transaction ${params[0]}`, { rpcCode: -5 });
+            }
+            if (body.method === 'getrawtransaction' && !params[1]) {
+              result = tx.hex;
+              break;
+            }
+            result = typeof tx.height === 'number' ? {
+              txid: params[0],
+              hex: tx.hex,
+              blockhash: state.getBlockHash(tx.height),
+              confirmations: state.getConfirmations(tx.height)
+            } : { txid: params[0], hex: tx.hex, confirmations: 0 };
+            break;
+          }
+          case 'getblockhash': {
+            const height = parseInt(params[0]);
+            if (Number.isNaN(height) || height < 0 || height > state.blockHeight) {
+              // RPC_INVALID_PARAMETER
+              throw new ValidationError('Block height out of range', { rpcCode: -8 });
+            }
+            result = state.getBlockHash(height);
+            break;
+          }
+          case 'getblockheader': {
+            const height = state.getBlockHeight(String(params[0]));
+            result = height === null || height === undefined ? null : { hash: params[0], height };
+            break;
+          }
+          case 'estimatesmartfee':
+            result = {
+              feerate: state.feeRate * 1000 / SATOSHIS_PER_BTC,
+              blocks: params[0] || 1
+            };
+            break;
+          default:
+            throw new ValidationError(`Method not found: ${body.method}`);
+        }
+        sendJSON(res, { 'result': result, 'error': null, 'id': body.id || null }, 200);
+      })
+      .catch((e) => {
+        const rpcCode = e.details && e.details.rpcCode ? e.details.rpcCode : -1;
+        sendJSON(res, { 'result': null, 'error': { 'code': rpcCode, 'message': e.message }, 'id': null },
+                 e.code === 'VALIDATION' ? 200 : 500);
+      });
+  });
+
+  // blockchain.info's API
+  server.get('/latestblock', handle(() => ({
+    'height': state.blockHeight, 'hash': state.getBlockHash(state.blockHeight)
+  })));
+  server.get('/unspent', handle((req) => ({
+    'unspent_outputs': String(req.query.active || '').split('|')
+      .filter((address) => address.length > 0)
+      .reduce((utxos, address) => utxos.concat(state.getUTXOs(address)), [])
+      .map((utxo) => ({
+        tx_hash_big_endian: utxo.txid,
+        tx_output_n: utxo.vout,
+        value: utxo.value,
+        confirmations: state.getConfirmations(utxo.height)
+      }))
+  })));
+  server.get('/rawtx/:txid', (req, res) => {
+    const tx = state.transactions[req.params.txid];
+    if (req.query.format !== 'hex') {
+      // (unconfirmed transactions have no block_height)
+      handle(() => (tx ? Object.assign(({ hash: req.params.txid }: Object),
+        tx.height === null ? {} : { block_height: tx.height }) : null))(req, res);
+      return;
+    }
+    res.writeHead(tx ? 200 : 404, { 'Content-Type': 'text/plain' });
+    res.end(tx ? tx.hex : 'Transaction not found');
+  });
+  server.post('/pushtx', (req, res) => {
+    readBody(req)
+      .then((body) => {
+        // either a form field or a multipart field named "tx"
+        const match = /(?:^|&)tx=([0-9a-fA-F]+)/.exec(body.toString()) ||
+          /name="tx"\r?\n(?:[^\r\n]+\r?\n)*\r?\n([0-9a-fA-F]+)/.exec(body.toString());
+        if (!match) {
+          throw new ValidationError('Missing transaction');
+        }
+        state.sendTransaction(match[1]);
+        res.writeHead(200, { 'Content-Type': 'text/plain' });
+        res.end('Transaction Submitted');
+      })
+      .catch((e) => {
+        res.writeHead(400, { 'Content-Type': 'text/plain' });
+        res.end(e.message);
+      });
+  });
+
+  // an Esplora API
+  server.get('/blocks/tip/height', (req, res) => {
+    res.writeHead(200, { 'Content-Type': 'text/plain' });
+    res.end(String(state.blockHeight));
+  });
+  // (blockchain.info has the same path, but asks for JSON)
+  server.get('/block-height/:height', (req, res) => {
+    const height = parseInt(req.params.height);
+    if (Number.isNaN(height) || height < 0 || height > state.blockHeight) {
+      res.writeHead(404, { 'Content-Type': 'text/plain' });
+      res.end('Block not found');
+      return;
+    }
+    if (req.query.format === 'json') {
+      sendJSON(res, {
+        'blocks': [{ 'hash': state.getBlockHash(height), 'height': height, 'main_chain': true }]
+      }, 200);
+      return;
+    }
+    res.writeHead(200, { 'Content-Type': 'text/plain' });
+    res.end(state.getBlockHash(height));
+  });
+  server.get('/address/:address/utxo', handle((req) => state.getUTXOs(req.params.address)
+    .map((utxo) => ({
+      txid: utxo.txid,
+      vout: utxo.vout,
+      value: utxo.value,
+      status: typeof utxo.height === 'number' ? {
+        confirmed: true,
+        block_height: utxo.height,
+        block_hash: state.getBlockHash(utxo.height)
+      } : { confirmed: false }
+    }))));
+  server.get('/tx/:txid/status', handle((req) => {
+    const tx = state.transactions[req.params.txid];
+    if (!tx) {
+      return null;
+    }
+    return typeof tx.height === 'number' ? {
+      confirmed: true, block_height: tx.height, block_hash: state.getBlockHash(tx.height)
+    } : { confirmed: false };
+  }));
+  server.get('/tx/:txid/hex', (req, res) => {
+    const tx = state.transactions[req.params.txid];
+    res.writeHead(tx ? 200 : 404, { 'Content-Type': 'text/plain' });
+    res.end(tx ? tx.hex : 'Transaction not found');
+  });
+  server.post('/tx', (req, res) => {
+    readBody(req)
+      .then((body) => {
+        const txid = state.sendTransaction(body.toString().trim());
+        res.writeHead(200, { 'Content-Type': 'text/plain' });
+        res.end(txid);
+      })
+      .catch((e) => {
+        res.writeHead(400, { 'Content-Type': 'text/plain' });
+        res.end(e.message);
+      });
+  });
+  server.get('/fee-estimates', handle(() => ({
+    '1': state.feeRate * 2, '6': state.feeRate, '144': 1
+  })));
+
+  // the Gaia hub
+  const checkWriter = (req, res) => {
+    const address = state.checkGaiaToken(req.get('Authorization'));
+    if (!address || address !== req.params.address) {
+      sendJSON(res, { 'error': 'Invalid or missing Gaia authentication token' }, 401);
+      return false;
+    }
+    return true;
+  };
+  server.get('/hub_info', (req, res) => {
+    sendJSON(res, {
+      'challenge_text': state.gaiaChallenge,
+      'latest_auth_version': 'v1',
+      'read_url_prefix': `${req.protocol}://${req.get('host')}/read/`
+    }, 200);
+  });
+  server.post(/^\/store\/([^/]+)\/(.+)$/, (req, res) => {
+    req.params.address = req.params[0];
+    if (!checkWriter(req, res)) {
+      return;
+    }
+    readBody(req)
+      .then((data) => {
+        if (!state.gaiaFiles[req.params.address]) {
+          state.gaiaFiles[req.params.address] = {};
+        }
+        state.gaiaFiles[req.params.address][req.params[1]] = {
+          contentType: req.get('Content-Type') || 'application/octet-stream',
+          data
+        };
+        sendJSON(res, {
+          'publicURL': `${req.protocol}://${req.get('host')}/read/${req.params[0]}/${req.params[1]}`
+        }, 202);
+      })
+      .catch((e) => sendJSON(res, { 'error': e.message }, 400));
+  });
+  server.delete(/^\/delete\/([^/]+)\/(.+)$/, (req, res) => {
+    req.params.address = req.params[0];
+    if (!checkWriter(req, res)) {
+      return;
+    }
+    const files = state.gaiaFiles[req.params[0]] || {};
+    if (!files.hasOwnProperty(req.params[1])) {
+      sendJSON(res, { 'error': 'No such file' }, 404);
+      return;
+    }
+    delete files[req.params[1]];
+    res.writeHead(202);
+    res.end();
+  });
+  server.post('/list-files/:address', (req, res) => {
+    if (!checkWriter(req, res)) {
+      return;
+    }
+    readJSONBody(req)
+      .then((body) => {
+        const paths = Object.keys(state.gaiaFiles[req.params.address] || {}).sort();
+        const start = body && body.page ? parseInt(body.page) : 0;
+        const entries = paths.slice(start, start + GAIA_PAGE_SIZE);
+        const nextPage = start + GAIA_PAGE_SIZE < paths.length ? String(start + GAIA_PAGE_SIZE) : null;
+        sendJSON(res, { 'entries': entries, 'page': nextPage }, 202);
+      })
+      .catch((e) => sendJSON(res, { 'error': e.message }, 400));
+  });
+  server.get(/^\/read\/([^/]+)\/(.+)$/, (req, res) => {
+    const file = (state.gaiaFiles[req.params[0]] || {})[req.params[1]];
+    if (!file) {
+      res.writeHead(404, { 'Content-Type': 'text/plain' });
+      res.end('File not found');
+      return;
+    }
+    res.writeHead(200, { 'Content-Type': file.contentType });
+    res.end(file.data);
+  });
+
+  // controls for tests
+  server.get('/mock/v1/state', handle(() => ({
+    'blockHeight': state.blockHeight,
+    'namespaces': state.namespaces,
+    'names': Object.keys(state.names).reduce(
+      (names, name) => Object.assign(names, { [name]: state.getNameRecord(name) }), {}),
+    'utxos': Object.keys(state.utxos).map((outpoint) => state.utxos[outpoint]),
+    'mempool': state.mempool,
+    'gaiaFiles': Object.keys(state.gaiaFiles).reduce((files, address) => Object.assign(files, {
+      [address]: Object.keys(state.gaiaFiles[address]).sort()
+    }), {})
+  })));
+  server.post('/mock/v1/fund', handle((req) => readJSONBody(req).then((body) => {
+    if (!body || typeof body.address !== 'string' || !Number.isInteger(body.satoshis) ||
+        body.satoshis <= 0) {
+      throw new ValidationError('Expected {"address": ADDRESS, "satoshis": AMOUNT}');
+    }
+    return { 'txid': state.fund(body.address, body.satoshis) };
+  })));
+  server.post('/mock/v1/mine', handle((req) => readJSONBody(req).then((body) => {
+    const blocks = body && body.blocks !== undefined ? body.blocks : 1;
+    if (!Number.isInteger(blocks) || blocks < 0) {
+      throw new ValidationError('Expected {"blocks": COUNT}');
+    }
+    return { 'blockHeight': state.mineBlocks(blocks) };
+  })));
+  server.post('/mock/v1/mempool', handle((req) => readJSONBody(req).then((body) => {
+    if (!body || typeof body.enabled !== 'boolean') {
+      throw new ValidationError('Expected {"enabled": true} or {"enabled": false}');
+    }
+    state.holdTransactions = body.enabled;
+    return { 'enabled': state.holdTransactions, 'mempool': state.mempool };
+  })));
+  server.post('/mock/v1/reorg', handle((req) => readJSONBody(req).then((body) => {
+    const blocks = body && body.blocks !== undefined ? body.blocks : 1;
+    if (!Number.isInteger(blocks) || blocks < 1) {
+      throw new ValidationError('Expected {"blocks": DEPTH}');
+    }
+    state.reorg(blocks);
+    return { 'blockHeight': state.blockHeight, 'blockHash': state.getBlockHash(state.blockHeight) };
+  })));
+  server.post('/mock/v1/namespaces', handle((req) => readJSONBody(req).then((body) => {
+    if (!body || typeof body.namespace_id !== 'string') {
+      throw new ValidationError('Expected {"namespace_id": ID, ...}');
+    }
+    return state.addNamespace(body.namespace_id, body);
+  })));
+
+  return server;
+}
+
+/*
+ * Answer an Electrum protocol request.
+ */
+function answerElectrumRequest(state: MockNodeState, method: string, params: Array<any>) : any {
+  switch (method) {
+    case 'server.version':
+      return ['mock', '1.4'];
+    case 'server.ping':
+      return null;
+    case 'blockchain.headers.subscribe':
+      return { height: state.blockHeight, hex: state.getBlockHeader(state.blockHeight).toString('hex') };
+    case 'blockchain.block.header': {
+      const height = parseInt(params[0]);
+      if (Number.isNaN(height) || height < 0 || height > state.blockHeight) {
+        throw new ValidationError(`No block at height ${String(params[0])}`);
+      }
+      return state.getBlockHeader(height).toString('hex');
+    }
+    case 'blockchain.scripthash.listunspent':
+      return state.getUTXOsByScriptHash(String(params[0])).map((utxo) => ({
+        tx_hash: utxo.txid, tx_pos: utxo.vout, height: utxo.height === null ? 0 : utxo.height,
+        value: utxo.value
+      }));
+    case 'blockchain.transaction.get': {
+      const tx = state.transactions[String(params[0])];
+      if (!tx) {
+        throw new ValidationError(`No such transaction ${String(params[0])}`);
+      }
+      if (!params[1]) {
+        return tx.hex;
+      }
+      return typeof tx.height === 'number' ? {
+        txid: params[0],
+        hex: tx.hex,
+        blockhash: state.getBlockHash(tx.height),
+        confirmations: state.getConfirmations(tx.height)
+      } : { txid: params[0], hex: tx.hex, confirmations: 0 };
+    }
+    case 'blockchain.transaction.broadcast':
+      return state.sendTransaction(String(params[0]));
+    case 'blockchain.estimatefee':
+      return state.feeRate * 1000 / SATOSHIS_PER_BTC;
+    default:
+      throw new ValidationError(`Unknown method ${method}`);
+  }
+}
+
+/*
+ * Make the mock Electrum server, which speaks JSON-RPC over TCP with one
+ * message per line.
+ * @state (MockNodeState) the state to serve and change
+ */
+export function makeMockElectrumServer(state: MockNodeState) : net.Server {
+  return net.createServer((socket) => {
+    let buffered = '';
+    socket.setEncoding('utf8');
+    socket.on('error', (e) => logger.debug(`Mock Electrum server: ${e.message}`));
+    socket.on('data', (data) => {
+      buffered += data;
+      const lines = buffered.split('\n');
+      buffered = lines.pop();
+      for (const line of lines.filter((text) => text.trim().length > 0)) {
+        let request = {};
+        let response;
+        try {
+          request = JSON.parse(line);
+          logger.debug(`Mock Electrum server: ${request.method}`);
+          response = { result: answerElectrumRequest(state, request.method, request.params || []) };
+        }
+        catch (e) {
+          response = { error: { code: 1, message: e.message } };
+        }
+        const reply: Object = { jsonrpc: '2.0', id: request.id };
+        socket.write(`${JSON.stringify(Object.assign(reply, response))}\n`);
+      }
+    });
+  });
+}
+
+/*
+ * The mock services, ready to be started and stopped (e.g. by tests).
+ *
+ *   const mockNode = new MockNode(bitcoin.networks.testnet, { balances: { [address]: 1e8 } });
+ *   mockNode.listen({ blockstackAPIUrl: 16268, ... }).then((urls) => ...);
+ *   mockNode.listenElectrum(50001).then((url) => ...);
+ *   ...
+ *   mockNode.close();
+ */
+export class MockNode {
+  state: MockNodeState
+  app: express.app
+  servers: Array<Object>
+  sockets: Array<net.Socket>
+
+  constructor(layer1: Object, seed: Object = {}) {
+    this.state = new MockNodeState(layer1, seed);
+    this.app = makeMockNodeServer(this.state);
+    this.servers = [];
+    this.sockets = [];
+  }
+
+  /*
+   * Start serving.  Each service can have its own port, or they can share one.
+   * @ports (Object) the port of each service (see MOCK_NODE_PORTS)
+   * @host (string) the address to listen on
+   * @return a Promise to the URL of each service
+   */
+  listen(ports: { [string]: number } = MOCK_NODE_PORTS, host: string = '127.0.0.1')
+    : Promise<{ [string]: string }> {
+    const uniquePorts = Object.keys(ports).map((service) => ports[service])
+      .filter((port, i, all) => all.indexOf(port) === i);
+    return Promise.all(uniquePorts.map((port) => new Promise((resolve, reject) => {
+      const httpServer = this.app.listen(port, host, () => resolve(httpServer));
+      httpServer.on('error', reject);
+      this.trackConnections(httpServer);
+    })))
+      .then((httpServers) => {
+        this.servers = this.servers.concat(httpServers);
+        return Object.keys(ports).reduce((urls, service) => Object.assign(urls, {
+          [service]: `http://${host}:${ports[service]}`
+        }), {});
+      });
+  }
+
+  /*
+   * Keep track of a server's connections.  Clients keep theirs open (e.g.
+   * HTTP keep-alive), so they are hung up on when the mock node is closed.
+   */
+  trackConnections(server: Object) : void {
+    server.on('connection', (socket) => {
+      this.sockets.push(socket);
+      socket.on('close', () => {
+        this.sockets = this.sockets.filter((other) => other !== socket);
+      });
+    });
+  }
+
+  /*
+   * Start the Electrum server.
+   * @port (number) the port to listen on
+   * @host (string) the address to listen on
+   * @return a Promise to its URL
+   */
+  listenElectrum(port: number = MOCK_ELECTRUM_PORT, host: string = '127.0.0.1') : Promise<string> {
+    const electrumServer = makeMockElectrumServer(this.state);
+    this.trackConnections(electrumServer);
+    return new Promise((resolve, reject) => {
+      electrumServer.listen({ port, host }, () => resolve());
+      electrumServer.on('error', reject);
+    })
+      .then(() => {
+        this.servers.push(electrumServer);
+        return `tcp://${host}:${electrumServer.address().port}`;
+      });
+  }
+
+  close() : Promise<void> {
+    const servers = this.servers;
+    this.servers = [];
+    this.sockets.forEach((socket) => socket.destroy());
+    return Promise.all(servers.map((httpServer) => new Promise(
+      (resolve) => httpServer.close(() => resolve())))).then(() => {});
+  }
+}
@@ -4,13 +4,126 @@ const blockstack = require('blockstack');
 const Promise = require('bluebird');
 const bigi = require('bigi');
 const bitcoin = require('bitcoinjs-lib');
+import logger from 'winston';
+const { AsyncLocalStorage } = require('async_hooks');
 
 Promise.onPossiblyUnhandledRejection(function(error){
     throw error;
 });
 
+// network contexts (see runWithNetwork()) must follow Bluebird's callbacks
+Promise.config({ asyncHooks: true });
+
+import {
+  NetworkError,
+  NotFoundError,
+  SafetyError,
+  ValidationError,
+  explainRemoteServiceError
+} from './errors';
+
+import {
+  EndpointPool
+} from './endpoints';
+
+import {
+  ResponseCache
+} from './cache';
+
+import {
+  RESTIndexerClient,
+  XMLRPCIndexerClient,
+  selectIndexerClient
+} from './indexer';
+
+import type { IndexerClient } from './indexer';
+
+import type { PreorderTracker } from './preorders';
+
+import type { Transport } from './transport';
+
+import {
+  DEFAULT_FEE_MODE,
+  DEFAULT_FEE_TARGET,
+  makeUTXOProvider
+} from './utxo';
+
 const SATOSHIS_PER_BTC = 1e8
 
+// blockstack.js reads its global network while it builds each transaction,
+// even after it has waited on the network.  So that calls on different
+// networks can run at once, the global network is the network of the call
+// being run (see runWithNetwork()), or else the network last assigned to it.
+const networkContext = AsyncLocalStorage ? new AsyncLocalStorage() : null
+let defaultNetwork = blockstack.config.network
+
+const networkDescriptor: Object = {
+  configurable: true,
+  enumerable: true,
+  get: () => {
+    const network = networkContext ? networkContext.getStore() : null
+    return network ? network : defaultNetwork
+  },
+  set: (network) => {
+    defaultNetwork = network
+  }
+}
+Object.defineProperty(blockstack.config, 'network', networkDescriptor)
+
+/*
+ * Run a function with blockstack.js's global network set to the given
+ * network for it and everything it waits on, and for nothing else.
+ * Without async_hooks (Node.js before 12.17), the global network is set
+ * until the next call instead.
+ * @network (CLINetworkAdapter) the network to use
+ * @func (function) the function to run
+ * @return whatever func returns
+ */
+export function runWithNetwork<T>(network: CLINetworkAdapter, func: () => T) : T {
+  if (!networkContext) {
+    blockstack.config.network = network
+    return func()
+  }
+  return networkContext.run(network, func)
+}
+
+// blockstack.js fetches from the primary URL of each service, so fetches from
+// those URLs are routed through the services' endpoint pools (see routeFetch())
+let endpointPools: Array<EndpointPool> = []
+let plainFetch: ?Function = null
+
+/*
+ * fetch(), with failover and retries for the services of the networks in use.
+ */
+function routeFetch(url: any, init: ?Object) {
+  const urlString = typeof url === 'string' ? url : url.url
+  const pool = endpointPools.find((endpointPool) => endpointPool.owns(urlString))
+  // plainFetch is set before routeFetch() is installed
+  const fetchFn: Function = (plainFetch: any)
+  return pool ? pool.fetch(fetchFn, urlString, init) : fetchFn(url, init)
+}
+
+/*
+ * Route fetches from the pools' primary URLs through the pools.
+ * Pools with the same primary URL as an earlier one replace it.
+ */
+function useEndpointPools(pools: Array<EndpointPool>) {
+  if (!plainFetch) {
+    plainFetch = global.fetch
+    global.fetch = routeFetch
+  }
+  const primaryUrls = pools.map((pool) => pool.getPrimaryUrl())
+  endpointPools = pools.concat(endpointPools.filter(
+    (pool) => !primaryUrls.includes(pool.getPrimaryUrl())))
+}
+
+/*
+ * fetch() from exactly the given URL, without failing over.
+ */
+function fetchDirect(url: string, init: ?Object) {
+  return plainFetch ? plainFetch(url, init) : fetch(url, init || undefined)
+}
+
 /*
  * Adapter class that allows us to use data obtained
  * from the CLI.
@@ -22,6 +135,20 @@ export class CLINetworkAdapter extends blockstack.network.BlockstackNetwork {
   priceToPay: number | null
   priceUnits: string | null
   gracePeriod: number | null
+  cache: ResponseCache | null
+  quorum: number
+  feeTarget: number
+  feeMode: string
+  feeOptionsGiven: boolean
+  maxFeeRate: number | null
+  maxFee: number | null
+  outputValues: { [string]: number }
+  replacedTxids: Array<string>
+  preorders: PreorderTracker | null
+  transport: Transport | null
+  consensusHashHeights: { [string]: number }
+  endpointPools: { [string]: EndpointPool }
+  indexerClients: Array<IndexerClient>
 
   constructor(network: blockstack.network.BlockstackNetwork, opts: Object) {
     const optsDefault = {
@@ -34,11 +161,31 @@ export class CLINetworkAdapter extends blockstack.network.BlockstackNetwork {
       gracePeriod: null,
       altAPIUrl: network.blockstackAPIUrl,
       altTransactionBroadcasterUrl: network.broadcastServiceUrl,
-      nodeAPIUrl: null
+      nodeAPIUrl: null,
+      cache: null,
+      blockstackAPIUrls: [],
+      broadcastServiceUrls: [],
+      utxoServiceUrls: [],
+      retries: 2,
+      retryDelay: 500,
+      quorum: 0,
+      feeTarget: DEFAULT_FEE_TARGET,
+      feeMode: DEFAULT_FEE_MODE,
+      feeOptionsGiven: false,
+      maxFeeRate: null,
+      maxFee: null,
+      preorders: null,
+      transport: null
     }
 
     opts = Object.assign({}, optsDefault, opts);
 
+    if (opts.feeRate !== null && opts.feeRate !== undefined &&
+        (!Number.isInteger(opts.feeRate) || opts.feeRate <= 0)) {
+      throw new ValidationError(`Invalid fee rate ${String(opts.feeRate)}: must be a positive ` +
+                                'whole number of satoshis per byte')
+    }
+
     super(opts.altAPIUrl, opts.altTransactionBroadcasterUrl, network.btc, network.layer1)
     this.consensusHash = opts.consensusHash
     this.feeRate = opts.feeRate
@@ -48,8 +195,236 @@ export class CLINetworkAdapter extends blockstack.network.BlockstackNetwork {
     this.receiveFeesPeriod = opts.receiveFeesPeriod
     this.gracePeriod = opts.gracePeriod
     this.nodeAPIUrl = opts.nodeAPIUrl
+    this.cache = opts.cache
+    this.quorum = opts.quorum ? opts.quorum : 0
+    this.feeTarget = opts.feeTarget ? opts.feeTarget : DEFAULT_FEE_TARGET
+    this.feeMode = opts.feeMode ? opts.feeMode : DEFAULT_FEE_MODE
+    // whether feeTarget or feeMode was asked for, instead of left at its default
+    this.feeOptionsGiven = !!opts.feeOptionsGiven
+    // a cap of 0 is no cap
+    this.maxFeeRate = opts.maxFeeRate ? opts.maxFeeRate : null
+    this.maxFee = opts.maxFee ? opts.maxFee : null
+    this.outputValues = {}
+    this.replacedTxids = []
+    this.preorders = opts.preorders
+    // how this network's requests connect, when it is used through the API
+    // (see runWithTransport())
+    this.transport = opts.transport
+    this.consensusHashHeights = {}
     
     this.optAlwaysCoerceAddress = false
+
+    // the primary URLs come first, since they are the ones blockstack.js uses
+    const btcUrl = this.btc.utxoProviderUrl || this.btc.bitcoindUrl
+    const makePool = (service, primaryUrl, urls) => new EndpointPool(
+      service, [primaryUrl].concat(urls || []), opts.retries, opts.retryDelay)
+    this.endpointPools = {
+      blockstackAPIUrl: makePool('blockstackAPIUrl', this.blockstackAPIUrl, opts.blockstackAPIUrls),
+      broadcastServiceUrl: makePool('broadcastServiceUrl', this.broadcastServiceUrl,
+                                    opts.broadcastServiceUrls)
+    }
+    // (Electrum servers are not fetched from)
+    if (btcUrl && /^https?:\/\//.test(btcUrl)) {
+      this.endpointPools.utxoServiceUrl = makePool('utxoServiceUrl', btcUrl, opts.utxoServiceUrls)
+    }
+    useEndpointPools(Object.keys(this.endpointPools).map((service) => this.endpointPools[service]))
+
+    // the REST API is preferred; nodes that lack it are asked over XML-RPC
+    this.indexerClients = [new RESTIndexerClient(this.blockstackAPIUrl)]
+    if (this.nodeAPIUrl) {
+      this.indexerClients.push(new XMLRPCIndexerClient(this.nodeAPIUrl))
+    }
+
+    const coreNodes = this.endpointPools.blockstackAPIUrl.urls.length
+    if (this.quorum > coreNodes) {
+      throw new ValidationError(`A quorum of ${this.quorum} needs at least ${this.quorum} ` +
+                                `Blockstack Core nodes, but only ${coreNodes} are configured ` +
+                                '(see blockstackAPIUrls)')
+    }
+  }
+
+  /*
+   * Read from several Blockstack Core nodes, and make sure they agree.
+   * The first 'quorum' healthy nodes are asked, with unreachable ones replaced
+   * by the next ones.  Throws a SafetyError if any answers differ in status or
+   * in the given fields, and a NetworkError if not enough nodes answer.
+   * @what (string) what is being read, for messages
+   * @path (string) the API path to read
+   * @fields (Array<string>) the fields that must agree
+   * @return a Promise to {status, body} of the agreed answer
+   */
+  quorumRead(what: string, path: string, fields: Array<string>) : Promise<Object> {
+    const pool = this.endpointPools.blockstackAPIUrl
+    const endpoints = pool.getEndpoints()
+    const answers = []
+    const failures = []
+
+    const ask = (endpoint) => fetchDirect(`${endpoint}${path}`)
+      .then((resp) => {
+        if (resp.status === 200) {
+          return resp.json().then((body) => ({ endpoint, status: 200, body }))
+        }
+        if (resp.status === 404) {
+          return { endpoint, status: 404, body: null }
+        }
+        throw new Error(`status ${resp.status}`)
+      })
+      .then((answer) => {
+        pool.markHealthy(endpoint)
+        answers.push(answer)
+      })
+      .catch((e) => {
+        pool.markFailed(endpoint, e.message)
+        failures.push(`${endpoint}: ${e.message}`)
+      })
+
+    let next = 0
+    const askMore = () => {
+      const needed = this.quorum - answers.length
+      if (needed <= 0 || next >= endpoints.length) {
+        return Promise.resolve()
+      }
+      const batch = endpoints.slice(next, next + needed)
+      next += batch.length
+      return Promise.all(batch.map(ask)).then(() => askMore())
+    }
+
+    return askMore().then(() => {
+      if (answers.length < this.quorum) {
+        throw new NetworkError(`Only ${answers.length} of the ${this.quorum} Blockstack Core ` +
+                               `nodes needed for a quorum on ${what} answered`,
+                               { failures })
+      }
+      const describe = (answer) => {
+        const body = answer.body
+        if (answer.status !== 200 || !body) {
+          return { status: answer.status }
+        }
+        return fields.reduce((values, field) => Object.assign(values, { [field]: body[field] }), {})
+      }
+      const described = answers.map((answer) => JSON.stringify(describe(answer)))
+      if (described.some((description) => description !== described[0])) {
+        throw new SafetyError({
+          'status': false,
+          'error': `Blockstack Core nodes disagree about ${what}; refusing to continue`,
+          'answers': answers.reduce((byEndpoint, answer) => Object.assign(byEndpoint, {
+            [answer.endpoint]: describe(answer)
+          }), {})
+        })
+      }
+      return { status: answers[0].status, body: answers[0].body }
+    })
+  }
+
+  /*
+   * Get a response through the cache, if there is one.
+   * Responses are scoped by the services they come from.
+   */
+  cached(endpointClass: string, id: string, fetcher: () => Promise<*>) : Promise<*> {
+    if (!this.cache) {
+      return fetcher()
+    }
+    const btcUrl = this.btc.utxoProviderUrl || this.btc.bitcoindUrl || ''
+    // quorum reads are not satisfied by answers from one node
+    const scope = `${this.blockstackAPIUrl}|${btcUrl}|${this.layer1.pubKeyHash}|${this.quorum}`
+    return this.cache.fetch(endpointClass, scope, id, fetcher)
+  }
+
+  getBlockHeight() : Promise<number> {
+    return this.cached('blockHeight', '', () => super.getBlockHeight())
+  }
+
+  getNetworkedUTXOs(address: string) : Promise<Array<Object>> {
+    // getUTXOs() applies the changes from transactions made in this run
+    return this.cached('utxos', address, () => super.getNetworkedUTXOs(address))
+  }
+
+  getUTXOs(address: string) : Promise<Array<Object>> {
+    // remember what they are worth, so the fees of transactions that spend them can be checked
+    return Promise.resolve(super.getUTXOs(address))
+      .then((utxos) => {
+        const unreplaced = utxos.filter((utxo) => !this.replacedTxids.includes(utxo.tx_hash))
+        unreplaced.forEach((utxo) => {
+          this.outputValues[`${utxo.tx_hash}:${utxo.tx_output_n}`] = utxo.value
+        })
+        return unreplaced
+      })
+  }
+
+  /*
+   * Stop giving out the outputs of a transaction that is being replaced
+   * (see bump_fee), which the UTXO provider still has in its mempool.
+   * @txid (string) the transaction
+   */
+  forgetTransaction(txid: string) : void {
+    this.replacedTxids.push(txid)
+  }
+
+  /*
+   * Refuse to send a transaction whose fee is over maxFee.  Its inputs must
+   * be UTXOs that getUTXOs() gave out in this run, so their values are known.
+   * Throws a SafetyError if the fee is too high or cannot be worked out.
+   * @txHex (string) the transaction
+   */
+  checkTransactionFee(txHex: string) : void {
+    const maxFee = this.maxFee
+    if (!maxFee) {
+      return
+    }
+    const tx = bitcoin.Transaction.fromHex(txHex)
+    const outpoints = tx.ins.map(
+      (input) => `${Buffer.from(input.hash).reverse().toString('hex')}:${input.index}`)
+    const unknown = outpoints.filter((outpoint) => !this.outputValues.hasOwnProperty(outpoint))
+    if (unknown.length > 0) {
+      throw new SafetyError({
+        'status': false,
+        'error': `Cannot tell what transaction ${tx.getId()} pays in fees, since it spends ` +
+          'outputs that were not looked up; refusing to send it',
+        'unknownInputs': unknown
+      })
+    }
+    const inputValue = outpoints.reduce((sum, outpoint) => sum + this.outputValues[outpoint], 0)
+    const outputValue = tx.outs.reduce((sum, output) => sum + output.value, 0)
+    const fee = inputValue - outputValue
+    if (fee > maxFee) {
+      throw new SafetyError({
+        'status': false,
+        'error': `Transaction ${tx.getId()} pays ${fee} satoshis in fees, which is more than ` +
+          `maxFee (${maxFee}); refusing to send it`,
+        'fee': fee,
+        'maxFee': this.maxFee
+      })
+    }
+  }
+
+  broadcastTransaction(...args: Array<any>) : Promise<*> {
+    // the cached UTXOs may have just been spent
+    return Promise.resolve().then(() => this.checkTransactionFee(args[0]))
+      .then(() => super.broadcastTransaction(...args))
+      .catch((e) => explainRemoteServiceError(e).then((error) => {
+        throw error
+      }))
+      .then((result) => {
+        if (this.cache) {
+          this.cache.invalidate('utxos')
+        }
+        return result
+      })
+  }
+
+  broadcastNameRegistration(...args: Array<any>) : Promise<*> {
+    // the preorder and the registration
+    return Promise.resolve().then(() => args.slice(0, 2).forEach((tx) => this.checkTransactionFee(tx)))
+      .then(() => super.broadcastNameRegistration(...args))
+      .catch((e) => explainRemoteServiceError(e).then((error) => {
+        throw error
+      }))
+      .then((result) => {
+        if (this.cache) {
+          this.cache.invalidate('utxos')
+        }
+        return result
+      })
   }
 
   isMainnet() : boolean {
@@ -79,24 +454,119 @@ export class CLINetworkAdapter extends blockstack.network.BlockstackNetwork {
     return bitcoin.address.toBase58Check(addressHash, newVersion)
   }
 
+  /*
+   * Get the fee rate to make transactions with, in satoshis per byte.
+   * Throws a SafetyError if it is over maxFeeRate, and a NetworkError if
+   * the fee estimate makes no sense.
+   */
   getFeeRate() : Promise<number> {
+    return this.estimateFeeRate()
+      .then((feeRate) => {
+        if (typeof feeRate !== 'number' || !Number.isFinite(feeRate) || feeRate <= 0) {
+          throw new NetworkError(`Got an invalid fee rate: ${String(feeRate)}`)
+        }
+        if (this.maxFeeRate && feeRate > this.maxFeeRate) {
+          throw new SafetyError({
+            'status': false,
+            'error': `The fee rate of ${feeRate} satoshis/byte is more than maxFeeRate ` +
+              `(${this.maxFeeRate}); refusing to make the transaction`,
+            'feeRate': feeRate,
+            'maxFeeRate': this.maxFeeRate
+          })
+        }
+        return feeRate
+      })
+  }
+
+  /*
+   * Estimate the fee rate for confirmation within feeTarget blocks.
+   * If the UTXO provider cannot estimate it, a default rate is used, with a
+   * warning if feeTarget or feeMode was asked for.
+   */
+  estimateFeeRate() : Promise<number> {
     if (this.feeRate) {
       // override with CLI option
       return Promise.resolve(this.feeRate)
     }
-    if (this.isTestnet()) {
-      // in regtest mode 
-      return Promise.resolve(Math.floor(0.00001000 * SATOSHIS_PER_BTC))
-    }
-    return super.getFeeRate()
+    // ask the UTXO provider, if it can estimate fees
+    const estimate = typeof this.btc.estimateFeeRate === 'function' ?
+      Promise.resolve(this.btc.estimateFeeRate(this.feeTarget, this.feeMode)) : Promise.resolve(null)
+    return estimate.then((feeRate) => {
+      if (feeRate) {
+        return feeRate
+      }
+      if (this.feeOptionsGiven) {
+        logger.warn(`${this.btc.describe ? this.btc.describe() : 'The UTXO provider'} cannot ` +
+                    'estimate fees, so the default fee rate is used instead of one for ' +
+                    `feeTarget ${this.feeTarget} (${this.feeMode}).  Use -F to set the fee rate.`)
+      }
+      if (this.isTestnet()) {
+        // in regtest mode 
+        return Math.floor(0.00001000 * SATOSHIS_PER_BTC)
+      }
+      return super.getFeeRate()
+    })
   }
 
   getConsensusHash() {
     // override with CLI option
-    if (this.consensusHash) {
-      return new Promise((resolve) => resolve(this.consensusHash))
+    const consensusHashPromise = this.consensusHash ?
+      Promise.resolve(this.consensusHash) : super.getConsensusHash()
+    // remember when it was current, so preorders that use it can be tracked
+    // (but without failing if the block height cannot be had, e.g. offline with -C)
+    const blockHeightPromise = this.getBlockHeight().catch((e) => {
+      logger.debug(`Failed to get the block height: ${e.message}`)
+      return null
+    })
+    return Promise.all([consensusHashPromise, blockHeightPromise])
+      .then(([consensusHash, blockHeight]) => {
+        if (blockHeight !== null && !this.consensusHashHeights.hasOwnProperty(consensusHash)) {
+          this.consensusHashHeights[consensusHash] = blockHeight
+        }
+        return consensusHash
+      })
+  }
+
+  /*
+   * Get the block height at which a consensus hash that getConsensusHash()
+   * gave out was current (or the current one, if it gave out no such hash).
+   */
+  getConsensusHashHeight(consensusHash: string) : Promise<number> {
+    if (this.consensusHashHeights.hasOwnProperty(consensusHash)) {
+      return Promise.resolve(this.consensusHashHeights[consensusHash])
+    }
+    return this.getBlockHeight()
+  }
+
+  /*
+   * Get the hash of the block at a height, from the UTXO provider.
+   * It is never cached, since it is what reorgs are noticed by.
+   */
+  getBlockHash(blockHeight: number) : Promise<string> {
+    if (typeof this.btc.getBlockHash !== 'function') {
+      return Promise.reject(new NetworkError('The UTXO provider cannot look up blocks by height'))
     }
-    return super.getConsensusHash()
+    return Promise.resolve(this.btc.getBlockHash(blockHeight))
+  }
+
+  /*
+   * Get a transaction from the UTXO provider, as hex.
+   */
+  getRawTransaction(txid: string) : Promise<string> {
+    if (typeof this.btc.getRawTransaction !== 'function') {
+      return Promise.reject(new NetworkError('The UTXO provider cannot look up transactions'))
+    }
+    return Promise.resolve(this.btc.getRawTransaction(txid))
+  }
+
+  /*
+   * Remember what an output is worth, for checkTransactionFee().
+   * @txid (string) the transaction that made the output
+   * @vout (number) the output's index
+   * @value (number) its value, in satoshis
+   */
+  setOutputValue(txid: string, vout: number, value: number) : void {
+    this.outputValues[`${txid}:${vout}`] = value
   }
 
   getGracePeriod() {
@@ -135,18 +605,9 @@ export class CLINetworkAdapter extends blockstack.network.BlockstackNetwork {
     }
 
     return Promise.all([
-      fetch(`${this.blockstackAPIUrl}/v1/namespaces/${namespace}`),
+      this.getNamespaceInfo(namespace),
       this.getBlockHeight()
     ])
-    .then(([resp, blockHeight]) => {
-      if (resp.status === 404) {
-        throw new Error(`No such namespace '${namespace}'`)
-      } else if (resp.status !== 200) {
-        throw new Error(`Bad response status: ${resp.status}`)
-      } else {
-        return Promise.all([resp.json(), blockHeight])
-      }
-    })
     .then(([namespaceInfo, blockHeight]) => {
       let address = '1111111111111111111114oLvT2' // default burn address
       if (namespaceInfo.version === 2) {
@@ -160,9 +621,64 @@ export class CLINetworkAdapter extends blockstack.network.BlockstackNetwork {
     .then(address => this.coerceAddress(address))
   }
 
+  getNamespaceInfo(namespace: string) {
+    const path = `/v1/namespaces/${namespace}`
+    const fetchNamespaceInfo = () => {
+      if (this.quorum > 1) {
+        // the fields that decide the namespace's burn address
+        return this.quorumRead(`namespace ${namespace}`, path, ['version', 'reveal_block', 'address'])
+          .then((answer) => {
+            if (answer.status === 404) {
+              throw new NotFoundError(`No such namespace '${namespace}'`)
+            }
+            return answer.body
+          })
+      }
+      return fetch(`${this.blockstackAPIUrl}${path}`)
+        .then((resp) => {
+          if (resp.status === 404) {
+            throw new NotFoundError(`No such namespace '${namespace}'`)
+          } else if (resp.status !== 200) {
+            throw new NetworkError(`Bad response status: ${resp.status}`)
+          } else {
+            return resp.json()
+          }
+        })
+    }
+
+    return this.cached('namespaceInfo', namespace, fetchNamespaceInfo)
+      .then((namespaceInfo) => {
+        if (namespaceInfo.address && namespaceInfo.recipient_address) {
+          return Object.assign(namespaceInfo, {
+            address: this.coerceAddress(namespaceInfo.address),
+            recipient_address: this.coerceAddress(namespaceInfo.recipient_address)
+          })
+        }
+        return namespaceInfo
+      })
+  }
+
   getNameInfo(name: string) {
+    const fetchNameInfo = () => {
+      if (this.quorum > 1) {
+        // the name's owner and zone file hash
+        return this.quorumRead(`name ${name}`, `/v1/names/${name}`, ['address', 'zonefile_hash'])
+          .then((answer) => {
+            if (answer.status === 404) {
+              throw new NotFoundError('Name not found')
+            }
+            const nameInfo = answer.body
+            if (nameInfo.address) {
+              nameInfo.address = this.coerceAddress(nameInfo.address)
+            }
+            return nameInfo
+          })
+      }
+      return super.getNameInfo(name)
+    }
+
     // optionally coerce addresses
-    return super.getNameInfo(name)
+    return this.cached('nameInfo', name, fetchNameInfo)
       .then((nameInfo) => {
         if (this.optAlwaysCoerceAddress) {
           nameInfo = Object.assign(nameInfo, {
@@ -174,71 +690,17 @@ export class CLINetworkAdapter extends blockstack.network.BlockstackNetwork {
       })
   }
 
-  getBlockchainNameRecordLegacy(name: string) : Promise<*> {
-    // legacy code path.
-    if (!this.nodeAPIUrl) {
-      throw new Error("No indexer URL given.  Pass -I.")
-    }
-
-    // this is EVIL code, and I'm a BAD PERSON for writing it.
-    // will be removed once the /v1/blockchains/${blockchain}/names/${name} endpoint ships.
-    const postData = '<?xml version="1.0"?>' +
-        '<methodCall><methodName>get_name_blockchain_record</methodName>' +
-        '<params><param><string>' +
-        `${name}` +
-        '</string></param></params>' +
-        '</methodCall>'
-
-    // try and guess which node we're talking to 
-    // (reminder: this is EVIL CODE that WILL BE REMOVED as soon as possible)
-    return fetch(`${this.nodeAPIUrl}/RPC2`,
-               { method: 'POST',
-                 body: postData })
-      .then((resp) => {
-        if (resp.status >= 200 && resp.status <= 299){
-          return resp.text();
-        }
-        else {
-          throw new Error(`Bad response code: ${resp.status}`);
-        }
-      })
-      .then((respText) => {
-        // response is a single string
-        const start = respText.indexOf('<string>') + '<string>'.length
-        const stop = respText.indexOf('</string>')
-        const dataResp = respText.slice(start, stop);
-        let dataJson = null;
-        try {
-          dataJson = JSON.parse(dataResp);
-          if (!dataJson.record) {
-            // error response 
-            return dataJson
-          }
-          const nameRecord = dataJson.record;
-          if (nameRecord.hasOwnProperty('history')) {
-            // don't return history, since this is not expected in the new API
-            delete nameRecord.history;
-          }
-          return nameRecord;
-        }
-        catch(e) {
-          throw new Error('Invalid JSON returned (legacy codepath)');
-        }
-      });
+  /*
+   * Get the indexer to use for an operation (see selectIndexerClient()).
+   */
+  getIndexerClient(capability: string) : Promise<IndexerClient> {
+    return selectIndexerClient(this.indexerClients, capability)
   }
 
   getBlockchainNameRecord(name: string) : Promise<*> {
-    // TODO: send to blockstack.js, once we can drop the legacy code path 
-    const url = `${this.blockstackAPIUrl}/v1/blockchains/bitcoin/names/${name}`
-    return fetch(url)
-      .then((resp) => {
-        if (resp.status !== 200) {
-          return this.getBlockchainNameRecordLegacy(name);
-        }
-        else {
-          return resp.json();
-        }
-      })
+    // TODO: send to blockstack.js, once no indexer needs XML-RPC
+    return this.getIndexerClient('nameRecord')
+      .then((indexer) => indexer.getNameRecord(name))
       .then((nameInfo) => {
         // coerce all addresses
         let fixedAddresses = {}
@@ -253,14 +715,8 @@ export class CLINetworkAdapter extends blockstack.network.BlockstackNetwork {
 
   getNameHistory(name: string, page: number) : Promise<*> { 
     // TODO: send to blockstack.js 
-    const url = `${this.blockstackAPIUrl}/v1/names/${name}/history?page=${page}`
-    return fetch(url)
-      .then((resp) => {
-        if (resp.status !== 200) {
-          throw new Error(`Bad response status: ${resp.status}`)
-        }
-        return resp.json();
-      })
+    return this.getIndexerClient('nameHistory')
+      .then((indexer) => indexer.getNameHistory(name, page))
       .then((historyInfo) => {
         // coerce all addresses 
         let fixedHistory = {}
@@ -289,17 +745,15 @@ export class CLINetworkAdapter extends blockstack.network.BlockstackNetwork {
  */
 export function getNetwork(configData: Object, regTest: boolean) 
   : blockstack.network.BlockstackNetwork {
+  const utxoProvider = makeUTXOProvider(configData, regTest)
   if (regTest) {
     const network = new blockstack.network.LocalRegtest(
-      configData.blockstackAPIUrl, configData.broadcastServiceUrl, 
-      new blockstack.network.BitcoindAPI(configData.utxoServiceUrl,
-        { username: 'blockstack', password: 'blockstacksystem' }))
+      configData.blockstackAPIUrl, configData.broadcastServiceUrl, utxoProvider)
 
     return network
   } else {
     const network = new blockstack.network.BlockstackNetwork(
-      configData.blockstackAPIUrl, configData.broadcastServiceUrl,
-      new blockstack.network.BlockchainInfoApi(configData.utxoServiceUrl))
+      configData.blockstackAPIUrl, configData.broadcastServiceUrl, utxoProvider)
 
     return network
   }
@@ -0,0 +1,433 @@
+/* @flow */
+
+import process from 'process';
+import fs from 'fs';
+import pathTools from 'path';
+import logger from 'winston';
+const bitcoin = require('bitcoinjs-lib');
+
+import {
+  expandHomeDir
+} from './argparse';
+
+import {
+  ValidationError
+} from './errors';
+
+import {
+  getNameInfoEasy,
+  mkdirs
+} from './utils';
+
+/*
+ * Keeps track of the name preorders that have been sent, so that a
+ * registration that can no longer go through is noticed before (or
+ * instead of) it silently failing.
+ *
+ * Blockstack Core only accepts a NAME_PREORDER if its consensus hash is
+ * recent when the preorder is mined, and only accepts the NAME_REGISTRATION
+ * if it is mined soon enough after the preorder.  A reorg can also take the
+ * preorder (or the block its consensus hash is from) out of the chain.  So
+ * each preorder is recorded with the block height and block hash that its
+ * consensus hash was current at, and the block it was mined in, once it is.
+ */
+
+// how many blocks after its consensus hash's block an operation may be mined
+export const CONSENSUS_HASH_VALID_BLOCKS = 24;
+
+// how many blocks after its preorder a registration may be mined
+export const PREORDER_EXPIRE_BLOCKS = 144;
+
+export type PreorderRecord = {
+  name: string,
+  ownerAddress: string,
+  paymentAddress: string,
+  preorderTxid: string,
+  registerTxid: ?string,
+  zonefile: ?string,            // the zone file to register with, if the register was made too
+  consensusHash: string,
+  consensusBlockHeight: number, // the block height when the consensus hash was fetched
+  consensusBlockHash: ?string,
+  preorderBlockHeight: ?number, // where the preorder was last seen mined
+  preorderBlockHash: ?string,
+  supersededBy: ?string,        // the txid of the preorder sent in its place
+  sentAt: number                // when it was sent, in milliseconds
+};
+
+export type PreorderStatus = {
+  name: string,
+  preorderTxid: string,
+  registerTxid: ?string,
+  status: 'registered' | 'confirmed' | 'pending' | 'invalid',
+  valid: boolean,
+  problem: ?string,             // why it can no longer be registered
+  reorged: boolean,
+  warnings: Array<string>,
+  blockHeight: number,
+  consensusBlockHeight: number,
+  preorderBlockHeight: ?number,
+  registerDeadline: ?number     // the last block the registration may be mined in
+};
+
+/*
+ * The preorders that have been sent, kept in a JSON file by preorder txid.
+ */
+export class PreorderTracker {
+  path: string
+
+  constructor(path: string) {
+    this.path = pathTools.resolve(expandHomeDir(path));
+  }
+
+  readAll() : { [string]: PreorderRecord } {
+    try {
+      return JSON.parse(fs.readFileSync(this.path).toString());
+    }
+    catch (e) {
+      if (e.code === 'ENOENT') {
+        return {};
+      }
+      throw new ValidationError(`Failed to read the preorders in ${this.path}: ${e.message}`);
+    }
+  }
+
+  writeAll(records: { [string]: PreorderRecord }) : void {
+    mkdirs(pathTools.dirname(this.path));
+    // write, then rename, so other runs never read a partial file
+    const tmpPath = `${this.path}.${process.pid}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(records, null, 2), { mode: 0o600 });
+    fs.renameSync(tmpPath, this.path);
+  }
+
+  add(record: PreorderRecord) : void {
+    const records = this.readAll();
+    records[record.preorderTxid] = record;
+    this.writeAll(records);
+  }
+
+  update(preorderTxid: string, fields: Object) : ?PreorderRecord {
+    const records = this.readAll();
+    if (!records.hasOwnProperty(preorderTxid)) {
+      return null;
+    }
+    records[preorderTxid] = Object.assign({}, records[preorderTxid], fields);
+    this.writeAll(records);
+    return records[preorderTxid];
+  }
+
+  /*
+   * Get the latest preorder of a name (optionally, for a given owner).
+   */
+  find(name: string, ownerAddress: ?string = null) : ?PreorderRecord {
+    const records = this.readAll();
+    const matches = Object.keys(records).map((txid) => records[txid])
+      .filter((record) => record.name === name &&
+        (!ownerAddress || sameAddress(record.ownerAddress, ownerAddress)))
+      .sort((a, b) => b.sentAt - a.sentAt);
+    return matches.length > 0 ? matches[0] : null;
+  }
+
+  /*
+   * Get the preorder that a transaction is the preorder or register of.
+   */
+  findByTxid(txid: string) : ?PreorderRecord {
+    const records = this.readAll();
+    const preorderTxid = Object.keys(records).find(
+      (id) => id === txid || records[id].registerTxid === txid);
+    return preorderTxid ? records[preorderTxid] : null;
+  }
+}
+
+/*
+ * Compare addresses by their public key hashes, since they can be of
+ * either Bitcoin network.
+ */
+function sameAddress(address1: string, address2: string) : boolean {
+  try {
+    return bitcoin.address.fromBase58Check(address1).hash.equals(
+      bitcoin.address.fromBase58Check(address2).hash);
+  }
+  catch (e) {
+    return address1 === address2;
+  }
+}
+
+/*
+ * Get the consensus hash in a NAME_PREORDER transaction, or null if it is
+ * not one.
+ */
+export function getPreorderConsensusHash(txHex: string) : ?string {
+  const tx = bitcoin.Transaction.fromHex(txHex);
+  const chunks = tx.outs.length > 0 ? bitcoin.script.decompile(tx.outs[0].script) : null;
+  if (!chunks || chunks[0] !== bitcoin.opcodes.OP_RETURN || !Buffer.isBuffer(chunks[1])) {
+    return null;
+  }
+  const payload = chunks[1];
+  // magic, opcode, hash160(name, script, register address), consensus hash
+  if (payload.length < 39 || payload.slice(0, 3).toString('ascii') !== 'id?') {
+    return null;
+  }
+  return payload.slice(23, 39).toString('hex');
+}
+
+/*
+ * Get the zone file hash in a NAME_REGISTRATION transaction, or null if it
+ * is not one or has none.
+ */
+export function getRegisterValueHash(txHex: string) : ?string {
+  const tx = bitcoin.Transaction.fromHex(txHex);
+  const chunks = tx.outs.length > 0 ? bitcoin.script.decompile(tx.outs[0].script) : null;
+  if (!chunks || chunks[0] !== bitcoin.opcodes.OP_RETURN || !Buffer.isBuffer(chunks[1])) {
+    return null;
+  }
+  const payload = chunks[1];
+  // magic, opcode, name (padded to 37 bytes), value hash
+  if (payload.length < 60 || payload.slice(0, 3).toString('ascii') !== 'id:') {
+    return null;
+  }
+  return payload.slice(40, 60).toString('hex');
+}
+
+/*
+ * Record a preorder that was just sent, and the register that goes with it
+ * (if any).  Does nothing if the network has no preorder tracker.  Since the
+ * transactions have been sent by now, failing to record them is only logged.
+ * @network (CLINetworkAdapter) the network the preorder was sent on
+ * @preorder (Object) the preorder's name, ownerAddress, paymentAddress,
+ *   preorderTx, and optionally its registerTx and zonefile
+ */
+export function trackPreorder(network: Object, preorder: {
+  name: string, ownerAddress: string, paymentAddress: string,
+  preorderTx: string, registerTx?: ?string, zonefile?: ?string
+}) : Promise<?PreorderRecord> {
+  const tracker = network.preorders;
+  if (!tracker) {
+    return Promise.resolve(null);
+  }
+  const consensusHash = getPreorderConsensusHash(preorder.preorderTx);
+  if (!consensusHash) {
+    logger.warn(`Not tracking the preorder of ${preorder.name}: not a NAME_PREORDER`);
+    return Promise.resolve(null);
+  }
+
+  let consensusBlockHeight = 0;
+  return network.getConsensusHashHeight(consensusHash)
+    .then((blockHeight) => {
+      consensusBlockHeight = blockHeight;
+      return network.getBlockHash(blockHeight).catch((e) => {
+        logger.debug(`Failed to get the hash of block ${blockHeight}: ${e.message}`);
+        return null;
+      });
+    })
+    .then((consensusBlockHash) => {
+      const record = {
+        name: preorder.name,
+        ownerAddress: preorder.ownerAddress,
+        paymentAddress: preorder.paymentAddress,
+        preorderTxid: bitcoin.Transaction.fromHex(preorder.preorderTx).getId(),
+        registerTxid: preorder.registerTx ?
+          bitcoin.Transaction.fromHex(preorder.registerTx).getId() : null,
+        zonefile: preorder.zonefile ? preorder.zonefile : null,
+        consensusHash,
+        consensusBlockHeight,
+        consensusBlockHash,
+        preorderBlockHeight: null,
+        preorderBlockHash: null,
+        supersededBy: null,
+        sentAt: Date.now()
+      };
+      tracker.add(record);
+      return record;
+    })
+    .catch((e) => {
+      logger.warn(`Failed to record the preorder of ${preorder.name} in ${tracker.path}: ` +
+                  `${e.message}`);
+      return null;
+    });
+}
+
+/*
+ * Record the register sent for the latest tracked preorder of a name.
+ * Since it has been sent by now, failing to record it is only logged.
+ */
+export function trackRegister(network: Object, name: string, ownerAddress: string,
+                              registerTx: string) : void {
+  const tracker = network.preorders;
+  if (!tracker) {
+    return;
+  }
+  try {
+    const record = tracker.find(name, ownerAddress);
+    if (record) {
+      tracker.update(record.preorderTxid, {
+        registerTxid: bitcoin.Transaction.fromHex(registerTx).getId()
+      });
+    }
+  }
+  catch (e) {
+    logger.warn(`Failed to record the register of ${name} in ${tracker.path}: ${e.message}`);
+  }
+}
+
+/*
+ * Record a preorder that was just sent in place of a tracked one, with the
+ * same payload (see bump_fee), and the register that goes with it (if any).
+ * Since they have been sent by now, failing to record them is only logged.
+ * @network (CLINetworkAdapter) the network they were sent on
+ * @record (PreorderRecord) the tracked preorder that was replaced
+ * @preorderTx (string) the new preorder
+ * @registerTx (string) the new register, if any
+ */
+export function trackReplacement(network: Object, record: PreorderRecord, preorderTx: string,
+                                 registerTx: ?string) : void {
+  const tracker = network.preorders;
+  if (!tracker) {
+    return;
+  }
+  try {
+    const preorderTxid = bitcoin.Transaction.fromHex(preorderTx).getId();
+    // its consensus hash is the same, so it must be mined by the same block
+    tracker.add(Object.assign({}, record, {
+      preorderTxid,
+      registerTxid: registerTx ? bitcoin.Transaction.fromHex(registerTx).getId() : null,
+      preorderBlockHeight: null,
+      preorderBlockHash: null,
+      supersededBy: null,
+      sentAt: Date.now()
+    }));
+    tracker.update(record.preorderTxid, { supersededBy: preorderTxid });
+  }
+  catch (e) {
+    logger.warn(`Failed to record the new preorder of ${record.name} in ${tracker.path}: ` +
+                `${e.message}`);
+  }
+}
+
+/*
+ * Find out where a transaction is: mined at a block height, 'unconfirmed',
+ * or 'missing'.
+ */
+export function locateTransaction(network: Object, txid: string) : Promise<number | string> {
+  return network.getTransactionInfo(txid)
+    // (blockchain.info gives no block height for unconfirmed transactions)
+    .then((txInfo) => (typeof txInfo.block_height === 'number' ? txInfo.block_height : 'unconfirmed'))
+    .catch((e) => {
+      if (e.message.toLowerCase() === 'unconfirmed transaction') {
+        return 'unconfirmed';
+      }
+      if (e.code === 'NOT_FOUND') {
+        return 'missing';
+      }
+      throw e;
+    });
+}
+
+/*
+ * Get the hash of the block at a height, or null if there is none now.
+ */
+function getBlockHashOrNull(network: Object, blockHeight: ?number) : Promise<?string> {
+  if (blockHeight === null || blockHeight === undefined) {
+    return Promise.resolve(null);
+  }
+  return network.getBlockHash(blockHeight)
+    .catch((e) => {
+      if (e.code === 'NOT_FOUND') {
+        return null;
+      }
+      throw e;
+    });
+}
+
+/*
+ * Check whether a tracked preorder can still be registered, and look for
+ * reorgs that have happened since it was last checked.  The record is
+ * updated with where the preorder is now.
+ * @network (CLINetworkAdapter) the network it was sent on
+ * @record (PreorderRecord) the tracked preorder
+ * @return a Promise to its PreorderStatus
+ */
+export function checkPreorder(network: Object, record: PreorderRecord) : Promise<PreorderStatus> {
+  const hadBlock = record.preorderBlockHeight !== null && record.preorderBlockHeight !== undefined;
+  let preorderBlockHeight = null;
+
+  return Promise.all([
+    network.getBlockHeight(),
+    getNameInfoEasy(network, record.name),
+    locateTransaction(network, record.preorderTxid),
+    getBlockHashOrNull(network, record.consensusBlockHeight),
+    getBlockHashOrNull(network, record.preorderBlockHeight)
+  ])
+    .then(([blockHeight, nameInfo, preorderLocation, consensusBlockHash, oldBlockHash]) => {
+      const warnings = [];
+      let reorged = false;
+      if (record.consensusBlockHash && consensusBlockHash !== record.consensusBlockHash) {
+        reorged = true;
+        warnings.push(`Block ${record.consensusBlockHeight}, which the consensus hash is from, ` +
+                      'was reorged out, so the consensus hash may no longer be accepted');
+      }
+      if (hadBlock && (oldBlockHash !== record.preorderBlockHash ||
+                       preorderLocation !== record.preorderBlockHeight)) {
+        reorged = true;
+        warnings.push(`Block ${String(record.preorderBlockHeight)}, which the preorder was ` +
+                      'mined in, was reorged out');
+      }
+
+      preorderBlockHeight = typeof preorderLocation === 'number' ? preorderLocation : null;
+      const registerDeadline = preorderBlockHeight !== null ?
+        preorderBlockHeight + PREORDER_EXPIRE_BLOCKS - 1 : null;
+      const registered = !!nameInfo && nameInfo.status !== 'revoked' &&
+        sameAddress(nameInfo.address, record.ownerAddress);
+
+      let problem = null;
+      if (registered) {
+        // nothing can go wrong any more
+      }
+      else if (preorderLocation === 'missing') {
+        problem = 'The preorder transaction is gone; it may have been double-spent, or ' +
+          'dropped after a reorg';
+      }
+      else if (preorderBlockHeight !== null &&
+               preorderBlockHeight - record.consensusBlockHeight > CONSENSUS_HASH_VALID_BLOCKS) {
+        problem = `The preorder was mined at block ${preorderBlockHeight}, more than ` +
+          `${CONSENSUS_HASH_VALID_BLOCKS} blocks after its consensus hash ` +
+          `(block ${record.consensusBlockHeight}), so it was not accepted`;
+      }
+      else if (preorderBlockHeight === null &&
+               blockHeight + 1 - record.consensusBlockHeight > CONSENSUS_HASH_VALID_BLOCKS) {
+        problem = 'The preorder is still unconfirmed, and its consensus hash ' +
+          `(block ${record.consensusBlockHeight}) is now too old for it to be accepted`;
+      }
+      else if (registerDeadline !== null && blockHeight > registerDeadline) {
+        problem = `The preorder expired after block ${registerDeadline}, before the name ` +
+          'was registered';
+      }
+
+      let status = preorderBlockHeight !== null ? 'confirmed' : 'pending';
+      if (registered) {
+        status = 'registered';
+      }
+      else if (problem) {
+        status = 'invalid';
+      }
+      return {
+        name: record.name,
+        preorderTxid: record.preorderTxid,
+        registerTxid: record.registerTxid,
+        status,
+        valid: !problem,
+        problem,
+        reorged,
+        warnings,
+        blockHeight,
+        consensusBlockHeight: record.consensusBlockHeight,
+        preorderBlockHeight,
+        registerDeadline
+      };
+    })
+    .then((preorderStatus) => getBlockHashOrNull(network, preorderBlockHeight)
+      .then((preorderBlockHash) => {
+        // remember which block it is in now, to notice the next reorg
+        network.preorders.update(record.preorderTxid, { preorderBlockHeight, preorderBlockHash });
+        return preorderStatus;
+      }));
+}
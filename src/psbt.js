@@ -0,0 +1,661 @@
+/* @flow */
+
+const bitcoin = require('bitcoinjs-lib');
+const blockstack = require('blockstack');
+
+import {
+  NetworkError,
+  ValidationError
+} from './errors';
+
+import type {
+  WatchOnlySigner
+} from './utils';
+
+/*
+ * Partially signed Bitcoin transactions (BIP 174), so that a transaction can
+ * be made on one machine, signed on others, and sent from any of them.
+ *
+ * A PSBT is an unsigned transaction, plus a key-value map for the whole PSBT,
+ * one for each input, and one for each output.  The input maps say what each
+ * input spends and what scripts it needs, and collect the signatures for it.
+ * Pairs that this module does not use are kept as they are, so PSBTs made by
+ * other wallets can be passed through it.
+ *
+ * The inputs that can be signed and finalized are the ones the CLI's keys
+ * spend from: p2pkh, p2sh multisig, and p2sh-p2wpkh or p2sh-p2wsh multisig
+ * (as well as native p2wpkh and p2wsh multisig).
+ */
+
+const PSBT_MAGIC = Buffer.from('70736274ff', 'hex');
+
+// key types
+const PSBT_GLOBAL_UNSIGNED_TX = 0x00;
+const PSBT_IN_NON_WITNESS_UTXO = 0x00;
+const PSBT_IN_WITNESS_UTXO = 0x01;
+const PSBT_IN_PARTIAL_SIG = 0x02;
+const PSBT_IN_SIGHASH_TYPE = 0x03;
+const PSBT_IN_REDEEM_SCRIPT = 0x04;
+const PSBT_IN_WITNESS_SCRIPT = 0x05;
+const PSBT_IN_FINAL_SCRIPTSIG = 0x07;
+const PSBT_IN_FINAL_SCRIPTWITNESS = 0x08;
+
+// the sighash types an input can ask for, by name.  Anything but ALL lets
+// others change the transaction after it is signed (e.g. to pay themselves),
+// so the others are only signed with if the signer says so.
+export const SIGHASH_TYPES = {
+  'ALL': bitcoin.Transaction.SIGHASH_ALL,
+  'NONE': bitcoin.Transaction.SIGHASH_NONE,
+  'SINGLE': bitcoin.Transaction.SIGHASH_SINGLE,
+  'ALL|ANYONECANPAY': bitcoin.Transaction.SIGHASH_ALL | bitcoin.Transaction.SIGHASH_ANYONECANPAY,
+  'NONE|ANYONECANPAY': bitcoin.Transaction.SIGHASH_NONE | bitcoin.Transaction.SIGHASH_ANYONECANPAY,
+  'SINGLE|ANYONECANPAY':
+    bitcoin.Transaction.SIGHASH_SINGLE | bitcoin.Transaction.SIGHASH_ANYONECANPAY
+};
+
+// what a finalized input keeps
+const PSBT_IN_FINAL_TYPES = [PSBT_IN_NON_WITNESS_UTXO, PSBT_IN_WITNESS_UTXO,
+  PSBT_IN_FINAL_SCRIPTSIG, PSBT_IN_FINAL_SCRIPTWITNESS];
+
+// a key-value map, keyed by the hex of each key (its type and key data)
+type PSBTMap = { [string]: Buffer };
+
+// the output an input spends
+type SpentOutput = { script: Buffer, value: number };
+
+// how an input is signed
+type InputSigningInfo = {
+  scriptCode: Buffer,         // the script that is signed
+  segwit: boolean,
+  redeemScript: ?Buffer,      // for p2sh inputs
+  witnessScript: ?Buffer,     // for p2wsh inputs
+  keyHash: ?Buffer,           // for single-key inputs, the public key's hash
+  m: number,                  // how many signatures are needed
+  pubkeys: ?Array<Buffer>     // for multisig inputs, the public keys in order
+};
+
+function makeKey(type: number, keyData: Buffer = Buffer.alloc(0)) : string {
+  return Buffer.concat([Buffer.from([type]), keyData]).toString('hex');
+}
+
+function encodeVarInt(n: number) : Buffer {
+  if (n < 0xfd) {
+    return Buffer.from([n]);
+  }
+  else if (n <= 0xffff) {
+    const buf = Buffer.alloc(3);
+    buf[0] = 0xfd;
+    buf.writeUInt16LE(n, 1);
+    return buf;
+  }
+  else if (n <= 0xffffffff) {
+    const buf = Buffer.alloc(5);
+    buf[0] = 0xfe;
+    buf.writeUInt32LE(n, 1);
+    return buf;
+  }
+  throw new ValidationError(`Length ${n} is too big`);
+}
+
+function encodeVarSlice(data: Buffer) : Buffer {
+  return Buffer.concat([encodeVarInt(data.length), data]);
+}
+
+/*
+ * Reads the parts of a serialized PSBT in order.
+ * Throws a ValidationError if it runs out.
+ */
+class PSBTReader {
+  data: Buffer
+  offset: number
+
+  constructor(data: Buffer) {
+    this.data = data;
+    this.offset = 0;
+  }
+
+  need(length: number) : void {
+    if (this.offset + length > this.data.length) {
+      throw new ValidationError('Invalid PSBT: it ends too soon');
+    }
+  }
+
+  readVarInt() : number {
+    this.need(1);
+    const first = this.data[this.offset];
+    this.offset += 1;
+    if (first < 0xfd) {
+      return first;
+    }
+    else if (first === 0xfd) {
+      this.need(2);
+      this.offset += 2;
+      return this.data.readUInt16LE(this.offset - 2);
+    }
+    else if (first === 0xfe) {
+      this.need(4);
+      this.offset += 4;
+      return this.data.readUInt32LE(this.offset - 4);
+    }
+    throw new ValidationError('Invalid PSBT: a length is too big');
+  }
+
+  readVarSlice() : Buffer {
+    const length = this.readVarInt();
+    this.need(length);
+    this.offset += length;
+    return this.data.slice(this.offset - length, this.offset);
+  }
+
+  readMap() : PSBTMap {
+    const map = {};
+    // the map ends with an empty key
+    let key = this.readVarSlice();
+    while (key.length > 0) {
+      const keyHex = key.toString('hex');
+      if (map.hasOwnProperty(keyHex)) {
+        throw new ValidationError(`Invalid PSBT: key ${keyHex} is given twice`);
+      }
+      map[keyHex] = this.readVarSlice();
+      key = this.readVarSlice();
+    }
+    return map;
+  }
+}
+
+function encodeMap(map: PSBTMap) : Buffer {
+  const parts = Object.keys(map).sort().map((keyHex) => Buffer.concat([
+    encodeVarSlice(Buffer.from(keyHex, 'hex')), encodeVarSlice(map[keyHex])]));
+  return Buffer.concat(parts.concat([Buffer.from([0])]));
+}
+
+function encodeWitnessUTXO(output: SpentOutput) : Buffer {
+  const value = Buffer.alloc(8);
+  value.writeUInt32LE(output.value % 0x100000000, 0);
+  value.writeUInt32LE(Math.floor(output.value / 0x100000000), 4);
+  return Buffer.concat([value, encodeVarSlice(output.script)]);
+}
+
+function decodeWitnessUTXO(data: Buffer) : SpentOutput {
+  const reader = new PSBTReader(data);
+  reader.need(8);
+  reader.offset = 8;
+  return {
+    value: data.readUInt32LE(0) + data.readUInt32LE(4) * 0x100000000,
+    script: reader.readVarSlice()
+  };
+}
+
+function encodeWitnessStack(witness: Array<Buffer>) : Buffer {
+  return Buffer.concat([encodeVarInt(witness.length)].concat(witness.map(encodeVarSlice)));
+}
+
+function decodeWitnessStack(data: Buffer) : Array<Buffer> {
+  const reader = new PSBTReader(data);
+  const count = reader.readVarInt();
+  const witness = [];
+  for (let i = 0; i < count; i++) {
+    witness.push(reader.readVarSlice());
+  }
+  return witness;
+}
+
+function txidOf(input: Object) : string {
+  return Buffer.from(input.hash).reverse().toString('hex');
+}
+
+export class PSBT {
+  tx: Object
+  globalMap: PSBTMap
+  inputMaps: Array<PSBTMap>
+  outputMaps: Array<PSBTMap>
+
+  /*
+   * @tx (bitcoin.Transaction) the transaction, whose inputs must not be signed
+   */
+  constructor(tx: Object) {
+    if (tx.ins.some((input) => input.script.length > 0 || input.witness.length > 0)) {
+      throw new ValidationError('Invalid PSBT: its transaction has signed inputs');
+    }
+    this.tx = tx;
+    this.globalMap = { [makeKey(PSBT_GLOBAL_UNSIGNED_TX)]: tx.toBuffer() };
+    this.inputMaps = tx.ins.map(() => ({}));
+    this.outputMaps = tx.outs.map(() => ({}));
+  }
+
+  /*
+   * Parse a PSBT from base64 (or hex).
+   * Throws a ValidationError if it is not a valid PSBT.
+   */
+  static decode(text: string) : PSBT {
+    const trimmed = text.trim();
+    const data = /^([0-9a-fA-F]{2})+$/.test(trimmed) ?
+      Buffer.from(trimmed, 'hex') : Buffer.from(trimmed, 'base64');
+    if (data.length < PSBT_MAGIC.length || !data.slice(0, PSBT_MAGIC.length).equals(PSBT_MAGIC)) {
+      throw new ValidationError('Not a PSBT');
+    }
+
+    const reader = new PSBTReader(data);
+    reader.offset = PSBT_MAGIC.length;
+    const globalMap = reader.readMap();
+    const txData = globalMap[makeKey(PSBT_GLOBAL_UNSIGNED_TX)];
+    if (!txData) {
+      throw new ValidationError('Invalid PSBT: it has no transaction');
+    }
+
+    let tx;
+    try {
+      tx = bitcoin.Transaction.fromBuffer(txData);
+    }
+    catch (e) {
+      throw new ValidationError(`Invalid PSBT: its transaction is invalid: ${e.message}`);
+    }
+    const psbt = new PSBT(tx);
+    psbt.globalMap = globalMap;
+    psbt.inputMaps = tx.ins.map(() => reader.readMap());
+    psbt.outputMaps = tx.outs.map(() => reader.readMap());
+    if (reader.offset !== data.length) {
+      throw new ValidationError('Invalid PSBT: it has extra data at the end');
+    }
+    return psbt;
+  }
+
+  toBuffer() : Buffer {
+    return Buffer.concat([PSBT_MAGIC, encodeMap(this.globalMap)]
+      .concat(this.inputMaps.map(encodeMap))
+      .concat(this.outputMaps.map(encodeMap)));
+  }
+
+  toBase64() : string {
+    return this.toBuffer().toString('base64');
+  }
+
+  /*
+   * Say what an input spends.  The output's transaction is given for
+   * every input (as BIP 174 asks), and the output itself for segwit inputs.
+   * Give the input its scripts first, so p2sh-wrapped segwit inputs are seen.
+   * @index (number) the input
+   * @prevTx (bitcoin.Transaction) the transaction it spends an output of
+   */
+  setInputUTXO(index: number, prevTx: Object) : void {
+    const input = this.tx.ins[index];
+    if (!prevTx.getHash().equals(input.hash) || input.index >= prevTx.outs.length) {
+      throw new ValidationError(`Input ${index} does not spend from transaction ${prevTx.getId()}`);
+    }
+    const inputMap = this.inputMaps[index];
+    inputMap[makeKey(PSBT_IN_NON_WITNESS_UTXO)] = prevTx.toBuffer();
+    if (isWitnessProgram(inputMap[makeKey(PSBT_IN_REDEEM_SCRIPT)] || prevTx.outs[input.index].script)) {
+      inputMap[makeKey(PSBT_IN_WITNESS_UTXO)] = encodeWitnessUTXO(prevTx.outs[input.index]);
+    }
+  }
+
+  /*
+   * Give an input its redeem script and witness script, if it has them.
+   */
+  setInputScripts(index: number, redeemScript: ?Buffer, witnessScript: ?Buffer) : void {
+    if (redeemScript) {
+      this.inputMaps[index][makeKey(PSBT_IN_REDEEM_SCRIPT)] = redeemScript;
+    }
+    if (witnessScript) {
+      this.inputMaps[index][makeKey(PSBT_IN_WITNESS_SCRIPT)] = witnessScript;
+    }
+  }
+
+  /*
+   * Get the output an input spends.
+   * Throws a ValidationError if the PSBT does not say.
+   */
+  getSpentOutput(index: number) : SpentOutput {
+    const input = this.tx.ins[index];
+    const inputMap = this.inputMaps[index];
+    const prevTxData = inputMap[makeKey(PSBT_IN_NON_WITNESS_UTXO)];
+    if (prevTxData) {
+      const prevTx = bitcoin.Transaction.fromBuffer(prevTxData);
+      if (!prevTx.getHash().equals(input.hash) || input.index >= prevTx.outs.length) {
+        throw new ValidationError(`Invalid PSBT: input ${index}'s UTXO is from the wrong transaction`);
+      }
+      return prevTx.outs[input.index];
+    }
+    const witnessUTXO = inputMap[makeKey(PSBT_IN_WITNESS_UTXO)];
+    if (witnessUTXO) {
+      return decodeWitnessUTXO(witnessUTXO);
+    }
+    throw new ValidationError(`PSBT input ${index} does not say what it spends`);
+  }
+
+  isInputFinalized(index: number) : boolean {
+    const inputMap = this.inputMaps[index];
+    return !!(inputMap[makeKey(PSBT_IN_FINAL_SCRIPTSIG)] ||
+              inputMap[makeKey(PSBT_IN_FINAL_SCRIPTWITNESS)]);
+  }
+
+  /*
+   * Get the signatures an input has, by the hex of their public keys.
+   */
+  getPartialSigs(index: number) : { [string]: Buffer } {
+    const sigs = {};
+    const inputMap = this.inputMaps[index];
+    Object.keys(inputMap)
+      .filter((keyHex) => parseInt(keyHex.slice(0, 2), 16) === PSBT_IN_PARTIAL_SIG)
+      .forEach((keyHex) => {
+        sigs[keyHex.slice(2)] = inputMap[keyHex];
+      });
+    return sigs;
+  }
+
+  /*
+   * Get the sighash type an input asks to be signed with (ALL if it does not say).
+   */
+  getSighashType(index: number) : number {
+    const sighashType = this.inputMaps[index][makeKey(PSBT_IN_SIGHASH_TYPE)];
+    return sighashType ? sighashType.readUInt32LE(0) : bitcoin.Transaction.SIGHASH_ALL;
+  }
+
+  /*
+   * Work out how an input is signed.
+   * Throws a ValidationError if it is not a kind of input this module knows.
+   */
+  getSigningInfo(index: number) : InputSigningInfo {
+    const inputMap = this.inputMaps[index];
+    const redeemScript = inputMap[makeKey(PSBT_IN_REDEEM_SCRIPT)] || null;
+    const witnessScript = inputMap[makeKey(PSBT_IN_WITNESS_SCRIPT)] || null;
+    let script = this.getSpentOutput(index).script;
+    const p2sh = isPayment('p2sh', script);
+
+    if (p2sh) {
+      if (!redeemScript) {
+        throw new ValidationError(`PSBT input ${index} spends a p2sh output, but has no redeem script`);
+      }
+      if (!bitcoin.payments.p2sh({ redeem: { output: redeemScript } }).output.equals(script)) {
+        throw new ValidationError(`PSBT input ${index}'s redeem script does not match its UTXO`);
+      }
+      script = redeemScript;
+    }
+
+    const info = {
+      scriptCode: script,
+      segwit: false,
+      redeemScript: p2sh ? redeemScript : null,
+      witnessScript: null,
+      keyHash: null,
+      m: 1,
+      pubkeys: null
+    };
+
+    if (isPayment('p2wpkh', script)) {
+      const keyHash = bitcoin.payments.p2wpkh({ output: script }).hash;
+      return Object.assign(info, {
+        scriptCode: bitcoin.payments.p2pkh({ hash: keyHash }).output, segwit: true, keyHash
+      });
+    }
+    if (isPayment('p2wsh', script)) {
+      if (!witnessScript) {
+        throw new ValidationError(`PSBT input ${index} spends a p2wsh output, but has no witness script`);
+      }
+      if (!bitcoin.payments.p2wsh({ redeem: { output: witnessScript } }).output.equals(script)) {
+        throw new ValidationError(`PSBT input ${index}'s witness script does not match its UTXO`);
+      }
+      script = witnessScript;
+      Object.assign(info, { scriptCode: script, segwit: true, witnessScript });
+    }
+
+    if (isPayment('p2pkh', script) && !info.segwit) {
+      return Object.assign(info, { keyHash: bitcoin.payments.p2pkh({ output: script }).hash });
+    }
+    if (isPayment('p2ms', script) && (info.redeemScript || info.witnessScript)) {
+      const multisig = bitcoin.payments.p2ms({ output: script });
+      return Object.assign(info, { m: multisig.m, pubkeys: multisig.pubkeys });
+    }
+    throw new ValidationError(`PSBT input ${index} spends a kind of output that cannot be signed here`);
+  }
+
+  /*
+   * Sign every input that a key can sign.  Inputs that this module cannot
+   * work out how to sign are someone else's, and are left alone.
+   * Throws a ValidationError if an input the key can sign asks for a sighash
+   * type other than the allowed ones.
+   * @keyPair (ECPair) the key
+   * @allowedSighashTypes (Array<number>) the sighash types that may be signed with
+   * @return how many signatures were added
+   */
+  signInputs(keyPair: Object,
+             allowedSighashTypes: Array<number> = [SIGHASH_TYPES.ALL]) : number {
+    let added = 0;
+    const pubkey = keyPair.publicKey;
+    const keyHash = bitcoin.crypto.hash160(pubkey);
+    this.tx.ins.forEach((input, index) => {
+      if (this.isInputFinalized(index)) {
+        return;
+      }
+      let info;
+      try {
+        info = this.getSigningInfo(index);
+      }
+      catch (e) {
+        if (e.code !== 'VALIDATION') {
+          throw e;
+        }
+        return;
+      }
+      const canSign = info.keyHash ? info.keyHash.equals(keyHash) :
+        (info.pubkeys || []).some((candidate) => candidate.equals(pubkey));
+      const sigKey = makeKey(PSBT_IN_PARTIAL_SIG, pubkey);
+      if (!canSign || this.inputMaps[index][sigKey]) {
+        return;
+      }
+
+      const sighashType = this.getSighashType(index);
+      if (!allowedSighashTypes.includes(sighashType)) {
+        const sighashName = Object.keys(SIGHASH_TYPES).find(
+          (name) => SIGHASH_TYPES[name] === sighashType) || `0x${sighashType.toString(16)}`;
+        throw new ValidationError(`PSBT input ${index} asks to be signed with sighash type ` +
+                                  `${sighashName}, ` +
+                                  'which lets the transaction be changed after it is signed.  ' +
+                                  'Refusing to sign it unless that sighash type is allowed');
+      }
+      const hash = info.segwit ?
+        this.tx.hashForWitnessV0(index, info.scriptCode, this.getSpentOutput(index).value, sighashType) :
+        this.tx.hashForSignature(index, info.scriptCode, sighashType);
+      this.inputMaps[index][sigKey] =
+        bitcoin.script.signature.encode(keyPair.sign(hash), sighashType);
+      added++;
+    });
+    return added;
+  }
+
+  /*
+   * Turn the signatures of every input into its final scriptSig and witness.
+   * Throws a ValidationError if an input does not have enough of them.
+   */
+  finalize() : void {
+    this.tx.ins.forEach((input, index) => {
+      if (this.isInputFinalized(index)) {
+        return;
+      }
+      const info = this.getSigningInfo(index);
+      const sigs = this.getPartialSigs(index);
+
+      // the signatures, and what goes after them
+      let stack;
+      if (info.keyHash) {
+        const pubkeyHex = Object.keys(sigs).find(
+          (candidate) => bitcoin.crypto.hash160(Buffer.from(candidate, 'hex')).equals(info.keyHash));
+        if (!pubkeyHex) {
+          throw new ValidationError(`PSBT input ${index} is not signed`);
+        }
+        stack = [sigs[pubkeyHex], Buffer.from(pubkeyHex, 'hex')];
+      }
+      else {
+        const multisigSigs = (info.pubkeys || [])
+          .map((pubkey) => sigs[pubkey.toString('hex')])
+          .filter((sig) => !!sig)
+          .slice(0, info.m);
+        if (multisigSigs.length < info.m) {
+          throw new ValidationError(`PSBT input ${index} has ${multisigSigs.length} of the ` +
+                                    `${info.m} signatures it needs`);
+        }
+        // CHECKMULTISIG takes one more item than it needs
+        stack = [Buffer.alloc(0)].concat(multisigSigs);
+      }
+
+      let scriptSig = [];
+      let witness = [];
+      if (!info.segwit) {
+        scriptSig = stack.concat(info.redeemScript ? [info.redeemScript] : []);
+      }
+      else {
+        witness = stack.concat(info.witnessScript ? [info.witnessScript] : []);
+        scriptSig = info.redeemScript ? [info.redeemScript] : [];
+      }
+
+      const inputMap = this.inputMaps[index];
+      Object.keys(inputMap)
+        .filter((keyHex) => !PSBT_IN_FINAL_TYPES.includes(parseInt(keyHex.slice(0, 2), 16)))
+        .forEach((keyHex) => {
+          delete inputMap[keyHex];
+        });
+      if (scriptSig.length > 0) {
+        inputMap[makeKey(PSBT_IN_FINAL_SCRIPTSIG)] = bitcoin.script.compile(
+          scriptSig.map((chunk) => (chunk.length === 0 ? bitcoin.opcodes.OP_0 : chunk)));
+      }
+      if (witness.length > 0) {
+        inputMap[makeKey(PSBT_IN_FINAL_SCRIPTWITNESS)] = encodeWitnessStack(witness);
+      }
+    });
+  }
+
+  /*
+   * Get the signed transaction out of a finalized PSBT.
+   * Throws a ValidationError if it is not finalized.
+   */
+  extractTransaction() : Object {
+    const tx = this.tx.clone();
+    tx.ins.forEach((input, index) => {
+      if (!this.isInputFinalized(index)) {
+        throw new ValidationError(`PSBT input ${index} is not finalized`);
+      }
+      const inputMap = this.inputMaps[index];
+      const scriptSig = inputMap[makeKey(PSBT_IN_FINAL_SCRIPTSIG)];
+      const witness = inputMap[makeKey(PSBT_IN_FINAL_SCRIPTWITNESS)];
+      input.script = scriptSig || Buffer.alloc(0);
+      input.witness = witness ? decodeWitnessStack(witness) : [];
+    });
+    return tx;
+  }
+
+  /*
+   * Add the key-value pairs of another PSBT of the same transaction.
+   * Throws a ValidationError if it is of a different transaction.
+   */
+  combine(other: PSBT) : void {
+    if (!this.tx.toBuffer().equals(other.tx.toBuffer())) {
+      throw new ValidationError('The PSBTs are of different transactions');
+    }
+    Object.assign(this.globalMap, other.globalMap);
+    this.inputMaps.forEach((inputMap, index) => Object.assign(inputMap, other.inputMaps[index]));
+    this.outputMaps.forEach((outputMap, index) => Object.assign(outputMap, other.outputMaps[index]));
+  }
+
+  /*
+   * Whether this PSBT is another one, with no more than signatures added.
+   * @unsigned (PSBT) the other PSBT
+   */
+  isSignedCopyOf(unsigned: PSBT) : boolean {
+    const sameMap = (map: PSBTMap, otherMap: PSBTMap, signable: boolean) => {
+      const keys = Object.keys(map);
+      const otherKeys = Object.keys(otherMap);
+      return otherKeys.every((keyHex) => !!map[keyHex] && map[keyHex].equals(otherMap[keyHex])) &&
+        keys.every((keyHex) => otherKeys.includes(keyHex) ||
+                   (signable && parseInt(keyHex.slice(0, 2), 16) === PSBT_IN_PARTIAL_SIG));
+    };
+    return this.tx.toBuffer().equals(unsigned.tx.toBuffer()) &&
+      sameMap(this.globalMap, unsigned.globalMap, false) &&
+      this.inputMaps.every((inputMap, index) => sameMap(inputMap, unsigned.inputMaps[index], true)) &&
+      this.outputMaps.every((outputMap, index) => sameMap(outputMap, unsigned.outputMaps[index], false));
+  }
+}
+
+function isPayment(type: string, script: Buffer) : boolean {
+  try {
+    bitcoin.payments[type]({ output: script });
+    return true;
+  }
+  catch (e) {
+    return false;
+  }
+}
+
+function isWitnessProgram(script: Buffer) : boolean {
+  return isPayment('p2wpkh', script) || isPayment('p2wsh', script);
+}
+
+/*
+ * Make an unsigned transaction into a PSBT, with what the keys that spend
+ * its inputs need to sign it.  The transactions whose outputs it spends are
+ * looked up, so that their values and scripts can be checked when signing.
+ * @network (Object) the network adapter
+ * @txHex (string) the transaction, without signatures
+ * @signers (Array<WatchOnlySigner>) the keys that own its inputs
+ * @return a Promise to the PSBT
+ */
+export function makePSBT(network: Object, txHex: string,
+                         signers: Array<WatchOnlySigner>) : Promise<PSBT> {
+  return Promise.resolve().then(() => {
+    const tx = bitcoin.Transaction.fromHex(txHex);
+    tx.ins.forEach((input) => {
+      input.script = Buffer.alloc(0);
+      input.witness = [];
+    });
+    const psbt = new PSBT(tx);
+    return Promise.all(tx.ins.map((input, index) => network.getRawTransaction(txidOf(input))
+      .then((prevTxHex) => {
+        const prevTx = bitcoin.Transaction.fromHex(prevTxHex);
+        if (prevTx.getId() !== txidOf(input)) {
+          throw new NetworkError(`Got the wrong transaction for ${txidOf(input)}`);
+        }
+        const prevOut = prevTx.outs[input.index];
+        const signer = prevOut ?
+          signers.find((candidate) => candidate.outputScript.equals(prevOut.script)) : null;
+        if (!signer) {
+          throw new ValidationError(`Input ${index} spends ${txidOf(input)}:${input.index}, ` +
+                                    'which none of the keys own');
+        }
+        psbt.setInputScripts(index, signer.redeemScript, signer.witnessScript);
+        psbt.setInputUTXO(index, prevTx);
+      })))
+      .then(() => psbt);
+  });
+}
+
+/*
+ * Sign a PSBT's inputs with each private key that can.
+ * @psbt (PSBT) the PSBT, which is changed
+ * @privateKeys (Array<string>) the hex-encoded private keys
+ * @allowedSighashTypes (Array<number>) OPTIONAL: the sighash types that may be
+ *   signed with (only SIGHASH_ALL by default)
+ * @return how many signatures were added
+ */
+export function signPSBT(psbt: PSBT, privateKeys: Array<string>,
+                         allowedSighashTypes: Array<number> = [SIGHASH_TYPES.ALL]) : number {
+  return privateKeys.reduce(
+    (added, privateKey) => added + psbt.signInputs(
+      blockstack.hexStringToECPair(privateKey), allowedSighashTypes), 0);
+}
+
+/*
+ * Parse a comma-separated list of sighash type names (see SIGHASH_TYPES).
+ * SIGHASH_ALL is always allowed.
+ * Throws a ValidationError on a name that is not a sighash type.
+ * @text (string) the list, e.g. "ALL|ANYONECANPAY,SINGLE"
+ * @return the sighash types
+ */
+export function parseSighashTypes(text: string) : Array<number> {
+  const names = text.split(',').map((name) => name.trim().toUpperCase().replace(/^SIGHASH_/, ''))
+    .filter((name) => name.length > 0);
+  const unknown = names.filter((name) => !SIGHASH_TYPES.hasOwnProperty(name));
+  if (unknown.length > 0) {
+    throw new ValidationError(`Unknown sighash type ${unknown[0]}; must be one of ` +
+                              `${Object.keys(SIGHASH_TYPES).join(', ')}`);
+  }
+  return [SIGHASH_TYPES.ALL].concat(names.map((name) => SIGHASH_TYPES[name]));
+}
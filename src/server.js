@@ -0,0 +1,390 @@
+/* @flow */
+
+import crypto from 'crypto';
+import logger from 'winston';
+import cors from 'cors';
+const express = require('express');
+
+import {
+  CLI_ARGS,
+  checkArgs,
+  makeArgsList
+} from './argparse';
+
+import {
+  sendJSON
+} from './auth';
+
+import {
+  AuthenticationError,
+  CLIError,
+  ERROR_CODES,
+  ValidationError,
+  getErrorCode,
+  makeErrorEnvelope,
+  resultError
+} from './errors';
+
+import {
+  runWithNetwork
+} from './network';
+
+import type { CommandOptions } from './commands';
+
+export const DEFAULT_SERVE_PORT = 8889;
+
+// commands that only look things up, and are served by default
+export const READ_ONLY_COMMANDS = [
+  'balance',
+  'convert_address',
+  'get_account_at',
+  'get_account_history',
+  'get_blockchain_history',
+  'get_blockchain_record',
+  'get_confirmations',
+  'get_namespace_blockchain_record',
+  'get_zonefile',
+  'lookup',
+  'names',
+  'price',
+  'price_namespace',
+  'profile_verify',
+  'whois'
+];
+
+// commands that are never served, even if allowed
+// (sign_bundle answers every request from its bundle while it runs, and keystore
+// would hand out the server's keys)
+const UNSERVABLE_COMMANDS = ['authenticator', 'batch', 'keystore', 'mock_node', 'serve', 'shell',
+                             'sign_bundle'];
+
+// largest request body accepted
+const MAX_REQUEST_BODY = 1024 * 1024;
+
+// JSON-RPC 2.0 error codes
+const RPC_PARSE_ERROR = -32700;
+const RPC_INVALID_REQUEST = -32600;
+const RPC_METHOD_NOT_FOUND = -32601;
+const RPC_INVALID_PARAMS = -32602;
+const RPC_COMMAND_FAILED = -32000;
+
+// the HTTP status of a failed command, by its error code
+const HTTP_STATUSES = {
+  INTERNAL: 500,
+  VALIDATION: 400,
+  NETWORK: 502,
+  SAFETY_CHECK: 422,
+  INSUFFICIENT_FUNDS: 422,
+  NOT_FOUND: 404,
+  AUTHENTICATION: 401
+};
+
+type ServerContext = {
+  network: Object,
+  commandOpts: CommandOptions,
+  commands: { [string]: Function },
+  allowedCommands: Array<string>,
+  allowedSigners: Array<string>
+};
+
+/*
+ * A request that cannot be served, with the HTTP status and
+ * JSON-RPC error code to answer it with.
+ */
+class RequestError extends CLIError {
+  httpStatus: number
+  rpcCode: number
+  constructor(message: string, code: string, httpStatus: number, rpcCode: number) {
+    super(message, code);
+    this.httpStatus = httpStatus;
+    this.rpcCode = rpcCode;
+  }
+}
+
+/*
+ * Get the list of commands to serve from an allowlist: a comma-separated
+ * list of command names, "read-only" for READ_ONLY_COMMANDS, or "all".
+ * @allowlist (string) the allowlist
+ * @commands (Object) the table of commands that could be served
+ */
+export function getAllowedCommands(allowlist: string,
+                                   commands: { [string]: Function }) : Array<string> {
+  const servable = Object.keys(commands).filter(
+    (command) => !UNSERVABLE_COMMANDS.includes(command)).sort();
+
+  if (allowlist === 'all') {
+    return servable;
+  }
+  if (allowlist === 'read-only') {
+    return READ_ONLY_COMMANDS.filter((command) => servable.includes(command));
+  }
+
+  const allowed = allowlist.split(',').map((command) => command.trim())
+    .filter((command) => command.length > 0);
+  for (const command of allowed) {
+    if (!servable.includes(command)) {
+      throw new ValidationError(`Command "${command}" cannot be served`);
+    }
+  }
+  return allowed;
+}
+
+/*
+ * Check a request's bearer token, in constant time.
+ */
+function checkToken(req: express.request, token: string) : boolean {
+  const match = /^Bearer\s+(.+)$/i.exec(req.get('Authorization') || '');
+  if (!match) {
+    return false;
+  }
+  // hash both, so they have the same length
+  const given = crypto.createHash('sha256').update(match[1]).digest();
+  const expected = crypto.createHash('sha256').update(token).digest();
+  // (Flow does not know of crypto.timingSafeEqual())
+  return (crypto: Object).timingSafeEqual(given, expected);
+}
+
+/*
+ * Read and parse a request's JSON body.
+ */
+function readJSONBody(req: express.request) : Promise<any> {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let length = 0;
+    req.on('data', (chunk) => {
+      length += chunk.length;
+      if (length > MAX_REQUEST_BODY) {
+        reject(new RequestError('Request body too large', ERROR_CODES.VALIDATION,
+                                413, RPC_INVALID_REQUEST));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => {
+      const text = Buffer.concat(chunks).toString();
+      if (text.trim().length === 0) {
+        resolve(null);
+        return;
+      }
+      try {
+        resolve(JSON.parse(text));
+      }
+      catch (e) {
+        reject(new RequestError(`Invalid JSON: ${e.message}`, ERROR_CODES.VALIDATION,
+                                400, RPC_PARSE_ERROR));
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+/*
+ * Check a command's arguments against CLI_ARGS, and run it.
+ * @context (ServerContext) the server's network, options, and commands
+ * @command (string) the command to run
+ * @params (Array|Object) its arguments, in order or by name
+ * @return a Promise that resolves to the command's result
+ */
+function runServedCommand(context: ServerContext, command: string, params: any) : Promise<any> {
+  return Promise.resolve().then(() => {
+    if (!context.allowedCommands.includes(command)) {
+      throw new RequestError(`Command "${command}" is not served`, ERROR_CODES.NOT_FOUND,
+                             404, RPC_METHOD_NOT_FOUND);
+    }
+
+    let argsList;
+    try {
+      argsList = makeArgsList(params);
+    }
+    catch (e) {
+      throw new RequestError(e.message, ERROR_CODES.VALIDATION, 400, RPC_INVALID_PARAMS);
+    }
+
+    const cmdArgs = checkArgs(['', '', command].concat(argsList));
+    if (!cmdArgs.success) {
+      throw new RequestError(`${command}: ${cmdArgs.error}`, ERROR_CODES.VALIDATION,
+                             400, RPC_INVALID_PARAMS);
+    }
+
+    // a request must not have the server run a program of its choosing,
+    // nor send what it signs to a signer of its choosing
+    const signers = cmdArgs.args.filter(
+      (arg) => typeof arg === 'string' && arg.startsWith('signer:'));
+    for (const signer of signers) {
+      if (signer.startsWith('signer:exec:')) {
+        throw new RequestError(`${command}: external signers that run a program (signer:exec:) ` +
+                               'cannot be used in served commands', ERROR_CODES.VALIDATION,
+                               400, RPC_INVALID_PARAMS);
+      }
+      if (!context.allowedSigners.includes(signer)) {
+        throw new RequestError(`${command}: external signer ${signer} is not in the serveSigners ` +
+                               'setting, so it cannot be used in served commands',
+                               ERROR_CODES.VALIDATION, 400, RPC_INVALID_PARAMS);
+      }
+    }
+
+    // nor sign with the keys in the server's keystore
+    if (cmdArgs.args.some((arg) => typeof arg === 'string' && arg.startsWith('keystore:'))) {
+      throw new RequestError(`${command}: keys in the keystore (keystore:) cannot be used in ` +
+                             'served commands', ERROR_CODES.VALIDATION, 400, RPC_INVALID_PARAMS);
+    }
+
+    logger.info(`serve: run ${command}`);
+    return runWithNetwork(context.network, () =>
+      context.commands[command](context.network, cmdArgs.args, context.commandOpts));
+  })
+  .then((result) => {
+    if (!!result && result.hasOwnProperty('status') && !result.status) {
+      throw resultError(result);
+    }
+    return result instanceof Buffer ? result.toString('base64') : result;
+  });
+}
+
+/*
+ * Get the HTTP status for a failed request.
+ */
+function getHTTPStatus(error: Object) : number {
+  return error.hasOwnProperty('httpStatus') ? error.httpStatus : HTTP_STATUSES[getErrorCode(error)];
+}
+
+/*
+ * Handle one JSON-RPC 2.0 request object.
+ * Returns a Promise to the response object, or null for a notification.
+ */
+function handleRPCRequest(context: ServerContext, request: any) : Promise<?Object> {
+  const id = !!request && request.hasOwnProperty('id') ? request.id : null;
+  const isNotification = !!request && typeof request === 'object' && !request.hasOwnProperty('id');
+
+  return Promise.resolve().then(() => {
+    if (!request || typeof request !== 'object' || request.jsonrpc !== '2.0' ||
+        typeof request.method !== 'string') {
+      throw new RequestError('Invalid JSON-RPC request', ERROR_CODES.VALIDATION,
+                             400, RPC_INVALID_REQUEST);
+    }
+    return runServedCommand(context, request.method, request.params);
+  })
+  .then((result) => ({ 'jsonrpc': '2.0', 'result': result, 'id': id }))
+  .catch((e) => ({
+    'jsonrpc': '2.0',
+    'error': {
+      'code': e.hasOwnProperty('rpcCode') ? e.rpcCode : RPC_COMMAND_FAILED,
+      'message': e.message,
+      'data': makeErrorEnvelope(e)
+    },
+    'id': id
+  }))
+  .then((response) => (isNotification ? null : response));
+}
+
+/*
+ * Make an express app that serves commands over HTTP, as both
+ * a REST API and a JSON-RPC 2.0 endpoint:
+ *   GET /v1/commands              list the served commands and their arguments
+ *   GET /v1/commands/COMMAND      run COMMAND with arguments from the query string
+ *   POST /v1/commands/COMMAND     run COMMAND with a JSON list or object of arguments
+ *   POST /rpc                     run a JSON-RPC request (or batch of requests),
+ *                                 with the command as the method
+ * Every request must have the header "Authorization: Bearer TOKEN".  Only the
+ * origins in commandOpts.serveOrigins may call it from a browser, and only the
+ * external signers in commandOpts.serveSigners may be used.
+ * @network (Object) the network to run every command with
+ * @commandOpts (CommandOptions) the options to run every command with
+ * @commands (Object) the table of commands
+ * @token (string) the bearer token
+ * @allowedCommands (Array<string>) the commands that may be run
+ */
+export function makeCommandServer(network: Object, commandOpts: CommandOptions,
+                                  commands: { [string]: Function }, token: string,
+                                  allowedCommands: Array<string>) : express.app {
+  const context = {
+    network, commandOpts, commands, allowedCommands,
+    allowedSigners: commandOpts.serveSigners || []
+  };
+  const server = express();
+  // other origins get no CORS headers, so browsers do not let their pages read the responses
+  server.use(cors({ origin: commandOpts.serveOrigins || [] }));
+
+  server.use((req: express.request, res: express.response, next: Function) => {
+    if (req.method === 'OPTIONS') {
+      next();
+    }
+    else if (!checkToken(req, token)) {
+      sendJSON(res, makeErrorEnvelope(
+        new AuthenticationError('Missing or invalid bearer token')), 401);
+    }
+    else {
+      next();
+    }
+  });
+
+  const sendCommandResult = (res, command, paramsPromise) => {
+    paramsPromise
+      .then((params) => runServedCommand(context, command, params))
+      .then((result) => sendJSON(res, { 'result': result }, 200))
+      .catch((e) => {
+        logger.debug(e.stack);
+        sendJSON(res, makeErrorEnvelope(e), getHTTPStatus(e));
+      });
+  };
+
+  server.get(/^\/v1\/commands\/*$/, (req: express.request, res: express.response) => {
+    const commandList = allowedCommands.map((command) => ({
+      'command': command,
+      'args': [].concat(CLI_ARGS.properties[command].items).map((item) => item.name),
+      'minItems': CLI_ARGS.properties[command].minItems
+    }));
+    sendJSON(res, (commandList: any), 200);
+  });
+
+  server.get('/v1/commands/:command', (req: express.request, res: express.response) => {
+    sendCommandResult(res, req.params.command, Promise.resolve(req.query));
+  });
+
+  server.post('/v1/commands/:command', (req: express.request, res: express.response) => {
+    sendCommandResult(res, req.params.command, readJSONBody(req));
+  });
+
+  server.post(/^\/rpc\/*$/, (req: express.request, res: express.response) => {
+    readJSONBody(req)
+      .then((body) => {
+        if (Array.isArray(body)) {
+          if (body.length === 0) {
+            throw new RequestError('Empty JSON-RPC batch', ERROR_CODES.VALIDATION,
+                                   400, RPC_INVALID_REQUEST);
+          }
+          // run the batch's requests one at a time
+          const responses = [];
+          return body.reduce((promise, request) => promise
+            .then(() => handleRPCRequest(context, request))
+            .then((response) => {
+              if (response) {
+                responses.push(response);
+              }
+            }), Promise.resolve())
+            .then(() => (responses.length > 0 ? responses : null));
+        }
+        return handleRPCRequest(context, body);
+      })
+      .then((response) => {
+        if (response) {
+          sendJSON(res, response, 200);
+        }
+        else {
+          res.status(204).end();
+        }
+      })
+      .catch((e) => {
+        sendJSON(res, {
+          'jsonrpc': '2.0',
+          'error': { 'code': e.hasOwnProperty('rpcCode') ? e.rpcCode : RPC_INVALID_REQUEST,
+                     'message': e.message,
+                     'data': makeErrorEnvelope(e) },
+          'id': null
+        }, 200);
+      });
+  });
+
+  return server;
+}
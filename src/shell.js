@@ -0,0 +1,525 @@
+/* @flow */
+
+import process from 'process';
+import fs from 'fs';
+const readline = require('readline');
+
+import {
+  CLI_ARGS,
+  checkArgs,
+  addDefaultArgs,
+  getCLIOpts,
+  makeCommandUsageString,
+  NAME_PATTERN,
+  SUBDOMAIN_PATTERN
+} from './argparse';
+
+import {
+  CLINetworkAdapter
+} from './network';
+
+import {
+  COMMANDS,
+  DAEMON_COMMANDS
+} from './commands';
+
+import type { CommandOptions } from './commands';
+
+import {
+  getBackupPhrase,
+  setBackupPhraseCaching
+} from './utils';
+
+import {
+  printResult,
+  printError
+} from './format';
+
+import {
+  runBatch
+} from './batch';
+
+import {
+  ValidationError,
+  resultError
+} from './errors';
+
+import {
+  getArgumentKind,
+  getKnownIDs,
+  recordCompletions
+} from './completion';
+
+const SHELL_BUILTINS = ['exit', 'help', 'history', 'lock', 'quit', 'unlock', 'use'];
+const MAX_HISTORY = 1000;
+
+type ShellSession = {
+  network: CLINetworkAdapter,
+  commandOpts: CommandOptions,
+  outputFormat: string,
+  argDefaults: Object,
+  blockstackID: ?string,
+  history: Array<string>,
+  completionHistory: boolean
+};
+
+type LineReader = {
+  read: (prompt: string) => Promise<?string>,
+  close: () => void
+};
+
+/*
+ * Split a command line into words, the way a POSIX shell would.
+ * Single and double quotes group words, and backslashes escape characters.
+ * @line (string) the command line
+ * @return the list of words
+ */
+export function splitWords(line: string) : Array<string> {
+  const words = [];
+  let word = '';
+  let inWord = false;   // (a word can be empty, e.g. "")
+  let quote = null;
+  for (let i = 0; i < line.length; i++) {
+    const c = line[i];
+    if (quote !== null) {
+      if (c === quote) {
+        quote = null;
+      }
+      else if (c === '\\' && quote === '"' && i + 1 < line.length) {
+        i++;
+        word += line[i];
+      }
+      else {
+        word += c;
+      }
+    }
+    else if (c === '"' || c === '\'') {
+      quote = c;
+      inWord = true;
+    }
+    else if (c === '\\' && i + 1 < line.length) {
+      i++;
+      word += line[i];
+      inWord = true;
+    }
+    else if (/\s/.test(c)) {
+      if (inWord) {
+        words.push(word);
+        word = '';
+        inWord = false;
+      }
+    }
+    else {
+      word += c;
+      inWord = true;
+    }
+  }
+
+  if (quote !== null) {
+    throw new ValidationError(`Unterminated ${quote} quote`);
+  }
+  if (inWord) {
+    words.push(word);
+  }
+  return words;
+}
+
+/*
+ * Complete a partial file path.
+ * @prefix (string) the path typed so far
+ */
+function completePath(prefix: string) : Array<string> {
+  const dirPart = prefix.slice(0, prefix.lastIndexOf('/') + 1);
+  const basePart = prefix.slice(dirPart.length);
+  try {
+    return fs.readdirSync(dirPart.length > 0 ? dirPart : '.')
+      .filter((entry) => entry.startsWith(basePart))
+      .map((entry) => {
+        const entryPath = `${dirPart}${entry}`;
+        try {
+          return fs.statSync(entryPath).isDirectory() ? `${entryPath}/` : entryPath;
+        }
+        catch (e) {
+          return entryPath;
+        }
+      });
+  }
+  catch (e) {
+    return [];
+  }
+}
+
+/*
+ * Suggest values for a command argument, based on its type in CLI_ARGS.
+ * Names and ID-addresses come from the completion cache, plus the name in use.
+ * @session (ShellSession) the shell session
+ * @argInfo (Object) the argument's schema, if known
+ * @prefix (string) the value typed so far
+ */
+function completeArgument(session: ShellSession, argInfo: ?Object, prefix: string)
+  : Array<string> {
+  if (!argInfo) {
+    return [];
+  }
+
+  let candidates = [];
+  const kind = getArgumentKind(argInfo);
+  switch (kind) {
+    case 'file':
+      return completePath(prefix);
+
+    case 'boolean':
+      candidates = ['true', 'false'];
+      break;
+
+    case 'command':
+      candidates = Object.keys(CLI_ARGS.properties);
+      break;
+
+    case 'name':
+    case 'id_address':
+    case 'name_or_id_address':
+      candidates = getKnownIDs(kind);
+      if (kind !== 'id_address' && !!session.blockstackID &&
+          !candidates.includes(session.blockstackID)) {
+        candidates.push(session.blockstackID);
+      }
+      break;
+
+    default:
+      break;
+  }
+  return candidates.filter((candidate) => candidate.startsWith(prefix));
+}
+
+/*
+ * Make a readline completer for command names, --keyword arguments,
+ * and argument values.
+ * @session (ShellSession) the shell session
+ */
+export function makeCompleter(session: ShellSession)
+  : (line: string) => [Array<string>, string] {
+  return (line: string) => {
+    const words = line.replace(/^\s+/, '').split(/\s+/);
+    const current = words[words.length - 1];
+
+    if (words.length <= 1) {
+      const commands = Object.keys(CLI_ARGS.properties).concat(SHELL_BUILTINS)
+        .filter((command, i, all) => all.indexOf(command) === i)
+        .sort();
+      return [commands.filter((command) => command.startsWith(current)), current];
+    }
+
+    const commandInfo = CLI_ARGS.properties[words[0]];
+    if (!commandInfo) {
+      return [[], current];
+    }
+
+    const items = commandInfo.items;
+    if (current.startsWith('--')) {
+      const keywords = items.map((item) => `--${item.name}`);
+      return [keywords.filter((keyword) => keyword.startsWith(current)), current];
+    }
+
+    // find the argument being completed, skipping over --keyword pairs
+    let argInfo = null;
+    let position = 0;
+    for (let i = 1; i < words.length - 1; i++) {
+      if (words[i].startsWith('--')) {
+        if (i === words.length - 2) {
+          argInfo = items.find((item) => `--${item.name}` === words[i]);
+        }
+        i++;
+      }
+      else {
+        position++;
+      }
+    }
+    if (!argInfo) {
+      argInfo = items[position];
+    }
+
+    return [completeArgument(session, argInfo, current), current];
+  };
+}
+
+/*
+ * Read lines from an interactive terminal.
+ * A new readline interface is made for each line, so that commands
+ * which prompt for passwords can have the terminal to themselves.
+ * @session (ShellSession) the shell session
+ */
+function makeTTYReader(session: ShellSession) : LineReader {
+  const read = (prompt: string) => new Promise((resolve) => {
+    let done = false;
+    const rl = readline.createInterface({
+      input: process.stdin,
+      output: process.stdout,
+      terminal: true,
+      // (Flow's readline has the completer's type wrong)
+      completer: (makeCompleter(session): Function),
+      historySize: MAX_HISTORY
+    });
+
+    // readline keeps its history newest-first
+    (rl: Object).history = session.history.slice(-MAX_HISTORY).reverse();
+
+    rl.on('SIGINT', () => {
+      // abandon this line, but stay in the shell
+      done = true;
+      process.stdout.write('\n');
+      rl.close();
+      resolve('');
+    });
+
+    rl.on('close', () => {
+      if (!done) {
+        // end-of-file (i.e. ctrl+D)
+        done = true;
+        process.stdout.write('\n');
+        resolve(null);
+      }
+    });
+
+    rl.question(prompt, (line) => {
+      done = true;
+      rl.close();
+      resolve(line);
+    });
+  });
+
+  return { read, close: () => {} };
+}
+
+/*
+ * Read lines from a non-interactive stdin (e.g. a script piped into the shell).
+ */
+function makePipeReader() : LineReader {
+  const lines = [];
+  let waiting = null;
+  let closed = false;
+
+  const rl = readline.createInterface({ input: process.stdin, terminal: false });
+  rl.on('line', (line) => {
+    if (waiting) {
+      const resolve = waiting;
+      waiting = null;
+      resolve(line);
+    }
+    else {
+      lines.push(line);
+    }
+  });
+  rl.on('close', () => {
+    closed = true;
+    if (waiting) {
+      waiting(null);
+    }
+  });
+
+  const read = () => new Promise((resolve) => {
+    if (lines.length > 0) {
+      resolve(lines.shift());
+    }
+    else if (closed) {
+      resolve(null);
+    }
+    else {
+      waiting = resolve;
+    }
+  });
+
+  return { read, close: () => rl.close() };
+}
+
+/*
+ * Run a CLI command from the shell, with the session's network and options.
+ * If the session has a name in use and the command needs a name that was not
+ * given, then the name in use is filled in.
+ * @session (ShellSession) the shell session
+ * @words (Array<string>) the command and its arguments
+ */
+function runShellCommand(session: ShellSession, words: Array<string>) : Promise<void> {
+  const lineOpts = getCLIOpts(words, 'xSeU');
+  const commandWords = lineOpts._;
+  const command = commandWords[0];
+
+  if (command === 'shell' || DAEMON_COMMANDS.includes(command)) {
+    throw new ValidationError(`Command '${command}' cannot be run from the shell`);
+  }
+
+  // the profile's keys and Gaia hubs fill in missing arguments
+  const checkWithDefaults = (argsList) => checkArgs(['', '', command].concat(
+    addDefaultArgs(command, argsList, session.argDefaults)));
+
+  let cmdArgs = checkWithDefaults(commandWords.slice(1));
+  if (!cmdArgs.success && !!session.blockstackID && !commandWords.includes('--blockstack_id')) {
+    const commandInfo = CLI_ARGS.properties[command];
+    if (!!commandInfo && commandInfo.items.length > 0 &&
+        commandInfo.items[0].name === 'blockstack_id') {
+      const withName = checkWithDefaults([session.blockstackID].concat(commandWords.slice(1)));
+      if (withName.success) {
+        cmdArgs = withName;
+      }
+    }
+  }
+
+  if (!cmdArgs.success) {
+    if (cmdArgs.command && CLI_ARGS.properties.hasOwnProperty(cmdArgs.command)) {
+      console.error(makeCommandUsageString(cmdArgs.command));
+    }
+    printError(new ValidationError(cmdArgs.error), session.outputFormat);
+    return Promise.resolve();
+  }
+
+  const commandOpts = Object.assign({}, session.commandOpts);
+  if (lineOpts['x']) {
+    commandOpts.txOnly = true;
+  }
+  if (lineOpts['S']) {
+    commandOpts.txOnly = true;
+    commandOpts.psbt = true;
+  }
+  if (lineOpts['e']) {
+    commandOpts.estimateOnly = true;
+  }
+  if (lineOpts['U']) {
+    commandOpts.safetyChecks = false;
+  }
+
+  const args = cmdArgs.args;
+  return Promise.resolve().then(() => (command === 'batch' ?
+    runBatch(session.network, args[0], commandOpts, session.argDefaults) :
+    COMMANDS[command](session.network, args, commandOpts)))
+    .then((result) => {
+      if (!!result && result.hasOwnProperty('status') && !result.status) {
+        printError(resultError(result), session.outputFormat);
+      }
+      else {
+        if (session.completionHistory) {
+          recordCompletions(command, args);
+        }
+        printResult(result, session.outputFormat);
+      }
+    });
+}
+
+/*
+ * Run one line of shell input.
+ * Resolves to false if the shell should exit, and true otherwise.
+ * @session (ShellSession) the shell session
+ * @line (string) the line of input
+ */
+function runLine(session: ShellSession, line: string) : Promise<boolean> {
+  return Promise.resolve().then(() => {
+    const words = splitWords(line);
+    if (words.length === 0) {
+      return true;
+    }
+
+    switch (words[0]) {
+      case 'exit':
+      case 'quit':
+        return false;
+
+      case 'help':
+        console.log(makeCommandUsageString(words.length > 1 ? words[1] : 'help'));
+        return true;
+
+      case 'history':
+        session.history.forEach((entry, i) => console.log(`${i + 1}  ${entry}`));
+        return true;
+
+      case 'use':
+        if (words.length > 1 && !words[1].match(NAME_PATTERN) &&
+            !words[1].match(SUBDOMAIN_PATTERN)) {
+          throw new ValidationError(`Not a valid name: ${words[1]}`);
+        }
+        session.blockstackID = words.length > 1 ? words[1] : null;
+        return true;
+
+      case 'unlock':
+        if (words.length !== 2) {
+          throw new ValidationError('Usage: unlock CIPHERTEXT');
+        }
+        return getBackupPhrase(words[1])
+          .then(() => {
+            console.error('Backup phrase unlocked for this session');
+            return true;
+          });
+
+      case 'lock':
+        setBackupPhraseCaching(false);
+        setBackupPhraseCaching(true);
+        console.error('Forgot all unlocked backup phrases');
+        return true;
+
+      default:
+        return runShellCommand(session, words).then(() => true);
+    }
+  })
+  .catch((e) => {
+    printError(e, session.outputFormat);
+    return true;
+  });
+}
+
+/*
+ * Run the interactive shell until the user exits or stdin closes.
+ * The network, options, and any decrypted backup phrases are kept
+ * for the whole session.
+ * @network (CLINetworkAdapter) the network to use for every command
+ * @commandOpts (CommandOptions) the default command options
+ * @outputFormat (string) the output format for every command
+ * @argDefaults (Object) default command arguments from the config profile
+ * @blockstackID (string) OPTIONAL: the name to start out using
+ * @completionHistory (boolean) OPTIONAL: remember the names and addresses
+ *   used, for tab completion
+ */
+export function startShell(network: CLINetworkAdapter,
+                           commandOpts: CommandOptions,
+                           outputFormat: string,
+                           argDefaults: Object = {},
+                           blockstackID: ?string = null,
+                           completionHistory: boolean = false) : Promise<void> {
+  const session : ShellSession = {
+    network,
+    commandOpts,
+    outputFormat,
+    argDefaults,
+    blockstackID,
+    history: [],
+    completionHistory
+  };
+
+  const interactive = !!process.stdin.isTTY;
+  const reader = interactive ? makeTTYReader(session) : makePipeReader();
+  if (interactive) {
+    console.log('Type "help" for a list of commands, or "exit" to leave.');
+  }
+
+  setBackupPhraseCaching(true);
+
+  const loop = () => {
+    const prompt = session.blockstackID ?
+      `blockstack (${session.blockstackID})> ` : 'blockstack> ';
+
+    return reader.read(prompt)
+      .then((line) => {
+        if (line === null || line === undefined) {
+          return null;
+        }
+        if (line.trim().length > 0) {
+          session.history.push(line);
+        }
+        return runLine(session, line)
+          .then((keepGoing) => (keepGoing ? loop() : null));
+      });
+  };
+
+  return loop()
+    .then(() => {
+      reader.close();
+      setBackupPhraseCaching(false);
+    });
+}
@@ -0,0 +1,298 @@
+/* @flow */
+
+import { spawn } from 'child_process';
+import ecurve from 'ecurve';
+const bigi = require('bigi');
+const bitcoinjs = require('bitcoinjs-lib');
+const blockstack = require('blockstack');
+
+import {
+  TransactionSigner
+} from 'blockstack';
+
+import {
+  EXTERNAL_SIGNER_PATTERN
+} from './argparse';
+
+import {
+  AuthenticationError,
+  NetworkError,
+  ValidationError
+} from './errors';
+
+const secp256k1 = ecurve.getCurveByName('secp256k1');
+
+/*
+ * External signers, for keys that another program holds: an HSM's client,
+ * or a signing daemon.  In place of a key, "signer:exec:/path/to/tool" runs
+ * the tool once per request, with the request as JSON on its stdin and its
+ * reply as JSON on its stdout.  "signer:http://host:port/path" (or https)
+ * POSTs the request as JSON to the URL, and reads the reply from the response.
+ *
+ * A signer holds one key, whose p2pkh address it spends from.  It is sent:
+ *
+ *   {"method": "getAddress", "network": "mainnet" | "testnet"}
+ *     and replies {"address": ADDRESS, "publicKey": HEX}
+ *
+ *   {"method": "signTransaction", "network": ..., "address": ADDRESS,
+ *    "publicKey": HEX, "tx": HEX, "index": INPUT, "hash": HEX, "hashType": 1}
+ *     and replies {"signature": HEX}, its DER signature of the hash.  The
+ *     unsigned transaction is sent too, so that the signer can decide whether
+ *     to sign it.
+ *
+ * A signer that refuses replies {"error": MESSAGE}.  Signatures are checked
+ * before they are used.
+ */
+
+type SignerRequest = { method: string, [string]: any };
+
+// signers that have been asked for their addresses, by key spec
+const loadedSigners: { [string]: ExternalSigner } = {};
+
+function getNetworkName() : string {
+  return blockstack.config.network.layer1.pubKeyHash === bitcoinjs.networks.bitcoin.pubKeyHash ?
+    'mainnet' : 'testnet';
+}
+
+/*
+ * Parse a signer's reply.  Rejects if it is not JSON, or if the signer refused.
+ * @name (string) the signer's key spec
+ * @text (string) the reply
+ */
+function parseReply(name: string, text: string) : Object {
+  let reply;
+  try {
+    reply = JSON.parse(text);
+  }
+  catch (e) {
+    throw new NetworkError(`External signer ${name} did not reply with JSON: ${e.message}`);
+  }
+  if (!reply || typeof reply !== 'object') {
+    throw new NetworkError(`External signer ${name} did not reply with a JSON object`);
+  }
+  if (reply.error) {
+    throw new AuthenticationError(`External signer ${name} refused: ${String(reply.error)}`);
+  }
+  return reply;
+}
+
+function execRequest(name: string, path: string, request: SignerRequest) : Promise<Object> {
+  return new Promise((resolve, reject) => {
+    const child = spawn(path, [], { stdio: ['pipe', 'pipe', 'pipe'] });
+    const stdout = [];
+    const stderr = [];
+    child.stdout.on('data', (data) => stdout.push(data));
+    child.stderr.on('data', (data) => stderr.push(data));
+    child.on('error', (e) => {
+      reject(new NetworkError(`Failed to run external signer ${name}: ${e.message}`));
+    });
+    child.on('close', (status) => {
+      if (status !== 0) {
+        const message = Buffer.concat(stderr).toString().trim();
+        reject(new NetworkError(`External signer ${name} exited with status ${status}` +
+                                (message ? `: ${message}` : '')));
+        return;
+      }
+      resolve(Buffer.concat(stdout).toString());
+    });
+    // a tool that exits without reading its request is reported by its status
+    child.stdin.on('error', () => {});
+    child.stdin.end(JSON.stringify(request));
+  })
+    .then((text) => parseReply(name, text));
+}
+
+function httpRequest(name: string, url: string, request: SignerRequest) : Promise<Object> {
+  return fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(request)
+  })
+    .catch((e) => {
+      throw new NetworkError(`Failed to reach external signer ${name}: ${e.message}`);
+    })
+    .then((resp) => resp.text().then((text) => {
+      if (!resp.ok) {
+        // a refusal can come with an error status
+        let reply = null;
+        try {
+          reply = JSON.parse(text);
+        }
+        catch (e) {
+          // not a refusal
+        }
+        if (reply && reply.error) {
+          parseReply(name, text);
+        }
+        throw new NetworkError(`External signer ${name} failed: ${resp.status} ${resp.statusText}`);
+      }
+      return parseReply(name, text);
+    }));
+}
+
+/*
+ * Decode a signature from a signer into the 64 bytes (r and s) that
+ * bitcoinjs-lib signs with.  A DER signature may have the hash type after it.
+ * @signatureHex (string) the signature, as DER or as r and s, in hex
+ * @hashType (number) the hash type it signs with
+ */
+function decodeSignature(signatureHex: string, hashType: number) : Buffer {
+  let signature = Buffer.from(signatureHex, 'hex');
+  if (signature.length !== 64) {
+    if (signature.length === signature[1] + 2) {
+      signature = Buffer.concat([signature, Buffer.from([hashType])]);
+    }
+    signature = bitcoinjs.script.signature.decode(signature).signature;
+  }
+
+  // Bitcoin nodes only relay signatures with a low s
+  const s = bigi.fromBuffer(signature.slice(32));
+  if (s.compareTo(secp256k1.n.shiftRight(1)) > 0) {
+    signature = Buffer.concat([signature.slice(0, 32), secp256k1.n.subtract(s).toBuffer(32)]);
+  }
+  return signature;
+}
+
+/*
+ * A key held by an external signer.  It must be loaded (asked for its
+ * address) before it is used, since a key's address is looked up without
+ * waiting; see loadExternalSigners().
+ */
+export class ExternalSigner implements TransactionSigner {
+  name: string
+  request: (request: SignerRequest) => Promise<Object>
+  address: string
+  publicKey: Buffer
+
+  constructor(name: string) {
+    const matches = name.match(EXTERNAL_SIGNER_PATTERN);
+    if (!matches) {
+      throw new ValidationError(`Not an external signer: ${name}`);
+    }
+    this.name = name;
+    if (matches[1].startsWith('exec:')) {
+      const path = matches[1].slice('exec:'.length);
+      this.request = (request) => execRequest(name, path, request);
+    }
+    else {
+      const url = matches[1];
+      this.request = (request) => httpRequest(name, url, request);
+    }
+  }
+
+  /*
+   * Ask the signer for its address and public key, and check that the one
+   * is the other's.
+   */
+  load() : Promise<ExternalSigner> {
+    return this.request({ method: 'getAddress', network: getNetworkName() })
+      .then((reply) => {
+        let publicKey;
+        let hash;
+        try {
+          publicKey = bitcoinjs.ECPair.fromPublicKey(Buffer.from(String(reply.publicKey), 'hex'))
+            .publicKey;
+          hash = bitcoinjs.address.fromBase58Check(String(reply.address)).hash;
+        }
+        catch (e) {
+          throw new NetworkError(`External signer ${this.name} replied with a bad address or ` +
+                                 `public key: ${e.message}`);
+        }
+        if (!hash.equals(bitcoinjs.crypto.hash160(publicKey))) {
+          throw new NetworkError(`External signer ${this.name} replied with an address that ` +
+                                 'is not its public key\'s');
+        }
+        this.publicKey = publicKey;
+        this.address = bitcoinjs.address.toBase58Check(
+          hash, blockstack.config.network.layer1.pubKeyHash);
+        return this;
+      });
+  }
+
+  getAddress() : Promise<string> {
+    return Promise.resolve().then(() => this.address);
+  }
+
+  signTransaction(txIn: bitcoinjs.TransactionBuilder, signingIndex: number) : Promise<void> {
+    const hashType = bitcoinjs.Transaction.SIGHASH_ALL;
+    return Promise.resolve().then(() => {
+      // the transaction for the signer to look over (it cannot be built
+      // again until this input is signed)
+      const unsignedTx = txIn.buildIncomplete().toHex();
+
+      // bitcoinjs-lib signs without waiting, so have it work out the hash to
+      // sign first, and sign again once the signer has signed it
+      let hash = null;
+      try {
+        txIn.sign(signingIndex, {
+          publicKey: this.publicKey,
+          sign: (signatureHash) => {
+            hash = signatureHash;
+            throw new Error('Only getting the hash to sign');
+          }
+        });
+      }
+      catch (e) {
+        if (!hash) {
+          throw e;
+        }
+      }
+      // sign() always runs, and throws once it has the hash
+      const signatureHash: Buffer = (hash: any);
+
+      return this.request({
+        method: 'signTransaction',
+        network: getNetworkName(),
+        address: this.address,
+        publicKey: this.publicKey.toString('hex'),
+        tx: unsignedTx,
+        index: signingIndex,
+        hash: signatureHash.toString('hex'),
+        hashType
+      })
+        .then((reply) => {
+          let signature;
+          try {
+            signature = decodeSignature(String(reply.signature), hashType);
+          }
+          catch (e) {
+            throw new AuthenticationError(`External signer ${this.name} replied with a bad ` +
+                                          `signature: ${e.message}`);
+          }
+          if (!bitcoinjs.ECPair.fromPublicKey(this.publicKey).verify(signatureHash, signature)) {
+            throw new AuthenticationError(`External signer ${this.name} replied with a ` +
+                                          `signature that does not verify`);
+          }
+          txIn.sign(signingIndex, { publicKey: this.publicKey, sign: () => signature });
+        });
+    });
+  }
+}
+
+/*
+ * Ask the external signers among a command's arguments for their addresses,
+ * so that decodePrivateKey() can give them to the command.  Each is only
+ * asked once.
+ * @args (Array) the command's arguments
+ */
+export function loadExternalSigners(args: Array<any>) : Promise<void> {
+  const names = args.filter((arg, index) => typeof arg === 'string' && !loadedSigners[arg] &&
+                            !!arg.match(EXTERNAL_SIGNER_PATTERN) && args.indexOf(arg) === index);
+  return Promise.all(names.map((name) => new ExternalSigner(name).load()))
+    .then((signers) => {
+      signers.forEach((signer) => {
+        loadedSigners[signer.name] = signer;
+      });
+    });
+}
+
+/*
+ * Get a loaded external signer.
+ * @name (string) its key spec
+ */
+export function getExternalSigner(name: string) : ExternalSigner {
+  if (!loadedSigners[name]) {
+    throw new ValidationError(`External signer ${name} was not asked for its address`);
+  }
+  return loadedSigners[name];
+}
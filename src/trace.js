@@ -0,0 +1,482 @@
+/* @flow */
+
+import fs from 'fs';
+const bitcoin = require('bitcoinjs-lib');
+const jsontokens = require('jsontokens');
+
+import {
+  expandHomeDir
+} from './argparse';
+
+import {
+  ValidationError
+} from './errors';
+
+/*
+ * Request tracing and timing, for finding out where a command spends its time
+ * or why it hangs.  useTracer() wraps fetch() (see CLIMain()) to log each
+ * request as it starts and finishes.  The time spent in the network, in
+ * deriving keys, and in signing is added up for a summary at the end, and the
+ * requests can be saved as a HAR file (without their bodies, which can hold
+ * private data).
+ */
+
+export const TRACE_PHASES = {
+  network: 'network',
+  keyDerivation: 'key derivation',
+  signing: 'signing'
+};
+
+// how often to report requests that have not finished, in milliseconds
+const SLOW_REQUEST_INTERVAL = 5000;
+
+// query parameters and headers whose values are not logged or saved
+const SECRET_PARAMETER_PATTERN = /key|token|secret|pass|auth|sig|session|cookie/i;
+
+const HAR_VERSION = '1.2';
+
+type TraceEntry = {
+  id: number,
+  method: string,
+  url: string,
+  requestHeaders: { [string]: string },
+  requestBytes: number,
+  started: number,          // in milliseconds since the epoch
+  status: ?number,
+  statusText: ?string,
+  responseHeaders: { [string]: string },
+  responseBytes: ?number,
+  headersTime: ?number,     // milliseconds until the response headers arrived
+  duration: ?number,        // milliseconds until the response body arrived
+  error: ?string
+};
+
+/*
+ * Hide the secrets in a URL: the password in it, and the values of
+ * query parameters that look like keys or tokens.
+ */
+export function redactUrl(url: string) : string {
+  const withoutPassword = url.replace(/^([a-z0-9+.-]+:\/\/[^:@/]*):[^@/]*@/i, '$1:(hidden)@');
+  return withoutPassword.replace(/([?&])([^=&#]+)=([^&#]*)/g, (param, separator, name, value) =>
+    (SECRET_PARAMETER_PATTERN.test(decodeURIComponent(name)) ?
+      `${separator}${name}=(hidden)` : param));
+}
+
+function redactHeaders(headers: { [string]: string }) : { [string]: string } {
+  const redacted = {};
+  for (const name of Object.keys(headers)) {
+    redacted[name] = SECRET_PARAMETER_PATTERN.test(name) ? '(hidden)' : headers[name];
+  }
+  return redacted;
+}
+
+function getHeaders(headers: any) : { [string]: string } {
+  const copied = {};
+  if (!headers) {
+    return copied;
+  }
+  if (typeof headers.forEach === 'function' && !Array.isArray(headers)) {
+    headers.forEach((value, name) => {
+      copied[name.toLowerCase()] = String(value);
+    });
+  }
+  else if (Array.isArray(headers)) {
+    headers.forEach(([name, value]) => {
+      copied[String(name).toLowerCase()] = String(value);
+    });
+  }
+  else {
+    for (const name of Object.keys(headers)) {
+      copied[name.toLowerCase()] = String(headers[name]);
+    }
+  }
+  return copied;
+}
+
+function getBodySize(body: any) : number {
+  if (body === null || body === undefined) {
+    return 0;
+  }
+  if (typeof body === 'string') {
+    return Buffer.byteLength(body);
+  }
+  if (Buffer.isBuffer(body) || body instanceof ArrayBuffer || ArrayBuffer.isView(body)) {
+    return body.byteLength;
+  }
+  // a stream or form; its size is not known up front
+  return -1;
+}
+
+/*
+ * Adds up how long some kind of work was in progress.  Work that overlaps
+ * (like requests made in parallel) is only counted once.
+ */
+class PhaseTimer {
+  active: number
+  since: number
+  total: number
+  now: () => number
+
+  constructor(now: () => number) {
+    this.active = 0;
+    this.since = 0;
+    this.total = 0;
+    this.now = now;
+  }
+
+  start() : void {
+    if (this.active === 0) {
+      this.since = this.now();
+    }
+    this.active += 1;
+  }
+
+  stop() : void {
+    this.active -= 1;
+    if (this.active === 0) {
+      this.total += this.now() - this.since;
+    }
+  }
+
+  elapsed() : number {
+    return this.total + (this.active > 0 ? this.now() - this.since : 0);
+  }
+}
+
+/*
+ * Traces one command's requests and times its phases.
+ */
+export class Tracer {
+  command: string
+  verbose: boolean
+  started: number
+  entries: Array<TraceEntry>
+  pending: { [number]: TraceEntry }
+  phases: { [string]: PhaseTimer }
+  slowRequestTimer: any
+  now: () => number
+
+  /*
+   * @command (string) the command being traced, for the summary
+   * @verbose (boolean) whether to log each request to stderr
+   * @now (function) OPTIONAL: the clock, in milliseconds
+   */
+  constructor(command: string, verbose: boolean, now: () => number = Date.now) {
+    this.command = command;
+    this.verbose = verbose;
+    this.now = now;
+    this.started = now();
+    this.entries = [];
+    this.pending = {};
+    this.phases = {};
+    for (const phase of Object.keys(TRACE_PHASES)) {
+      this.phases[phase] = new PhaseTimer(now);
+    }
+    this.slowRequestTimer = null;
+  }
+
+  log(message: string) : void {
+    if (this.verbose) {
+      console.error(`[trace] ${message}`);
+    }
+  }
+
+  /*
+   * Time some work.  If it returns a Promise, it is timed until the
+   * Promise settles.
+   * @phase (string) one of TRACE_PHASES
+   * @work (function) the work to do
+   */
+  time<T>(phase: string, work: () => T) : T {
+    const timer = this.phases[phase];
+    timer.start();
+    let result;
+    try {
+      result = work();
+    }
+    catch (e) {
+      timer.stop();
+      throw e;
+    }
+    if (result && typeof (result: any).then === 'function') {
+      return ((result: any).then((value) => {
+        timer.stop();
+        return value;
+      }, (e) => {
+        timer.stop();
+        throw e;
+      }): any);
+    }
+    timer.stop();
+    return result;
+  }
+
+  /*
+   * fetch() a request, tracing it.
+   * @realFetch (function) the fetch() to trace
+   * @url (string|Request) the URL
+   * @init (Object) the fetch() options
+   */
+  fetch(realFetch: Function, url: any, init: ?Object) : Promise<*> {
+    const options = init || {};
+    const entry: TraceEntry = {
+      id: this.entries.length + 1,
+      method: (options.method || (typeof url === 'string' ? 'GET' : url.method) || 'GET').toUpperCase(),
+      url: redactUrl(typeof url === 'string' ? url : url.url),
+      requestHeaders: redactHeaders(getHeaders(options.headers)),
+      requestBytes: getBodySize(options.body),
+      started: this.now(),
+      status: null,
+      statusText: null,
+      responseHeaders: {},
+      responseBytes: null,
+      headersTime: null,
+      duration: null,
+      error: null
+    };
+    this.entries.push(entry);
+    this.pending[entry.id] = entry;
+    this.phases.network.start();
+    this.watchSlowRequests();
+    this.log(`#${entry.id} ${entry.method} ${entry.url}` +
+             (entry.requestBytes > 0 ? ` (${entry.requestBytes} bytes)` : ''));
+
+    const finish = (error: ?Error) => {
+      const duration = this.now() - entry.started;
+      entry.duration = duration;
+      delete this.pending[entry.id];
+      this.phases.network.stop();
+      if (error) {
+        entry.error = error.message;
+        this.log(`#${entry.id} failed after ${duration} ms: ${error.message}`);
+      }
+      else {
+        this.log(`#${entry.id} ${String(entry.status)} ${entry.method} ${entry.url}: ` +
+                 `${String(entry.responseBytes)} bytes in ${duration} ms`);
+      }
+    };
+
+    return Promise.resolve().then(() => realFetch(url, init))
+      .then((resp) => {
+        entry.headersTime = this.now() - entry.started;
+        entry.status = resp.status;
+        entry.statusText = resp.statusText;
+        entry.responseHeaders = redactHeaders(getHeaders(resp.headers));
+        // count the body's bytes from a copy, so the caller can still read it
+        resp.clone().arrayBuffer()
+          .then((body) => {
+            entry.responseBytes = body.byteLength;
+            finish(null);
+          })
+          .catch((e) => finish(e));
+        return resp;
+      })
+      .catch((e) => {
+        if (entry.duration === null) {
+          finish(e);
+        }
+        throw e;
+      });
+  }
+
+  /*
+   * Every so often, report the requests that have not finished.
+   */
+  watchSlowRequests() : void {
+    if (this.slowRequestTimer || !this.verbose) {
+      return;
+    }
+    this.slowRequestTimer = setInterval(() => {
+      const now = this.now();
+      const slow = Object.keys(this.pending).map((id) => this.pending[parseInt(id)])
+        .filter((entry) => now - entry.started >= SLOW_REQUEST_INTERVAL);
+      for (const entry of slow) {
+        this.log(`#${entry.id} still waiting after ${now - entry.started} ms: ` +
+                 `${entry.method} ${entry.url}`);
+      }
+      if (Object.keys(this.pending).length === 0) {
+        clearInterval(this.slowRequestTimer);
+        this.slowRequestTimer = null;
+      }
+    }, SLOW_REQUEST_INTERVAL);
+    // a Timeout in node, which Flow takes for a number
+    (this.slowRequestTimer: any).unref();
+  }
+
+  /*
+   * Summarize the time spent so far, and the requests made.
+   */
+  getSummary() : Object {
+    const finished = this.entries.filter((entry) => entry.duration !== null);
+    const sum = (values) => values.reduce((total, value) => total + value, 0);
+    return {
+      command: this.command,
+      totalTime: this.now() - this.started,
+      networkTime: this.phases.network.elapsed(),
+      keyDerivationTime: this.phases.keyDerivation.elapsed(),
+      signingTime: this.phases.signing.elapsed(),
+      requests: this.entries.length,
+      failedRequests: finished.filter((entry) => !!entry.error).length,
+      unfinishedRequests: this.entries.length - finished.length,
+      bytesSent: sum(this.entries.map((entry) => Math.max(entry.requestBytes, 0))),
+      bytesReceived: sum(finished.map((entry) => entry.responseBytes || 0))
+    };
+  }
+
+  /*
+   * Log the requests that never finished.
+   */
+  reportUnfinished() : void {
+    const now = this.now();
+    for (const id of Object.keys(this.pending)) {
+      const entry = this.pending[parseInt(id)];
+      this.log(`#${entry.id} never finished (waited ${now - entry.started} ms): ` +
+               `${entry.method} ${entry.url}`);
+    }
+  }
+
+  formatSummary() : string {
+    const summary = this.getSummary();
+    return `${summary.command}: ${summary.totalTime} ms in all; ` +
+      `${TRACE_PHASES.network} ${summary.networkTime} ms ` +
+      `(${summary.requests} requests, ${summary.failedRequests} failed, ` +
+      `${summary.unfinishedRequests} unfinished; ` +
+      `${summary.bytesSent} bytes sent, ${summary.bytesReceived} received); ` +
+      `${TRACE_PHASES.keyDerivation} ${summary.keyDerivationTime} ms; ` +
+      `${TRACE_PHASES.signing} ${summary.signingTime} ms`;
+  }
+
+  /*
+   * Make a HAR (HTTP Archive) log of the requests.
+   */
+  toHAR() : Object {
+    const toHARHeaders = (headers) =>
+      Object.keys(headers).map((name) => ({ name, value: headers[name] }));
+    const entries = this.entries.map((entry) => {
+      const queryIndex = entry.url.indexOf('?');
+      const queryString = queryIndex < 0 ? [] :
+        entry.url.slice(queryIndex + 1).split('#')[0].split('&')
+          .filter((param) => param.length > 0)
+          .map((param) => {
+            const eq = param.indexOf('=');
+            return eq < 0 ? { name: param, value: '' } :
+              { name: param.slice(0, eq), value: param.slice(eq + 1) };
+          });
+      const wait = entry.headersTime !== null && entry.headersTime !== undefined ?
+        entry.headersTime : (entry.duration || 0);
+      const harEntry: Object = {
+        startedDateTime: new Date(entry.started).toISOString(),
+        time: entry.duration !== null && entry.duration !== undefined ? entry.duration : -1,
+        request: {
+          method: entry.method,
+          url: entry.url,
+          httpVersion: 'HTTP/1.1',
+          cookies: [],
+          headers: toHARHeaders(entry.requestHeaders),
+          queryString,
+          headersSize: -1,
+          bodySize: entry.requestBytes
+        },
+        response: {
+          status: entry.status || 0,
+          statusText: entry.statusText || '',
+          httpVersion: 'HTTP/1.1',
+          cookies: [],
+          headers: toHARHeaders(entry.responseHeaders),
+          content: {
+            size: entry.responseBytes !== null && entry.responseBytes !== undefined ?
+              entry.responseBytes : -1,
+            mimeType: entry.responseHeaders['content-type'] || 'x-unknown'
+          },
+          redirectURL: entry.responseHeaders.location || '',
+          headersSize: -1,
+          bodySize: entry.responseBytes !== null && entry.responseBytes !== undefined ?
+            entry.responseBytes : -1
+        },
+        cache: {},
+        timings: {
+          send: 0,
+          wait,
+          receive: entry.duration !== null && entry.duration !== undefined ?
+            Math.max(entry.duration - wait, 0) : -1
+        }
+      };
+      if (entry.error) {
+        harEntry._error = entry.error;
+      }
+      return harEntry;
+    });
+
+    return {
+      log: {
+        version: HAR_VERSION,
+        creator: { name: 'blockstack-cli', version: getCLIVersion() },
+        pages: [],
+        entries,
+        comment: this.formatSummary()
+      }
+    };
+  }
+
+  /*
+   * Write the requests to a HAR file.
+   * @path (string) the file to write
+   */
+  writeHAR(path: string) : void {
+    const harPath = expandHomeDir(path);
+    try {
+      fs.writeFileSync(harPath, JSON.stringify(this.toHAR(), null, 2));
+    }
+    catch (e) {
+      throw new ValidationError(`Failed to write HAR file ${harPath}: ${e.message}`);
+    }
+  }
+}
+
+function getCLIVersion() : string {
+  try {
+    return require('../package.json').version;
+  }
+  catch (e) {
+    return 'unknown';
+  }
+}
+
+let currentTracer: ?Tracer = null;
+
+/*
+ * Time some work with the tracer in use, if there is one.
+ * @phase (string) one of TRACE_PHASES
+ * @work (function) the work to do
+ */
+export function timePhase<T>(phase: string, work: () => T) : T {
+  return currentTracer ? currentTracer.time(phase, work) : work();
+}
+
+/*
+ * Time calls to a method as a phase.
+ */
+function timeMethod(prototype: Object, method: string, phase: string) : void {
+  const original = prototype[method];
+  prototype[method] = function tracedMethod(...args) {
+    return timePhase(phase, () => original.apply(this, args));
+  };
+}
+
+/*
+ * Trace every fetch(), and time signing.  Transactions and tokens are
+ * signed inside blockstack.js as well as here, so the signing methods
+ * themselves are timed.  This must be done after a cassette is used (so
+ * replayed requests are traced too) and before the network adapter is made.
+ * @tracer (Tracer) the tracer
+ */
+export function useTracer(tracer: Tracer) : void {
+  if (!currentTracer) {
+    const realFetch = global.fetch;
+    global.fetch = (url: any, init: ?Object) =>
+      (currentTracer ? currentTracer.fetch(realFetch, url, init) : realFetch(url, init));
+    timeMethod(bitcoin.TransactionBuilder.prototype, 'sign', 'signing');
+    timeMethod(jsontokens.TokenSigner.prototype, 'sign', 'signing');
+  }
+  currentTracer = tracer;
+}
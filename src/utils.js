@@ -23,6 +23,8 @@ import {
   PRIVATE_KEY_PATTERN,
   PRIVATE_KEY_MULTISIG_PATTERN,
   PRIVATE_KEY_SEGWIT_P2SH_PATTERN,
+  WATCH_ONLY_KEY_PATTERN,
+  EXTERNAL_SIGNER_PATTERN,
   ID_ADDRESS_PATTERN
 } from './argparse';
 
@@ -34,6 +36,17 @@ import {
   decryptBackupPhrase
 } from './encrypt';
 
+import {
+  ERROR_CODES,
+  NotFoundError,
+  ValidationError
+} from './errors';
+
+import {
+  ExternalSigner,
+  getExternalSigner
+} from './signers';
+
 import {
   getOwnerKeyInfo,
   getApplicationKeyInfo,
@@ -157,14 +170,127 @@ export class SegwitP2SHKeySigner implements TransactionSigner {
   }
 }
 
-export class SafetyError extends Error {
-  safetyErrors: Object
-  constructor(safetyErrors: Object) {
-    super(JSONStringify(safetyErrors, true));
-    this.safetyErrors = safetyErrors;
+
+/*
+ * A signer that only knows the public keys of an address.  It signs nothing,
+ * so the transactions made with it are left for other machines to sign (see
+ * psbt.js).
+ */
+export class WatchOnlySigner implements TransactionSigner {
+  address: string
+  outputScript: Buffer
+  redeemScript: ?Buffer
+  witnessScript: ?Buffer
+
+  constructor(address: string, redeemScript: ?Buffer = null, witnessScript: ?Buffer = null) {
+    this.address = address;
+    this.redeemScript = redeemScript;
+    this.witnessScript = witnessScript;
+    if (redeemScript) {
+      this.outputScript = bitcoinjs.payments.p2sh({ redeem: { output: redeemScript } }).output;
+    }
+    else {
+      this.outputScript = bitcoinjs.payments.p2pkh({
+        hash: bitcoinjs.address.fromBase58Check(address).hash }).output;
+    }
+  }
+
+  getAddress() : Promise<string> {
+    return Promise.resolve().then(() => this.address);
+  }
+
+  signTransaction() : Promise<void> {
+    return Promise.resolve();
   }
 }
 
+/*
+ * Make a signer for the address of a public key, or of an m-of-n bundle of them,
+ * as a MultiSigKeySigner or SegwitP2SHKeySigner would.
+ * @m (number) how many signatures are needed, or null for a single key
+ * @pubkeys (Array<Buffer>) the public keys
+ * @segwit (boolean) whether the address is a segwit p2sh address
+ */
+function makeWatchOnlySignerFromPublicKeys(m: ?number, pubkeys: Array<Buffer>, segwit: boolean)
+  : WatchOnlySigner {
+  const layer1 = blockstack.config.network.layer1;
+  if (m === null || m === undefined) {
+    const address = bitcoinjs.address.toBase58Check(
+      bitcoinjs.crypto.hash160(pubkeys[0]), layer1.pubKeyHash);
+    return new WatchOnlySigner(address);
+  }
+
+  let redeemScript;
+  let witnessScript = null;
+  if (!segwit) {
+    redeemScript = bitcoinjs.payments.p2ms({ m, pubkeys }).output;
+  }
+  else if (m === 1) {
+    redeemScript = bitcoinjs.payments.p2wpkh({ pubkey: pubkeys[0] }).output;
+  }
+  else {
+    const p2wsh = bitcoinjs.payments.p2wsh({ redeem: bitcoinjs.payments.p2ms({ m, pubkeys }) });
+    redeemScript = p2wsh.output;
+    witnessScript = p2wsh.redeem.output;
+  }
+  const address = bitcoinjs.address.toBase58Check(
+    bitcoinjs.crypto.hash160(redeemScript), layer1.scriptHash);
+  return new WatchOnlySigner(address, redeemScript, witnessScript);
+}
+
+/*
+ * Parse a string into a WatchOnlySigner.
+ * The string has the format "pubkey:pk", "pubkey:m,pk1,pk2,...,pkn", or
+ * "pubkey:segwit:p2sh:m,pk1,pk2,...,pkn"
+ * @serializedPublicKeys (string) the above string
+ * @return a WatchOnlySigner instance
+ */
+export function parseWatchOnlyKeys(serializedPublicKeys: string) : WatchOnlySigner {
+  const matches = serializedPublicKeys.match(WATCH_ONLY_KEY_PATTERN);
+  if (!matches) {
+    throw new Error('Invalid public key string');
+  }
+
+  const keys = serializedPublicKeys.slice('pubkey:'.length);
+  const segwit = keys.startsWith('segwit:p2sh:');
+  const parts = keys.replace(/^segwit:p2sh:/, '').split(',');
+  if (parts.length === 1) {
+    return makeWatchOnlySignerFromPublicKeys(null, [Buffer.from(parts[0], 'hex')], false);
+  }
+
+  const m = parseInt(parts[0]);
+  const pubkeys = parts.slice(1).map((pk) => Buffer.from(pk, 'hex'));
+  if (m < 1 || m > pubkeys.length) {
+    throw new Error(`Invalid m-of-n public key string: m is ${m}, n is ${pubkeys.length}`);
+  }
+  return makeWatchOnlySignerFromPublicKeys(m, pubkeys, segwit);
+}
+
+/*
+ * Get a signer that knows a key's addresses and scripts, but does not sign.
+ * @key (string|TransactionSigner) a private key, a key bundle, or a WatchOnlySigner
+ * @return a WatchOnlySigner instance
+ */
+export function makeWatchOnlySigner(key: string | TransactionSigner) : WatchOnlySigner {
+  if (typeof key === 'string') {
+    return makeWatchOnlySignerFromPublicKeys(
+      null, [Buffer.from(getPublicKeyFromPrivateKey(key), 'hex')], false);
+  }
+  else if (key instanceof WatchOnlySigner) {
+    return key;
+  }
+  else if (key instanceof MultiSigKeySigner) {
+    return new WatchOnlySigner(key.address, key.redeemScript);
+  }
+  else if (key instanceof SegwitP2SHKeySigner) {
+    return new WatchOnlySigner(key.address, key.redeemScript,
+                               key.witnessScript.length > 0 ? key.witnessScript : null);
+  }
+  else if (key instanceof ExternalSigner) {
+    return makeWatchOnlySignerFromPublicKeys(null, [key.publicKey], false);
+  }
+  throw new ValidationError('This kind of key cannot be used to make a PSBT');
+}
 
 /*
  * Parse a string into a MultiSigKeySigner.
@@ -264,7 +390,7 @@ export function parseSegwitP2SHKeys(serializedPrivateKeys: string) : SegwitP2SHK
 /*
  * Decode one or more private keys from a string.
  * Can be used to parse single private keys (as strings),
- * or multisig bundles (as TransactionSigners)
+ * or multisig bundles, public keys, and external signers (as TransactionSigners)
  * @serializedPrivateKey (string) the private key, encoded
  * @return a TransactionSigner or a String
  */
@@ -287,6 +413,18 @@ export function decodePrivateKey(serializedPrivateKey: string) : string | Transa
     return parseSegwitP2SHKeys(serializedPrivateKey);
   }
 
+  const watchOnlyMatches = serializedPrivateKey.match(WATCH_ONLY_KEY_PATTERN);
+  if (!!watchOnlyMatches) {
+    // public keys only, for unsigned transactions
+    return parseWatchOnlyKeys(serializedPrivateKey);
+  }
+
+  const externalSignerMatches = serializedPrivateKey.match(EXTERNAL_SIGNER_PATTERN);
+  if (!!externalSignerMatches) {
+    // a key that another program holds (see signers.js)
+    return getExternalSigner(serializedPrivateKey);
+  }
+
   throw new Error('Unparseable private key');
 }
 
@@ -390,7 +528,8 @@ export function makeProfileJWT(profileData: Object, privateKey: string) : string
 
 /*
  * Broadcast a transaction and a zone file.
- * Returns an object that encodes the success/failure of doing so.
+ * Returns an object that encodes the success/failure of doing so
+ * (failures have the code NETWORK).
  * If zonefile is None, then only the transaction will be sent.
  */
 export function broadcastTransactionAndZoneFile(network: Object,
@@ -414,6 +553,7 @@ export function broadcastTransactionAndZoneFile(network: Object,
       return {
         'status': false,
         'error': 'Failed to broadcast zone file',
+        'code': ERROR_CODES.NETWORK,
         'txid': txid
       };
     }
@@ -428,6 +568,7 @@ export function broadcastTransactionAndZoneFile(network: Object,
     return {
       'status': false,
       'error': 'Caught exception sending transaction or zone file',
+      'code': ERROR_CODES.NETWORK,
       'message': e.message,
       'stacktrace': e.stack
     }
@@ -471,7 +612,7 @@ export function nameLookup(network: Object, name: string, includeProfile?: boole
   })
   .then(([profile, zonefile, nameInfo]) => {
     if (!nameInfo) {
-      throw new Error('Name not found')
+      throw new NotFoundError('Name not found')
     }
     if (nameInfo.hasOwnProperty('grace_period') && nameInfo.grace_period) {
       throw new Error(`Name is expired at block ${nameInfo.expire_block} ` +
@@ -525,6 +666,19 @@ export function getpass(promptStr: string, cb: (passwd: string) => void) {
   return;
 }
 
+// decrypted backup phrases, keyed by ciphertext (null if not caching)
+let backupPhraseCache : ?{ [string]: string } = null;
+
+/*
+ * Enable or disable keeping decrypted backup phrases in RAM, so a long-running
+ * session (like the shell) only prompts for each password once.
+ * Disabling it forgets all decrypted backup phrases.
+ * @enabled (boolean) whether or not to cache decrypted backup phrases
+ */
+export function setBackupPhraseCaching(enabled: boolean) : void {
+  backupPhraseCache = enabled ? {} : null;
+}
+
 /*
  * Extract a 12-word backup phrase.  If the raw 12-word phrase is given, it will
  * be returned.  If the ciphertext is given, the user will be prompted for a password
@@ -535,6 +689,11 @@ export function getBackupPhrase(backupPhraseOrCiphertext: string, password: ?str
     // raw backup phrase 
     return Promise.resolve().then(() => backupPhraseOrCiphertext);
   }
+  else if (!!backupPhraseCache && backupPhraseCache.hasOwnProperty(backupPhraseOrCiphertext)) {
+    // already decrypted
+    const cache = backupPhraseCache;
+    return Promise.resolve().then(() => cache[backupPhraseOrCiphertext]);
+  }
   else {
     // ciphertext 
     return new Promise((resolve, reject) => {
@@ -549,7 +708,13 @@ export function getBackupPhrase(backupPhraseOrCiphertext: string, password: ?str
         });
       }
     })
-    .then((pass) => decryptBackupPhrase(Buffer.from(backupPhraseOrCiphertext, 'base64'), pass));
+    .then((pass) => decryptBackupPhrase(Buffer.from(backupPhraseOrCiphertext, 'base64'), pass))
+    .then((backupPhrase) => {
+      if (!!backupPhraseCache) {
+        backupPhraseCache[backupPhraseOrCiphertext] = backupPhrase;
+      }
+      return backupPhrase;
+    });
   }
 }
 
@@ -0,0 +1,812 @@
+/* @flow */
+
+import crypto from 'crypto';
+import logger from 'winston';
+const blockstack = require('blockstack');
+const bitcoin = require('bitcoinjs-lib');
+const URL = require('url');
+
+import {
+  AuthenticationError,
+  NetworkError,
+  NotFoundError,
+  ValidationError
+} from './errors';
+
+import {
+  openConnection
+} from './transport';
+
+/*
+ * The services the CLI asks for UTXOs, transactions, block heights, and fee
+ * estimates, and sends transactions to.  Each one has the methods of a
+ * blockstack.js BitcoinNetwork, so it can be given to a BlockstackNetwork
+ * as its "btc".
+ * Which one is used, and where it is, comes from the utxoProvider and
+ * utxoServiceUrl settings (see makeUTXOProvider()).
+ */
+
+export const UTXO_PROVIDERS = ['blockchain.info', 'bitcoind', 'electrum', 'esplora'];
+
+// how many blocks a transaction should take to confirm, when estimating fees
+export const DEFAULT_FEE_TARGET = 6;
+
+// how cautious fee estimates are: "economical" ones react to the last few
+// blocks, and "conservative" ones to a longer history, so they are less
+// likely to be too low if fees go up
+export const FEE_MODES = ['economical', 'conservative'];
+export const DEFAULT_FEE_MODE = 'conservative';
+
+// what blockstack.js's getTransactionInfo() callers look for
+const UNCONFIRMED_TRANSACTION = 'Unconfirmed transaction';
+
+// bitcoind's credentials on the regtest and testnet nodes
+const REGTEST_BITCOIND_CREDENTIALS = { username: 'blockstack', password: 'blockstacksystem' };
+
+const SATOSHIS_PER_BTC = 1e8;
+const BYTES_PER_KILOBYTE = 1000;
+
+const ELECTRUM_PROTOCOL_VERSION = '1.4';
+const ELECTRUM_DEFAULT_PORTS = { 'tcp:': 50001, 'ssl:': 50002 };
+// how long to wait for an Electrum server to answer, in milliseconds
+const ELECTRUM_TIMEOUT = 30 * 1000;
+
+export type UTXO = {
+  value: number,
+  confirmations: number,
+  tx_hash: string,
+  tx_output_n: number
+};
+
+/*
+ * Turn a fee rate in BTC per kilobyte (as bitcoind and Electrum servers give
+ * them) into satoshis per byte, rounded up so as not to underpay.
+ */
+function btcPerKilobyteToSatoshisPerByte(feeRate: number) : number {
+  return Math.ceil(feeRate * SATOSHIS_PER_BTC / BYTES_PER_KILOBYTE);
+}
+
+/*
+ * Get the output script that pays an address.  Addresses of either Bitcoin
+ * network are accepted, since the CLI coerces them back and forth.
+ */
+export function getOutputScript(address: string) : Buffer {
+  let decoded;
+  try {
+    decoded = bitcoin.address.fromBase58Check(address);
+  }
+  catch (e) {
+    for (const network of [bitcoin.networks.bitcoin, bitcoin.networks.testnet]) {
+      try {
+        return bitcoin.address.toOutputScript(address, network);
+      }
+      catch (e2) {
+        // try the next network
+      }
+    }
+    throw new ValidationError(`Invalid address ${address}`);
+  }
+  const networks = [bitcoin.networks.bitcoin, bitcoin.networks.testnet];
+  if (networks.some((network) => network.pubKeyHash === decoded.version)) {
+    return bitcoin.payments.p2pkh({ hash: decoded.hash }).output;
+  }
+  if (networks.some((network) => network.scriptHash === decoded.version)) {
+    return bitcoin.payments.p2sh({ hash: decoded.hash }).output;
+  }
+  throw new ValidationError(`Unsupported address version ${decoded.version} in ${address}`);
+}
+
+/*
+ * Get the script hash that Electrum servers index an address's outputs by:
+ * the SHA256 of its output script, as little-endian hex.
+ */
+export function getScriptHash(address: string) : string {
+  return crypto.createHash('sha256').update(getOutputScript(address)).digest()
+    .reverse().toString('hex');
+}
+
+/*
+ * What every UTXO provider does.  Subclasses implement getUTXOs(),
+ * getTransactionInfo(), getRawTransaction(), getBlockHeight(), getBlockHash(),
+ * broadcastTransaction(), and estimateFeeRate().
+ */
+export class UTXOProvider {
+  utxoProviderUrl: string
+
+  /*
+   * @url (string) where the service is
+   */
+  constructor(url: string) {
+    this.utxoProviderUrl = url;
+  }
+
+  /*
+   * Get an address's unspent outputs, confirmed or not.
+   * @return a Promise to a list of {value, confirmations, tx_hash, tx_output_n}
+   */
+  getUTXOs(address: string) : Promise<Array<UTXO>> {
+    return Promise.reject(new Error(`Not implemented, getUTXOs(${address})`));
+  }
+
+  // what blockstack.js calls getUTXOs()
+  getNetworkedUTXOs(address: string) : Promise<Array<UTXO>> {
+    return this.getUTXOs(address);
+  }
+
+  /*
+   * Get the height of the block a transaction is in.  Rejects with
+   * "Unconfirmed transaction" if it is not in one yet.
+   * @return a Promise to {block_height}
+   */
+  getTransactionInfo(txid: string) : Promise<Object> {
+    return Promise.reject(new Error(`Not implemented, getTransactionInfo(${txid})`));
+  }
+
+  /*
+   * Get a transaction, so the outputs it makes can be looked at.  Rejects
+   * with a NotFoundError if there is no such transaction.
+   * @return a Promise to the transaction, as hex
+   */
+  getRawTransaction(txid: string) : Promise<string> {
+    return Promise.reject(new Error(`Not implemented, getRawTransaction(${txid})`));
+  }
+
+  getBlockHeight() : Promise<number> {
+    return Promise.reject(new Error('Not implemented, getBlockHeight()'));
+  }
+
+  /*
+   * Get the hash of the block at a height in the best chain, so that reorgs
+   * can be noticed.  Rejects with a NotFoundError if there is no such block yet.
+   * @return a Promise to the block hash, as hex
+   */
+  getBlockHash(blockHeight: number) : Promise<string> {
+    return Promise.reject(new Error(`Not implemented, getBlockHash(${blockHeight})`));
+  }
+
+  /*
+   * Send a transaction.
+   * @return a Promise to its txid
+   */
+  broadcastTransaction(transaction: string) : Promise<string> {
+    return Promise.reject(new Error(`Not implemented, broadcastTransaction(${transaction})`));
+  }
+
+  /*
+   * Estimate the fee rate that gets a transaction confirmed within a number
+   * of blocks.  Subclasses take how many blocks it may take to confirm
+   * (DEFAULT_FEE_TARGET if not given) and, if the service has more than one
+   * kind of estimate, one of FEE_MODES.  This one cannot estimate fees.
+   * @return a Promise to satoshis per byte, or null if the service cannot say
+   */
+  estimateFeeRate() : Promise<?number> {
+    return Promise.resolve(null);
+  }
+
+  describe() : string {
+    return this.utxoProviderUrl;
+  }
+}
+
+/*
+ * blockchain.info's API.  It has no fee estimates, so blockstack.js's
+ * fee estimation service is used with it.
+ */
+export class BlockchainInfoProvider extends UTXOProvider {
+  api: Object
+
+  constructor(url: string) {
+    super(url);
+    this.api = new blockstack.network.BlockchainInfoApi(url);
+  }
+
+  getUTXOs(address: string) : Promise<Array<UTXO>> {
+    return this.api.getNetworkedUTXOs(address);
+  }
+
+  getTransactionInfo(txid: string) : Promise<Object> {
+    return this.api.getTransactionInfo(txid);
+  }
+
+  getRawTransaction(txid: string) : Promise<string> {
+    const url = `${this.utxoProviderUrl.replace(/\/+$/, '')}/rawtx/${txid}?format=hex`;
+    return fetch(url)
+      .then((resp) => {
+        if (resp.status === 404) {
+          throw new NotFoundError(`No such transaction ${txid}`);
+        }
+        if (resp.status !== 200) {
+          throw new NetworkError(`${url} failed with status ${resp.status}`, { status: resp.status });
+        }
+        return resp.text();
+      })
+      .then((txHex) => txHex.trim());
+  }
+
+  getBlockHeight() : Promise<number> {
+    return this.api.getBlockHeight();
+  }
+
+  getBlockHash(blockHeight: number) : Promise<string> {
+    const url = `${this.utxoProviderUrl.replace(/\/+$/, '')}/block-height/${blockHeight}?format=json`;
+    return fetch(url)
+      .then((resp) => {
+        if (resp.status === 404) {
+          throw new NotFoundError(`No block at height ${blockHeight}`);
+        }
+        if (resp.status !== 200) {
+          throw new NetworkError(`${url} failed with status ${resp.status}`, { status: resp.status });
+        }
+        return resp.json();
+      })
+      .then((body) => {
+        // there can be stale blocks at the same height
+        const block = (body.blocks || []).find((candidate) => candidate.main_chain);
+        if (!block) {
+          throw new NotFoundError(`No block at height ${blockHeight}`);
+        }
+        return block.hash;
+      });
+  }
+
+  broadcastTransaction(transaction: string) : Promise<string> {
+    // as a form, which both Node's fetch() and node-fetch can send
+    // (blockstack.js sends a form-data object, which Node's fetch() cannot)
+    const url = `${this.utxoProviderUrl.replace(/\/+$/, '')}/pushtx?cors=true`;
+    const form = new URLSearchParams();
+    form.append('tx', transaction);
+    return fetch(url, { method: 'POST', body: form })
+      .then((resp) => resp.text().then((respText) => {
+        if (respText.toLowerCase().indexOf('transaction submitted') < 0) {
+          throw new NetworkError(`Broadcast transaction failed with message: ${respText}`,
+                                 { status: resp.status });
+        }
+        return bitcoin.Transaction.fromHex(transaction).getId();
+      }));
+  }
+
+  describe() : string {
+    return `blockchain.info at ${this.utxoProviderUrl}`;
+  }
+}
+
+/*
+ * A bitcoind node's JSON-RPC interface.  Its wallet must be enabled, since
+ * addresses are imported (without a rescan) so their UTXOs can be listed.
+ */
+export class BitcoindProvider extends UTXOProvider {
+  username: ?string
+  password: ?string
+  importedAddresses: { [string]: boolean }
+
+  /*
+   * @url (string) the RPC URL
+   * @credentials (Object) the RPC username and password, if it needs them
+   */
+  constructor(url: string, credentials: ?{ username: ?string, password: ?string } = null) {
+    super(url);
+    this.username = credentials ? credentials.username : null;
+    this.password = credentials ? credentials.password : null;
+    this.importedAddresses = {};
+  }
+
+  /*
+   * Call an RPC method.  Throws a NetworkError with the node's error
+   * code if it fails.
+   */
+  rpc(method: string, params: Array<any> = []) : Promise<any> {
+    const headers: Object = { 'Content-Type': 'application/json' };
+    if (this.username || this.password) {
+      const credentials = `${this.username || ''}:${this.password || ''}`;
+      headers.Authorization = `Basic ${Buffer.from(credentials).toString('base64')}`;
+    }
+    return fetch(this.utxoProviderUrl, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify({ jsonrpc: '1.0', id: 'blockstack-cli', method, params })
+    })
+      .then((resp) => {
+        if (resp.status === 401 || resp.status === 403) {
+          throw new AuthenticationError(`bitcoind at ${this.utxoProviderUrl} rejected the ` +
+                                        'RPC credentials (see bitcoindUsername and bitcoindPassword)');
+        }
+        return resp.text().then((text) => {
+          let body;
+          try {
+            body = JSON.parse(text);
+          }
+          catch (e) {
+            throw new NetworkError(`bitcoind ${method} failed with status ${resp.status}`,
+                                   { status: resp.status });
+          }
+          if (body.error) {
+            throw new NetworkError(`bitcoind ${method} failed: ${body.error.message}`,
+                                   { rpcCode: body.error.code });
+          }
+          return body.result;
+        });
+      });
+  }
+
+  getUTXOs(address: string) : Promise<Array<UTXO>> {
+    const imported = this.importedAddresses[address] ? Promise.resolve() :
+      this.rpc('importaddress', [address, '', false])
+        .then(() => {
+          this.importedAddresses[address] = true;
+        });
+    return imported
+      .then(() => this.rpc('listunspent', [0, 9999999, [address]]))
+      .then((utxos) => utxos.map((utxo) => ({
+        value: Math.round(utxo.amount * SATOSHIS_PER_BTC),
+        confirmations: utxo.confirmations,
+        tx_hash: utxo.txid,
+        tx_output_n: utxo.vout
+      })));
+  }
+
+  getTransactionInfo(txid: string) : Promise<Object> {
+    return this.rpc('gettransaction', [txid])
+      .catch((e) => {
+        // RPC_INVALID_ADDRESS_OR_KEY
+        if (e.details && e.details.rpcCode === -5) {
+          throw new NotFoundError(`No such transaction ${txid}`);
+        }
+        throw e;
+      })
+      .then((tx) => {
+        if (!tx.blockhash) {
+          throw new NetworkError(UNCONFIRMED_TRANSACTION);
+        }
+        return this.rpc('getblockheader', [tx.blockhash]);
+      })
+      .then((header) => ({ block_height: header.height }));
+  }
+
+  getRawTransaction(txid: string) : Promise<string> {
+    return this.rpc('getrawtransaction', [txid])
+      .catch((e) => {
+        if (e.details && e.details.rpcCode === -5) {
+          throw new NotFoundError(`No such transaction ${txid}`);
+        }
+        throw e;
+      });
+  }
+
+  getBlockHeight() : Promise<number> {
+    return this.rpc('getblockcount');
+  }
+
+  getBlockHash(blockHeight: number) : Promise<string> {
+    return this.rpc('getblockhash', [blockHeight])
+      .catch((e) => {
+        // RPC_INVALID_PARAMETER, i.e. the height is out of range
+        if (e.details && e.details.rpcCode === -8) {
+          throw new NotFoundError(`No block at height ${blockHeight}`);
+        }
+        throw e;
+      });
+  }
+
+  broadcastTransaction(transaction: string) : Promise<string> {
+    return this.rpc('sendrawtransaction', [transaction]);
+  }
+
+  estimateFeeRate(targetBlocks: number = DEFAULT_FEE_TARGET, mode: string = DEFAULT_FEE_MODE)
+    : Promise<?number> {
+    return this.rpc('estimatesmartfee', [targetBlocks, mode.toUpperCase()])
+      .then((estimate) => {
+        if (!estimate || !estimate.feerate || estimate.feerate <= 0) {
+          // e.g. "Insufficient data or no feerate found" on a fresh node
+          logger.debug(`bitcoind has no fee estimate: ${JSON.stringify(estimate)}`);
+          return null;
+        }
+        return btcPerKilobyteToSatoshisPerByte(estimate.feerate);
+      });
+  }
+
+  describe() : string {
+    return `bitcoind at ${this.utxoProviderUrl}`;
+  }
+}
+
+/*
+ * An Esplora-style REST API (e.g. https://blockstream.info/api).
+ */
+export class EsploraProvider extends UTXOProvider {
+  /*
+   * GET or POST an API path, and read the response as text.
+   * Resolves to null if it is not found.
+   */
+  request(path: string, init: ?Object = null) : Promise<string | null> {
+    const url = `${this.utxoProviderUrl.replace(/\/+$/, '')}${path}`;
+    return fetch(url, init || undefined)
+      .then((resp) => resp.text().then((text) => {
+        if (resp.status === 404) {
+          return null;
+        }
+        if (resp.status !== 200) {
+          throw new NetworkError(`${url} failed with status ${resp.status}: ${text}`,
+                                 { status: resp.status });
+        }
+        return text;
+      }));
+  }
+
+  requestJSON(path: string) : Promise<any> {
+    return this.request(path).then((text) => {
+      if (text === null) {
+        return null;
+      }
+      try {
+        return JSON.parse(text);
+      }
+      catch (e) {
+        throw new NetworkError(`Invalid JSON from ${this.utxoProviderUrl}${path}`);
+      }
+    });
+  }
+
+  getUTXOs(address: string) : Promise<Array<UTXO>> {
+    return Promise.all([this.getBlockHeight(), this.requestJSON(`/address/${address}/utxo`)])
+      .then(([blockHeight, utxos]) => (utxos || []).map((utxo) => ({
+        value: utxo.value,
+        confirmations: utxo.status && utxo.status.confirmed ?
+          blockHeight - utxo.status.block_height + 1 : 0,
+        tx_hash: utxo.txid,
+        tx_output_n: utxo.vout
+      })));
+  }
+
+  getTransactionInfo(txid: string) : Promise<Object> {
+    return this.requestJSON(`/tx/${txid}/status`)
+      .then((status) => {
+        if (!status) {
+          throw new NotFoundError(`No such transaction ${txid}`);
+        }
+        if (!status.confirmed) {
+          throw new NetworkError(UNCONFIRMED_TRANSACTION);
+        }
+        return { block_height: status.block_height };
+      });
+  }
+
+  getRawTransaction(txid: string) : Promise<string> {
+    return this.request(`/tx/${txid}/hex`)
+      .then((txHex) => {
+        if (!txHex) {
+          throw new NotFoundError(`No such transaction ${txid}`);
+        }
+        return txHex.trim();
+      });
+  }
+
+  getBlockHeight() : Promise<number> {
+    return this.request('/blocks/tip/height')
+      .then((text) => {
+        const blockHeight = parseInt(text || '');
+        if (Number.isNaN(blockHeight)) {
+          throw new NetworkError(`Invalid block height from ${this.utxoProviderUrl}: ${String(text)}`);
+        }
+        return blockHeight;
+      });
+  }
+
+  getBlockHash(blockHeight: number) : Promise<string> {
+    return this.request(`/block-height/${blockHeight}`)
+      .then((blockHash) => {
+        if (!blockHash) {
+          throw new NotFoundError(`No block at height ${blockHeight}`);
+        }
+        return blockHash.trim();
+      });
+  }
+
+  broadcastTransaction(transaction: string) : Promise<string> {
+    return this.request('/tx', { method: 'POST', body: transaction })
+      .then((txid) => {
+        if (!txid) {
+          throw new NetworkError(`${this.utxoProviderUrl} does not accept transactions`);
+        }
+        return txid.trim();
+      });
+  }
+
+  estimateFeeRate(targetBlocks: number = DEFAULT_FEE_TARGET) : Promise<?number> {
+    return this.requestJSON('/fee-estimates')
+      .then((estimates) => {
+        // use the estimate for the longest target that is no longer than ours
+        const targets = Object.keys(estimates || {}).map((target) => parseInt(target))
+          .filter((target) => !Number.isNaN(target)).sort((a, b) => a - b);
+        if (targets.length === 0) {
+          return null;
+        }
+        const shorter = targets.filter((target) => target <= targetBlocks);
+        const target = shorter.length > 0 ? shorter[shorter.length - 1] : targets[0];
+        return Math.ceil(estimates[String(target)]);
+      });
+  }
+
+  describe() : string {
+    return `Esplora at ${this.utxoProviderUrl}`;
+  }
+}
+
+/*
+ * A connection to an Electrum server, which speaks JSON-RPC with one
+ * message per line.  It is opened when the first request is made, and only
+ * keeps the CLI from exiting while requests are waiting for answers.
+ */
+class ElectrumClient {
+  host: string
+  port: number
+  secure: boolean
+  connection: ?Promise<Object>
+  nextId: number
+  pending: { [string]: { method: string, resolve: Function, reject: Function } }
+
+  constructor(host: string, port: number, secure: boolean) {
+    this.host = host;
+    this.port = port;
+    this.secure = secure;
+    this.connection = null;
+    this.nextId = 0;
+    this.pending = {};
+  }
+
+  connect() : Promise<Object> {
+    if (!this.connection) {
+      const connection = openConnection(this.host, this.port, this.secure)
+        .then((socket) => {
+          this.listen(socket);
+          return socket;
+        });
+      // a failed connection is tried again on the next request
+      connection.catch(() => {
+        if (this.connection === connection) {
+          this.connection = null;
+        }
+      });
+      this.connection = connection;
+      return connection
+        .then(() => this.send('server.version', ['blockstack-cli', ELECTRUM_PROTOCOL_VERSION]))
+        .then(() => connection);
+    }
+    return this.connection;
+  }
+
+  /*
+   * Read the server's answers from a new connection.
+   */
+  listen(socket: Object) : void {
+    let buffered = '';
+    socket.setEncoding('utf8');
+    socket.unref();
+    socket.on('data', (data) => {
+      buffered += data;
+      const lines = buffered.split('\n');
+      buffered = lines.pop();
+      lines.filter((line) => line.trim().length > 0).forEach((line) => this.receive(line));
+    });
+    const disconnected = (e) => {
+      this.connection = null;
+      const reason = e ? e.message : 'the connection was closed';
+      this.failAll(new NetworkError(`Lost the connection to Electrum server ` +
+                                    `${this.host}:${this.port}: ${reason}`));
+    };
+    socket.on('error', disconnected);
+    socket.on('close', () => disconnected(null));
+  }
+
+  receive(line: string) : void {
+    let message;
+    try {
+      message = JSON.parse(line);
+    }
+    catch (e) {
+      logger.debug(`Ignoring invalid message from Electrum server: ${line}`);
+      return;
+    }
+    const request = message && message.id !== undefined && message.id !== null ?
+      this.pending[String(message.id)] : null;
+    if (!request) {
+      // e.g. a subscription's notification
+      return;
+    }
+    delete this.pending[String(message.id)];
+    if (message.error) {
+      const reason = typeof message.error === 'object' ? message.error.message : message.error;
+      request.reject(new NetworkError(`Electrum ${request.method} failed: ${reason}`,
+                                      { rpcCode: message.error.code }));
+    }
+    else {
+      request.resolve(message.result);
+    }
+    this.updateRef();
+  }
+
+  failAll(error: Error) : void {
+    const pending = this.pending;
+    this.pending = {};
+    Object.keys(pending).forEach((id) => pending[id].reject(error));
+  }
+
+  /*
+   * Only keep the process alive while answers are awaited.
+   */
+  updateRef() : void {
+    const connection = this.connection;
+    if (connection) {
+      const waiting = Object.keys(this.pending).length > 0;
+      connection.then((socket) => (waiting ? socket.ref() : socket.unref())).catch(() => {});
+    }
+  }
+
+  send(method: string, params: Array<any>) : Promise<any> {
+    const connection = this.connection;
+    if (!connection) {
+      return Promise.reject(new NetworkError(`Not connected to Electrum server ${this.host}:${this.port}`));
+    }
+    return connection.then((socket) => new Promise((resolve, reject) => {
+      const id = this.nextId++;
+      const timer = setTimeout(() => {
+        if (this.pending[String(id)]) {
+          delete this.pending[String(id)];
+          this.updateRef();
+          reject(new NetworkError(`Timed out waiting for Electrum server ` +
+                                  `${this.host}:${this.port} to answer ${method}`));
+        }
+      }, ELECTRUM_TIMEOUT);
+      // node's setTimeout() returns a Timeout, not a number
+      (timer: any).unref();
+      const done = (settle) => (value) => {
+        clearTimeout(timer);
+        settle(value);
+      };
+      this.pending[String(id)] = { method, resolve: done(resolve), reject: done(reject) };
+      this.updateRef();
+      socket.write(`${JSON.stringify({ jsonrpc: '2.0', id, method, params })}\n`);
+    }));
+  }
+
+  request(method: string, params: Array<any> = []) : Promise<any> {
+    return this.connect().then(() => this.send(method, params));
+  }
+
+  close() : void {
+    const connection = this.connection;
+    this.connection = null;
+    if (connection) {
+      connection.then((socket) => socket.end()).catch(() => {});
+    }
+  }
+}
+
+/*
+ * An Electrum server (tcp://HOST:PORT, or ssl://HOST:PORT for TLS).
+ * Connections go through the proxy, if there is one.
+ */
+export class ElectrumProvider extends UTXOProvider {
+  client: ElectrumClient
+
+  constructor(url: string) {
+    super(url);
+    const parsed = URL.parse(url);
+    const protocol = parsed.protocol;
+    if (!parsed.hostname || !protocol || !ELECTRUM_DEFAULT_PORTS.hasOwnProperty(protocol)) {
+      throw new ValidationError(`Invalid Electrum server URL "${url}"; expected ` +
+                                'tcp://HOST:PORT or ssl://HOST:PORT');
+    }
+    const port = parsed.port ? parseInt(parsed.port, 10) : ELECTRUM_DEFAULT_PORTS[protocol];
+    this.client = new ElectrumClient(parsed.hostname, port, protocol === 'ssl:');
+  }
+
+  getUTXOs(address: string) : Promise<Array<UTXO>> {
+    return Promise.all([
+      this.getBlockHeight(),
+      this.client.request('blockchain.scripthash.listunspent', [getScriptHash(address)])
+    ])
+      .then(([blockHeight, utxos]) => utxos.map((utxo) => ({
+        value: utxo.value,
+        // unconfirmed outputs have a height of 0 (or -1, if their parents are unconfirmed)
+        confirmations: utxo.height > 0 ? blockHeight - utxo.height + 1 : 0,
+        tx_hash: utxo.tx_hash,
+        tx_output_n: utxo.tx_pos
+      })));
+  }
+
+  getTransactionInfo(txid: string) : Promise<Object> {
+    return Promise.all([
+      this.getBlockHeight(),
+      this.client.request('blockchain.transaction.get', [txid, true])
+    ])
+      .then(([blockHeight, tx]) => {
+        if (!tx || !tx.confirmations) {
+          throw new NetworkError(UNCONFIRMED_TRANSACTION);
+        }
+        return { block_height: blockHeight - tx.confirmations + 1 };
+      });
+  }
+
+  getRawTransaction(txid: string) : Promise<string> {
+    return this.client.request('blockchain.transaction.get', [txid]);
+  }
+
+  getBlockHeight() : Promise<number> {
+    return this.client.request('blockchain.headers.subscribe')
+      .then((header) => header.height);
+  }
+
+  getBlockHash(blockHeight: number) : Promise<string> {
+    return this.getBlockHeight()
+      .then((tip) => {
+        if (blockHeight > tip) {
+          throw new NotFoundError(`No block at height ${blockHeight}`);
+        }
+        return this.client.request('blockchain.block.header', [blockHeight]);
+      })
+      // servers only give the header, whose double SHA256 is the block's hash
+      .then((header) => bitcoin.crypto.hash256(Buffer.from(header, 'hex'))
+        .reverse().toString('hex'));
+  }
+
+  broadcastTransaction(transaction: string) : Promise<string> {
+    return this.client.request('blockchain.transaction.broadcast', [transaction]);
+  }
+
+  estimateFeeRate(targetBlocks: number = DEFAULT_FEE_TARGET) : Promise<?number> {
+    return this.client.request('blockchain.estimatefee', [targetBlocks])
+      .then((feeRate) => (feeRate > 0 ? btcPerKilobyteToSatoshisPerByte(feeRate) : null));
+  }
+
+  close() : void {
+    this.client.close();
+  }
+
+  describe() : string {
+    return `Electrum server ${this.utxoProviderUrl}`;
+  }
+}
+
+/*
+ * Make the UTXO provider for the config settings.  Without a utxoProvider
+ * setting, regtest and testnet use bitcoind and mainnet uses blockchain.info.
+ * On regtest and testnet, bitcoind's credentials default to the ones the
+ * Blockstack test nodes use.
+ * @configData (Object) the config settings
+ * @regTest (boolean) whether or not this is for regtest or testnet
+ */
+export function makeUTXOProvider(configData: Object, regTest: boolean) : UTXOProvider {
+  const provider = configData.utxoProvider ? configData.utxoProvider :
+    (regTest ? 'bitcoind' : 'blockchain.info');
+  const url = configData.utxoServiceUrl;
+  if (!UTXO_PROVIDERS.includes(provider)) {
+    throw new ValidationError(`Unknown UTXO provider "${provider}"; expected one of ` +
+                              `${UTXO_PROVIDERS.join(', ')}`);
+  }
+  if (provider !== 'electrum' && !/^https?:\/\//.test(url || '')) {
+    throw new ValidationError(`The ${provider} UTXO provider needs an http:// or https:// ` +
+                              `utxoServiceUrl, not "${String(url)}"`);
+  }
+
+  let utxoProvider;
+  switch (provider) {
+    case 'bitcoind': {
+      const credentials = configData.bitcoindUsername || configData.bitcoindPassword ?
+        { username: configData.bitcoindUsername, password: configData.bitcoindPassword } :
+        (regTest ? REGTEST_BITCOIND_CREDENTIALS : null);
+      utxoProvider = new BitcoindProvider(url, credentials);
+      break;
+    }
+    case 'electrum':
+      utxoProvider = new ElectrumProvider(url);
+      break;
+    case 'esplora':
+      utxoProvider = new EsploraProvider(url);
+      break;
+    default:
+      utxoProvider = new BlockchainInfoProvider(url);
+      break;
+  }
+  logger.debug(`Using ${utxoProvider.describe()} for UTXOs`);
+  return utxoProvider;
+}
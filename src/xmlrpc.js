@@ -0,0 +1,286 @@
+/* @flow */
+
+import {
+  NetworkError
+} from './errors';
+
+/*
+ * Encoding and decoding of XML-RPC messages (see http://xmlrpc.com/spec.md),
+ * as spoken by Blockstack Core's indexer.  Only what a client needs is here:
+ * method calls are encoded, and method responses (including faults) decoded.
+ */
+
+const XML_ESCAPES = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&apos;'
+};
+
+const XML_ENTITIES = {
+  'amp': '&',
+  'lt': '<',
+  'gt': '>',
+  'quot': '"',
+  'apos': "'"
+};
+
+// the largest and smallest values of an XML-RPC <int>
+const MAX_INT = 2147483647;
+const MIN_INT = -2147483648;
+
+type XMLElement = {
+  name: string,
+  children: Array<XMLElement | string>
+};
+
+/*
+ * Escape text for use in XML.
+ */
+export function escapeXML(text: string) : string {
+  return text.replace(/[&<>"']/g, (c) => XML_ESCAPES[c]);
+}
+
+/*
+ * Replace the entity and character references in XML text.
+ */
+export function unescapeXML(text: string) : string {
+  return text.replace(/&([^;&\s]*);/g, (reference, entity) => {
+    if (XML_ENTITIES.hasOwnProperty(entity)) {
+      return XML_ENTITIES[entity];
+    }
+    let codePoint = NaN;
+    if (/^#x[0-9a-fA-F]+$/.test(entity)) {
+      codePoint = parseInt(entity.slice(2), 16);
+    }
+    else if (/^#[0-9]+$/.test(entity)) {
+      codePoint = parseInt(entity.slice(1), 10);
+    }
+    if (isNaN(codePoint) || codePoint > 0x10ffff) {
+      throw new NetworkError(`Invalid XML-RPC response: unknown reference ${reference}`);
+    }
+    return String.fromCodePoint(codePoint);
+  });
+}
+
+/*
+ * Encode a value as the contents of an XML-RPC <value>.
+ * Integers that fit in 32 bits become <int>s, and other numbers <double>s.
+ * null and undefined become <nil/>, which Python's xmlrpc accepts.
+ */
+export function encodeValue(value: any) : string {
+  if (value === null || value === undefined) {
+    return '<nil/>';
+  }
+  if (typeof value === 'boolean') {
+    return `<boolean>${value ? 1 : 0}</boolean>`;
+  }
+  if (typeof value === 'number') {
+    if (!isFinite(value)) {
+      throw new Error(`Cannot encode ${value} in XML-RPC`);
+    }
+    if (Number.isInteger(value) && value >= MIN_INT && value <= MAX_INT) {
+      return `<int>${value}</int>`;
+    }
+    return `<double>${value}</double>`;
+  }
+  if (typeof value === 'string') {
+    return `<string>${escapeXML(value)}</string>`;
+  }
+  if (Buffer.isBuffer(value)) {
+    return `<base64>${value.toString('base64')}</base64>`;
+  }
+  if (Array.isArray(value)) {
+    const items = value.map((item) => `<value>${encodeValue(item)}</value>`);
+    return `<array><data>${items.join('')}</data></array>`;
+  }
+  if (typeof value === 'object') {
+    const members = Object.keys(value).map((name) =>
+      `<member><name>${escapeXML(name)}</name><value>${encodeValue(value[name])}</value></member>`);
+    return `<struct>${members.join('')}</struct>`;
+  }
+  throw new Error(`Cannot encode a ${typeof value} in XML-RPC`);
+}
+
+/*
+ * Make the body of an XML-RPC method call.
+ * @method (string) the method to call
+ * @params (Array) its arguments
+ */
+export function makeMethodCall(method: string, params: Array<any> = []) : string {
+  const encodedParams = params.map((param) => `<param><value>${encodeValue(param)}</value></param>`);
+  return '<?xml version="1.0"?>' +
+    `<methodCall><methodName>${escapeXML(method)}</methodName>` +
+    `<params>${encodedParams.join('')}</params></methodCall>`;
+}
+
+/*
+ * Parse XML into a tree of elements.  Attributes, comments, processing
+ * instructions, and the doctype are skipped, since XML-RPC does not use them.
+ */
+function parseXML(text: string) : XMLElement {
+  const tokenPattern =
+    /<!\[CDATA\[([\s\S]*?)\]\]>|<!--[\s\S]*?-->|<[?!][\s\S]*?>|<(\/?)([A-Za-z_][\w.:-]*)[^>]*?(\/?)>|([^<]+)/g;
+  const root = { name: '', children: [] };
+  const open = [root];
+  let match;
+  let parsed = 0;
+
+  while ((match = tokenPattern.exec(text)) !== null) {
+    if (match.index !== parsed) {
+      break;
+    }
+    parsed = tokenPattern.lastIndex;
+
+    const current = open[open.length - 1];
+    const [, cdata, closing, name, selfClosing, chars] = match;
+    if (cdata !== undefined) {
+      current.children.push(cdata);
+    }
+    else if (chars !== undefined) {
+      current.children.push(unescapeXML(chars));
+    }
+    else if (name === undefined) {
+      // a comment, processing instruction, or doctype
+      continue;
+    }
+    else if (closing) {
+      if (current.name !== name) {
+        throw new NetworkError(`Invalid XML-RPC response: unexpected </${name}>`);
+      }
+      open.pop();
+    }
+    else {
+      const element = { name, children: [] };
+      current.children.push(element);
+      if (!selfClosing) {
+        open.push(element);
+      }
+    }
+  }
+
+  if (parsed !== text.length) {
+    throw new NetworkError(`Invalid XML-RPC response: cannot parse '${text.slice(parsed, parsed + 20)}'`);
+  }
+  if (open.length > 1) {
+    throw new NetworkError(`Invalid XML-RPC response: <${open[open.length - 1].name}> is not closed`);
+  }
+  const elements = root.children.filter((child) => typeof child !== 'string');
+  if (elements.length !== 1) {
+    throw new NetworkError('Invalid XML-RPC response: expected one root element');
+  }
+  return ((elements[0]: any): XMLElement);
+}
+
+function childElements(element: XMLElement) : Array<XMLElement> {
+  return (element.children.filter((child) => typeof child !== 'string'): any);
+}
+
+function textOf(element: XMLElement) : string {
+  return element.children.filter((child) => typeof child === 'string').join('');
+}
+
+/*
+ * Get the only child element of an element, which must have the given name.
+ */
+function onlyChild(element: XMLElement, name: string) : XMLElement {
+  const children = childElements(element);
+  if (children.length !== 1 || children[0].name !== name) {
+    throw new NetworkError(`Invalid XML-RPC response: expected <${name}> in <${element.name}>`);
+  }
+  return children[0];
+}
+
+/*
+ * Decode an XML-RPC <value> element.  <i8>s that do not fit in a
+ * double and <dateTime.iso8601>s are left as strings.
+ */
+function decodeValue(valueElement: XMLElement) : any {
+  const children = childElements(valueElement);
+  if (children.length === 0) {
+    // a value with no type is a string
+    return textOf(valueElement);
+  }
+  if (children.length !== 1) {
+    throw new NetworkError('Invalid XML-RPC response: a <value> has more than one type');
+  }
+
+  const typed = children[0];
+  const text = textOf(typed);
+  switch (typed.name) {
+    case 'string':
+      return text;
+    case 'i4':
+    case 'int':
+    case 'i8':
+      if (!/^\s*[-+]?[0-9]+\s*$/.test(text)) {
+        throw new NetworkError(`Invalid XML-RPC response: bad <${typed.name}> '${text}'`);
+      }
+      return Number.isSafeInteger(Number(text)) ? Number(text) : text.trim();
+    case 'boolean':
+      if (text.trim() !== '0' && text.trim() !== '1') {
+        throw new NetworkError(`Invalid XML-RPC response: bad <boolean> '${text}'`);
+      }
+      return text.trim() === '1';
+    case 'double':
+      if (isNaN(parseFloat(text))) {
+        throw new NetworkError(`Invalid XML-RPC response: bad <double> '${text}'`);
+      }
+      return parseFloat(text);
+    case 'nil':
+      return null;
+    case 'base64':
+      return Buffer.from(text.replace(/\s+/g, ''), 'base64');
+    case 'dateTime.iso8601':
+      return text.trim();
+    case 'array':
+      return childElements(onlyChild(typed, 'data')).map((item) => {
+        if (item.name !== 'value') {
+          throw new NetworkError(`Invalid XML-RPC response: unexpected <${item.name}> in <data>`);
+        }
+        return decodeValue(item);
+      });
+    case 'struct': {
+      const struct = {};
+      for (const member of childElements(typed)) {
+        const parts = childElements(member);
+        const nameElement = parts.find((part) => part.name === 'name');
+        const memberValue = parts.find((part) => part.name === 'value');
+        if (member.name !== 'member' || !nameElement || !memberValue) {
+          throw new NetworkError('Invalid XML-RPC response: bad <struct> member');
+        }
+        struct[textOf(nameElement)] = decodeValue(memberValue);
+      }
+      return struct;
+    }
+    default:
+      throw new NetworkError(`Invalid XML-RPC response: unknown type <${typed.name}>`);
+  }
+}
+
+/*
+ * Parse the body of an XML-RPC method response, and get the value it returned.
+ * Throws a NetworkError if the response is a fault (with its faultCode and
+ * faultString as the details) or is not a valid method response.
+ * @text (string) the response body
+ * @method (string) the method that was called, for messages
+ */
+export function parseMethodResponse(text: string, method: string) : any {
+  const response = parseXML(text);
+  if (response.name !== 'methodResponse') {
+    throw new NetworkError(`Invalid XML-RPC response: expected <methodResponse>, got <${response.name}>`);
+  }
+
+  const children = childElements(response);
+  if (children.length === 1 && children[0].name === 'fault') {
+    const fault = decodeValue(onlyChild(children[0], 'value'));
+    const faultCode = fault && fault.faultCode !== undefined ? fault.faultCode : null;
+    const faultString = fault && fault.faultString !== undefined ? String(fault.faultString) : '';
+    throw new NetworkError(`XML-RPC call ${method} failed with fault ${String(faultCode)}: ${faultString}`,
+                           { faultCode, faultString });
+  }
+
+  const param = onlyChild(onlyChild(response, 'params'), 'param');
+  return decodeValue(onlyChild(param, 'value'));
+}
@@ -0,0 +1,160 @@
+/* @flow */
+
+import test from 'blue-tape';
+import fs from 'fs';
+import os from 'os';
+import pathTools from 'path';
+const blockstack = require('blockstack');
+
+import {
+  gaiaGetFile,
+  getBlockchainHistory,
+  makeNetwork,
+  runCommand,
+  sendBTC,
+  whois
+} from '../../../lib/api';
+
+import {
+  COMMANDS
+} from '../../../lib/commands';
+
+import {
+  NotFoundError,
+  SafetyError
+} from '../../../lib/errors';
+
+import {
+  CLINetworkAdapter
+} from '../../../lib/network';
+
+import {
+  UTXOProvider
+} from '../../../lib/utxo';
+
+/*
+ * Each API function passes its named arguments to its command in the
+ * command's order, once they are checked as the CLI checks them.
+ */
+
+const PRIVATE_KEY = '4b8b3b3bad41d2b8ae06b3a91fbdee1f3fe9ccee1e8b4f0a39ff3b74a5a26b5b01';
+const ADDRESS = '1BvBMSEYstWetqTFn5Au4m4GFg7xJaNVN2';
+
+const network = new CLINetworkAdapter(new blockstack.network.BlockstackNetwork(
+  'http://localhost:16268', 'http://localhost:16269', new UTXOProvider('http://localhost:18999')),
+                                      {});
+
+// Run something with a command replaced by one that records how it was called
+function withCommand<T>(command: string, result: any,
+                        run: (calls: Array<Object>) => Promise<T>) : Promise<T> {
+  const original = COMMANDS[command];
+  const calls = [];
+  COMMANDS[command] = (callNetwork, args, opts) => {
+    calls.push({ network: callNetwork, args, opts });
+    return result instanceof Error ? Promise.reject(result) : Promise.resolve(result);
+  };
+  return Promise.resolve().then(() => run(calls))
+    .then((value) => {
+      COMMANDS[command] = original;
+      return value;
+    }, (e) => {
+      COMMANDS[command] = original;
+      throw e;
+    });
+}
+
+test('named arguments are passed in order, and missing ones are not given', (t) => {
+  return withCommand('get_blockchain_history', { history: {} }, (calls) =>
+    getBlockchainHistory({ name: 'hello.id' }, { network })
+      .then((result) => {
+        t.deepEqual(result, { history: {} });
+        t.deepEqual(calls[0].args, ['hello.id'], 'a trailing missing argument is dropped');
+        t.equal(calls[0].network, network);
+        return getBlockchainHistory({ name: 'hello.id', page: 2 }, { network });
+      })
+      .then(() => t.deepEqual(calls[1].args, ['hello.id', '2'], 'values are strings')))
+    .then(() => withCommand('gaia_getfile', 'file data', (calls) =>
+      gaiaGetFile({ blockstackID: 'hello.id', appOrigin: 'https://app.example.com',
+                    filename: 'file.txt', decrypt: false }, { network })
+        .then(() => t.deepEqual(calls[0].args, ['hello.id', 'https://app.example.com',
+                                                'file.txt', undefined, 'false'],
+                                'a missing argument in the middle is undefined'))));
+});
+
+test('arguments are checked before the command runs', (t) => {
+  return withCommand('whois', {}, (calls) =>
+    whois({ name: 'Not A Name' }, { network })
+      .then(() => t.fail('looked up an invalid name'),
+            (e) => {
+              t.equal(e.code, 'VALIDATION');
+              t.ok(/^whois: /.test(e.message));
+            })
+      .then(() => gaiaGetFile({ blockstackID: 'hello.id', appOrigin: 'https://app.example.com',
+                                filename: 'file.txt', decrypt: 'maybe' }, { network }))
+      .then(() => t.fail('read a file with an invalid option'),
+            (e) => t.equal(e.code, 'VALIDATION'))
+      .then(() => sendBTC({ recipientAddress: ADDRESS, amount: 1000, paymentKey: 'not a key' },
+                          { network }))
+      .then(() => t.fail('sent with an invalid key'), (e) => t.equal(e.code, 'VALIDATION'))
+      .then(() => t.equal(calls.length, 0, 'the command never ran')));
+});
+
+test('an unknown command is a validation error', (t) => {
+  return runCommand('no_such_command', [], { network })
+    .then(() => t.fail('ran an unknown command'),
+          (e) => {
+            t.equal(e.code, 'VALIDATION');
+            t.equal(e.message, 'Unrecognized command \'no_such_command\'');
+          });
+});
+
+test('each call has its own options', (t) => {
+  const args = { recipientAddress: ADDRESS, amount: 1000, paymentKey: PRIVATE_KEY };
+  return withCommand('send_btc', 'txid', (calls) =>
+    sendBTC(args, { network, txOnly: true })
+      .then(() => sendBTC(args, { network, estimateOnly: true, safetyChecks: false }))
+      .then(() => sendBTC(args, { network, psbt: true }))
+      .then(() => sendBTC(args, { network }))
+      .then(() => {
+        const opts = calls.map((call) => call.opts);
+        t.equal(opts[0].txOnly, true);
+        t.equal(opts[0].estimateOnly, false);
+        t.equal(opts[1].estimateOnly, true);
+        t.equal(opts[1].safetyChecks, false);
+        t.equal(opts[2].txOnly, true, 'making a PSBT does not send it');
+        t.equal(opts[3].txOnly, false, 'options do not carry over to the next call');
+        t.equal(opts[3].safetyChecks, true);
+        t.deepEqual(calls[0].args, [ADDRESS, '1000', PRIVATE_KEY]);
+      }));
+});
+
+test('failures reject with typed errors', (t) => {
+  const safetyErrors = { status: false, error: 'Not enough funds', paymentBalanceBTC: 0 };
+  return withCommand('whois', new NotFoundError('Name not found', { name: 'hello.id' }), () =>
+    whois({ name: 'hello.id' }, { network })
+      .then(() => t.fail('found a missing name'),
+            (e) => {
+              t.equal(e.code, 'NOT_FOUND');
+              t.equal(e.message, 'Name not found');
+              t.deepEqual(e.details, { name: 'hello.id' });
+            }))
+    .then(() => withCommand('send_btc', new SafetyError(safetyErrors), () =>
+      sendBTC({ recipientAddress: ADDRESS, amount: 1000, paymentKey: PRIVATE_KEY }, { network })
+        .then(() => t.fail('sent without enough funds'),
+              (e) => {
+                t.equal(e.code, 'SAFETY_CHECK');
+                t.deepEqual(e.safetyErrors, safetyErrors);
+              })));
+});
+
+test('a network\'s proxy is only used by the calls made on it', (t) => {
+  const configPath = pathTools.join(fs.mkdtempSync(pathTools.join(os.tmpdir(), 'api-test-')),
+                                    'blockstack-cli.conf');
+  fs.writeFileSync(configPath, JSON.stringify({ proxy: 'socks5h://127.0.0.1:9050' }));
+  const fetchBefore = global.fetch;
+  const proxied = makeNetwork({ configPath, networkType: 'regtest' });
+  t.equal(global.fetch, fetchBefore, 'making a network does not change fetch()');
+  t.equal(proxied.transport.describe(), 'proxy socks5h://127.0.0.1:9050');
+  t.equal(network.transport, null);
+  t.end();
+});
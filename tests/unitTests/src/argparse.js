@@ -0,0 +1,147 @@
+/* @flow */
+
+import test from 'blue-tape';
+
+import {
+  checkArgs,
+  getCLIOpts
+} from '../../../lib/argparse';
+
+/*
+ * Command arguments can be given in order, or by name with --NAME.  Either
+ * way, each one must reach the command in its place.  Options can be given
+ * by their short or long names, anywhere on the command line.
+ */
+
+// Parse a command line the way CLIMain does
+function parseCommandLine(argv: Array<string>) {
+  const opts = getCLIOpts(['node', 'blockstack-cli'].concat(argv));
+  return checkArgs(opts._);
+}
+
+test('positional arguments are passed in order', (t) => {
+  const cmdArgs = parseCommandLine(['mock_node', '8000', '/tmp/seed.json']);
+  t.ok(cmdArgs.success);
+  t.deepEqual(cmdArgs.args, ['8000', '/tmp/seed.json']);
+  t.end();
+});
+
+test('keyword arguments are passed in their places', (t) => {
+  const cmdArgs = parseCommandLine(
+    ['mock_node', '--seed_path', '/tmp/seed.json', '--port', '8000']);
+  t.ok(cmdArgs.success);
+  t.deepEqual(cmdArgs.args, ['8000', '/tmp/seed.json']);
+  t.end();
+});
+
+test('a keyword argument after a skipped optional argument is passed', (t) => {
+  const cmdArgs = parseCommandLine(['mock_node', '--seed_path', '/tmp/seed.json']);
+  t.ok(cmdArgs.success);
+  t.deepEqual(cmdArgs.args, [null, '/tmp/seed.json']);
+  t.end();
+});
+
+test('a keyword argument after a missing required argument is refused', (t) => {
+  const cmdArgs = parseCommandLine(['renew', '--zonefile', '/tmp/zonefile.txt']);
+  t.notOk(cmdArgs.success);
+  t.ok(/missing argument BLOCKSTACK_ID/.test(cmdArgs.error));
+  t.end();
+});
+
+test('optional arguments that are not given are left off', (t) => {
+  const cmdArgs = parseCommandLine(['mock_node']);
+  t.ok(cmdArgs.success);
+  t.deepEqual(cmdArgs.args, []);
+  t.end();
+});
+
+// Parse a command line's options, and throw on an error (as CLIMain reports it)
+function parseOpts(argv: Array<string>) : Object {
+  return getCLIOpts(['node', 'blockstack-cli'].concat(argv));
+}
+
+// Get the message of the error that parsing a command line throws
+function parseError(argv: Array<string>) : ?string {
+  try {
+    parseOpts(argv);
+    return null;
+  }
+  catch (e) {
+    return e.code === 'VALIDATION' ? e.message : `not a validation error: ${e.message}`;
+  }
+}
+
+test('options can be given by their long names', (t) => {
+  const opts = parseOpts(['--tx-only', '--fee-rate', '10', '--profile', 'local',
+                          'whois', 'hello.id']);
+  t.equal(opts.x, true);
+  t.equal(opts.F, '10');
+  t.equal(opts.p, 'local');
+  t.equal(opts.U, false, 'switches that are not given are off');
+  t.equal(opts.C, null, 'options that are not given have no value');
+  t.deepEqual(opts._, ['node', 'blockstack-cli', 'whois', 'hello.id']);
+  t.end();
+});
+
+test('option values can be given after an equals sign, or attached', (t) => {
+  const opts = parseOpts(['--fee-rate=10', '--api-url=http://localhost:16268?a=b', '-K6',
+                          '-Meconomical', 'whois', 'hello.id']);
+  t.equal(opts.F, '10');
+  t.equal(opts.H, 'http://localhost:16268?a=b', 'only the first equals sign splits');
+  t.equal(opts.K, '6');
+  t.equal(opts.M, 'economical');
+  t.equal(parseOpts(['--profile=', 'whois', 'hello.id']).p, '', 'a value can be empty');
+  t.end();
+});
+
+test('switches can be combined, and end at an option that takes a value', (t) => {
+  const opts = parseOpts(['-xUF10', 'whois', 'hello.id']);
+  t.equal(opts.x, true);
+  t.equal(opts.U, true);
+  t.equal(opts.F, '10');
+
+  const separate = parseOpts(['-xUp', 'local', 'whois', 'hello.id']);
+  t.equal(separate.p, 'local', 'the value can be the next word');
+  t.deepEqual(separate._, ['node', 'blockstack-cli', 'whois', 'hello.id']);
+  t.end();
+});
+
+test('options can come after the command and its arguments', (t) => {
+  const opts = parseOpts(['send_btc', '1BvBMSEYstWetqTFn5Au4m4GFg7xJaNVN2', '-x', '-5',
+                          '--fee-rate', '10']);
+  t.equal(opts.x, true);
+  t.equal(opts.F, '10');
+  t.deepEqual(opts._, ['node', 'blockstack-cli', 'send_btc',
+                       '1BvBMSEYstWetqTFn5Au4m4GFg7xJaNVN2', '-5'],
+              'a negative number is an argument, not an option');
+
+  const keywords = parseOpts(['mock_node', '--seed_path=/tmp/seed.json', '-x']);
+  t.deepEqual(keywords._, ['node', 'blockstack-cli', 'mock_node', '--seed_path',
+                           '/tmp/seed.json']);
+  const passed = parseOpts(['zonefile_push', '--', '-x']);
+  t.equal(passed.x, false);
+  t.deepEqual(passed._, ['node', 'blockstack-cli', 'zonefile_push', '-x'],
+              'everything after -- is an argument');
+  t.end();
+});
+
+test('unknown options are refused, with a suggestion', (t) => {
+  t.equal(parseError(['--fee-rat', '10', 'whois', 'hello.id']),
+          'Unknown option "--fee-rat"; did you mean "--fee-rate"?');
+  t.equal(parseError(['mock_node', '--seed-path', '/tmp/seed.json']),
+          'Unknown option "--seed-path"; did you mean "--seed_path"?');
+  t.equal(parseError(['--frobnicate', 'whois', 'hello.id']), 'Unknown option "--frobnicate"');
+  t.equal(parseError(['-xz', 'whois', 'hello.id']), 'Unknown option "-z"');
+  t.equal(parseError(['whois', '--seed_path', '/tmp/seed.json']),
+          'Unknown option "--seed_path"', 'other commands\' arguments are not known');
+  t.end();
+});
+
+test('options and keyword arguments that need a value must have one', (t) => {
+  t.equal(parseError(['whois', 'hello.id', '-F']), 'Option "-F" requires a value');
+  t.equal(parseError(['whois', 'hello.id', '--fee-rate']), 'Option "--fee-rate" requires a value');
+  t.equal(parseError(['--tx-only=yes', 'whois', 'hello.id']),
+          'Option "--tx-only" does not take a value');
+  t.equal(parseError(['mock_node', '--seed_path']), 'Argument "--seed_path" requires a value');
+  t.end();
+});
@@ -0,0 +1,195 @@
+/* @flow */
+
+import test from 'blue-tape';
+import fs from 'fs';
+import os from 'os';
+import pathTools from 'path';
+
+import {
+  getBatchProgressPath,
+  loadBatch,
+  runBatch
+} from '../../../lib/batch';
+
+import {
+  COMMANDS,
+  DEFAULT_COMMAND_OPTIONS
+} from '../../../lib/commands';
+
+/*
+ * A batch's steps run after the steps they depend on and otherwise in
+ * order, and a batch that stopped part-way resumes after the steps that
+ * succeeded.
+ */
+
+const PRIVATE_KEY = '4b8b3b3bad41d2b8ae06b3a91fbdee1f3fe9ccee1e8b4f0a39ff3b74a5a26b5b01';
+
+function writeBatch(lines: Array<Object>, name: string = 'steps.jsonl') : string {
+  const batchPath = pathTools.join(fs.mkdtempSync(pathTools.join(os.tmpdir(), 'batch-test-')),
+                                   name);
+  fs.writeFileSync(batchPath, lines.map((line) => JSON.stringify(line)).join('\n'));
+  return batchPath;
+}
+
+// Run something with some of the commands replaced
+function withCommands<T>(commands: Object, run: () => Promise<T>) : Promise<T> {
+  const originals = {};
+  Object.keys(commands).forEach((command) => {
+    originals[command] = COMMANDS[command];
+    COMMANDS[command] = commands[command];
+  });
+  const restore = () => Object.assign(COMMANDS, originals);
+  return Promise.resolve().then(run)
+    .then((result) => {
+      restore();
+      return result;
+    }, (e) => {
+      restore();
+      throw e;
+    });
+}
+
+test('steps run after the steps they depend on, and otherwise in order', (t) => {
+  const steps = loadBatch(writeBatch([
+    { id: 'lookup', command: 'whois', args: ['hello.id'], after: ['address'] },
+    { command: 'whois', args: ['world.id'] },
+    { id: 'address', command: 'get_address', args: [PRIVATE_KEY] },
+    { command: 'whois', args: { blockstack_id: 'last.id' }, after: [2] }
+  ]));
+
+  t.deepEqual(steps.map((step) => step.id), ['2', 'address', 'lookup', '4']);
+  t.deepEqual(steps.map((step) => step.args),
+              [['world.id'], [PRIVATE_KEY], ['hello.id'], ['last.id']]);
+  t.end();
+});
+
+test('YAML batch files hold a list of steps', (t) => {
+  const batchPath = pathTools.join(fs.mkdtempSync(pathTools.join(os.tmpdir(), 'batch-test-')),
+                                   'steps.yaml');
+  fs.writeFileSync(batchPath, '- command: whois\n  args: [hello.id]\n');
+  t.deepEqual(loadBatch(batchPath).map((step) => step.command), ['whois']);
+
+  fs.writeFileSync(batchPath, 'command: whois\n');
+  t.throws(() => loadBatch(batchPath), /expected a list of steps/);
+  t.end();
+});
+
+test('every problem in a batch file is found before any step runs', (t) => {
+  try {
+    loadBatch(writeBatch([
+      { id: 'a', command: 'whois', args: ['hello.id'] },
+      { id: 'a', command: 'whois', args: ['world.id'] },
+      { command: 'frobnicate', args: [] },
+      { command: 'shell', args: [] },
+      { command: 'whois', args: [] },
+      { command: 'whois', args: ['hello.id'], after: 'a' }
+    ]));
+    t.fail('loaded an invalid batch');
+  }
+  catch (e) {
+    t.equal(e.code, 'VALIDATION');
+    const problems = e.details.problems;
+    t.ok(problems.includes('step 3: unknown command "frobnicate"'), problems.join('\n'));
+    t.ok(problems.includes('step 4: command "shell" cannot be run from a batch file'),
+         problems.join('\n'));
+    t.ok(problems.some((problem) => problem.startsWith('step 5: whois: ')), problems.join('\n'));
+    t.ok(problems.includes('step 6: "after" must be a list of step IDs'), problems.join('\n'));
+    t.ok(problems.includes('step ID "a" is used more than once'), problems.join('\n'));
+  }
+
+  t.throws(() => loadBatch(writeBatch([{ command: 'whois', args: ['hello.id'], after: ['x'] }])),
+           /step 1: no step with ID "x" to run after/);
+  t.throws(() => loadBatch(writeBatch([
+    { id: 'a', command: 'whois', args: ['hello.id'], after: ['b'] },
+    { id: 'b', command: 'whois', args: ['world.id'], after: ['a'] },
+    { id: 'c', command: 'whois', args: ['other.id'] }
+  ])), /steps a, b depend on each other/);
+
+  const batchPath = writeBatch([]);
+  fs.writeFileSync(batchPath, '{"command": "whois", "args": ["hello.id"]}\n\n{"command":\n');
+  t.throws(() => loadBatch(batchPath), /line 3: invalid JSON/);
+  t.end();
+});
+
+test('a batch stops at the first failure, and resumes after the steps that succeeded', (t) => {
+  const batchPath = writeBatch([
+    { id: 'first', command: 'whois', args: ['hello.id'] },
+    { id: 'second', command: 'whois', args: ['broken.id'] },
+    { id: 'third', command: 'whois', args: ['world.id'] }
+  ]);
+  const progressPath = getBatchProgressPath(batchPath);
+  let ran = [];
+  const failing = (network, args) => {
+    ran.push(args[0]);
+    if (args[0] === 'broken.id') {
+      return Promise.resolve({ status: false, error: 'No such name', code: 'NOT_FOUND' });
+    }
+    return Promise.resolve({ name: args[0] });
+  };
+
+  return withCommands({ whois: failing },
+                      () => runBatch({}, batchPath, DEFAULT_COMMAND_OPTIONS))
+    .then((report) => {
+      t.deepEqual(ran, ['hello.id', 'broken.id']);
+      t.equal(report.status, false);
+      t.equal(report.code, 'NOT_FOUND');
+      t.equal(report.error, 'Step second (whois) failed: No such name');
+      t.equal(report.completed, 1);
+      t.equal(report.total, 3);
+      t.equal(report.progressPath, progressPath);
+      t.deepEqual(report.steps.map((step) => step.status), ['ok', 'failed', 'not run']);
+      t.equal(fs.statSync(progressPath).mode & 0o777, 0o600);
+
+      ran = [];
+      const fixed = (network, args) => {
+        ran.push(args[0]);
+        return Promise.resolve({ name: args[0] });
+      };
+      return withCommands({ whois: fixed },
+                          () => runBatch({}, batchPath, DEFAULT_COMMAND_OPTIONS));
+    })
+    .then((report) => {
+      t.deepEqual(ran, ['broken.id', 'world.id'], 'the step that succeeded is not run again');
+      t.equal(report.status, true);
+      t.equal(report.completed, 3);
+      t.deepEqual(report.steps.map((step) => step.status), ['skipped', 'ok', 'ok']);
+      t.deepEqual(report.steps[0].result, { name: 'hello.id' },
+                  'a skipped step keeps its result');
+      t.notOk(fs.existsSync(progressPath), 'the progress is removed once the batch is done');
+    });
+});
+
+test('a step that throws fails the batch with its error code', (t) => {
+  const batchPath = writeBatch([{ command: 'whois', args: ['hello.id'] }]);
+  const throwing = () => Promise.reject(Object.assign((new Error('unreachable'): Object),
+                                                      { code: 'ECONNREFUSED' }));
+  return withCommands({ whois: throwing }, () => runBatch({}, batchPath, DEFAULT_COMMAND_OPTIONS))
+    .then((report) => {
+      t.equal(report.status, false);
+      t.equal(report.code, 'NETWORK');
+      t.equal(report.completed, 0);
+      t.notOk(fs.existsSync(getBatchProgressPath(batchPath)));
+    });
+});
+
+test('a step cannot be changed once it has succeeded', (t) => {
+  const steps = [
+    { id: 'first', command: 'whois', args: ['hello.id'] },
+    { id: 'second', command: 'whois', args: ['broken.id'] }
+  ];
+  const batchPath = writeBatch(steps);
+  const whois = (network, args) => Promise.resolve(
+    args[0] === 'broken.id' ? { status: false, error: 'No such name' } : { name: args[0] });
+
+  return withCommands({ whois }, () => runBatch({}, batchPath, DEFAULT_COMMAND_OPTIONS))
+    .then(() => {
+      steps[0].args = ['other.id'];
+      fs.writeFileSync(batchPath, steps.map((step) => JSON.stringify(step)).join('\n'));
+      return withCommands({ whois }, () => runBatch({}, batchPath, DEFAULT_COMMAND_OPTIONS));
+    })
+    .then(() => t.fail('resumed a batch whose finished step changed'),
+          (e) => {
+            t.equal(e.code, 'VALIDATION');
+            t.ok(/Step first has changed since it succeeded/.test(e.message));
+          });
+});
@@ -0,0 +1,77 @@
+/* @flow */
+
+import test from 'blue-tape';
+
+import {
+  checkBundleSettings
+} from '../../../lib/bundles';
+
+/*
+ * A bundle comes from the networked machine, so the machine that signs it
+ * must not take its burn address, price, or fee caps on trust.
+ */
+
+function makeBundle(config: Object, networkOptions: Object) : Object {
+  return {
+    version: 1,
+    command: 'namespace_preorder',
+    args: [],
+    files: {},
+    config: Object.assign({ network: 'mainnet' }, config),
+    networkOptions,
+    blockHeight: 600000,
+    createdAt: 0,
+    interactions: [],
+    psbt: ''
+  };
+}
+
+// the fields of a CLINetworkAdapter that checkBundleSettings() reads
+function makeLocalNetwork(fields: Object) : Object {
+  return Object.assign({
+    namespaceBurnAddress: null, priceToPay: null, priceUnits: null,
+    maxFeeRate: 1000, maxFee: 1000000
+  }, fields);
+}
+
+// Get the settings that checkBundleSettings() refuses the bundle for
+function getMismatches(bundle: Object, localNetwork: Object) : Object {
+  try {
+    checkBundleSettings(bundle, localNetwork);
+    return {};
+  }
+  catch (e) {
+    if (e.code !== 'SAFETY_CHECK') {
+      throw e;
+    }
+    return e.safetyErrors.mismatches;
+  }
+}
+
+test('a bundle made with the same caps and no overrides is accepted', (t) => {
+  const bundle = makeBundle({ maxFeeRate: 1000, maxFee: 1000000 }, { feeRate: 10 });
+  t.deepEqual(getMismatches(bundle, makeLocalNetwork({})), {});
+  t.end();
+});
+
+test('a bundle made with other fee caps is refused', (t) => {
+  const bundle = makeBundle({ maxFeeRate: 0, maxFee: 5000000 }, {});
+  t.deepEqual(getMismatches(bundle, makeLocalNetwork({})), {
+    maxFeeRate: { bundle: null, local: 1000 },
+    maxFee: { bundle: 5000000, local: 1000000 }
+  });
+  t.end();
+});
+
+test('a bundle\'s burn address and price are refused unless given here too', (t) => {
+  const burnAddress = '1111111111111111111114oLvT2';
+  const bundle = makeBundle({ maxFeeRate: 1000, maxFee: 1000000 },
+                            { namespaceBurnAddress: burnAddress, priceToPay: '6400000000' });
+  t.deepEqual(Object.keys(getMismatches(bundle, makeLocalNetwork({}))).sort(),
+              ['namespaceBurnAddress', 'priceToPay']);
+  t.deepEqual(getMismatches(bundle, makeLocalNetwork({ namespaceBurnAddress: burnAddress })),
+              { priceToPay: { bundle: '6400000000', local: null } });
+  t.deepEqual(getMismatches(bundle, makeLocalNetwork(
+    { namespaceBurnAddress: burnAddress, priceToPay: '6400000000' })), {});
+  t.end();
+});
@@ -0,0 +1,206 @@
+/* @flow */
+
+import test from 'blue-tape';
+import fs from 'fs';
+import os from 'os';
+import pathTools from 'path';
+
+import {
+  DiskCacheBackend,
+  MemoryCacheBackend,
+  ResponseCache,
+  makeResponseCache
+} from '../../../lib/cache';
+
+/*
+ * Cached responses are used until their time-to-live runs out, or, for
+ * the ones that change with each block, until a new block height is seen.
+ */
+
+const SCOPE = 'http://localhost:16268|http://localhost:18332|111|0';
+
+// A fetcher that counts how often it is called, and answers with what it is given
+function makeFetcher(values: Array<any>) {
+  const fetcher = () => {
+    fetcher.calls += 1;
+    return Promise.resolve(values[Math.min(fetcher.calls - 1, values.length - 1)]);
+  };
+  fetcher.calls = 0;
+  return fetcher;
+}
+
+test('a response is cached until its time-to-live runs out', (t) => {
+  let time = 1000;
+  const cache = new ResponseCache(new MemoryCacheBackend(), { nameInfo: 60 }, () => time);
+  const fetcher = makeFetcher([{ address: 'first' }, { address: 'second' }]);
+  return cache.fetch('nameInfo', SCOPE, 'hello.id', fetcher)
+    .then((value) => {
+      t.deepEqual(value, { address: 'first' });
+      value.address = 'changed';
+      time += 59 * 1000;
+      return cache.fetch('nameInfo', SCOPE, 'hello.id', fetcher);
+    })
+    .then((value) => {
+      t.equal(fetcher.calls, 1);
+      t.deepEqual(value, { address: 'first' }, 'callers cannot change what is cached');
+      time += 1000;
+      return cache.fetch('nameInfo', SCOPE, 'hello.id', fetcher);
+    })
+    .then((value) => {
+      t.equal(fetcher.calls, 2);
+      t.deepEqual(value, { address: 'second' });
+    });
+});
+
+test('responses are kept apart by class, scope, and ID', (t) => {
+  const cache = new ResponseCache(new MemoryCacheBackend());
+  const fetcher = makeFetcher([1, 2, 3, 4]);
+  return cache.fetch('nameInfo', SCOPE, 'hello.id', fetcher)
+    .then(() => cache.fetch('nameInfo', SCOPE, 'world.id', fetcher))
+    .then(() => cache.fetch('nameInfo', 'http://other:16268||111|0', 'hello.id', fetcher))
+    .then(() => cache.fetch('namespaceInfo', SCOPE, 'hello.id', fetcher))
+    .then((value) => {
+      t.equal(fetcher.calls, 4);
+      t.equal(value, 4);
+    });
+});
+
+test('a class with no time-to-live is not cached', (t) => {
+  const cache = new ResponseCache(new MemoryCacheBackend(), { utxos: 0 });
+  const fetcher = makeFetcher([[]]);
+  return cache.fetch('utxos', SCOPE, 'address', fetcher)
+    .then(() => cache.fetch('utxos', SCOPE, 'address', fetcher))
+    .then(() => t.equal(fetcher.calls, 2));
+});
+
+test('a new block height drops the responses that change with each block', (t) => {
+  // (the responses would otherwise expire along with the block height)
+  let time = 1000;
+  const cache = new ResponseCache(new MemoryCacheBackend(), { nameInfo: 600, utxos: 600 },
+                                  () => time);
+  const heights = makeFetcher([100, 100, 101]);
+  const utxos = makeFetcher([['before'], ['after']]);
+  const nameInfo = makeFetcher([{ zonefile: 'before' }, { zonefile: 'after' }]);
+
+  return cache.fetch('blockHeight', SCOPE, '', heights)
+    .then(() => cache.fetch('utxos', SCOPE, 'address', utxos))
+    .then(() => cache.fetch('nameInfo', SCOPE, 'hello.id', nameInfo))
+    .then(() => {
+      // the block height expires, but is the same when fetched again
+      time += 30 * 1000;
+      return cache.fetch('blockHeight', SCOPE, '', heights);
+    })
+    .then(() => cache.fetch('utxos', SCOPE, 'address', utxos))
+    .then((value) => {
+      t.deepEqual(value, ['before'], 'the same block height keeps the responses');
+      time += 30 * 1000;
+      return cache.fetch('blockHeight', SCOPE, '', heights);
+    })
+    .then((height) => {
+      t.equal(height, 101);
+      time += 1;
+      return cache.fetch('nameInfo', SCOPE, 'hello.id', nameInfo);
+    })
+    .then((value) => {
+      t.deepEqual(value, { zonefile: 'after' }, 'a new block height drops the responses');
+      t.equal(nameInfo.calls, 2);
+    });
+});
+
+test('invalidating a class drops only its responses', (t) => {
+  const cache = new ResponseCache(new MemoryCacheBackend());
+  const utxos = makeFetcher([['before'], ['after']]);
+  const nameInfo = makeFetcher([{ zonefile: 'before' }]);
+  return cache.fetch('utxos', SCOPE, 'address', utxos)
+    .then(() => cache.fetch('nameInfo', SCOPE, 'hello.id', nameInfo))
+    .then(() => {
+      cache.invalidate('utxos');
+      return cache.fetch('utxos', SCOPE, 'address', utxos);
+    })
+    .then((value) => {
+      t.deepEqual(value, ['after']);
+      return cache.fetch('nameInfo', SCOPE, 'hello.id', nameInfo);
+    })
+    .then(() => {
+      t.equal(nameInfo.calls, 1);
+      cache.invalidate();
+      return cache.fetch('nameInfo', SCOPE, 'hello.id', nameInfo);
+    })
+    .then(() => t.equal(nameInfo.calls, 2));
+});
+
+test('concurrent fetches of a response share one fetch, and failures are not cached', (t) => {
+  const cache = new ResponseCache(new MemoryCacheBackend());
+  let calls = 0;
+  const failing = () => {
+    calls += 1;
+    return Promise.reject(new Error('unreachable'));
+  };
+  const fetcher = makeFetcher([{ address: 'first' }]);
+
+  return Promise.all([
+    cache.fetch('nameInfo', SCOPE, 'hello.id', fetcher),
+    cache.fetch('nameInfo', SCOPE, 'hello.id', fetcher)
+  ])
+    .then((values) => {
+      t.equal(fetcher.calls, 1);
+      t.deepEqual(values, [{ address: 'first' }, { address: 'first' }]);
+      t.notEqual(values[0], values[1], 'each caller gets its own copy');
+      return cache.fetch('nameInfo', SCOPE, 'world.id', failing);
+    })
+    .then(() => t.fail('a failed fetch succeeded'), (e) => t.equal(e.message, 'unreachable'))
+    .then(() => cache.fetch('nameInfo', SCOPE, 'world.id', failing))
+    .then(() => t.fail('a failed fetch succeeded'), () => t.equal(calls, 2));
+});
+
+test('the disk cache is shared between runs, and can be cleared by class', (t) => {
+  const cacheDir = pathTools.join(fs.mkdtempSync(pathTools.join(os.tmpdir(), 'cache-test-')),
+                                  'cache');
+  const firstRun = new ResponseCache(new DiskCacheBackend(cacheDir));
+  const nameInfo = makeFetcher([{ zonefile: 'first' }, { zonefile: 'second' }]);
+  const utxos = makeFetcher([['first'], ['second']]);
+
+  return firstRun.fetch('nameInfo', SCOPE, 'hello.id', nameInfo)
+    .then(() => firstRun.fetch('utxos', SCOPE, 'address', utxos))
+    .then(() => {
+      t.equal(fs.readdirSync(cacheDir).length, 2);
+      const secondRun = new ResponseCache(new DiskCacheBackend(cacheDir));
+      return secondRun.fetch('nameInfo', SCOPE, 'hello.id', nameInfo)
+        .then((value) => {
+          t.deepEqual(value, { zonefile: 'first' });
+          t.equal(nameInfo.calls, 1);
+          secondRun.invalidate('utxos');
+          t.deepEqual(fs.readdirSync(cacheDir).map((name) => name.split('.')[0]), ['nameInfo']);
+          return secondRun.fetch('utxos', SCOPE, 'address', utxos);
+        });
+    })
+    .then((value) => {
+      t.deepEqual(value, ['second']);
+      t.doesNotThrow(() => new DiskCacheBackend(pathTools.join(cacheDir, 'missing')).clear(),
+                     'a cache directory that was never made is already clear');
+    });
+});
+
+test('the disk cache ignores entries that are not its own', (t) => {
+  const cacheDir = fs.mkdtempSync(pathTools.join(os.tmpdir(), 'cache-test-'));
+  const backend = new DiskCacheBackend(cacheDir);
+  const key = `nameInfo:${SCOPE}:hello.id`;
+  backend.set(key, { value: 1, storedAt: Date.now() });
+  t.deepEqual(backend.get(key), { value: 1, storedAt: backend.get(key).storedAt });
+
+  fs.writeFileSync(backend.getEntryPath(key), JSON.stringify({ key: 'other', entry: {} }));
+  t.equal(backend.get(key), null);
+  fs.writeFileSync(backend.getEntryPath(key), '{');
+  t.equal(backend.get(key), null);
+  t.end();
+});
+
+test('the cache that the config asks for is made', (t) => {
+  t.ok(makeResponseCache({}).backend instanceof MemoryCacheBackend);
+  t.ok(makeResponseCache({ cache: 'disk', cacheDir: os.tmpdir() }).backend instanceof
+       DiskCacheBackend);
+  t.equal(makeResponseCache({ cache: 'none' }), null);
+  t.equal(makeResponseCache({ cache: 'memory' }, true), null, '--no-cache turns it off');
+  t.equal(makeResponseCache({ cacheTTLs: { utxos: 5 } }).ttls.utxos, 5);
+  t.end();
+});
@@ -0,0 +1,206 @@
+/* @flow */
+
+import test from 'blue-tape';
+import fs from 'fs';
+import os from 'os';
+import pathTools from 'path';
+
+import {
+  Cassette,
+  useCassette
+} from '../../../lib/cassette';
+
+/*
+ * A run recorded to a cassette can be replayed from it without the
+ * network, even though the tokens it signs differ each time.
+ */
+
+const API_KEY = 'secret-api-key';
+
+function makeCassettePath() : string {
+  return pathTools.join(fs.mkdtempSync(pathTools.join(os.tmpdir(), 'cassette-test-')),
+                        'run.cassette');
+}
+
+function base64url(value: Object) : string {
+  return Buffer.from(JSON.stringify(value)).toString('base64')
+    .replace(/=+$/, '').replace(/\+/g, '-').replace(/\//g, '_');
+}
+
+// A signed token, with the claims that change each time it is made
+function makeToken(salt: string, payload: Object = { scope: 'store' }) : string {
+  const header = base64url({ typ: 'JWT', alg: 'ES256K' });
+  const body = base64url(Object.assign({ salt, iat: Date.now() }, payload));
+  return `${header}.${body}.${salt}-signature`;
+}
+
+// A fetch() that answers from a list of responses (or errors), and records the URLs it got
+function makeFetch(answers: Array<Object | Error>) {
+  const fetchFn = (url) => {
+    fetchFn.urls.push(url);
+    const answer = answers[Math.min(fetchFn.urls.length - 1, answers.length - 1)];
+    if (answer instanceof Error) {
+      return Promise.reject(answer);
+    }
+    return Promise.resolve(new global.Response(answer.body, {
+      status: answer.status || 200, headers: answer.headers || {}
+    }));
+  };
+  fetchFn.urls = [];
+  return fetchFn;
+}
+
+test('a recorded run is replayed from its cassette', (t) => {
+  const cassettePath = makeCassettePath();
+  const recorder = new Cassette('record', cassettePath);
+  const realFetch = makeFetch([
+    { body: '{"address": "someone"}', headers: { 'Content-Type': 'application/json' } },
+    { body: 'Not found', status: 404 }
+  ]);
+
+  return recorder.fetch(realFetch, 'http://core/v1/names/hello.id')
+    .then((resp) => resp.json())
+    .then((body) => {
+      t.deepEqual(body, { address: 'someone' }, 'the recorded response is still read');
+      return recorder.fetch(realFetch, 'http://core/v1/names/missing.id');
+    })
+    .then(() => {
+      const player = new Cassette('replay', cassettePath);
+      t.equal(player.interactions.length, 2);
+      return player.fetch(() => t.fail('replaying used the network'),
+                          'http://core/v1/names/missing.id')
+        .then((resp) => {
+          t.equal(resp.status, 404);
+          return player.fetch(null, 'http://core/v1/names/hello.id');
+        })
+        .then((resp) => {
+          t.equal(resp.headers.get('content-type'), 'application/json');
+          return resp.json();
+        })
+        .then((body) => {
+          t.deepEqual(body, { address: 'someone' });
+          return player.fetch(null, 'http://core/v1/names/other.id');
+        })
+        .then(() => t.fail('replayed a request that was not recorded'),
+              (e) => {
+                t.equal(e.code, 'NETWORK');
+                t.ok(/No recorded response for GET http:\/\/core\/v1\/names\/other.id/
+                  .test(e.message));
+              });
+    });
+});
+
+test('the same request is answered in the order it was recorded, then repeats', (t) => {
+  const recorder = new Cassette('record', null);
+  const realFetch = makeFetch([{ body: 'pending' }, { body: 'confirmed' }]);
+  return recorder.fetch(realFetch, 'http://node/tx')
+    .then(() => recorder.fetch(realFetch, 'http://node/tx'))
+    .then(() => {
+      const player = new Cassette('replay', null, recorder.interactions);
+      const replayText = () => player.fetch(null, 'http://node/tx').then((resp) => resp.text());
+      return replayText()
+        .then((text) => {
+          t.equal(text, 'pending');
+          return replayText();
+        })
+        .then((text) => {
+          t.equal(text, 'confirmed');
+          return replayText();
+        })
+        .then((text) => t.equal(text, 'confirmed'));
+    });
+});
+
+test('requests are matched by method and body, and tokens by their stable contents', (t) => {
+  const recorder = new Cassette('record', null);
+  const realFetch = makeFetch([{ body: 'stored' }, { body: 'other' }]);
+  const store = (token, body) => ({
+    method: 'post', headers: { Authorization: `bearer ${token}` }, body
+  });
+
+  return recorder.fetch(realFetch, 'http://hub/store/file',
+                        store(makeToken('first'), JSON.stringify({ token: makeToken('a') })))
+    .then(() => {
+      const player = new Cassette('replay', null, recorder.interactions);
+      return player.fetch(null, 'http://hub/store/file',
+                          store(makeToken('second'), JSON.stringify({ token: makeToken('b') })))
+        .then((resp) => resp.text())
+        .then((text) => {
+          t.equal(text, 'stored', 'tokens signed again still match');
+          return player.fetch(null, 'http://hub/store/file',
+                              store(makeToken('third', { scope: 'delete' }), '{}'));
+        })
+        .then(() => t.fail('matched a token with different contents'),
+              (e) => t.equal(e.code, 'NETWORK'))
+        .then(() => player.fetch(null, 'http://hub/store/file'))
+        .then(() => t.fail('matched a GET to a POST'), (e) => t.equal(e.code, 'NETWORK'));
+    });
+});
+
+test('API keys are never written to a cassette', (t) => {
+  const cassettePath = makeCassettePath();
+  const recorder = new Cassette('record', cassettePath);
+  return recorder.fetch(makeFetch([{ body: '{}' }]), 'http://registrar/v1/names', {
+    method: 'POST', headers: { 'Authorization': `bearer ${API_KEY}` }, body: '{"name": "a.id"}'
+  })
+    .then(() => {
+      const text = fs.readFileSync(cassettePath).toString();
+      t.notOk(text.includes(API_KEY));
+      t.equal(JSON.parse(text).interactions[0].request.authorization, '[redacted]');
+    });
+});
+
+test('failed requests and binary responses are replayed as they happened', (t) => {
+  const recorder = new Cassette('record', null);
+  const refused = Object.assign((new Error('connect ECONNREFUSED'): Object),
+                                { code: 'ECONNREFUSED' });
+  const binary = Buffer.from([0xff, 0x00, 0xfe]);
+  const realFetch = (url) => (url.endsWith('/down') ? Promise.reject(refused) :
+    Promise.resolve(new global.Response(binary)));
+
+  return recorder.fetch(realFetch, 'http://node/down')
+    .then(() => t.fail('a refused request succeeded'), (e) => t.equal(e, refused))
+    .then(() => recorder.fetch(realFetch, 'http://node/blob'))
+    .then(() => {
+      t.equal(recorder.interactions[1].response.bodyEncoding, 'base64');
+      const player = new Cassette('replay', null, recorder.interactions);
+      return player.fetch(null, 'http://node/down')
+        .then(() => t.fail('a refused request succeeded'),
+              (e) => {
+                t.equal(e.code, 'ECONNREFUSED');
+                t.equal(e.message, 'connect ECONNREFUSED');
+              })
+        .then(() => player.fetch(null, 'http://node/blob'))
+        .then((resp) => resp.arrayBuffer())
+        .then((body) => t.ok(Buffer.from(body).equals(binary)));
+    });
+});
+
+test('cassettes that cannot be replayed are refused', (t) => {
+  const cassettePath = makeCassettePath();
+  t.throws(() => new Cassette('rewind', cassettePath), /Invalid cassette mode "rewind"/);
+  t.throws(() => new Cassette('replay', cassettePath), /Failed to read cassette/);
+  fs.writeFileSync(cassettePath, JSON.stringify({ version: 2, interactions: [] }));
+  t.throws(() => new Cassette('replay', cassettePath), /is not a version 1 cassette/);
+  t.end();
+});
+
+test('every fetch goes through the cassette until it is stopped', (t) => {
+  const fetchBefore = global.fetch;
+  const player = new Cassette('replay', null, [{
+    request: { method: 'GET', url: 'http://core/v1/info', authorization: null, body: '' },
+    response: { status: 200, statusText: 'OK', headers: {}, body: 'replayed',
+                bodyEncoding: 'utf8' }
+  }]);
+  const stop = useCassette(player);
+  return fetch('http://core/v1/info')
+    .then((resp) => resp.text())
+    .then((text) => {
+      stop();
+      t.equal(text, 'replayed');
+      t.equal(global.fetch, fetchBefore);
+    }, (e) => {
+      stop();
+      throw e;
+    });
+});
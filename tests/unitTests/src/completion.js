@@ -0,0 +1,88 @@
+/* @flow */
+
+import test from 'blue-tape';
+import fs from 'fs';
+import os from 'os';
+import pathTools from 'path';
+import { spawnSync } from 'child_process';
+
+import {
+  getArgumentKind,
+  getKnownIDs,
+  makeCompletionScript,
+  recordCompletions
+} from '../../../lib/completion';
+
+/*
+ * The completion scripts are made from CLI_ARGS, so they must know every
+ * command, its --keyword arguments, and what each argument takes.  The bash
+ * script is run here, the way bash runs it on <TAB>.
+ */
+
+// Complete a command line (the last word is the one being completed) with the bash script
+function completeWithBash(words: Array<string>) : Array<string> {
+  const script = `${makeCompletionScript('bash')}
+COMP_WORDS=(${words.map((word) => `'${word}'`).join(' ')})
+COMP_CWORD=${words.length - 1}
+_blockstack_cli
+printf '%s\\n' "\${COMPREPLY[@]}"
+`;
+  const result = spawnSync('bash', ['-c', script], { encoding: 'utf8' });
+  return String(result.stdout).split('\n').filter((line) => line.length > 0);
+}
+
+// Run something with HOME (where names and ID-addresses are remembered) in a new directory
+function withHome<T>(run: () => T) : T {
+  const home = process.env.HOME;
+  process.env.HOME = fs.mkdtempSync(pathTools.join(os.tmpdir(), 'completion-test-'));
+  try {
+    return run();
+  }
+  finally {
+    process.env.HOME = home;
+  }
+}
+
+test('arguments are classified by what can be suggested for them', (t) => {
+  t.equal(getArgumentKind({ realtype: 'on-chain-blockstack_id' }), 'name');
+  t.equal(getArgumentKind({ realtype: 'id_address' }), 'id_address');
+  t.equal(getArgumentKind({ realtype: 'path' }), 'file');
+  t.equal(getArgumentKind({ realtype: 'true-or-false' }), 'boolean');
+  t.equal(getArgumentKind({ realtype: 'private_key' }), '-');
+  t.end();
+});
+
+test('every command is in every script', (t) => {
+  for (const shell of ['bash', 'zsh', 'fish']) {
+    const script = makeCompletionScript(shell);
+    for (const command of ['whois', 'bump_fee', 'psbt_sign', 'serve']) {
+      t.ok(script.includes(command), `${shell} completes ${command}`);
+    }
+  }
+  t.throws(() => makeCompletionScript('tcsh'), /Unsupported shell "tcsh"/);
+  t.end();
+});
+
+test('the bash script is valid bash', (t) => {
+  const result = spawnSync('bash', ['-n'], { input: makeCompletionScript('bash') });
+  t.equal(result.status, 0, String(result.stderr));
+  t.end();
+});
+
+test('the bash script completes commands, after global options', (t) => {
+  t.deepEqual(completeWithBash(['blockstack-cli', '-F', '10', 'who']), ['whois']);
+  t.deepEqual(completeWithBash(['blockstack-cli', '--fee-']),
+              ['--fee-rate', '--fee-target', '--fee-mode']);
+  t.end();
+});
+
+test('the bash script completes keyword arguments and remembered names', (t) => {
+  t.deepEqual(completeWithBash(['blockstack-cli', 'whois', '--']), ['--blockstack_id']);
+  withHome(() => {
+    recordCompletions('whois', ['hello.id']);
+    recordCompletions('lookup', ['world.id']);
+    t.deepEqual(getKnownIDs('name'), ['hello.id', 'world.id']);
+    t.deepEqual(completeWithBash(['blockstack-cli', 'whois', 'he']), ['hello.id']);
+  });
+  t.end();
+});
@@ -0,0 +1,226 @@
+/* @flow */
+
+import test from 'blue-tape';
+import fs from 'fs';
+import os from 'os';
+import pathTools from 'path';
+
+import {
+  getDefaultArgs,
+  loadConfig,
+  parseSettingValue,
+  readConfigFile,
+  validateConfig,
+  writeConfigFile
+} from '../../../lib/argparse';
+
+import {
+  COMMANDS,
+  DEFAULT_COMMAND_OPTIONS
+} from '../../../lib/commands';
+
+/*
+ * The config file is checked against its schema before it is used or
+ * written, and a profile's settings override the file's top-level ones,
+ * which override the network's defaults.
+ */
+
+const PRIVATE_KEY = '4b8b3b3bad41d2b8ae06b3a91fbdee1f3fe9ccee1e8b4f0a39ff3b74a5a26b5b01';
+
+function makeConfigPath() : string {
+  return pathTools.join(fs.mkdtempSync(pathTools.join(os.tmpdir(), 'config-test-')),
+                        'blockstack-cli.conf');
+}
+
+function writeJSON(path: string, data: Object) : string {
+  fs.writeFileSync(path, JSON.stringify(data));
+  return path;
+}
+
+const CONFIG = {
+  blockstackAPIUrl: 'https://api.example.com',
+  maxFeeRate: 50,
+  defaultProfile: 'local',
+  profiles: {
+    local: {
+      network: 'regtest',
+      maxFeeRate: 10,
+      paymentKey: PRIVATE_KEY
+    },
+    testing: {
+      network: 'testnet',
+      gaiaHubUrl: 'https://hub.example.com'
+    }
+  }
+};
+
+test('a valid config has no problems', (t) => {
+  t.deepEqual(validateConfig(CONFIG), []);
+  t.deepEqual(validateConfig({}), []);
+  t.end();
+});
+
+test('every problem in a config is listed, with where it is', (t) => {
+  const problems = validateConfig({
+    maxFeeRate: 'lots',
+    feeMode: 'cheap',
+    maxFeeRat: 10,
+    profiles: {
+      local: { utxoProvider: 'somewhere', keystoreDir: '' }
+    }
+  });
+  t.ok(problems.includes('config file: unknown setting "maxFeeRat"'), problems.join('\n'));
+  t.ok(problems.includes('feeMode: must be one of economical, conservative'), problems.join('\n'));
+  t.ok(problems.some((problem) => problem.startsWith('maxFeeRate: ')), problems.join('\n'));
+  t.ok(problems.includes(
+    'profiles.local.utxoProvider: must be one of blockchain.info, bitcoind, electrum, esplora'),
+       problems.join('\n'));
+  t.ok(problems.some((problem) => problem.startsWith('profiles.local.keystoreDir: ')),
+       problems.join('\n'));
+  t.end();
+});
+
+test('profiles only hold settings, and have names', (t) => {
+  t.ok(validateConfig({ profiles: { local: { defaultProfile: 'local' } } })
+    .includes('profiles.local: unknown setting "defaultProfile"'));
+  t.ok(validateConfig({ profiles: { 'not a name': {} } }).length > 0);
+  t.end();
+});
+
+test('the default profile must exist', (t) => {
+  t.deepEqual(validateConfig({ defaultProfile: 'local' }),
+              ['defaultProfile: no profile named "local"']);
+  t.deepEqual(validateConfig({ defaultProfile: 'local', profiles: { testing: {} } }),
+              ['defaultProfile: no profile named "local"']);
+  t.end();
+});
+
+test('setting values are parsed by their types', (t) => {
+  t.equal(parseSettingValue('maxFeeRate', '12.5'), 12.5);
+  t.equal(parseSettingValue('retries', '3'), 3);
+  t.deepEqual(parseSettingValue('noProxy', ' localhost, .example.com,,'),
+              ['localhost', '.example.com']);
+  t.deepEqual(parseSettingValue('cacheTTLs', '{"utxos": 0}'), { utxos: 0 });
+  t.equal(parseSettingValue('utxoProvider', 'bitcoind'), 'bitcoind');
+  t.equal(parseSettingValue('completionHistory', 'true'), true);
+  t.equal(parseSettingValue('completionHistory', 'false'), false);
+  t.throws(() => parseSettingValue('completionHistory', 'yes'), /must be true or false/);
+  t.throws(() => parseSettingValue('maxFee', 'lots'), /must be a number/);
+  t.throws(() => parseSettingValue('maxFee', ' '), /must be a number/);
+  t.throws(() => parseSettingValue('logConfig', '{level'), /must be a JSON object/);
+  t.end();
+});
+
+test('a config is written only if it is valid, and only its owner can read it', (t) => {
+  const configPath = makeConfigPath();
+  writeConfigFile(configPath, CONFIG);
+  t.equal(fs.statSync(configPath).mode & 0o777, 0o600);
+  t.deepEqual(readConfigFile(configPath), CONFIG);
+
+  try {
+    writeConfigFile(configPath, Object.assign({}, CONFIG, { maxFee: -1 }));
+    t.fail('wrote an invalid config');
+  }
+  catch (e) {
+    t.equal(e.code, 'VALIDATION');
+    t.ok(e.details.problems.some((problem) => problem.startsWith('maxFee: ')));
+  }
+  t.deepEqual(readConfigFile(configPath), CONFIG, 'the config file is left as it was');
+  t.end();
+});
+
+test('a config file that is missing is not an error, but one that is invalid is', (t) => {
+  const configPath = makeConfigPath();
+  t.equal(readConfigFile(configPath), null);
+
+  fs.writeFileSync(configPath, '{"maxFee": ');
+  t.throws(() => readConfigFile(configPath), /is not valid JSON/);
+
+  writeJSON(configPath, { maxFee: 'lots' });
+  t.throws(() => readConfigFile(configPath), /Invalid config file/);
+  t.throws(() => loadConfig(configPath), /Invalid config file/);
+
+  try {
+    readConfigFile(pathTools.dirname(configPath));
+    t.fail('read a directory as a config file');
+  }
+  catch (e) {
+    t.equal(e.code, 'VALIDATION', 'a config file that cannot be read is a config problem');
+    t.ok(/Failed to read config file/.test(e.message));
+  }
+  t.end();
+});
+
+test('a config with a bad setting can still be listed and fixed', (t) => {
+  const configPath = writeJSON(makeConfigPath(), {
+    profiles: { prod: { blockstackAPIUrl: 'x' }, local: { network: 'regtest' } }
+  });
+  const runConfig = (args, profile = null) => COMMANDS.config(
+    null, args, Object.assign({}, DEFAULT_COMMAND_OPTIONS, { configPath, profile }));
+
+  return runConfig(['list'])
+    .then((profiles) => {
+      t.deepEqual(profiles, [
+        { profile: 'prod', default: false, network: 'mainnet', blockstackAPIUrl: 'x' },
+        { profile: 'local', default: false, network: 'regtest',
+          blockstackAPIUrl: 'http://localhost:16268' }
+      ]);
+      return runConfig(['use', 'prod']);
+    })
+    .then(() => t.fail('made an invalid config the default'),
+          (e) => {
+            t.equal(e.code, 'VALIDATION');
+            t.ok(/Refusing to write invalid config/.test(e.message));
+          })
+    .then(() => runConfig(['set', 'blockstackAPIUrl', 'https://core.example.com'], 'prod'))
+    .then((result) => {
+      t.equal(result.profile, 'prod');
+      t.deepEqual(readConfigFile(configPath).profiles.prod,
+                  { blockstackAPIUrl: 'https://core.example.com' });
+      return runConfig(['use', 'prod']);
+    })
+    .then(() => t.equal(readConfigFile(configPath).defaultProfile, 'prod'));
+});
+
+test('with no config file, the network\'s defaults are used', (t) => {
+  const configPath = makeConfigPath();
+  const config = loadConfig(configPath, 'regtest');
+  t.equal(config.network, 'regtest');
+  t.equal(config.profile, null);
+  t.equal(config.blockstackAPIUrl, 'http://localhost:16268');
+  t.equal(loadConfig(configPath).network, 'mainnet');
+  t.throws(() => loadConfig(configPath, 'moonnet'), /Unrecognized network "moonnet"/);
+  t.end();
+});
+
+test('the profile overrides the top level, which overrides the defaults', (t) => {
+  const configPath = writeJSON(makeConfigPath(), CONFIG);
+
+  const config = loadConfig(configPath);
+  t.equal(config.profile, 'local', 'the default profile is used');
+  t.equal(config.network, 'regtest', 'the profile picks its network');
+  t.equal(config.maxFeeRate, 10);
+  t.equal(config.blockstackAPIUrl, 'https://api.example.com');
+  t.equal(config.retries, 2);
+  t.equal(config.defaultProfile, undefined);
+  t.equal(config.profiles, undefined);
+
+  const testing = loadConfig(configPath, null, 'testing');
+  t.equal(testing.profile, 'testing');
+  t.equal(testing.network, 'testnet');
+  t.equal(testing.maxFeeRate, 50);
+  t.equal(testing.paymentKey, undefined, 'other profiles\' settings are not used');
+
+  t.equal(loadConfig(configPath, 'mainnet').network, 'mainnet',
+          'a network that is asked for wins over the profile\'s');
+  t.throws(() => loadConfig(configPath, null, 'staging'), /No profile named "staging"/);
+  t.end();
+});
+
+test('a profile\'s keys and hub are the defaults for command arguments', (t) => {
+  const configPath = writeJSON(makeConfigPath(), CONFIG);
+  t.deepEqual(getDefaultArgs(loadConfig(configPath)), { payment_key: PRIVATE_KEY });
+  t.deepEqual(getDefaultArgs(loadConfig(configPath, null, 'testing')),
+              { gaia_hub: 'https://hub.example.com' });
+  t.end();
+});
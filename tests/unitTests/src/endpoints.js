@@ -0,0 +1,196 @@
+/* @flow */
+
+import test from 'blue-tape';
+import http from 'http';
+const blockstack = require('blockstack');
+
+import {
+  EndpointPool
+} from '../../../lib/endpoints';
+
+import {
+  CLINetworkAdapter
+} from '../../../lib/network';
+
+import {
+  UTXOProvider
+} from '../../../lib/utxo';
+
+/*
+ * Requests fail over from endpoints that are down to the next ones, and
+ * quorum reads refuse answers that the nodes do not agree on.
+ */
+
+// A fetch() that answers each URL from a table of statuses (or errors), and records the URLs
+function makeFetch(answers: { [string]: number | Error }) {
+  const fetchFn = (url) => {
+    fetchFn.urls.push(url);
+    const host = Object.keys(answers).find((endpoint) => url.startsWith(endpoint));
+    const answer = host ? answers[host] : new Error('no such host');
+    return answer instanceof Error ? Promise.reject(answer) :
+      Promise.resolve({ status: answer, url });
+  };
+  fetchFn.urls = [];
+  return fetchFn;
+}
+
+test('requests go to the first endpoint that answers', (t) => {
+  const pool = new EndpointPool('blockstackAPIUrl',
+                                ['http://a/', 'http://b', 'http://b', 'http://c'], 0, 0);
+  t.deepEqual(pool.urls, ['http://a', 'http://b', 'http://c']);
+  t.ok(pool.owns('http://a/v1/names/hello.id'));
+  t.ok(pool.owns('http://a?x=1'));
+  t.notOk(pool.owns('http://ab/v1/names'));
+  t.notOk(pool.owns('http://b/v1/names'), 'only the primary URL is routed through the pool');
+
+  const fetchFn = makeFetch({ 'http://a': new Error('refused'), 'http://b': 503, 'http://c': 404 });
+  return pool.fetch(fetchFn, 'http://a/v1/names/hello.id')
+    .then((resp) => {
+      t.equal(resp.status, 404, 'a 404 is an answer');
+      t.deepEqual(fetchFn.urls, ['http://a/v1/names/hello.id', 'http://b/v1/names/hello.id',
+                                 'http://c/v1/names/hello.id']);
+      t.deepEqual(pool.getEndpoints(), ['http://c', 'http://a', 'http://b'],
+                  'endpoints that failed are tried last');
+      t.deepEqual(Object.keys(pool.health).sort(), ['http://a', 'http://b']);
+
+      fetchFn.urls = [];
+      return pool.fetch(fetchFn, 'http://a/v1/info');
+    })
+    .then(() => t.deepEqual(fetchFn.urls, ['http://c/v1/info']));
+});
+
+test('an endpoint that recovers is used again', (t) => {
+  const pool = new EndpointPool('blockstackAPIUrl', ['http://a', 'http://b'], 0, 0);
+  const answers = { 'http://a': 500, 'http://b': 200 };
+  const fetchFn = makeFetch(answers);
+  return pool.fetch(fetchFn, 'http://a/v1/info')
+    .then(() => {
+      t.equal(pool.health['http://a'].failures, 1);
+      answers['http://b'] = 429;
+      answers['http://a'] = 200;
+      return pool.fetch(fetchFn, 'http://a/v1/info');
+    })
+    .then((resp) => {
+      t.equal(resp.url, 'http://a/v1/info');
+      t.notOk(pool.health.hasOwnProperty('http://a'));
+      t.deepEqual(pool.getEndpoints(), ['http://a', 'http://b']);
+    });
+});
+
+test('every endpoint is retried, and the last response is given if none answer', (t) => {
+  const pool = new EndpointPool('blockstackAPIUrl', ['http://a', 'http://b'], 2, 1);
+  const fetchFn = makeFetch({ 'http://a': 502, 'http://b': new Error('refused') });
+  return pool.fetch(fetchFn, 'http://a/v1/info')
+    .then((resp) => {
+      t.equal(resp.status, 502);
+      t.equal(fetchFn.urls.length, 6, 'the list is tried once and retried twice');
+      t.equal(pool.health['http://a'].failures, 3);
+    });
+});
+
+test('a service that cannot be reached at all is a network error', (t) => {
+  const pool = new EndpointPool('broadcastServiceUrl', ['http://a', 'http://b'], 1, 1);
+  const fetchFn = makeFetch({ 'http://a': new Error('refused') });
+  return pool.fetch(fetchFn, 'http://a/v1/broadcast')
+    .then(() => t.fail('reached an unreachable service'),
+          (e) => {
+            t.equal(e.code, 'NETWORK');
+            t.ok(/Failed to reach any broadcastServiceUrl endpoint \(http:\/\/a, http:\/\/b\)/
+              .test(e.message));
+            t.equal(fetchFn.urls.length, 4);
+          });
+});
+
+// Start a Blockstack Core node that answers name lookups with the given status and body
+function startNode(status: number, body: ?Object) {
+  const server = http.createServer((req, res) => {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body || { error: 'Not found' }));
+  });
+  return new Promise((resolve) => server.listen({ port: 0, host: '127.0.0.1' }, () => resolve({
+    url: `http://127.0.0.1:${server.address().port}`,
+    close: () => new Promise((closed) => server.close(closed))
+  })));
+}
+
+// Make a network that reads from the given nodes with a quorum
+function makeQuorumNetwork(urls: Array<string>, quorum: number) {
+  return new CLINetworkAdapter(new blockstack.network.BlockstackNetwork(
+    urls[0], 'http://127.0.0.1:1', new UTXOProvider('http://127.0.0.1:1')),
+                               { blockstackAPIUrls: urls.slice(1), quorum, retries: 0 });
+}
+
+const NAME_INFO = { address: '1BvBMSEYstWetqTFn5Au4m4GFg7xJaNVN2', zonefile_hash: 'ab'.repeat(20),
+                    status: 'registered' };
+const NAME_FIELDS = ['address', 'zonefile_hash'];
+
+// Run something with Blockstack Core nodes that answer as given, and stop them afterwards
+function withNodes<T>(answers: Array<[number, ?Object]>,
+                      run: (urls: Array<string>) => Promise<T>) : Promise<T> {
+  return Promise.all(answers.map(([status, body]) => startNode(status, body)))
+    .then((nodes) => {
+      const close = () => Promise.all(nodes.map((node) => node.close()));
+      return Promise.resolve().then(() => run(nodes.map((node) => node.url)))
+        .then((result) => close().then(() => result),
+              (e) => close().then(() => {
+                throw e;
+              }));
+    });
+}
+
+test('a quorum of nodes that agree is believed', (t) => {
+  return withNodes([[200, NAME_INFO], [200, Object.assign({}, NAME_INFO, { status: 'other' })],
+                    [200, { address: 'someone else' }]],
+                   (urls) => makeQuorumNetwork(urls, 2)
+                     .quorumRead('name hello.id', '/v1/names/hello.id', NAME_FIELDS)
+                     .then((answer) => {
+                       t.equal(answer.status, 200);
+                       t.deepEqual(answer.body, NAME_INFO);
+                     }));
+});
+
+test('nodes that disagree are not believed', (t) => {
+  return withNodes([[200, NAME_INFO], [200, Object.assign({}, NAME_INFO, { address: 'thief' })]],
+                   (urls) => makeQuorumNetwork(urls, 2)
+                     .quorumRead('name hello.id', '/v1/names/hello.id', NAME_FIELDS)
+                     .then(() => t.fail('believed nodes that disagree'),
+                           (e) => {
+                             t.equal(e.code, 'SAFETY_CHECK');
+                             t.ok(/disagree about name hello.id/.test(e.message));
+                             t.deepEqual(Object.keys(e.safetyErrors.answers).sort(),
+                                         urls.slice().sort());
+                           }));
+});
+
+test('a node that says a name does not exist disagrees with one that has it', (t) => {
+  return withNodes([[200, NAME_INFO], [404, null]],
+                   (urls) => makeQuorumNetwork(urls, 2)
+                     .quorumRead('name hello.id', '/v1/names/hello.id', ['address'])
+                     .then(() => t.fail('believed nodes that disagree'),
+                           (e) => t.equal(e.code, 'SAFETY_CHECK')));
+});
+
+test('nodes that are down are replaced by the next ones, until too few are left', (t) => {
+  return withNodes([[500, null], [200, NAME_INFO], [200, NAME_INFO], [404, null]],
+                   (urls) => {
+                     const network = makeQuorumNetwork(urls, 2);
+                     return network.getNameInfo('hello.id')
+                       .then((nameInfo) => {
+                         t.equal(nameInfo.zonefile_hash, NAME_INFO.zonefile_hash);
+                         t.ok(network.endpointPools.blockstackAPIUrl.health.hasOwnProperty(urls[0]),
+                              'the node that was down is marked as failed');
+                         return makeQuorumNetwork([urls[0], urls[3]], 2).getNameInfo('hello.id');
+                       })
+                       .then(() => t.fail('believed too few nodes'),
+                             (e) => {
+                               t.equal(e.code, 'NETWORK');
+                               t.ok(/Only 1 of the 2 Blockstack Core nodes/.test(e.message));
+                             });
+                   });
+});
+
+test('a quorum needs that many nodes to be configured', (t) => {
+  t.throws(() => makeQuorumNetwork(['http://127.0.0.1:1', 'http://127.0.0.1:2'], 3),
+           /A quorum of 3 needs at least 3 Blockstack Core nodes/);
+  t.end();
+});
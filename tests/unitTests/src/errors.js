@@ -0,0 +1,142 @@
+/* @flow */
+
+import test from 'blue-tape';
+
+import {
+  AuthenticationError,
+  CLIError,
+  ERROR_CODES,
+  EXIT_CODES,
+  InsufficientFundsError,
+  NetworkError,
+  NotFoundError,
+  SafetyError,
+  ValidationError,
+  explainRemoteServiceError,
+  getErrorCode,
+  getExitCode,
+  makeErrorEnvelope,
+  resultError
+} from '../../../lib/errors';
+
+/*
+ * Every error must be reported with a stable code and exit code, including
+ * errors from blockstack.js and Node, which are classified by what they are.
+ */
+
+// An error like the ones Node or blockstack.js throw
+function makeError(message: string, fields: Object = {}) : Error {
+  return Object.assign(new Error(message), fields);
+}
+
+// An error like blockstack.js's RemoteServiceError, made from a service's response
+function makeRemoteServiceError(message: string, response: ?Object) : Error {
+  return makeError(message, { code: 'remote_service_error', response });
+}
+
+test('the CLI\'s errors have their own codes', (t) => {
+  t.equal(getErrorCode(new ValidationError('bad')), ERROR_CODES.VALIDATION);
+  t.equal(getErrorCode(new NetworkError('down')), ERROR_CODES.NETWORK);
+  t.equal(getErrorCode(new InsufficientFundsError('poor')), ERROR_CODES.INSUFFICIENT_FUNDS);
+  t.equal(getErrorCode(new NotFoundError('gone')), ERROR_CODES.NOT_FOUND);
+  t.equal(getErrorCode(new AuthenticationError('wrong')), ERROR_CODES.AUTHENTICATION);
+  t.equal(getErrorCode(new SafetyError({ status: false })), ERROR_CODES.SAFETY_CHECK);
+  t.equal(getErrorCode(new CLIError('oops')), ERROR_CODES.INTERNAL);
+  t.end();
+});
+
+test('other errors are classified by what they are', (t) => {
+  t.equal(getErrorCode(makeError('refused', { code: 'ECONNREFUSED' })), ERROR_CODES.NETWORK);
+  t.equal(getErrorCode(makeError('no host', { code: 'ENOTFOUND' })), ERROR_CODES.NETWORK);
+  t.equal(getErrorCode(makeError('failed', { name: 'FetchError' })), ERROR_CODES.NETWORK);
+  t.equal(getErrorCode(makeRemoteServiceError('', null)), ERROR_CODES.NETWORK);
+  t.equal(getErrorCode(new Error('Bad response status: 502')), ERROR_CODES.NETWORK);
+  t.equal(getErrorCode(makeError('short', { name: 'NotEnoughFundsError' })),
+          ERROR_CODES.INSUFFICIENT_FUNDS);
+  t.equal(getErrorCode(makeError('no such file', { code: 'ENOENT' })), ERROR_CODES.NOT_FOUND);
+  t.equal(getErrorCode({ safetyErrors: {} }), ERROR_CODES.SAFETY_CHECK);
+  t.equal(getErrorCode(makeError('odd', { code: 'EISDIR' })), ERROR_CODES.INTERNAL);
+  t.equal(getErrorCode(new TypeError('undefined is not a function')), ERROR_CODES.INTERNAL);
+  t.equal(getErrorCode(null), ERROR_CODES.INTERNAL);
+  t.equal(getErrorCode('a string'), ERROR_CODES.INTERNAL);
+  t.end();
+});
+
+test('each code has its own exit code', (t) => {
+  t.deepEqual(Object.keys(EXIT_CODES).sort(), Object.keys(ERROR_CODES).sort());
+  const exitCodes = Object.keys(EXIT_CODES).map((code) => EXIT_CODES[code]);
+  t.equal(new Set(exitCodes).size, exitCodes.length);
+  t.ok(!exitCodes.includes(0), 'no error exits with success');
+
+  t.equal(getExitCode(new Error('anything')), 1);
+  t.equal(getExitCode(new ValidationError('bad')), 2);
+  t.equal(getExitCode(makeError('refused', { code: 'ECONNREFUSED' })), 3);
+  t.equal(getExitCode(new SafetyError({ status: false })), 4);
+  t.equal(getExitCode(new InsufficientFundsError('poor')), 5);
+  t.equal(getExitCode(new NotFoundError('gone')), 6);
+  t.equal(getExitCode(new AuthenticationError('wrong')), 7);
+  t.end();
+});
+
+test('the error envelope has the message, code, and any details', (t) => {
+  t.deepEqual(makeErrorEnvelope(new NotFoundError('Name not found')),
+              { status: false, error: 'Name not found', code: 'NOT_FOUND' });
+  t.deepEqual(makeErrorEnvelope(new ValidationError('Invalid', { problems: ['a'] })),
+              { status: false, error: 'Invalid', code: 'VALIDATION',
+                details: { problems: ['a'] } });
+  const safetyErrors = { status: false, error: 'Not enough funds', paymentBalanceBTC: 0 };
+  t.deepEqual(makeErrorEnvelope(new SafetyError(safetyErrors)),
+              { status: false, error: 'Not enough funds', code: 'SAFETY_CHECK',
+                details: safetyErrors });
+  t.deepEqual(makeErrorEnvelope('something broke'),
+              { status: false, error: 'something broke', code: 'INTERNAL' });
+  t.end();
+});
+
+test('a failed command result becomes an error', (t) => {
+  const error = resultError({ status: false, error: 'Name not found', code: 'NOT_FOUND',
+                              name: 'hello.id' });
+  t.equal(error.message, 'Name not found');
+  t.equal(error.code, 'NOT_FOUND');
+  t.deepEqual(error.details, { name: 'hello.id' }, 'the rest of the result is the details');
+
+  const withDetails = resultError({ status: false, error: 'Invalid', details: { problems: [] },
+                                    ignored: true });
+  t.equal(withDetails.code, 'INTERNAL', 'a result with no code is an internal error');
+  t.deepEqual(withDetails.details, { problems: [] }, 'the result\'s own details are kept');
+
+  const bare = resultError({ status: false, code: 'NOT_A_CODE' });
+  t.equal(bare.message, 'Command failed');
+  t.equal(bare.code, 'INTERNAL');
+  t.equal(bare.details, null);
+  t.end();
+});
+
+test('a remote service error is explained by its response', (t) => {
+  const response = {
+    url: 'https://core.example.com/v1/names/hello.id',
+    status: 502,
+    statusText: 'Bad Gateway',
+    bodyUsed: false,
+    text: () => Promise.resolve(`  upstream failed: ${'x'.repeat(2000)}\n`)
+  };
+  return explainRemoteServiceError(makeRemoteServiceError('', response))
+    .then((error) => {
+      t.equal(error.code, 'NETWORK');
+      t.equal(error.message, 'Remote service error from https://core.example.com/v1/names/' +
+              `hello.id: HTTP 502 Bad Gateway: upstream failed: ${'x'.repeat(1024 - 17)}`,
+              'the response body is trimmed and cut short');
+      t.deepEqual(error.details, { httpStatus: 502 });
+      return explainRemoteServiceError(makeRemoteServiceError('No such name', Object.assign(
+        {}, response, { bodyUsed: true, text: () => Promise.reject(new Error('body used')) })));
+    })
+    .then((error) => {
+      t.equal(error.message, 'Remote service error from https://core.example.com/v1/names/' +
+              'hello.id: HTTP 502 Bad Gateway: No such name', 'a used body is not read again');
+      t.deepEqual(makeErrorEnvelope(makeRemoteServiceError('', response)).error,
+                  'Remote service error from https://core.example.com/v1/names/hello.id: ' +
+                  'HTTP 502 Bad Gateway', 'the envelope describes it without reading the body');
+      const other = new NotFoundError('Name not found');
+      return explainRemoteServiceError(other).then((same) => t.equal(same, other));
+    });
+});
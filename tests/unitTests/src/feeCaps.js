@@ -0,0 +1,169 @@
+/* @flow */
+
+import test from 'blue-tape';
+import logger from 'winston';
+const blockstack = require('blockstack');
+const bitcoin = require('bitcoinjs-lib');
+
+import {
+  CLINetworkAdapter
+} from '../../../lib/network';
+
+import {
+  UTXOProvider
+} from '../../../lib/utxo';
+
+/*
+ * Fee rates over maxFeeRate, and transactions that pay more than maxFee,
+ * must be refused before anything is signed or sent.  The UTXO provider's
+ * fee estimates are made up here.
+ */
+
+const FUNDING_TXID = '11'.repeat(32);
+const FUNDED_SATOSHIS = 100000;
+
+// A UTXO provider that estimates the given fee rate, and remembers what it was asked
+class EstimatingProvider extends UTXOProvider {
+  feeRate: ?number
+  requests: Array<Object>
+
+  constructor(feeRate: ?number) {
+    super('http://localhost:18999');
+    this.feeRate = feeRate;
+    this.requests = [];
+  }
+
+  estimateFeeRate(targetBlocks: number, mode: string) : Promise<?number> {
+    this.requests.push({ targetBlocks, mode });
+    return Promise.resolve(this.feeRate);
+  }
+}
+
+function makeNetwork(provider: UTXOProvider, opts: Object = {}) : CLINetworkAdapter {
+  const network = new blockstack.network.BlockstackNetwork(
+    'http://localhost:16268', 'http://localhost:16269', provider);
+  return new CLINetworkAdapter(network, opts);
+}
+
+// A transaction that spends the funding output, paying the given fee
+function makeTransaction(fee: number) : string {
+  const keyPair = bitcoin.ECPair.makeRandom();
+  const txb = new bitcoin.TransactionBuilder();
+  txb.addInput(FUNDING_TXID, 0);
+  txb.addOutput(bitcoin.payments.p2pkh({ pubkey: keyPair.publicKey }).address,
+                FUNDED_SATOSHIS - fee);
+  return txb.buildIncomplete().toHex();
+}
+
+test('getFeeRate() gives the estimate for feeTarget and feeMode', (t) => {
+  const provider = new EstimatingProvider(20);
+  const network = makeNetwork(provider, { feeTarget: 2, feeMode: 'economical', maxFeeRate: 50 });
+  return network.getFeeRate()
+    .then((feeRate) => {
+      t.equal(feeRate, 20);
+      t.deepEqual(provider.requests, [{ targetBlocks: 2, mode: 'economical' }]);
+    });
+});
+
+test('getFeeRate() warns if feeTarget or feeMode was asked for but cannot be estimated', (t) => {
+  const makeTestnet = (opts) => new CLINetworkAdapter(new blockstack.network.BlockstackNetwork(
+    'http://localhost:16268', 'http://localhost:16269', new EstimatingProvider(null),
+    bitcoin.networks.testnet), opts);
+  const warnings = [];
+  const warn = logger.warn;
+  logger.warn = (message) => warnings.push(message);
+  return makeTestnet({ feeTarget: 6 }).getFeeRate()
+    .then((feeRate) => {
+      t.equal(feeRate, 1000, 'the default fee rate is used');
+      t.deepEqual(warnings, [], 'no warning for a feeTarget that was not asked for');
+      return makeTestnet({ feeTarget: 2, feeOptionsGiven: true }).getFeeRate();
+    })
+    .then((feeRate) => {
+      t.equal(feeRate, 1000);
+      t.equal(warnings.length, 1);
+      t.ok(/^http:\/\/localhost:18999 cannot estimate fees/.test(warnings[0]), warnings[0]);
+      t.ok(warnings[0].includes('feeTarget 2 (conservative)'));
+    })
+    .then(() => { logger.warn = warn; }, (e) => {
+      logger.warn = warn;
+      throw e;
+    });
+});
+
+test('getFeeRate() refuses an estimate over maxFeeRate', (t) => {
+  const network = makeNetwork(new EstimatingProvider(120), { maxFeeRate: 100 });
+  return network.getFeeRate()
+    .then(() => t.fail('used a fee rate over maxFeeRate'),
+          (e) => {
+            t.equal(e.code, 'SAFETY_CHECK');
+            t.equal(e.safetyErrors.maxFeeRate, 100);
+          });
+});
+
+test('getFeeRate() refuses a given fee rate over maxFeeRate', (t) => {
+  const network = makeNetwork(new EstimatingProvider(10), { feeRate: 150, maxFeeRate: 100 });
+  return network.getFeeRate()
+    .then(() => t.fail('used a fee rate over maxFeeRate'),
+          (e) => t.equal(e.code, 'SAFETY_CHECK'));
+});
+
+test('getFeeRate() has no cap if maxFeeRate is 0', (t) => {
+  const network = makeNetwork(new EstimatingProvider(5000), { maxFeeRate: 0 });
+  return network.getFeeRate()
+    .then((feeRate) => t.equal(feeRate, 5000));
+});
+
+test('getFeeRate() refuses a nonsensical estimate', (t) => {
+  const network = makeNetwork(new EstimatingProvider(-1));
+  return network.getFeeRate()
+    .then(() => t.fail('used a negative fee rate'),
+          (e) => t.equal(e.code, 'NETWORK'));
+});
+
+test('a fee rate that is not a positive whole number is refused', (t) => {
+  for (const feeRate of [NaN, 0, -5, 1.5]) {
+    t.throws(() => makeNetwork(new EstimatingProvider(10), { feeRate }),
+             /Invalid fee rate/, `fee rate ${String(feeRate)}`);
+  }
+  t.end();
+});
+
+test('checkTransactionFee() passes a transaction under maxFee', (t) => {
+  const network = makeNetwork(new EstimatingProvider(10), { maxFee: 5000 });
+  network.setOutputValue(FUNDING_TXID, 0, FUNDED_SATOSHIS);
+  t.doesNotThrow(() => network.checkTransactionFee(makeTransaction(5000)));
+  t.end();
+});
+
+test('checkTransactionFee() refuses a transaction over maxFee', (t) => {
+  const network = makeNetwork(new EstimatingProvider(10), { maxFee: 5000 });
+  network.setOutputValue(FUNDING_TXID, 0, FUNDED_SATOSHIS);
+  try {
+    network.checkTransactionFee(makeTransaction(5001));
+    t.fail('passed a transaction over maxFee');
+  }
+  catch (e) {
+    t.equal(e.code, 'SAFETY_CHECK');
+    t.equal(e.safetyErrors.fee, 5001);
+  }
+  t.end();
+});
+
+test('checkTransactionFee() refuses a transaction whose inputs are not known', (t) => {
+  const network = makeNetwork(new EstimatingProvider(10), { maxFee: 5000 });
+  try {
+    network.checkTransactionFee(makeTransaction(1000));
+    t.fail('passed a transaction whose fee is not known');
+  }
+  catch (e) {
+    t.equal(e.code, 'SAFETY_CHECK');
+    t.deepEqual(e.safetyErrors.unknownInputs, [`${FUNDING_TXID}:0`]);
+  }
+  t.end();
+});
+
+test('checkTransactionFee() passes everything if there is no maxFee', (t) => {
+  const network = makeNetwork(new EstimatingProvider(10));
+  t.doesNotThrow(() => network.checkTransactionFee(makeTransaction(90000)));
+  t.end();
+});
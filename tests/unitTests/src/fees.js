@@ -0,0 +1,154 @@
+/* @flow */
+
+import test from 'blue-tape';
+const bitcoin = require('bitcoinjs-lib');
+const blockstack = require('blockstack');
+
+import {
+  makeChildPayment,
+  makeReplacement,
+  signalsReplacement
+} from '../../../lib/fees';
+
+/*
+ * A fee bump must pay the fee rate it is asked to, and what BIP 125 asks of
+ * a replacement: more than everything it replaces, by at least its own relay
+ * fee.  It must refuse what a node would refuse.
+ */
+
+const PAYMENT_KEY = 'bfeffdf57f29b0cc1fab9ea197bb1413da2561fe4b83e962c7f02fbbe2b1cd5401';
+const KEY_PAIR = blockstack.hexStringToECPair(PAYMENT_KEY);
+const PAYMENT_ADDRESS = blockstack.ecPairToAddress(KEY_PAIR);
+const OTHER_ADDRESS = bitcoin.payments.p2pkh({
+  pubkey: bitcoin.ECPair.fromPrivateKey(Buffer.alloc(32, 1)).publicKey
+}).address;
+
+const FUNDED_SATOSHIS = 100000;
+const PAYMENT_SATOSHIS = 10000;
+
+const RBF_SEQUENCE = 0xfffffffd;
+const FINAL_SEQUENCE = 0xffffffff;
+
+// the confirmed transaction that funds the payment key
+const FUNDING_TX = (() => {
+  const tx = new bitcoin.Transaction();
+  tx.addInput(Buffer.alloc(32), 0xffffffff, 0xffffffff, Buffer.from('fees-test'));
+  tx.addOutput(bitcoin.address.toOutputScript(PAYMENT_ADDRESS), FUNDED_SATOSHIS);
+  return tx;
+})();
+
+// Spend an output of the payment key's, paying its change back to it
+function makeSpend(prevTx: Object, vout: number, sequence: number, outputs: Array<Object>) {
+  const txb = new bitcoin.TransactionBuilder();
+  txb.addInput(prevTx.getId(), vout, sequence);
+  outputs.forEach(({ address, value }) => txb.addOutput(address, value));
+  txb.sign(0, KEY_PAIR);
+  return txb.build();
+}
+
+// A payment that pays the given fee, and signals replacement or not
+function makeOriginal(fee: number, sequence: number = RBF_SEQUENCE) {
+  return makeSpend(FUNDING_TX, 0, sequence, [
+    { address: OTHER_ADDRESS, value: PAYMENT_SATOSHIS },
+    { address: PAYMENT_ADDRESS, value: FUNDED_SATOSHIS - PAYMENT_SATOSHIS - fee }
+  ]);
+}
+
+// A network that knows the given transactions, of which only FUNDING_TX is mined
+function makeNetwork(txs: Array<Object>) {
+  const txHexes = {};
+  [FUNDING_TX].concat(txs).forEach((tx) => {
+    txHexes[tx.getId()] = tx.toHex();
+  });
+  return {
+    layer1: bitcoin.networks.bitcoin,
+    coerceAddress: (address) => address,
+    getRawTransaction: (txid) => (txHexes[txid] ?
+      Promise.resolve(txHexes[txid]) : Promise.reject(new Error(`No transaction ${txid}`))),
+    getTransactionInfo: (txid) => Promise.resolve(
+      txid === FUNDING_TX.getId() ? { block_height: 600000 } : {}),
+    setOutputValue: () => {}
+  };
+}
+
+test('a replacement pays the fee rate out of its change', (t) => {
+  const original = makeOriginal(1000);
+  const size = original.byteLength();
+  return makeReplacement(makeNetwork([original]), original.toHex(), PAYMENT_KEY, [], 20)
+    .then((bump) => {
+      const fee = Math.max(Math.ceil(20 * size), 1000 + size);
+      t.equal(bump.fee, fee);
+      t.equal(bump.extraFee, fee - 1000);
+      t.equal(bump.oldFeeRate, 1000 / size);
+      t.deepEqual(bump.droppedTxids, []);
+
+      const replacement = bitcoin.Transaction.fromHex(bump.tx);
+      t.equal(replacement.ins[0].sequence, RBF_SEQUENCE, 'it can be replaced in turn');
+      t.equal(replacement.outs[0].value, PAYMENT_SATOSHIS);
+      t.equal(replacement.outs[1].value, original.outs[1].value - (fee - 1000));
+    });
+});
+
+test('a replacement also pays the fees of the descendants it drops', (t) => {
+  const original = makeOriginal(1000);
+  const child = makeSpend(original, 1, FINAL_SEQUENCE, [
+    { address: PAYMENT_ADDRESS, value: original.outs[1].value - 2000 }
+  ]);
+  const size = original.byteLength();
+  const fee = 1000 + 2000 + size;
+  t.ok(fee > Math.ceil(8 * size), 'the fee rate alone would pay less');
+  return makeReplacement(makeNetwork([original, child]), original.toHex(), PAYMENT_KEY, [], 8,
+                         [child.toHex()])
+    .then((bump) => {
+      t.equal(bump.fee, fee);
+      t.equal(bump.extraFee, 2000 + size);
+      t.equal(bump.oldFeeRate, 3000 / (size + child.virtualSize()));
+      t.deepEqual(bump.droppedTxids, [child.getId()]);
+    });
+});
+
+test('a transaction that already pays the fee rate is not replaced', (t) => {
+  const original = makeOriginal(1000);
+  return makeReplacement(makeNetwork([original]), original.toHex(), PAYMENT_KEY, [], 2)
+    .then(() => t.fail('replaced a transaction that pays enough'),
+          (e) => {
+            t.equal(e.code, 'VALIDATION');
+            t.ok(/already pays/.test(e.message));
+          });
+});
+
+test('a replacement whose change cannot pay for it is refused', (t) => {
+  const original = makeOriginal(FUNDED_SATOSHIS - PAYMENT_SATOSHIS - 6000);
+  return makeReplacement(makeNetwork([original]), original.toHex(), PAYMENT_KEY, [], 500)
+    .then(() => t.fail('made a replacement with too little change'),
+          (e) => t.equal(e.code, 'INSUFFICIENT_FUNDS'));
+});
+
+test('a transaction that does not signal replacement is not replaced', (t) => {
+  const original = makeOriginal(1000, FINAL_SEQUENCE);
+  t.notOk(signalsReplacement(original.toHex()));
+  t.ok(signalsReplacement(makeOriginal(1000).toHex()));
+  return makeReplacement(makeNetwork([original]), original.toHex(), PAYMENT_KEY, [], 20)
+    .then(() => t.fail('replaced a transaction that does not signal replacement'),
+          (e) => {
+            t.equal(e.code, 'VALIDATION');
+            t.ok(/does not signal/.test(e.message));
+          });
+});
+
+test('a child pays for itself and its unconfirmed parent at the fee rate', (t) => {
+  const original = makeOriginal(1000, FINAL_SEQUENCE);
+  const size = original.byteLength();
+  return makeChildPayment(makeNetwork([original]), original.toHex(), PAYMENT_KEY, 20)
+    .then((bump) => {
+      const child = bitcoin.Transaction.fromHex(bump.tx);
+      t.equal(child.ins[0].hash.toString('hex'), original.getHash().toString('hex'));
+      t.equal(child.ins[0].index, 1);
+      t.equal(child.outs[0].value, original.outs[1].value - bump.fee);
+      t.equal(bump.extraFee, bump.fee);
+      t.equal(bump.oldFeeRate, 1000 / size);
+      t.ok(bump.feeRate >= 20, 'the two of them pay the fee rate');
+      t.ok((1000 + bump.fee) / (size + child.byteLength()) >= 20 - 0.5,
+           'the child is about as big as it was taken to be');
+    });
+});
@@ -0,0 +1,115 @@
+/* @flow */
+
+import test from 'blue-tape';
+import yaml from 'js-yaml';
+
+import {
+  formatResult,
+  printError
+} from '../../../lib/format';
+
+import {
+  NotFoundError
+} from '../../../lib/errors';
+
+/*
+ * Every output format must render the same result, whatever its shape,
+ * and plain strings must be printed as they are.
+ */
+
+const NAMES = [
+  { name: 'hello.id', address: '1GRjUEsPHTXmYxnJ1bSYMSbV2Wj8xnM6YP', expires: 650000 },
+  { name: 'world.id', address: '1MjwvQ6GiosNqLeYaLR4Hu5fXSZn9ne3Hy', expires: null }
+];
+
+test('json and yaml give back the result', (t) => {
+  t.deepEqual(JSON.parse(formatResult(NAMES, 'json')), NAMES);
+  t.deepEqual(yaml.safeLoad(formatResult(NAMES, 'yaml')), NAMES);
+  t.end();
+});
+
+test('strings are not formatted', (t) => {
+  for (const format of ['json', 'yaml', 'table', 'csv']) {
+    t.equal(formatResult('0100000001abcdef', format), '0100000001abcdef', format);
+  }
+  t.end();
+});
+
+test('a list of objects is a table with a row per object', (t) => {
+  t.equal(formatResult(NAMES, 'table'), [
+    'name      address                             expires',
+    '--------  ----------------------------------  -------',
+    'hello.id  1GRjUEsPHTXmYxnJ1bSYMSbV2Wj8xnM6YP  650000',
+    'world.id  1MjwvQ6GiosNqLeYaLR4Hu5fXSZn9ne3Hy'
+  ].join('\n'));
+  t.end();
+});
+
+test('an object is a table of its keys and values', (t) => {
+  t.equal(formatResult({ status: true, txid: 'abc', details: { fee: 10 } }, 'table'), [
+    'key      value',
+    '-------  ----------',
+    'status   true',
+    'txid     abc',
+    'details  {"fee":10}'
+  ].join('\n'));
+  t.end();
+});
+
+test('an object of lists has a row per list item, keyed by the object key', (t) => {
+  // (keyed by block height)
+  const history = {};
+  history[600000] = [{ opcode: 'NAME_PREORDER' }];
+  history[600001] = [{ opcode: 'NAME_REGISTRATION' }];
+  t.equal(formatResult(history, 'csv'), [
+    'key,opcode',
+    '600000,NAME_PREORDER',
+    '600001,NAME_REGISTRATION'
+  ].join('\n'));
+  t.end();
+});
+
+test('rows with different fields get every column', (t) => {
+  t.equal(formatResult([{ a: 1 }, { b: 2 }, 'three'], 'csv'), [
+    'a,b,value',
+    '1,,',
+    ',2,',
+    ',,three'
+  ].join('\n'));
+  t.end();
+});
+
+test('csv fields with commas, quotes, or newlines are quoted', (t) => {
+  const rows = [{ zonefile: '$ORIGIN hello.id\n$TTL 3600', note: 'say "hi", then go' }];
+  t.equal(formatResult(rows, 'csv'), [
+    'zonefile,note',
+    '"$ORIGIN hello.id\n$TTL 3600","say ""hi"", then go"'
+  ].join('\n'));
+  t.end();
+});
+
+test('an unknown format is refused', (t) => {
+  t.throws(() => formatResult({ status: true }, 'xml'), /Unknown output format "xml"/);
+  t.end();
+});
+
+test('errors are printed to stderr', (t) => {
+  const printed = { log: [], error: [] };
+  // (Flow's console cannot be assigned to)
+  const output: Object = console;
+  const log = output.log;
+  const error = output.error;
+  output.log = (text) => printed.log.push(text);
+  output.error = (text) => printed.error.push(text);
+  try {
+    printError(new NotFoundError('Name not found'), 'json');
+  }
+  finally {
+    output.log = log;
+    output.error = error;
+  }
+  t.deepEqual(printed.log, []);
+  t.deepEqual(JSON.parse(printed.error[0]),
+              { status: false, error: 'Name not found', code: 'NOT_FOUND' });
+  t.end();
+});
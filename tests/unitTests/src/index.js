@@ -0,0 +1,24 @@
+import './errors';
+import './utxoProviders';
+import './psbt';
+import './signers';
+import './argparse';
+import './config';
+import './environment';
+import './feeCaps';
+import './bundles';
+import './server';
+import './keystore';
+import './fees';
+import './format';
+import './completion';
+import './shell';
+import './batch';
+import './cache';
+import './endpoints';
+import './indexer';
+import './cassette';
+import './transport';
+import './trace';
+import './api';
+import './preorders';
@@ -0,0 +1,190 @@
+/* @flow */
+
+import test from 'blue-tape';
+import http from 'http';
+
+import {
+  RESTIndexerClient,
+  XMLRPCIndexerClient,
+  selectIndexerClient
+} from '../../../lib/indexer';
+
+import {
+  encodeValue
+} from '../../../lib/xmlrpc';
+
+/*
+ * Each indexer is asked once whether it has an operation, and the first one
+ * that has it is used.  Indexers that cannot be reached are asked again.
+ */
+
+const RECORD_PATH = '/v1/blockchains/bitcoin/names/capability-probe.id';
+const HISTORY_PATH = '/v1/names/capability-probe.id/history?page=0';
+
+type IndexerAnswers = {
+  rest?: { [string]: [number, string] },       // path -> [status, body]
+  xmlrpc?: { [string]: any }                   // method -> result, or { faultCode }
+};
+
+// Start an indexer that answers as given, and records the requests it gets
+function startIndexer(answers: IndexerAnswers) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', (chunk) => chunks.push(chunk));
+    req.on('end', () => {
+      const xmlrpc = answers.xmlrpc;
+      if (req.url === '/RPC2' && xmlrpc) {
+        const call = Buffer.concat(chunks).toString();
+        const method = /<methodName>([^<]+)<\/methodName>/.exec(call)[1];
+        requests.push(method);
+        const result = xmlrpc[method];
+        const value = result === undefined ? { faultCode: -32601, faultString: 'no such method' } :
+          result;
+        const body = value && value.faultCode !== undefined ?
+          `<fault><value>${encodeValue(value)}</value></fault>` :
+          `<params><param><value>${encodeValue(value)}</value></param></params>`;
+        res.writeHead(200, { 'Content-Type': 'text/xml' });
+        res.end(`<?xml version="1.0"?><methodResponse>${body}</methodResponse>`);
+        return;
+      }
+      requests.push(req.url);
+      const [status, body] = answers.rest && answers.rest[req.url] ? answers.rest[req.url] :
+        [404, '<html>Not Found</html>'];
+      res.writeHead(status);
+      res.end(body);
+    });
+  });
+  return new Promise((resolve) => server.listen({ port: 0, host: '127.0.0.1' }, () => resolve({
+    url: `http://127.0.0.1:${server.address().port}`,
+    requests,
+    close: () => new Promise((closed) => server.close(closed))
+  })));
+}
+
+// Run something with an indexer, and stop it afterwards
+function withIndexer<T>(answers: IndexerAnswers, run: (indexer: Object) => Promise<T>)
+  : Promise<T> {
+  return startIndexer(answers)
+    .then((indexer) => Promise.resolve().then(() => run(indexer))
+      .then((result) => indexer.close().then(() => result),
+            (e) => indexer.close().then(() => {
+              throw e;
+            })));
+}
+
+test('a REST endpoint that answers with JSON is supported, and is only asked once', (t) => {
+  return withIndexer({ rest: { [RECORD_PATH]: [404, '{"error": "Name not found"}'] } },
+                     (indexer) => {
+                       const client = new RESTIndexerClient(`${indexer.url}/`);
+                       return client.supports('nameRecord')
+                         .then((supported) => {
+                           t.equal(supported, true);
+                           return client.supports('nameRecord');
+                         })
+                         .then(() => client.supports('nameHistory'))
+                         .then((supported) => {
+                           t.equal(supported, false, 'a page that is not JSON is not supported');
+                           t.deepEqual(indexer.requests, [RECORD_PATH, HISTORY_PATH]);
+                         });
+                     });
+});
+
+test('a REST indexer that is down is asked again', (t) => {
+  const answers = { rest: { [RECORD_PATH]: [503, 'overloaded'] } };
+  return withIndexer(answers, (indexer) => {
+    const client = new RESTIndexerClient(indexer.url);
+    return client.supports('nameRecord')
+      .then(() => t.fail('an indexer that is down answered'),
+            (e) => t.equal(e.code, 'NETWORK'))
+      .then(() => {
+        answers.rest[RECORD_PATH] = [200, '{"name": "capability-probe.id"}'];
+        return client.supports('nameRecord');
+      })
+      .then((supported) => {
+        t.equal(supported, true);
+        t.equal(indexer.requests.length, 2);
+      });
+  });
+});
+
+test('an XML-RPC node that lists its methods supports the ones it lists', (t) => {
+  const xmlrpc = {
+    'system.listMethods': ['ping', 'get_name_blockchain_record'],
+    'get_name_blockchain_record': JSON.stringify(
+      { status: true, record: { name: 'hello.id', address: 'someone', history: {} } })
+  };
+  return withIndexer({ xmlrpc }, (indexer) => {
+    const client = new XMLRPCIndexerClient(indexer.url);
+    return client.supports('nameRecord')
+      .then((supported) => {
+        t.equal(supported, true);
+        return client.supports('nameHistory');
+      })
+      .then((supported) => {
+        t.equal(supported, false);
+        t.deepEqual(indexer.requests, ['system.listMethods'], 'the methods are listed once');
+        return client.getNameRecord('hello.id');
+      })
+      .then((nameRecord) => t.deepEqual(nameRecord, { name: 'hello.id', address: 'someone' },
+                                        'the record is given as the REST API gives it'));
+  });
+});
+
+test('an XML-RPC node without introspection is asked for a ping', (t) => {
+  return withIndexer({ xmlrpc: { ping: { status: 'alive' } } }, (indexer) => {
+    const client = new XMLRPCIndexerClient(indexer.url);
+    return client.supports('nameHistory')
+      .then((supported) => {
+        t.equal(supported, true);
+        t.deepEqual(indexer.requests, ['system.listMethods', 'ping']);
+      });
+  });
+});
+
+test('an XML-RPC node that has neither introspection nor ping supports nothing', (t) => {
+  return withIndexer({ xmlrpc: {} }, (indexer) => new XMLRPCIndexerClient(indexer.url)
+    .supports('nameRecord')
+    .then((supported) => t.equal(supported, false)));
+});
+
+test('the first indexer that supports an operation is used', (t) => {
+  return withIndexer({ rest: {} }, (restIndexer) => withIndexer(
+    { xmlrpc: { 'system.listMethods': ['get_name_history_page'] } },
+    (xmlrpcIndexer) => selectIndexerClient([new RESTIndexerClient(restIndexer.url),
+                                            new XMLRPCIndexerClient(xmlrpcIndexer.url)],
+                                           'nameHistory')
+      .then((client) => t.equal(client.describe(), `XML-RPC at ${xmlrpcIndexer.url}/RPC2`))));
+});
+
+test('indexers that cannot be reached are skipped, and none is an error', (t) => {
+  // nothing listens on port 1
+  return withIndexer({ xmlrpc: { 'system.listMethods': ['get_name_history_page'] } },
+                     (indexer) => selectIndexerClient([new RESTIndexerClient('http://127.0.0.1:1'),
+                                                       new XMLRPCIndexerClient(indexer.url)],
+                                                      'nameRecord'))
+    .then(() => t.fail('found an indexer that supports nothing'),
+          (e) => {
+            t.equal(e.code, 'NETWORK');
+            t.ok(/No indexer serves names' blockchain records \(tried REST API at /
+              .test(e.message));
+            t.equal(e.details.unreachable.length, 1);
+            t.ok(e.details.unreachable[0].startsWith('REST API at http://127.0.0.1:1: '));
+          });
+});
+
+test('an XML-RPC error saying a name is not found is a not-found error', (t) => {
+  const xmlrpc = { 'get_name_blockchain_record': { error: 'Name not found' },
+                   'get_name_history_page': 'not JSON' };
+  return withIndexer({ xmlrpc }, (indexer) => {
+    const client = new XMLRPCIndexerClient(indexer.url);
+    return client.getNameRecord('missing.id')
+      .then(() => t.fail('found a missing name'), (e) => t.equal(e.code, 'NOT_FOUND'))
+      .then(() => client.getNameHistory('hello.id', 0))
+      .then(() => t.fail('read an invalid history'),
+            (e) => {
+              t.equal(e.code, 'NETWORK');
+              t.ok(/Invalid JSON returned by get_name_history_page/.test(e.message));
+            });
+  });
+});
@@ -0,0 +1,132 @@
+/* @flow */
+
+import test from 'blue-tape';
+import fs from 'fs';
+import os from 'os';
+import pathTools from 'path';
+import { Readable } from 'stream';
+const blockstack = require('blockstack');
+
+import {
+  addKey,
+  exportKey,
+  listKeys,
+  removeKey,
+  resolveKeystoreArgs
+} from '../../../lib/keystore';
+
+import {
+  CLINetworkAdapter
+} from '../../../lib/network';
+
+import {
+  UTXOProvider
+} from '../../../lib/utxo';
+
+import {
+  getPrivateKeyAddress
+} from '../../../lib/utils';
+
+/*
+ * A key added to the keystore must come back out, as the argument it was
+ * named for, only with its password, and must be gone once removed.
+ */
+
+const PASSWORD = 'correct horse battery staple';
+const PRIVATE_KEY = '4b8b3b3bad41d2b8ae06b3a91fbdee1f3fe9ccee1e8b4f0a39ff3b74a5a26b5b01';
+const BACKUP_PHRASE =
+  'abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon about';
+
+const network = new CLINetworkAdapter(new blockstack.network.BlockstackNetwork(
+  'http://localhost:16268', 'http://localhost:16269', new UTXOProvider('http://localhost:18999')),
+                                      {});
+
+function makeKeystoreDir() : string {
+  return pathTools.join(fs.mkdtempSync(pathTools.join(os.tmpdir(), 'keystore-test-')), 'keystore');
+}
+
+// Run something with stdin replaced by a stream of the given text, as when it is piped
+function withStdin<T>(text: string, run: () => Promise<T>) : Promise<T> {
+  const stdin = Object.getOwnPropertyDescriptor(process, 'stdin');
+  Object.defineProperty(process, 'stdin', {
+    configurable: true, enumerable: true, value: (Readable: Object).from([Buffer.from(text)])
+  });
+  const restore = () => Object.defineProperty(process, 'stdin', stdin);
+  return Promise.resolve().then(run)
+    .then((result) => {
+      restore();
+      return result;
+    }, (e) => {
+      restore();
+      throw e;
+    });
+}
+
+test('a private key is added, used as a key argument, and removed', (t) => {
+  const keystoreDir = makeKeystoreDir();
+  return withStdin(`${PRIVATE_KEY}\n`, () => addKey(network, keystoreDir, 'payer', PASSWORD))
+    .then((entry) => {
+      t.equal(entry.alias, 'payer');
+      t.equal(entry.kind, 'private_key');
+      t.equal(entry.address, getPrivateKeyAddress(network, PRIVATE_KEY));
+      t.equal(fs.statSync(pathTools.join(keystoreDir, 'payer.json')).mode & 0o777, 0o600);
+      t.equal(fs.statSync(keystoreDir).mode & 0o777, 0o700);
+      t.notOk(fs.readFileSync(pathTools.join(keystoreDir, 'payer.json')).toString()
+        .includes(PRIVATE_KEY.slice(0, 64)), 'the key is not kept in the clear');
+      t.deepEqual(listKeys(network, keystoreDir).map((key) => key.alias), ['payer']);
+
+      return resolveKeystoreArgs('get_address', ['keystore:payer'], keystoreDir, PASSWORD);
+    })
+    .then((args) => {
+      t.deepEqual(args, [PRIVATE_KEY]);
+      removeKey(keystoreDir, 'payer');
+      t.deepEqual(listKeys(network, keystoreDir), []);
+      return exportKey(keystoreDir, 'payer', PASSWORD);
+    })
+    .then(() => t.fail('exported a removed key'),
+          (e) => t.equal(e.code, 'NOT_FOUND'));
+});
+
+test('a backup phrase is only used for backup phrase arguments', (t) => {
+  const keystoreDir = makeKeystoreDir();
+  return withStdin(`  ${BACKUP_PHRASE.split(' ').join('\n')}  `,
+                   () => addKey(network, keystoreDir, 'phrase', PASSWORD))
+    .then((entry) => {
+      t.equal(entry.kind, 'backup_phrase');
+      return resolveKeystoreArgs('sign_bundle', ['update.bundle', 'keystore:phrase'],
+                                 keystoreDir, PASSWORD);
+    })
+    .then((args) => {
+      t.deepEqual(args, ['update.bundle', BACKUP_PHRASE]);
+      return resolveKeystoreArgs('get_address', ['keystore:phrase'], keystoreDir, PASSWORD);
+    })
+    .then(() => t.fail('used a backup phrase as a private key'),
+          (e) => {
+            t.equal(e.code, 'VALIDATION');
+            t.ok(/which is a backup phrase/.test(e.message));
+          });
+});
+
+test('arguments that are not keys are not looked up in the keystore', (t) => {
+  return resolveKeystoreArgs('whois', ['keystore:payer'], makeKeystoreDir(), PASSWORD)
+    .then((args) => t.deepEqual(args, ['keystore:payer']));
+});
+
+test('a key is not decrypted with the wrong password', (t) => {
+  const keystoreDir = makeKeystoreDir();
+  return withStdin(PRIVATE_KEY, () => addKey(network, keystoreDir, 'payer', PASSWORD))
+    .then(() => exportKey(keystoreDir, 'payer', 'wrong password'))
+    .then(() => t.fail('decrypted with the wrong password'),
+          (e) => t.equal(e.code, 'AUTHENTICATION'));
+});
+
+test('a key piped in with no password is refused', (t) => {
+  const keystoreDir = makeKeystoreDir();
+  return withStdin(PRIVATE_KEY, () => addKey(network, keystoreDir, 'payer', null))
+    .then(() => t.fail('added a key with no password'),
+          (e) => {
+            t.equal(e.code, 'VALIDATION');
+            t.ok(/stdin is not a TTY/.test(e.message));
+            t.notOk(fs.existsSync(pathTools.join(keystoreDir, 'payer.json')));
+          });
+});
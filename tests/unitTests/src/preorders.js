@@ -0,0 +1,225 @@
+/* @flow */
+
+import test from 'blue-tape';
+import fs from 'fs';
+import os from 'os';
+import pathTools from 'path';
+
+import {
+  CONSENSUS_HASH_VALID_BLOCKS,
+  PREORDER_EXPIRE_BLOCKS,
+  PreorderTracker,
+  checkPreorder
+} from '../../../lib/preorders';
+
+import {
+  NotFoundError
+} from '../../../lib/errors';
+
+/*
+ * A tracked preorder must survive between runs, and checking it must tell
+ * whether it can still be registered: not once its consensus hash is too
+ * old, once it has expired, or once it is gone, and a reorg must be noticed.
+ */
+
+const OWNER_ADDRESS = '1BvBMSEYstWetqTFn5Au4m4GFg7xJaNVN2';
+const OTHER_ADDRESS = '1GRjUEsPHTXmYxnJ1bSYMSbV2Wj8xnM6YP';
+const PREORDER_TXID = 'aa'.repeat(32);
+
+function makeTrackerPath() : string {
+  return pathTools.join(fs.mkdtempSync(pathTools.join(os.tmpdir(), 'preorders-test-')),
+                        'preorders', 'preorders.json');
+}
+
+function makeRecord(fields: Object = {}) : Object {
+  return Object.assign({
+    name: 'hello.id',
+    ownerAddress: OWNER_ADDRESS,
+    paymentAddress: OWNER_ADDRESS,
+    preorderTxid: PREORDER_TXID,
+    registerTxid: null,
+    zonefile: null,
+    consensusHash: '00'.repeat(16),
+    consensusBlockHeight: 100,
+    consensusBlockHash: 'block-100',
+    preorderBlockHeight: null,
+    preorderBlockHash: null,
+    supersededBy: null,
+    sentAt: 1000
+  }, fields);
+}
+
+// A network with the given chain: its height, block hashes, where each
+// transaction is ('unconfirmed', a block height, or missing), and its names
+function makeNetwork(tracker: PreorderTracker, chain: Object) : Object {
+  return {
+    preorders: tracker,
+    getBlockHeight: () => Promise.resolve(chain.height),
+    getBlockHash: (blockHeight) => (chain.blocks.hasOwnProperty(blockHeight) ?
+      Promise.resolve(chain.blocks[blockHeight]) :
+      Promise.reject(new NotFoundError(`No block ${blockHeight}`))),
+    getTransactionInfo: (txid) => {
+      if (!chain.txs.hasOwnProperty(txid)) {
+        return Promise.reject(new NotFoundError('Transaction not found'));
+      }
+      if (chain.txs[txid] === 'unconfirmed') {
+        return Promise.reject(new Error('Unconfirmed transaction'));
+      }
+      return Promise.resolve({ block_height: chain.txs[txid] });
+    },
+    getNameInfo: (name) => (chain.names && chain.names.hasOwnProperty(name) ?
+      Promise.resolve(chain.names[name]) : Promise.reject(new Error('Name not found')))
+  };
+}
+
+// Track a preorder, and check it against the given chain
+function check(record: Object, chain: Object) : Promise<Object> {
+  const tracker = new PreorderTracker(makeTrackerPath());
+  tracker.add(record);
+  return checkPreorder(makeNetwork(tracker, chain), record)
+    .then((status) => ({ status, record: tracker.findByTxid(record.preorderTxid) }));
+}
+
+function makeBlocks(from: number, to: number) : Object {
+  const blocks = {};
+  for (let blockHeight = from; blockHeight <= to; blockHeight++) {
+    blocks[blockHeight] = `block-${blockHeight}`;
+  }
+  return blocks;
+}
+
+test('tracked preorders are kept between runs, and only their owner can read them', (t) => {
+  const path = makeTrackerPath();
+  t.deepEqual(new PreorderTracker(path).readAll(), {}, 'no file means no preorders');
+
+  new PreorderTracker(path).add(makeRecord());
+  new PreorderTracker(path).add(makeRecord({ preorderTxid: 'bb'.repeat(32), sentAt: 2000,
+                                             registerTxid: 'cc'.repeat(32) }));
+  new PreorderTracker(path).add(makeRecord({ preorderTxid: 'dd'.repeat(32), sentAt: 3000,
+                                             ownerAddress: OTHER_ADDRESS }));
+  t.equal(fs.statSync(path).mode & 0o777, 0o600);
+
+  const tracker = new PreorderTracker(path);
+  t.equal(Object.keys(tracker.readAll()).length, 3);
+  t.equal(tracker.find('hello.id').preorderTxid, 'dd'.repeat(32), 'the latest one is found');
+  t.equal(tracker.find('hello.id', OWNER_ADDRESS).preorderTxid, 'bb'.repeat(32),
+          'or the latest one of an owner');
+  t.equal(tracker.find('world.id'), null);
+  t.equal(tracker.findByTxid('cc'.repeat(32)).preorderTxid, 'bb'.repeat(32),
+          'a preorder is found by its register');
+
+  t.equal(tracker.update(PREORDER_TXID, { supersededBy: 'bb'.repeat(32) }).supersededBy,
+          'bb'.repeat(32));
+  t.equal(new PreorderTracker(path).findByTxid(PREORDER_TXID).supersededBy, 'bb'.repeat(32));
+  t.equal(tracker.update('ee'.repeat(32), { supersededBy: null }), null,
+          'an untracked preorder is not added by updating it');
+  t.end();
+});
+
+test('a corrupt tracking file is a validation error', (t) => {
+  const path = makeTrackerPath();
+  fs.mkdirSync(pathTools.dirname(path));
+  fs.writeFileSync(path, '{"truncated":');
+  try {
+    new PreorderTracker(path).readAll();
+    t.fail('read a corrupt file');
+  }
+  catch (e) {
+    t.equal(e.code, 'VALIDATION');
+    t.ok(e.message.startsWith(`Failed to read the preorders in ${path}`), e.message);
+  }
+  t.end();
+});
+
+test('an unconfirmed preorder with a recent consensus hash is pending', (t) => {
+  return check(makeRecord(), { height: 105, blocks: makeBlocks(100, 105),
+                               txs: { [PREORDER_TXID]: 'unconfirmed' } })
+    .then(({ status, record }) => {
+      t.equal(status.status, 'pending');
+      t.equal(status.valid, true);
+      t.equal(status.problem, null);
+      t.equal(status.registerDeadline, null);
+      t.equal(record.preorderBlockHeight, null);
+    });
+});
+
+test('a confirmed preorder can be registered until it expires', (t) => {
+  const deadline = 110 + PREORDER_EXPIRE_BLOCKS - 1;
+  return check(makeRecord(), { height: deadline, blocks: makeBlocks(100, deadline),
+                               txs: { [PREORDER_TXID]: 110 } })
+    .then(({ status, record }) => {
+      t.equal(status.status, 'confirmed');
+      t.equal(status.valid, true);
+      t.equal(status.preorderBlockHeight, 110);
+      t.equal(status.registerDeadline, deadline);
+      t.equal(record.preorderBlockHeight, 110, 'where it was mined is remembered');
+      t.equal(record.preorderBlockHash, 'block-110');
+      return check(makeRecord(), { height: deadline + 1, blocks: makeBlocks(100, deadline + 1),
+                                   txs: { [PREORDER_TXID]: 110 } });
+    })
+    .then(({ status }) => {
+      t.equal(status.status, 'invalid');
+      t.equal(status.valid, false);
+      t.ok(/^The preorder expired after block/.test(status.problem), status.problem);
+    });
+});
+
+test('a preorder is invalid once its consensus hash is too old', (t) => {
+  const tooLate = 100 + CONSENSUS_HASH_VALID_BLOCKS + 1;
+  return check(makeRecord(), { height: tooLate, blocks: makeBlocks(100, tooLate),
+                               txs: { [PREORDER_TXID]: tooLate } })
+    .then(({ status }) => {
+      t.equal(status.status, 'invalid');
+      t.ok(/^The preorder was mined at block/.test(status.problem), status.problem);
+      return check(makeRecord(), { height: tooLate - 1, blocks: makeBlocks(100, tooLate - 1),
+                                   txs: { [PREORDER_TXID]: 'unconfirmed' } });
+    })
+    .then(({ status }) => {
+      t.equal(status.status, 'invalid', 'the next block would be too late to mine it in');
+      t.ok(/^The preorder is still unconfirmed/.test(status.problem), status.problem);
+    });
+});
+
+test('a preorder that is gone is invalid', (t) => {
+  return check(makeRecord(), { height: 105, blocks: makeBlocks(100, 105), txs: {} })
+    .then(({ status }) => {
+      t.equal(status.status, 'invalid');
+      t.ok(/^The preorder transaction is gone/.test(status.problem), status.problem);
+    });
+});
+
+test('reorgs of the consensus hash\'s block and the preorder\'s block are noticed', (t) => {
+  const blocks = makeBlocks(100, 120);
+  blocks[100] = 'other-100';
+  blocks[110] = 'other-110';
+  const record = makeRecord({ preorderBlockHeight: 110, preorderBlockHash: 'block-110' });
+  return check(record, { height: 120, blocks, txs: { [PREORDER_TXID]: 111 } })
+    .then(({ status, record: updated }) => {
+      t.equal(status.reorged, true);
+      t.equal(status.warnings.length, 2);
+      t.ok(/^Block 100, which the consensus hash is from/.test(status.warnings[0]));
+      t.ok(/^Block 110, which the preorder was mined in/.test(status.warnings[1]));
+      t.equal(status.status, 'confirmed', 'it can still be registered if it was mined again');
+      t.equal(updated.preorderBlockHeight, 111);
+      t.equal(updated.preorderBlockHash, 'block-111');
+      return check(updated, { height: 120, blocks: makeBlocks(100, 120),
+                              txs: { [PREORDER_TXID]: 111 } });
+    })
+    .then(({ status }) => {
+      t.equal(status.reorged, false, 'nothing is reported once the new block is remembered');
+      t.deepEqual(status.warnings, []);
+    });
+});
+
+test('a preorder whose name is registered to its owner is registered', (t) => {
+  const chain = { height: 400, blocks: makeBlocks(100, 400), txs: {},
+                  names: { 'hello.id': { address: OWNER_ADDRESS, status: 'registered' } } };
+  return check(makeRecord(), chain)
+    .then(({ status }) => {
+      t.equal(status.status, 'registered', 'even if the preorder is gone');
+      t.equal(status.valid, true);
+      chain.names['hello.id'].address = OTHER_ADDRESS;
+      return check(makeRecord(), chain);
+    })
+    .then(({ status }) => t.equal(status.status, 'invalid', 'not if someone else has it'));
+});
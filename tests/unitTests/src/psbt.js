@@ -0,0 +1,183 @@
+/* @flow */
+
+import test from 'blue-tape';
+const bitcoin = require('bitcoinjs-lib');
+
+import {
+  PSBT,
+  SIGHASH_TYPES,
+  makePSBT,
+  parseSighashTypes,
+  signPSBT
+} from '../../../lib/psbt';
+
+import {
+  parseWatchOnlyKeys
+} from '../../../lib/utils';
+
+/*
+ * A PSBT that is signed by its keys and finalized must give the same
+ * transaction as signing it directly with bitcoinjs-lib.  Signatures are
+ * deterministic (RFC 6979), so the two can be compared byte for byte.
+ */
+
+const PRIVATE_KEYS = [
+  '000000000000000000000000000000000000000000000000000000000000000201',
+  '000000000000000000000000000000000000000000000000000000000000000301',
+  '000000000000000000000000000000000000000000000000000000000000000401'
+];
+const KEY_PAIRS = PRIVATE_KEYS.map(
+  (privateKey) => bitcoin.ECPair.fromPrivateKey(Buffer.from(privateKey.slice(0, 64), 'hex')));
+const PUBLIC_KEYS = KEY_PAIRS.map((keyPair) => keyPair.publicKey.toString('hex'));
+const SIGNERS = PUBLIC_KEYS.map((publicKey) => parseWatchOnlyKeys(`pubkey:${publicKey}`));
+
+const FUNDED_SATOSHIS = 1000000;
+const SENT_SATOSHIS = 990000;
+
+// Make a transaction that pays to a script, and one that spends it
+function makeTransactions(outputScript: Buffer) {
+  const prevTx = new bitcoin.Transaction();
+  prevTx.addInput(Buffer.alloc(32), 0xffffffff, 0xffffffff, Buffer.from('psbt-test'));
+  prevTx.addOutput(outputScript, FUNDED_SATOSHIS);
+
+  const txb = new bitcoin.TransactionBuilder();
+  txb.addInput(prevTx.getId(), 0);
+  txb.addOutput(bitcoin.payments.p2pkh({ pubkey: KEY_PAIRS[0].publicKey }).output, SENT_SATOSHIS);
+  return { prevTx, txb, unsignedHex: txb.buildIncomplete().toHex() };
+}
+
+// Only the transactions being spent are looked up
+function makeNetwork(prevTx: Object) {
+  return {
+    getRawTransaction: (txid) => (txid === prevTx.getId() ?
+      Promise.resolve(prevTx.toHex()) : Promise.reject(new Error(`No transaction ${txid}`)))
+  };
+}
+
+test('a signed p2pkh PSBT gives the same transaction as signing it directly', (t) => {
+  const { prevTx, txb, unsignedHex } = makeTransactions(SIGNERS[0].outputScript);
+  return makePSBT(makeNetwork(prevTx), unsignedHex, [SIGNERS[0]])
+    .then((psbt) => {
+      t.equal(signPSBT(psbt, [PRIVATE_KEYS[1]]), 0, 'other keys do not sign');
+      t.equal(signPSBT(psbt, [PRIVATE_KEYS[0]]), 1);
+      t.equal(signPSBT(psbt, [PRIVATE_KEYS[0]]), 0, 'inputs are not signed twice');
+      psbt.finalize();
+
+      txb.sign(0, KEY_PAIRS[0]);
+      t.equal(psbt.extractTransaction().toHex(), txb.build().toHex());
+    });
+});
+
+test('co-signed p2sh-p2wsh PSBTs combine into the directly signed transaction', (t) => {
+  const signer = parseWatchOnlyKeys(`pubkey:segwit:p2sh:2,${PUBLIC_KEYS.join(',')}`);
+  const { prevTx, txb, unsignedHex } = makeTransactions(signer.outputScript);
+  return makePSBT(makeNetwork(prevTx), unsignedHex, [signer])
+    .then((psbt) => {
+      const encoded = psbt.toBase64();
+      t.equal(PSBT.decode(encoded).toBase64(), encoded, 'it decodes to itself');
+      t.equal(PSBT.decode(psbt.toBuffer().toString('hex')).toBase64(), encoded, 'it decodes from hex');
+
+      const first = PSBT.decode(encoded);
+      const second = PSBT.decode(encoded);
+      signPSBT(first, [PRIVATE_KEYS[0]]);
+      t.throws(() => first.finalize(), /1 of the 2 signatures/);
+      signPSBT(second, [PRIVATE_KEYS[1]]);
+      first.combine(second);
+      first.finalize();
+
+      [0, 1].forEach((index) => txb.sign(0, KEY_PAIRS[index], signer.redeemScript, null,
+                                         FUNDED_SATOSHIS, signer.witnessScript));
+      t.equal(first.extractTransaction().toHex(), txb.build().toHex());
+    });
+});
+
+test('PSBTs of different transactions do not combine', (t) => {
+  const one = makeTransactions(SIGNERS[0].outputScript);
+  const other = makeTransactions(SIGNERS[1].outputScript);
+  return Promise.all([
+    makePSBT(makeNetwork(one.prevTx), one.unsignedHex, [SIGNERS[0]]),
+    makePSBT(makeNetwork(other.prevTx), other.unsignedHex, [SIGNERS[1]])
+  ])
+    .then(([psbt, otherPSBT]) => {
+      try {
+        psbt.combine(otherPSBT);
+        t.fail('combined PSBTs of different transactions');
+      }
+      catch (e) {
+        t.equal(e.code, 'VALIDATION');
+      }
+    });
+});
+
+test('inputs that none of the keys own are refused', (t) => {
+  const { prevTx, unsignedHex } = makeTransactions(SIGNERS[0].outputScript);
+  return makePSBT(makeNetwork(prevTx), unsignedHex, [SIGNERS[1]])
+    .then(() => t.fail('made a PSBT with an unowned input'),
+          (e) => t.equal(e.code, 'VALIDATION'));
+});
+
+test('a signed PSBT is only a signed copy of the PSBT it was signed from', (t) => {
+  const one = makeTransactions(SIGNERS[0].outputScript);
+  const other = makeTransactions(SIGNERS[1].outputScript);
+  return Promise.all([
+    makePSBT(makeNetwork(one.prevTx), one.unsignedHex, [SIGNERS[0]]),
+    makePSBT(makeNetwork(other.prevTx), other.unsignedHex, [SIGNERS[1]])
+  ])
+    .then(([psbt, otherPSBT]) => {
+      const signed = PSBT.decode(psbt.toBase64());
+      signPSBT(signed, [PRIVATE_KEYS[0]]);
+      t.ok(signed.isSignedCopyOf(psbt));
+      t.ok(!psbt.isSignedCopyOf(signed), 'signatures are not dropped');
+      t.ok(!signed.isSignedCopyOf(otherPSBT));
+    });
+});
+
+// Ask for an input to be signed with a sighash type
+function setSighashType(psbt: PSBT, index: number, sighashType: number) {
+  const data = Buffer.alloc(4);
+  data.writeUInt32LE(sighashType, 0);
+  psbt.inputMaps[index]['03'] = data;
+}
+
+test('inputs that ask for a sighash type other than ALL are not signed by default', (t) => {
+  const { prevTx, unsignedHex } = makeTransactions(SIGNERS[0].outputScript);
+  return makePSBT(makeNetwork(prevTx), unsignedHex, [SIGNERS[0]])
+    .then((psbt) => {
+      setSighashType(psbt, 0, SIGHASH_TYPES['SINGLE|ANYONECANPAY']);
+      t.throws(() => signPSBT(psbt, [PRIVATE_KEYS[0]]), /sighash type SINGLE\|ANYONECANPAY/);
+      t.equal(signPSBT(psbt, [PRIVATE_KEYS[1]]), 0, 'keys that do not own the input do not care');
+      t.equal(signPSBT(psbt, [PRIVATE_KEYS[0]], parseSighashTypes('SINGLE|ANYONECANPAY')), 1,
+              'it is signed once allowed');
+      const sig = psbt.getPartialSigs(0)[PUBLIC_KEYS[0]];
+      t.equal(sig[sig.length - 1], SIGHASH_TYPES['SINGLE|ANYONECANPAY']);
+    });
+});
+
+test('sighash type names are parsed', (t) => {
+  t.deepEqual(parseSighashTypes('none, sighash_single'),
+              [SIGHASH_TYPES.ALL, SIGHASH_TYPES.NONE, SIGHASH_TYPES.SINGLE]);
+  t.throws(() => parseSighashTypes('ALL,ANYONECANPAY'), /Unknown sighash type ANYONECANPAY/);
+  t.end();
+});
+
+test('inputs of a kind that cannot be signed here are left to their owners', (t) => {
+  const { prevTx, unsignedHex } = makeTransactions(SIGNERS[0].outputScript);
+  const otherPrevTx = new bitcoin.Transaction();
+  otherPrevTx.addInput(Buffer.alloc(32), 1, 0xffffffff, Buffer.from('psbt-test'));
+  otherPrevTx.addOutput(bitcoin.payments.p2pk({ pubkey: KEY_PAIRS[1].publicKey }).output,
+                        FUNDED_SATOSHIS);
+
+  const tx = bitcoin.Transaction.fromHex(unsignedHex);
+  tx.addInput(otherPrevTx.getHash(), 0);
+  const psbt = new PSBT(tx);
+  psbt.setInputUTXO(0, prevTx);
+  psbt.setInputUTXO(1, otherPrevTx);
+  t.equal(signPSBT(psbt, [PRIVATE_KEYS[0], PRIVATE_KEYS[1]]), 1);
+  t.equal(Object.keys(psbt.getPartialSigs(1)).length, 0);
+  t.end();
+});
+
+test('data that is not a PSBT is refused', (t) => {
+  t.throws(() => PSBT.decode('aGVsbG8gd29ybGQ='), /Not a PSBT/);
+  t.end();
+});
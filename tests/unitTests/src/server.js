@@ -0,0 +1,226 @@
+/* @flow */
+
+import test from 'blue-tape';
+
+import {
+  DEFAULT_COMMAND_OPTIONS
+} from '../../../lib/commands';
+
+import {
+  READ_ONLY_COMMANDS,
+  getAllowedCommands,
+  makeCommandServer
+} from '../../../lib/server';
+
+/*
+ * The command server runs commands for whoever has its token, so what a
+ * request can make it do is limited: only the allowed commands, and none of
+ * the server's own keys or signers unless it says so.
+ */
+
+const TOKEN = 'test-token';
+const HTTP_SIGNER = 'signer:http://127.0.0.1:18555/sign';
+const PRIVATE_KEY = '4b8b3b3bad41d2b8ae06b3a91fbdee1f3fe9ccee1e8b4f0a39ff3b74a5a26b5b01';
+
+// Commands that only say what they were given (or fail), and some that are never served
+const COMMANDS = {
+  get_address: (network, args) => Promise.resolve({ args }),
+  whois: (network, args) => Promise.resolve({ args }),
+  lookup: () => Promise.resolve({ status: false, error: 'No such name', code: 'NOT_FOUND' }),
+  keystore: () => Promise.resolve({ keys: [] }),
+  serve: () => Promise.resolve({})
+};
+
+// Start a command server on a free port, and resolve to its URL and a way to stop it
+function startServer(allowlist: string, commandOpts: Object = {}) {
+  const server = makeCommandServer({}, Object.assign({}, DEFAULT_COMMAND_OPTIONS, commandOpts),
+                                   COMMANDS, TOKEN, getAllowedCommands(allowlist, COMMANDS));
+  return new Promise((resolve) => {
+    const listener = server.listen(0, '127.0.0.1', () => resolve({
+      url: `http://127.0.0.1:${listener.address().port}`,
+      close: () => new Promise((closed) => listener.close(closed))
+    }));
+  });
+}
+
+// Run a served command, and resolve to the HTTP status and response
+function runCommand(url: string, command: string, args: Array<string>) {
+  return fetch(`${url}/v1/commands/${command}`, {
+    method: 'POST',
+    headers: { 'Authorization': `Bearer ${TOKEN}`, 'Content-Type': 'application/json' },
+    body: JSON.stringify(args)
+  })
+    .then((resp) => resp.json().then((body) => ({ status: resp.status, body })));
+}
+
+test('signers that run a program are never served', (t) => {
+  return startServer('get_address', { serveSigners: ['signer:exec:/bin/true'] })
+    .then((server) => runCommand(server.url, 'get_address', ['signer:exec:/bin/true'])
+      .then(({ status, body }) => {
+        t.equal(status, 400);
+        t.ok(/signer:exec:/.test(body.error));
+      })
+      .then(() => server.close()));
+});
+
+test('only the signers in serveSigners are served', (t) => {
+  return startServer('get_address', { serveSigners: [HTTP_SIGNER] })
+    .then((server) => runCommand(server.url, 'get_address', ['signer:http://attacker.example/sign'])
+      .then(({ status, body }) => {
+        t.equal(status, 400);
+        t.ok(/serveSigners/.test(body.error));
+      })
+      .then(() => runCommand(server.url, 'get_address', [HTTP_SIGNER]))
+      .then(({ status, body }) => {
+        t.equal(status, 200);
+        t.deepEqual(body.result.args, [HTTP_SIGNER]);
+      })
+      .then(() => server.close()));
+});
+
+test('no signers are served by default', (t) => {
+  return startServer('get_address')
+    .then((server) => runCommand(server.url, 'get_address', [HTTP_SIGNER])
+      .then(({ status }) => t.equal(status, 400))
+      .then(() => server.close()));
+});
+
+// Ask the server whether a page at an origin may call it, as a browser does
+function preflight(url: string, origin: string) {
+  return fetch(`${url}/v1/commands/whois`, {
+    method: 'OPTIONS',
+    headers: {
+      'Origin': origin,
+      'Access-Control-Request-Method': 'POST',
+      'Access-Control-Request-Headers': 'authorization,content-type'
+    }
+  })
+    .then((resp) => resp.headers.get('access-control-allow-origin'));
+}
+
+test('no origins may call the server from a browser by default', (t) => {
+  return startServer('whois')
+    .then((server) => preflight(server.url, 'https://attacker.example')
+      .then((allowedOrigin) => t.equal(allowedOrigin, null))
+      .then(() => server.close()));
+});
+
+test('only the origins in serveOrigins may call the server from a browser', (t) => {
+  return startServer('whois', { serveOrigins: ['http://localhost:3000'] })
+    .then((server) => preflight(server.url, 'http://localhost:3000')
+      .then((allowedOrigin) => t.equal(allowedOrigin, 'http://localhost:3000'))
+      .then(() => preflight(server.url, 'https://attacker.example'))
+      .then((allowedOrigin) => t.equal(allowedOrigin, null))
+      .then(() => server.close()));
+});
+
+test('the allowlist picks which commands are served, never the server\'s own', (t) => {
+  t.deepEqual(getAllowedCommands('all', COMMANDS), ['get_address', 'lookup', 'whois']);
+  t.deepEqual(getAllowedCommands('read-only', COMMANDS), ['lookup', 'whois']);
+  t.ok(getAllowedCommands('read-only', COMMANDS).every(
+    (command) => READ_ONLY_COMMANDS.includes(command)));
+  t.deepEqual(getAllowedCommands(' whois, get_address,', COMMANDS), ['whois', 'get_address']);
+  t.throws(() => getAllowedCommands('whois,frobnicate', COMMANDS),
+           /Command "frobnicate" cannot be served/);
+  t.throws(() => getAllowedCommands('keystore', COMMANDS), /Command "keystore" cannot be served/);
+  t.end();
+});
+
+test('requests without the bearer token are refused', (t) => {
+  const request = (url, headers) => fetch(`${url}/v1/commands/whois?blockstack_id=hello.id`,
+                                          { headers })
+    .then((resp) => resp.json().then((body) => ({ status: resp.status, body })));
+
+  return startServer('whois')
+    .then((server) => request(server.url, {})
+      .then(({ status, body }) => {
+        t.equal(status, 401);
+        t.equal(body.code, 'AUTHENTICATION');
+      })
+      .then(() => request(server.url, { 'Authorization': 'Bearer wrong-token' }))
+      .then(({ status }) => t.equal(status, 401))
+      .then(() => request(server.url, { 'Authorization': TOKEN }))
+      .then(({ status }) => t.equal(status, 401, 'the token must be given as a bearer token'))
+      .then(() => request(server.url, { 'Authorization': `bearer ${TOKEN}` }))
+      .then(({ status, body }) => {
+        t.equal(status, 200);
+        t.deepEqual(body.result.args, ['hello.id']);
+      })
+      .then(() => server.close()));
+});
+
+test('only the allowed commands are listed and run', (t) => {
+  return startServer('whois')
+    .then((server) => fetch(`${server.url}/v1/commands`,
+                            { headers: { 'Authorization': `Bearer ${TOKEN}` } })
+      .then((resp) => resp.json())
+      .then((commands) => t.deepEqual(commands.map((command) => command.command), ['whois']))
+      .then(() => runCommand(server.url, 'get_address', [PRIVATE_KEY]))
+      .then(({ status, body }) => {
+        t.equal(status, 404);
+        t.equal(body.code, 'NOT_FOUND');
+        t.ok(/is not served/.test(body.error));
+      })
+      .then(() => runCommand(server.url, 'whois', ['not a name']))
+      .then(({ status, body }) => {
+        t.equal(status, 400);
+        t.equal(body.code, 'VALIDATION');
+      })
+      .then(() => server.close()));
+});
+
+test('keys in the server\'s keystore are never used', (t) => {
+  return startServer('get_address')
+    .then((server) => runCommand(server.url, 'get_address', ['keystore:payer'])
+      .then(({ status, body }) => {
+        t.equal(status, 400);
+        t.ok(/keystore/.test(body.error));
+      })
+      .then(() => server.close()));
+});
+
+// Send a JSON-RPC request (or batch of requests), and resolve to the HTTP status and response
+function runRPC(url: string, body: string) : Promise<{ status: number, body: any }> {
+  return fetch(`${url}/rpc`, {
+    method: 'POST',
+    headers: { 'Authorization': `Bearer ${TOKEN}`, 'Content-Type': 'application/json' },
+    body
+  })
+    .then((resp) => resp.text().then((text) => ({
+      status: resp.status, body: text.length > 0 ? JSON.parse(text) : null
+    })));
+}
+
+test('served commands can be run with JSON-RPC, one or a batch at a time', (t) => {
+  const request = (id, method, params) => ({ jsonrpc: '2.0', id, method, params });
+  return startServer('whois,lookup')
+    .then((server) => runRPC(server.url, JSON.stringify(request(1, 'whois', ['hello.id'])))
+      .then(({ status, body }) => {
+        t.equal(status, 200);
+        t.deepEqual(body, { jsonrpc: '2.0', result: { args: ['hello.id'] }, id: 1 });
+      })
+      .then(() => runRPC(server.url, JSON.stringify([
+        request(1, 'lookup', ['hello.id']),
+        request(2, 'get_address', [PRIVATE_KEY]),
+        { jsonrpc: '2.0', method: 'whois', params: ['hello.id'] },
+        { id: 4, method: 'whois' }
+      ])))
+      .then(({ status, body }) => {
+        t.equal(status, 200);
+        t.deepEqual(body.map((response) => response.id), [1, 2, 4],
+                    'notifications are not answered');
+        t.equal(body[0].error.code, -32000);
+        t.equal(body[0].error.data.code, 'NOT_FOUND');
+        t.equal(body[1].error.code, -32601);
+        t.equal(body[2].error.code, -32600);
+      })
+      .then(() => runRPC(server.url, JSON.stringify(
+        { jsonrpc: '2.0', method: 'whois', params: ['hello.id'] })))
+      .then(({ status, body }) => {
+        t.equal(status, 204);
+        t.equal(body, null);
+      })
+      .then(() => runRPC(server.url, '{"jsonrpc": '))
+      .then(({ body }) => t.equal(body.error.code, -32700))
+      .then(() => server.close()));
+});
@@ -0,0 +1,203 @@
+/* @flow */
+
+import test from 'blue-tape';
+import fs from 'fs';
+import os from 'os';
+import pathTools from 'path';
+import { Readable } from 'stream';
+const blockstack = require('blockstack');
+
+import {
+  makeCompleter,
+  splitWords,
+  startShell
+} from '../../../lib/shell';
+
+import {
+  COMMANDS,
+  DEFAULT_COMMAND_OPTIONS
+} from '../../../lib/commands';
+
+import {
+  recordCompletions
+} from '../../../lib/completion';
+
+import {
+  CLINetworkAdapter
+} from '../../../lib/network';
+
+import {
+  UTXOProvider
+} from '../../../lib/utxo';
+
+/*
+ * Shell lines must be split into words the way a POSIX shell splits them,
+ * <TAB> must complete commands, keywords, and names, and the name in use
+ * must be given to commands that need one and were not given one.
+ */
+
+const network = new CLINetworkAdapter(new blockstack.network.BlockstackNetwork(
+  'http://localhost:16268', 'http://localhost:16269', new UTXOProvider('http://localhost:18999')),
+                                      {});
+
+function makeSession(blockstackID: ?string = null) : Object {
+  return {
+    network,
+    commandOpts: DEFAULT_COMMAND_OPTIONS,
+    outputFormat: 'json',
+    argDefaults: {},
+    blockstackID,
+    history: [],
+    completionHistory: false
+  };
+}
+
+// Run something with HOME (where names and ID-addresses are remembered) in a new directory
+function withHome<T>(run: (home: string) => Promise<T>) : Promise<T> {
+  const home = process.env.HOME;
+  const testHome = fs.mkdtempSync(pathTools.join(os.tmpdir(), 'shell-test-'));
+  process.env.HOME = testHome;
+  const restore = () => {
+    process.env.HOME = home;
+  };
+  return Promise.resolve().then(() => run(testHome))
+    .then((result) => {
+      restore();
+      return result;
+    }, (e) => {
+      restore();
+      throw e;
+    });
+}
+
+// Run the shell on a script piped into it, with whois replaced by one that
+// gives back its arguments, and get what it printed
+function runShell(lines: Array<string>, blockstackID: ?string = null,
+                  completionHistory: boolean = false) : Promise<Object> {
+  const printed = { log: [], error: [] };
+  const stdin = Object.getOwnPropertyDescriptor(process, 'stdin');
+  const whois = COMMANDS.whois;
+  // (Flow's console cannot be assigned to)
+  const output: Object = console;
+  const log = output.log;
+  const error = output.error;
+  const restore = () => {
+    Object.defineProperty(process, 'stdin', stdin);
+    COMMANDS.whois = whois;
+    output.log = log;
+    output.error = error;
+  };
+
+  Object.defineProperty(process, 'stdin', {
+    configurable: true, enumerable: true, value: (Readable: Object).from([`${lines.join('\n')}\n`])
+  });
+  COMMANDS.whois = (callNetwork, args) => Promise.resolve({ whois: args });
+  output.log = (text) => printed.log.push(text);
+  output.error = (text) => printed.error.push(text);
+  return startShell(network, DEFAULT_COMMAND_OPTIONS, 'json', {}, blockstackID,
+                    completionHistory)
+    .then(() => {
+      restore();
+      return printed;
+    }, (e) => {
+      restore();
+      throw e;
+    });
+}
+
+test('lines are split into words like a shell splits them', (t) => {
+  t.deepEqual(splitWords('  whois   hello.id  '), ['whois', 'hello.id']);
+  t.deepEqual(splitWords(''), []);
+  t.deepEqual(splitWords('put "my file.txt" \'a b\''), ['put', 'my file.txt', 'a b']);
+  t.deepEqual(splitWords('say "" \'\''), ['say', '', ''], 'empty quotes are empty words');
+  t.deepEqual(splitWords('a"b c"\'d e\'f'), ['ab cd ef'], 'quoted parts join their word');
+  t.deepEqual(splitWords('my\\ file.txt \\"x'), ['my file.txt', '"x']);
+  t.deepEqual(splitWords('"say \\"hi\\" \\\\"'), ['say "hi" \\'],
+              'backslashes escape in double quotes');
+  t.deepEqual(splitWords('\'C:\\dir\\"\''), ['C:\\dir\\"'], 'but not in single quotes');
+  t.deepEqual(splitWords('end\\'), ['end\\'], 'a trailing backslash is kept');
+  t.end();
+});
+
+test('an unterminated quote is a validation error', (t) => {
+  for (const line of ['whois "hello.id', 'whois \'hello.id']) {
+    try {
+      splitWords(line);
+      t.fail(`split ${line}`);
+    }
+    catch (e) {
+      t.equal(e.code, 'VALIDATION');
+      t.ok(/^Unterminated . quote$/.test(e.message), e.message);
+    }
+  }
+  t.end();
+});
+
+test('<TAB> completes commands and keyword arguments', (t) => {
+  const complete = makeCompleter(makeSession());
+  t.deepEqual(complete('who'), [['whois'], 'who']);
+  t.deepEqual(complete('  us'), [['use'], 'us'], 'shell commands are completed too');
+  t.deepEqual(complete('whois --'), [['--blockstack_id'], '--']);
+  t.deepEqual(complete('gaia_getfile --blockstack_id hello.id --dec'), [['--decrypt'], '--dec']);
+  t.deepEqual(complete('no_such_command hel'), [[], 'hel']);
+  t.end();
+});
+
+test('<TAB> completes argument values by what they take', (t) => {
+  const complete = makeCompleter(makeSession());
+  t.deepEqual(complete('gaia_getfile hello.id https://app.example.com file.txt KEY '),
+              [['true', 'false'], ''], 'the fifth argument is true or false');
+  t.deepEqual(complete('gaia_getfile --decrypt t'), [['true'], 't'],
+              'a --keyword\'s value is completed by its own type');
+  t.deepEqual(complete('gaia_getfile --decrypt true hello.id https://app.example.com a.txt '),
+              [[], ''], 'keyword pairs are not counted as positions');
+  t.end();
+});
+
+test('<TAB> completes remembered names and the name in use', (t) => {
+  return withHome(() => {
+    recordCompletions('whois', ['world.id']);
+    t.deepEqual(makeCompleter(makeSession())('whois '), [['world.id'], '']);
+    t.deepEqual(makeCompleter(makeSession('hello.id'))('whois '),
+                [['world.id', 'hello.id'], '']);
+    t.deepEqual(makeCompleter(makeSession('hello.id'))('whois h'), [['hello.id'], 'h']);
+    return Promise.resolve();
+  });
+});
+
+test('the name in use is given to commands that need one', (t) => {
+  return withHome(() => runShell([
+    'whois',
+    'use hello.id',
+    'whois',
+    'whois world.id',
+    'use Not A Name',
+    'whois',
+    'use',
+    'whois'
+  ]))
+    .then((printed) => {
+      t.deepEqual(printed.log.map((text) => JSON.parse(text)), [
+        { whois: ['hello.id'] },
+        { whois: ['world.id'] },
+        { whois: ['hello.id'] }
+      ], 'a name that is given is used instead, and an invalid one is not used');
+
+      const errors = printed.error.filter((text) => text.startsWith('{'))
+        .map((text) => JSON.parse(text));
+      t.deepEqual(errors.map((envelope) => envelope.code),
+                  ['VALIDATION', 'VALIDATION', 'VALIDATION']);
+      t.equal(errors[1].error, 'Not a valid name: Not');
+    });
+});
+
+test('the shell can start out using a name, and only remembers names if asked to', (t) => {
+  const cachePath = (home) => pathTools.join(home, '.blockstack-cli-completions');
+  return withHome((home) => runShell(['whois', 'whois world.id'], 'hello.id')
+    .then((printed) => {
+      t.deepEqual(JSON.parse(printed.log[0]), { whois: ['hello.id'] });
+      t.notOk(fs.existsSync(cachePath(home)), 'no names are remembered by default');
+      return runShell(['whois world.id'], null, true);
+    })
+    .then(() => t.equal(fs.readFileSync(cachePath(home)).toString(), 'world.id\n')));
+});
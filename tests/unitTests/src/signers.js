@@ -0,0 +1,77 @@
+/* @flow */
+
+import test from 'blue-tape';
+import ecurve from 'ecurve';
+const bigi = require('bigi');
+const bitcoin = require('bitcoinjs-lib');
+
+import {
+  ExternalSigner
+} from '../../../lib/signers';
+
+/*
+ * An external signer's signatures must give the same transaction as signing
+ * with its key directly.  The signer's replies are made here, in place of a
+ * program or service.
+ */
+
+const KEY_PAIR = bitcoin.ECPair.fromPrivateKey(
+  Buffer.from('0000000000000000000000000000000000000000000000000000000000000002', 'hex'));
+const CURVE_ORDER = ecurve.getCurveByName('secp256k1').n;
+
+// Make a signer that signs hashes with sign()
+function makeSigner(sign: (hash: Buffer) => string) : ExternalSigner {
+  const signer = new ExternalSigner('signer:http://localhost:9000/');
+  signer.request = (request) => Promise.resolve().then(() => {
+    if (request.method === 'getAddress') {
+      return {
+        address: bitcoin.payments.p2pkh({ pubkey: KEY_PAIR.publicKey }).address,
+        publicKey: KEY_PAIR.publicKey.toString('hex')
+      };
+    }
+    return { signature: sign(Buffer.from(request.hash, 'hex')) };
+  });
+  return signer;
+}
+
+function makeTransactionBuilder() {
+  const txb = new bitcoin.TransactionBuilder();
+  txb.addInput(Buffer.alloc(32, 1), 0);
+  txb.addOutput(bitcoin.payments.p2pkh({ pubkey: KEY_PAIR.publicKey }).output, 100000);
+  return txb;
+}
+
+function signDirectly() : string {
+  const txb = makeTransactionBuilder();
+  txb.sign(0, KEY_PAIR);
+  return txb.build().toHex();
+}
+
+test('an external signer\'s DER signature gives the directly signed transaction', (t) => {
+  const signer = makeSigner((hash) => bitcoin.script.signature.encode(
+    KEY_PAIR.sign(hash), bitcoin.Transaction.SIGHASH_ALL).toString('hex'));
+  const txb = makeTransactionBuilder();
+  return signer.load()
+    .then(() => signer.signTransaction(txb, 0))
+    .then(() => t.equal(txb.build().toHex(), signDirectly()));
+});
+
+test('an external signer\'s high-s signature is made low', (t) => {
+  const signer = makeSigner((hash) => {
+    const signature = KEY_PAIR.sign(hash);
+    const highS = CURVE_ORDER.subtract(bigi.fromBuffer(signature.slice(32))).toBuffer(32);
+    return Buffer.concat([signature.slice(0, 32), highS]).toString('hex');
+  });
+  const txb = makeTransactionBuilder();
+  return signer.load()
+    .then(() => signer.signTransaction(txb, 0))
+    .then(() => t.equal(txb.build().toHex(), signDirectly()));
+});
+
+test('an external signer\'s signature of something else is refused', (t) => {
+  const signer = makeSigner(() => KEY_PAIR.sign(Buffer.alloc(32)).toString('hex'));
+  return signer.load()
+    .then(() => signer.signTransaction(makeTransactionBuilder(), 0))
+    .then(() => t.fail('used a signature that does not verify'),
+          (e) => t.equal(e.code, 'AUTHENTICATION'));
+});
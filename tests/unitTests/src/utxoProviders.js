@@ -0,0 +1,173 @@
+/* @flow */
+
+import test from 'blue-tape';
+const bitcoin = require('bitcoinjs-lib');
+
+import {
+  BitcoindProvider,
+  BlockchainInfoProvider,
+  ElectrumProvider,
+  EsploraProvider
+} from '../../../lib/utxo';
+
+import {
+  MockNode
+} from '../../../lib/mocknode';
+
+/*
+ * Every UTXO provider must give the same answers about the same chain.
+ * Each one is run against the mock node's version of its service.  One mock
+ * node serves every test, and each test uses new addresses.
+ */
+
+const MOCK_PORT = 18380;
+const FUNDED_SATOSHIS = 1000000;
+const FEE_SATOSHIS = 10000;
+
+const PROVIDERS = {
+  'bitcoind': (urls) => new BitcoindProvider(urls.utxoServiceUrl,
+    { username: 'blockstack', password: 'blockstacksystem' }),
+  'blockchain.info': (urls) => new BlockchainInfoProvider(urls.utxoServiceUrl),
+  'esplora': (urls) => new EsploraProvider(urls.utxoServiceUrl),
+  'electrum': (urls) => new ElectrumProvider(urls.electrumUrl)
+};
+
+// blockchain.info has no fee estimates
+const NO_FEE_ESTIMATES = ['blockchain.info'];
+
+function makeAddress() {
+  const keyPair = bitcoin.ECPair.makeRandom({ network: bitcoin.networks.testnet });
+  const address = bitcoin.payments.p2pkh({
+    pubkey: keyPair.publicKey, network: bitcoin.networks.testnet
+  }).address;
+  return { keyPair, address };
+}
+
+const mockNode = new MockNode(bitcoin.networks.testnet);
+let mockUrls = {};
+
+test('start the mock node', () => mockNode.listen({ utxoServiceUrl: MOCK_PORT })
+  .then((urls) => mockNode.listenElectrum(0).then((electrumUrl) => {
+    mockUrls = Object.assign({}, urls, { electrumUrl });
+  })));
+
+Object.keys(PROVIDERS).forEach((providerName) => {
+  // check() is given the test, the provider, the mock node's state, and a sender and recipient
+  const conformanceTest = (description: string, check: Function) =>
+    test(`${providerName}: ${description}`, (t) => {
+      const sender = makeAddress();
+      const recipient = makeAddress();
+      mockNode.state.fund(sender.address, FUNDED_SATOSHIS);
+      const provider = PROVIDERS[providerName](mockUrls);
+      const closeProvider = () => {
+        if (provider.close) {
+          provider.close();
+        }
+      };
+      return Promise.resolve().then(() => check(t, provider, mockNode.state, sender, recipient))
+        .then(closeProvider, (e) => {
+          closeProvider();
+          throw e;
+        });
+    });
+
+  conformanceTest('getBlockHeight() gives the chain tip', (t, provider, state) =>
+    provider.getBlockHeight()
+      .then((blockHeight) => t.equal(blockHeight, state.blockHeight)));
+
+  conformanceTest('getBlockHash() gives the hash of a block in the chain', (t, provider, state) =>
+    Promise.all([provider.getBlockHash(state.blockHeight), provider.getBlockHash(1)])
+      .then(([tipHash, firstHash]) => {
+        t.equal(tipHash, state.getBlockHash(state.blockHeight));
+        t.equal(firstHash, state.getBlockHash(1));
+      }));
+
+  conformanceTest('getBlockHash() fails for a block that is not mined yet', (t, provider, state) =>
+    provider.getBlockHash(state.blockHeight + 1)
+      .then(() => t.fail('found a block that does not exist'),
+            (e) => t.equal(e.code, 'NOT_FOUND')));
+
+  conformanceTest('getBlockHash() sees reorgs', (t, provider, state) => {
+    const oldHash = state.getBlockHash(state.blockHeight);
+    state.reorg(1);
+    return provider.getBlockHash(state.blockHeight)
+      .then((newHash) => {
+        t.notEqual(newHash, oldHash);
+        t.equal(newHash, state.getBlockHash(state.blockHeight));
+      });
+  });
+
+  conformanceTest('getUTXOs() lists an address\'s outputs', (t, provider, state, sender) =>
+    provider.getUTXOs(sender.address)
+      .then((utxos) => {
+        const expected = state.getUTXOs(sender.address)[0];
+        t.deepEqual(utxos, [{
+          value: FUNDED_SATOSHIS,
+          confirmations: state.getConfirmations(expected.height),
+          tx_hash: expected.txid,
+          tx_output_n: 0
+        }]);
+      }));
+
+  conformanceTest('getUTXOs() is empty for an unused address', (t, provider, state, sender, recipient) =>
+    provider.getUTXOs(recipient.address)
+      .then((utxos) => t.deepEqual(utxos, [])));
+
+  conformanceTest('getTransactionInfo() gives a transaction\'s block', (t, provider, state, sender) => {
+    const utxo = state.getUTXOs(sender.address)[0];
+    return provider.getTransactionInfo(utxo.txid)
+      .then((txInfo) => t.deepEqual(txInfo, { block_height: utxo.height }));
+  });
+
+  conformanceTest('getTransactionInfo() fails for an unknown transaction', (t, provider) =>
+    provider.getTransactionInfo('00'.repeat(32))
+      .then(() => t.fail('found a transaction that does not exist'),
+            () => t.pass('rejected')));
+
+  conformanceTest('getRawTransaction() gives a transaction\'s hex', (t, provider, state, sender) => {
+    const utxo = state.getUTXOs(sender.address)[0];
+    return provider.getRawTransaction(utxo.txid)
+      .then((txHex) => {
+        t.equal(txHex, state.transactions[utxo.txid].hex);
+        t.equal(bitcoin.Transaction.fromHex(txHex).getId(), utxo.txid);
+      });
+  });
+
+  conformanceTest('getRawTransaction() fails for an unknown transaction', (t, provider) =>
+    provider.getRawTransaction('00'.repeat(32))
+      .then(() => t.fail('found a transaction that does not exist'),
+            () => t.pass('rejected')));
+
+  conformanceTest('estimateFeeRate() gives satoshis per byte', (t, provider, state) =>
+    provider.estimateFeeRate()
+      .then((feeRate) => {
+        if (NO_FEE_ESTIMATES.includes(providerName)) {
+          t.equal(feeRate, null);
+        }
+        else {
+          t.equal(feeRate, state.feeRate);
+        }
+      }));
+
+  conformanceTest('broadcastTransaction() spends UTXOs', (t, provider, state, sender, recipient) => {
+    const utxo = state.getUTXOs(sender.address)[0];
+    const txb = new bitcoin.TransactionBuilder(bitcoin.networks.testnet);
+    txb.addInput(utxo.txid, utxo.vout);
+    txb.addOutput(recipient.address, FUNDED_SATOSHIS - FEE_SATOSHIS);
+    txb.sign(0, sender.keyPair);
+    const tx = txb.build();
+    return provider.broadcastTransaction(tx.toHex())
+      .then((txid) => {
+        t.equal(txid, tx.getId());
+        return Promise.all([provider.getUTXOs(sender.address), provider.getUTXOs(recipient.address)]);
+      })
+      .then(([senderUTXOs, recipientUTXOs]) => {
+        t.deepEqual(senderUTXOs, []);
+        t.equal(recipientUTXOs.length, 1);
+        t.equal(recipientUTXOs[0].value, FUNDED_SATOSHIS - FEE_SATOSHIS);
+        t.equal(recipientUTXOs[0].tx_hash, tx.getId());
+      });
+  });
+});
+
+test('stop the mock node', () => mockNode.close());